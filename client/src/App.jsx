@@ -10,6 +10,7 @@ import Profile from './components/Profile';
 import CurrencyManagement from './components/currencies_management/CurrencyManagement';
 import MarginManagement from './components/margin_management/MarginManagement'; //////////
 import AdminManagement from './components/admin_management/AdminManagement';
+import Portfolio from './components/portfolio/Portfolio';
 import './App.css';
 
 import { AuthProvider } from './components/AuthContext'; ///
@@ -53,6 +54,12 @@ function App() {
           } />
 
 
+          <Route path="/portfolio" element={
+            <PrivateRoute>
+              <Portfolio />
+            </PrivateRoute>
+          } />
+
           <Route path="/profile" element={
             <PrivateRoute>
               <Profile />
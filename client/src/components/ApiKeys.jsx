@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from './AuthContext';
+import './Profile.css';
+
+const SCOPES = ['read-rates', 'convert', 'admin'];
+const DEFAULT_QUOTA = 1000;
+
+// ApiKeys: the logged-in user's keys for the /api/v1 REST API (create, see usage, revoke)
+export default function ApiKeys() {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const isAdmin = !!(user && String(user.Role || '').toLowerCase() === 'admin');
+
+  const [keys, setKeys] = useState([]);
+  const [form, setForm] = useState({ name: '', scopes: ['read-rates'], quotaPerDay: String(DEFAULT_QUOTA) });
+  const [created, setCreated] = useState(null); // Key returned by POST, shown once
+  const [copied, setCopied] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after create / revoke
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/api-keys', { credentials: 'include', signal: controller.signal });
+        if (!res.ok) throw new Error(t('apiKeys.errorLoad'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setKeys(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('apiKeys.errorLoad'));
+      }
+    })();
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const toggleScope = (scope) => setForm(f => ({
+    ...f,
+    scopes: f.scopes.includes(scope) ? f.scopes.filter(s => s !== scope) : [...f.scopes, scope]
+  }));
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setCreated(null);
+    setCopied(false);
+    try {
+      const res = await fetch('/api/api-keys', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: form.name, scopes: form.scopes, quotaPerDay: Number(form.quotaPerDay) })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data && data.error ? data.error : t('apiKeys.errorSave'));
+      setCreated(data);
+      setForm(f => ({ ...f, name: '' }));
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onRevoke = async (key) => {
+    if (!window.confirm(t('apiKeys.revokeConfirm', { name: key.Name }))) return;
+    setError('');
+    try {
+      const res = await fetch(`/api/api-keys/${key.Id}`, { method: 'DELETE', credentials: 'include' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data && data.error ? data.error : t('apiKeys.errorSave'));
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const onCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(created.key);
+      setCopied(true);
+    } catch {
+      // Clipboard blocked: the key stays selectable on screen
+    }
+  };
+
+  const formatDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+
+  return (
+    <div className="profile-orders">
+      <h3 className="profile-orders-title">{t('apiKeys.title')}</h3>
+      <div className="profile-label">{t('apiKeys.intro')}</div>
+      {error && <div className="message message--error">{error}</div>}
+
+      {created && (
+        <div className="api-key-created">
+          <div>{t('apiKeys.createdOnce')}</div>
+          <code className="api-key-value">{created.key}</code>
+          <button type="button" className="btn-ghost" onClick={onCopy}>{copied ? t('apiKeys.copied') : t('apiKeys.copy')}</button>
+        </div>
+      )}
+
+      <form className="alert-form" onSubmit={onCreate}>
+        <input
+          className="input-small"
+          type="text"
+          maxLength={100}
+          value={form.name}
+          onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))}
+          placeholder={t('apiKeys.namePlaceholder')}
+        />
+        {SCOPES.filter(s => s !== 'admin' || isAdmin).map(s => (
+          <label key={s} className="api-key-scope">
+            <input type="checkbox" checked={form.scopes.includes(s)} onChange={() => toggleScope(s)} />
+            {t(`apiKeys.scope.${s}`)}
+          </label>
+        ))}
+        <input
+          className="input-small"
+          type="number"
+          min="1"
+          value={form.quotaPerDay}
+          onChange={(e) => setForm(f => ({ ...f, quotaPerDay: e.target.value }))}
+          title={t('apiKeys.quotaPerDay')}
+        />
+        <button type="submit" className="btn-primary" disabled={saving || !form.name.trim() || !form.scopes.length}>
+          {saving ? t('profile.saving') : t('apiKeys.create')}
+        </button>
+      </form>
+
+      {keys.length === 0 ? (
+        <div className="profile-label">{t('apiKeys.noKeys')}</div>
+      ) : (
+        <table className="profile-orders-table">
+          <thead>
+            <tr>
+              <th>{t('apiKeys.headerName')}</th>
+              <th>{t('apiKeys.headerPrefix')}</th>
+              <th>{t('apiKeys.headerScopes')}</th>
+              <th>{t('apiKeys.headerUsage')}</th>
+              <th>{t('apiKeys.headerLastUsed')}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(k => (
+              <tr key={k.Id} className={k.RevokedAt ? 'alert-row-paused' : ''}>
+                <td>{k.Name}</td>
+                <td><code>{k.KeyPrefix}</code></td>
+                <td>{k.Scopes.map(s => t(`apiKeys.scope.${s}`)).join(', ')}</td>
+                <td>{t('apiKeys.usage', { used: Number(k.UsedToday), quota: k.QuotaPerDay })}</td>
+                <td>{formatDateTime(k.LastUsedAt)}</td>
+                <td className="alert-actions">
+                  {k.RevokedAt
+                    ? <span>{t('apiKeys.revokedAt', { date: formatDateTime(k.RevokedAt) })}</span>
+                    : <button className="btn-ghost" onClick={() => onRevoke(k)}>{t('apiKeys.revoke')}</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
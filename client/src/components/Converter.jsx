@@ -35,7 +35,8 @@ function roundUpToDecimal(num, decimals) {
 // =======================================================================
 // Converter component
 // =======================================================================
-export default function ConverterPage() {
+// pair: optional { fromCode, toCode } pushed in by the page (e.g. a watchlist pick), applied whenever it changes
+export default function ConverterPage({ pair = null }) {
     const { t } = useTranslation();
     // --- State ---
     const [currencies, setCurrencies] = useState([]);
@@ -67,6 +68,11 @@ export default function ConverterPage() {
     const [error, setError] = useState('');
 
     const [payLoading, setPayLoading] = useState(false); ////
+    // Rate lock: server quote holding the rate for quote.ttlSeconds
+    const [quote, setQuote] = useState(null); // { quote, quoteId, amountFrom, amountTo, rate, lockedUntil, ... }
+    const [previousQuote, setPreviousQuote] = useState(null); // Expired quote replaced by a refresh (old rate shown next to the new one)
+    const [quoteLoading, setQuoteLoading] = useState(false);
+    const [now, setNow] = useState(() => Date.now()); // Countdown clock, ticks while a quote is held
 
     const currentFromAmount = activeInput === 'from' ? amount : Number(result?.valFrom ?? 0);
     const minAmountError = Number.isFinite(currentFromAmount) ? currentFromAmount < 10 : false;
@@ -94,6 +100,18 @@ export default function ConverterPage() {
         return () => { cancelled = true; };
     }, [t]);
 
+    // --- Pair picked outside the converter ---
+    useEffect(() => {
+        if (!pair || !currencies.length) return;
+        const idOf = (code) => currencies.find(c => String(c.CurrencyCode).toUpperCase() === code)?.Id;
+        const nextFrom = idOf(pair.fromCode);
+        const nextTo = idOf(pair.toCode);
+        if (nextFrom && nextTo) {
+            setFromId(nextFrom);
+            setToId(nextTo);
+        }
+    }, [pair, currencies]);
+
     // --- API and calculations ---
     // useRates.getRateForDate is used below
 
@@ -128,6 +146,8 @@ export default function ConverterPage() {
     // --- Main conversion logic ---
     const computeConversion = useCallback(async () => {
         setError('');
+        setQuote(null); // Inputs changed: the locked rate no longer applies
+        setPreviousQuote(null);
         if (!fromId || !toId || !date) return;
         
         if (fromId === toId) { 
@@ -175,6 +195,16 @@ export default function ConverterPage() {
         return () => clearTimeout(timer);
     }, [fromId, toId, date, amount, activeInput, computeConversion]);
 
+    // Countdown for the locked rate
+    useEffect(() => {
+        if (!quote) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [quote]);
+
+    const secondsLeft = quote ? Math.max(0, Math.ceil((quote.lockedUntil - now) / 1000)) : 0;
+    const quoteExpired = !!quote && secondsLeft === 0;
+
     const swap = () => {
         const newFrom = toId;
         const newTo = fromId;
@@ -186,53 +216,121 @@ export default function ConverterPage() {
     const fromCode = currencies.find(c => c.Id === fromId)?.CurrencyCode || '—';
     const toCode = currencies.find(c => c.Id === toId)?.CurrencyCode || '—';
 
-    const startStripeCheckout = async () => {
-        setError('');
-        if (!fromId || !toId) return;
-        if (loading || payLoading) return;
-
+    // Ask the server to price the current inputs and lock the rate
+    // Timing is based on the local clock (ttlSeconds from receipt), so clock skew does not matter
+    const requestQuote = async () => {
         const fromVal = Number(result?.valFrom);
         const toVal = Number(result?.valTo);
         const usedRate = Number(result?.usedRate);
 
         if (!Number.isFinite(fromVal) || fromVal <= 0 || !Number.isFinite(toVal) || toVal <= 0 || !Number.isFinite(usedRate) || usedRate <= 0) {
             setError(t('converter.errorCalc'));
-            return;
+            return null;
+        }
+
+        setQuoteLoading(true);
+        try {
+            const res = await fetch('/api/payments/quote', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    fromCode,
+                    toCode,
+                    date: dateKeyFromDate(date),
+                    fixed: activeInput,
+                    amountFrom: activeInput === 'from' ? amount : fromVal,
+                    amountTo: activeInput === 'to' ? amount : toVal,
+                    rate: usedRate
+                })
+            });
+            const q = await res.json().catch(() => ({}));
+            if (!res.ok || !q || !q.quote) {
+                setError((q && q.error) ? String(q.error) : t('converter.quoteFailed'));
+                return null;
+            }
+
+            const locked = { ...q, lockedUntil: Date.now() + q.ttlSeconds * 1000 };
+            setNow(Date.now());
+            // Show the server's figures (they win if the local calculation differed)
+            setResult(r => ({ ...r, valFrom: q.amountFrom, valTo: q.amountTo, usedRate: q.rate }));
+            return locked;
+        } catch {
+            setError(t('converter.quoteFailed'));
+            return null;
+        } finally {
+            setQuoteLoading(false);
         }
+    };
+
+    const lockRate = async () => {
+        setError('');
+        if (!fromId || !toId || loading || quoteLoading) return;
+        const q = await requestQuote();
+        if (!q) return null;
+        setPreviousQuote(null);
+        setQuote(q);
+        return q;
+    };
+
+    // Expired lock: get a new quote and keep the old one for comparison
+    const refreshQuote = async () => {
+        setError('');
+        if (quoteLoading) return;
+        const old = quote;
+        const q = await requestQuote();
+        if (!q) return;
+        setPreviousQuote(old);
+        setQuote(q);
+    };
+
+    const startStripeCheckout = async () => {
+        setError('');
+        if (!fromId || !toId) return;
+        if (loading || payLoading || quoteLoading) return;
 
         // Minimum amount check — silently prevent starting checkout
-        if (fromVal < 10) {
+        if (Number(result?.valFrom) < 10) {
             return;
         }
 
-        const summary = t('converter.payConfirm', {
-            fromVal: fromVal,
-            fromCode,
-            toVal: toVal,
-            toCode
-        });
+        // Checkout only runs on a locked, unexpired rate
+        const q = quote && !quoteExpired ? quote : await lockRate();
+        if (!q) return;
+
+        const summary = [
+            q.mismatches && q.mismatches.length ? t('converter.quoteAdjusted') : null,
+            t('converter.payConfirm', { fromVal: q.amountFrom, fromCode, toVal: q.amountTo, toCode }),
+            t('converter.quoteExpires', { seconds: Math.max(0, Math.ceil((q.lockedUntil - Date.now()) / 1000)) })
+        ].filter(Boolean).join('\n\n');
 
         if (!window.confirm(summary)) return;
 
         setPayLoading(true);
         try {
+            // Checkout charges exactly the quoted figures
             const res = await fetch('/api/payments/create-checkout-session', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include',
                 body: JSON.stringify({
-                    fromCode,
-                    toCode,
-                    amountFrom: fromVal,
-                    amountTo: toVal,
-                    rate: usedRate,
-                    usedDate: result?.usedDate || null
+                    quote: q.quote,
+                    amountFrom: q.amountFrom,
+                    amountTo: q.amountTo,
+                    rate: q.rate
                 })
             });
 
             const data = await res.json().catch(() => ({}));
             if (!res.ok || !data || !data.url) {
-                setError((data && data.error) ? String(data.error) : t('converter.payInitFailed'));
+                if (res.status === 410) {
+                    // Expired while confirming: show the expired state with the refresh prompt
+                    setQuote({ ...q, lockedUntil: 0 });
+                    setNow(Date.now());
+                } else {
+                    if (res.status === 409) setQuote(null);
+                    setError((data && data.error) ? String(data.error) : t('converter.payInitFailed'));
+                }
                 setPayLoading(false);
                 return;
             }
@@ -373,16 +471,45 @@ export default function ConverterPage() {
                                     {t('converter.ratesTaken', { date: result.usedDate })}
                                 </div>
                             )}
+                            {quote && !quoteExpired && (
+                                <div className="conv-quote conv-quote-locked">
+                                    {t('converter.rateLocked', { rate: Number(quote.rate).toFixed(6), seconds: secondsLeft })}
+                                </div>
+                            )}
+                            {quoteExpired && (
+                                <div className="conv-quote conv-quote-expired">
+                                    {t('converter.rateLockExpired')}
+                                    <button type="button" className="conv-select conv-small-btn" onClick={refreshQuote} disabled={quoteLoading}>
+                                        {quoteLoading ? t('converter.loading') : t('converter.refreshRate')}
+                                    </button>
+                                </div>
+                            )}
+                            {quote && !quoteExpired && previousQuote && (
+                                <div className="conv-result-date">
+                                    {t('converter.rateChanged', {
+                                        rate: Number(quote.rate).toFixed(6),
+                                        oldRate: Number(previousQuote.rate).toFixed(6)
+                                    })}
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
 
                 <div className="conv-pay-row">
+                    <button
+                        type="button"
+                        className="conv-btn conv-pay-btn conv-lock-btn"
+                        onClick={lockRate}
+                        disabled={loading || quoteLoading || payLoading || !!error || (!!quote && !quoteExpired) || fromCode === '—' || toCode === '—' || minAmountError}
+                    >
+                        {quoteLoading ? t('converter.loading') : t('converter.lockRate')}
+                    </button>
                     <button
                         type="button"
                         className="conv-btn conv-pay-btn"
                         onClick={startStripeCheckout}
-                        disabled={loading || payLoading || !!error || fromCode === '—' || toCode === '—' || minAmountError}
+                        disabled={loading || payLoading || quoteLoading || quoteExpired || !!error || fromCode === '—' || toCode === '—' || minAmountError}
                         title={minAmountError ? t('converter.payMinHelp', { min: 10, code: fromCode }) : t('converter.payStripe')}
                     >
                         {payLoading ? t('converter.payRedirecting') : t('converter.payStripe')}
@@ -47,6 +47,10 @@ export default function Header() {
                 {t('header.marginManagement')}
               </Link>
 
+              <Link to="/portfolio" className="btn-link" style={{ color: '#cbd5e1', textDecoration: 'none' }}>
+                {t('header.portfolio')}
+              </Link>
+
             {user.Role === 'admin' && (
               <Link to="/admin_management" className="btn-link" style={{ color: '#cbd5e1', textDecoration: 'none' }}>
                 {t('header.adminManagement')}
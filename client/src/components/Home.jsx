@@ -5,18 +5,43 @@ import HighchartsReact from 'highcharts-react-official'; // React wrapper for Hi
 import 'highcharts/highcharts-more'; // Additional Highcharts modules
 import './common/DatePickerDark.css';
 
+import { useSearchParams } from 'react-router-dom';
 import RateConverter from './Converter';
+import WatchlistStrip from './WatchlistStrip';
+import PairComparisonChart from './PairComparisonChart';
+import RateStatsPanel from './RateStatsPanel';
 import './Home.css';
 import Header from './Header';
 import { useAuth } from './AuthContext';
 import { useTranslation } from 'react-i18next';
 import { calculatePairRates } from '../utils/currencyCalculations';
 import { buildSeriesPoints } from '../utils/chartSeries';
+import { computeSeriesStats, observationDates } from '../utils/rateStats';
+import { INDICATOR_DEFAULTS, sma, ema, bollinger, rollingVolatility, rsi, indicatorWarmup, clipToRange } from '../utils/indicators';
 import { useRates } from '../contexts/RatesContext';
 import { keyFromTimestampUTC } from '../utils/date';
 import useDebounceCallback from '../utils/debounce'; // Custom debounce hook
 
 
+const INDICATORS = ['sma', 'ema', 'bollinger', 'volatility', 'rsi']; // Toggle order in the UI
+const OSCILLATORS = ['volatility', 'rsi']; // Drawn in their own panes under the price axis
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Split the plot between the price axis and one pane per selected oscillator (percent of plot height)
+function layoutIndicatorPanes(chart, selected) {
+  const paneHeight = 18;
+  const gap = 3;
+  const panes = OSCILLATORS.filter((id) => selected.includes(id));
+  const priceHeight = 100 - panes.length * (paneHeight + gap);
+  chart.get('price-axis')?.update({ height: `${priceHeight}%` }, false);
+  for (const id of OSCILLATORS) {
+    const idx = panes.indexOf(id);
+    chart.get(`${id}-axis`)?.update(idx < 0
+      ? { visible: false, top: '100%', height: '0%' }
+      : { visible: true, top: `${priceHeight + gap + idx * (paneHeight + gap)}%`, height: `${paneHeight}%` }, false);
+  }
+}
+
 export default function Home() { 
   const [currencies, setCurrencies] = useState([]); // State for available currencies
   const [fromId, setFromId] = useState(null); // Selected 'from' currency Id
@@ -25,6 +50,12 @@ export default function Home() {
   const [loading, setLoading] = useState(false); // Loading state
   const [error, setError] = useState(''); // Error message state
   const [debugLogs, setDebugLogs] = useState([]); // Debug logs for development
+  const [indicators, setIndicators] = useState([]); // Selected technical indicators (see INDICATORS)
+  const indicatorsRef = useRef([]); // Latest selection for buildSeriesFromCache (keeps its identity stable)
+  const modeRef = useRef('mix'); // Latest mode, picks the series the indicators are computed from
+  const [showCompare, setShowCompare] = useState(false); // Multi-pair comparison chart under the main chart
+  const [converterPair, setConverterPair] = useState(null); // Pair pushed into the converter by a watchlist pick
+  const [searchParams] = useSearchParams(); // ?from=USD&to=GBP (links from the Profile watchlist)
 
   const chartRef = useRef(null); // Reference to chart component
   const fullTimelineRef = useRef([]); // Reference to full timeline data
@@ -34,6 +65,7 @@ export default function Home() {
 
   const [chartReady, setChartReady] = useState(false); // Chart readiness state
   const [latestRates, setLatestRates] = useState(null); // Latest rates data
+  const [rangeStats, setRangeStats] = useState(null); // Stats of the visible window { origin, buy, sell }
   const { user } = useAuth(); // Current user from auth context
   const { t, i18n } = useTranslation(); // Translation functions
   const { ensureRates } = useRates(); // Rates loading function
@@ -101,6 +133,29 @@ export default function Home() {
     return () => { cancelled = true; };
   }, [logDebug, t]);
 
+  // -----------------------------------------------------------
+  // pickPair: load a pair (by currency codes) into the chart and the converter
+  // -----------------------------------------------------------
+  const pickPair = useCallback(({ fromCode, toCode }) => {
+    const idOf = (code) => currencies.find((c) => String(c.CurrencyCode).toUpperCase() === code)?.Id;
+    const nextFrom = idOf(fromCode);
+    const nextTo = idOf(toCode);
+    if (!nextFrom || !nextTo) return;
+    setFromId(nextFrom);
+    setToId(nextTo);
+    setConverterPair({ fromCode, toCode });
+  }, [currencies]);
+
+  // Pair requested through the URL, applied once currencies are known
+  useEffect(() => {
+    const fromCode = (searchParams.get('from') || '').toUpperCase();
+    const toCode = (searchParams.get('to') || '').toUpperCase();
+    if (fromCode && toCode) pickPair({ fromCode, toCode });
+  }, [searchParams, pickPair]);
+
+  const fromCodeSelected = (currencies.find(c => c.Id === fromId)?.CurrencyCode || '').toUpperCase();
+  const toCodeSelected = (currencies.find(c => c.Id === toId)?.CurrencyCode || '').toUpperCase();
+
   // cache & loading handled by RatesContext (ensureRates/getMap)
 
   // -----------------------------------------------------------
@@ -216,6 +271,47 @@ export default function Home() {
   // Compute for each day pair rates and EUR synthetic rate when a currency is EUR
   // Inputs: fId, tId, optional 'rangeStart'/'rangeEnd' in epoch ms UTC
   // -----------------------------------------------------------
+  // -----------------------------------------------------------
+  // applyIndicators: recompute the selected indicators for the visible window
+  // The base series (buy/sell/origin, following the mode) is rebuilt with extra history
+  // before 'rangeStart' so averages are already warmed up at the left edge, then clipped
+  // -----------------------------------------------------------
+  const applyIndicators = useCallback((chart, { mapFrom, mapTo, isFromEUR, isToEUR, rangeStart, rangeEnd, anim }) => {
+    const selected = indicatorsRef.current;
+    const empty = (p) => [p[0], null];
+    const timeline = fullTimelineRef.current;
+    const setSeries = (id, data) => chart.get(id)?.setData(data, false, anim, false);
+
+    if (!selected.length) {
+      for (const id of ['ind-sma', 'ind-ema', 'ind-bb-middle', 'ind-volatility', 'ind-rsi']) setSeries(id, []);
+      setSeries('ind-bb-band', []);
+      return;
+    }
+
+    const extended = buildSeriesPoints({
+      mapFrom, mapTo, timeline, isFromEUR, isToEUR,
+      rangeStart: rangeStart - indicatorWarmup() * DAY_MS,
+      rangeEnd
+    });
+    const currentMode = modeRef.current;
+    const base = currentMode === 'sell' ? extended.sellPoints : (currentMode === 'origin' ? extended.originPoints : extended.buyPoints);
+    const clip = (points) => clipToRange(points, rangeStart, rangeEnd);
+    const d = INDICATOR_DEFAULTS;
+
+    setSeries('ind-sma', selected.includes('sma') ? clip(sma(base, d.sma.period)) : base.map(empty));
+    setSeries('ind-ema', selected.includes('ema') ? clip(ema(base, d.ema.period)) : base.map(empty));
+    if (selected.includes('bollinger')) {
+      const bands = bollinger(base, d.bollinger.period, d.bollinger.multiplier);
+      setSeries('ind-bb-middle', clip(bands.middle));
+      setSeries('ind-bb-band', clip(bands.band));
+    } else {
+      setSeries('ind-bb-middle', base.map(empty));
+      setSeries('ind-bb-band', base.map((p) => [p[0], null, null]));
+    }
+    setSeries('ind-volatility', selected.includes('volatility') ? clip(rollingVolatility(base, d.volatility.period, d.volatility.daysPerYear)) : base.map(empty));
+    setSeries('ind-rsi', selected.includes('rsi') ? clip(rsi(base, d.rsi.period)) : base.map(empty));
+  }, []);
+
   const buildSeriesFromCache = useCallback(async (fId, tId, rangeStart = null, rangeEnd = null) => {
     if (!fId || !tId) return;
     if (!fullTimelineRef.current || fullTimelineRef.current.length === 0) {
@@ -259,6 +355,15 @@ export default function Home() {
       rangeEnd,
     });
 
+    // Points outside the window are null, so the stats cover exactly the visible range;
+    // only dates with a stored rate count, not the days the series carries forward
+    const observed = observationDates(mapFrom, mapTo);
+    setRangeStats({
+      origin: computeSeriesStats(originPoints, observed),
+      buy: computeSeriesStats(buyPoints, observed),
+      sell: computeSeriesStats(sellPoints, observed),
+    });
+
     // Update chart series via setData to avoid axis changes
     const chart = chartRef.current?.chart;
     if (chart && chart.series && chart.series.length >= 2) {
@@ -272,6 +377,7 @@ export default function Home() {
         buySeries.setData(buyPoints, false, anim, false);
         sellSeries.setData(sellPoints, false, anim, false);
         if (originSeries) originSeries.setData(originPoints, false, anim, false);
+        applyIndicators(chart, { mapFrom, mapTo, isFromEUR, isToEUR, rangeStart, rangeEnd, anim });
         chart.redraw();
       } catch (e) {
         logDebug('setData error: ' + (e && e.message ? e.message : e));
@@ -279,7 +385,7 @@ export default function Home() {
     } else {
       logDebug('Chart not ready for setData');
     }
-  }, [buildFullTimeline, currencies, ensureRates, logDebug]);
+  }, [buildFullTimeline, currencies, ensureRates, logDebug, applyIndicators]);
 
 
 
@@ -381,18 +487,49 @@ export default function Home() {
         events: { afterSetExtremes: (e) => afterSetExtremes(e) }
       },
 
-      yAxis: {
-        opposite: false, // Axis on the left
-        gridLineColor: '#1e293b',
-        gridLineDashStyle: 'Dash', // Dashed grid lines
-        labels: { style: { color: '#64748b' }, x: -10 },
-
-        // Key for spacing/scale
-        startOnTick: false, 
-        endOnTick: false,
-        maxPadding: 0.02, // Minimal top padding
-        minPadding: 0.02, // Minimal bottom padding
-      },
+      yAxis: [
+        {
+          id: 'price-axis',
+          opposite: false, // Axis on the left
+          gridLineColor: '#1e293b',
+          gridLineDashStyle: 'Dash', // Dashed grid lines
+          labels: { style: { color: '#64748b' }, x: -10 },
+
+          // Key for spacing/scale
+          startOnTick: false, 
+          endOnTick: false,
+          maxPadding: 0.02, // Minimal top padding
+          minPadding: 0.02, // Minimal bottom padding
+          height: '100%'
+        },
+        // Indicator panes, sized by layoutIndicatorPanes when selected
+        {
+          id: 'volatility-axis',
+          opposite: false,
+          visible: false,
+          top: '100%',
+          height: '0%',
+          offset: 0,
+          gridLineColor: '#1e293b',
+          labels: { style: { color: '#64748b' }, x: -10, format: '{value}%' },
+          title: { text: t('home.indicatorVolatilityShort'), style: { color: '#64748b' } }
+        },
+        {
+          id: 'rsi-axis',
+          opposite: false,
+          visible: false,
+          top: '100%',
+          height: '0%',
+          offset: 0,
+          min: 0,
+          max: 100,
+          tickPositions: [0, 30, 70, 100],
+          gridLineColor: '#1e293b',
+          labels: { style: { color: '#64748b' }, x: -10 },
+          title: { text: 'RSI', style: { color: '#64748b' } },
+          plotBands: [{ from: 30, to: 70, color: 'rgba(148, 163, 184, 0.06)' }]
+        }
+      ],
 
       plotOptions: {
         series: {
@@ -476,6 +613,73 @@ export default function Home() {
           tooltip: {
             pointFormat: `<span style="color:#0ea5e9">●</span> ${t('home.rate')}: <b>{point.y}</b><br/>`
           }
+        },
+
+        // INDICATORS (hidden until selected, data set by applyIndicators)
+        {
+          name: t('home.indicatorSmaLabel', { period: INDICATOR_DEFAULTS.sma.period }),
+          id: 'ind-sma',
+          type: 'line',
+          data: [],
+          color: '#f6c85f',
+          lineWidth: 1.5,
+          visible: false,
+          tooltip: { pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b><br/>' }
+        },
+        {
+          name: t('home.indicatorEmaLabel', { period: INDICATOR_DEFAULTS.ema.period }),
+          id: 'ind-ema',
+          type: 'line',
+          data: [],
+          color: '#a78bfa',
+          lineWidth: 1.5,
+          visible: false,
+          tooltip: { pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b><br/>' }
+        },
+        {
+          name: t('home.indicatorBollingerLabel', { period: INDICATOR_DEFAULTS.bollinger.period, multiplier: INDICATOR_DEFAULTS.bollinger.multiplier }),
+          id: 'ind-bb-band',
+          type: 'arearange',
+          data: [],
+          color: '#94a3b8',
+          fillColor: 'rgba(148, 163, 184, 0.12)',
+          lineWidth: 1,
+          dashStyle: 'ShortDash',
+          visible: false,
+          dataGrouping: { enabled: true, approximation: 'averages' },
+          tooltip: { pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.low} - {point.high}</b><br/>' }
+        },
+        {
+          name: t('home.indicatorBollingerMiddle'),
+          id: 'ind-bb-middle',
+          type: 'line',
+          data: [],
+          color: '#94a3b8',
+          lineWidth: 1,
+          visible: false,
+          tooltip: { pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b><br/>' }
+        },
+        {
+          name: t('home.indicatorVolatilityLabel', { period: INDICATOR_DEFAULTS.volatility.period }),
+          id: 'ind-volatility',
+          type: 'line',
+          yAxis: 'volatility-axis',
+          data: [],
+          color: '#fb923c',
+          lineWidth: 1.5,
+          visible: false,
+          tooltip: { valueDecimals: 2, pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}%</b><br/>' }
+        },
+        {
+          name: t('home.indicatorRsiLabel', { period: INDICATOR_DEFAULTS.rsi.period }),
+          id: 'ind-rsi',
+          type: 'line',
+          yAxis: 'rsi-axis',
+          data: [],
+          color: '#38bdf8',
+          lineWidth: 1.5,
+          visible: false,
+          tooltip: { valueDecimals: 1, pointFormat: '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b><br/>' }
         }
       ],
       credits: { enabled: false },
@@ -676,6 +880,39 @@ export default function Home() {
 
 
   
+  // -----------------------------------------------------------
+  // Indicator selection / mode changed: show the chosen series, size the oscillator
+  // panes and recompute the indicators for the current visible range
+  // -----------------------------------------------------------
+  useEffect(() => {
+    indicatorsRef.current = indicators;
+    modeRef.current = mode;
+    const chart = chartRef.current?.chart;
+    if (!chartReady || !chart) return;
+    try {
+      const visible = {
+        'ind-sma': indicators.includes('sma'),
+        'ind-ema': indicators.includes('ema'),
+        'ind-bb-band': indicators.includes('bollinger'),
+        'ind-bb-middle': indicators.includes('bollinger'),
+        'ind-volatility': indicators.includes('volatility'),
+        'ind-rsi': indicators.includes('rsi'),
+      };
+      for (const [id, on] of Object.entries(visible)) chart.get(id)?.setVisible(on, false);
+      layoutIndicatorPanes(chart, indicators);
+      chart.redraw();
+    } catch (e) {
+      console.warn('Failed to update indicators', e);
+    }
+
+    const xAxis = chart.xAxis && chart.xAxis[0];
+    if (Number.isFinite(xAxis?.min) && Number.isFinite(xAxis?.max)) loadRangeData(xAxis.min, xAxis.max);
+    // loadRangeData is left out on purpose: it changes with the pair, which reloads on its own
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [indicators, mode, chartReady]);
+
+  const toggleIndicator = (id) => setIndicators((s) => (s.includes(id) ? s.filter((x) => x !== id) : [...s, id]));
+
   // Update series visibility based on mode
   useEffect(() => {
     const chart = chartRef.current?.chart;
@@ -758,12 +995,38 @@ export default function Home() {
               )}
             </div>
           </div>
+
+          <div className="indicator-control">
+            <span className="indicator-label">{t('home.indicators')}</span>
+            {INDICATORS.map((id) => (
+              <button
+                key={id}
+                type="button"
+                className={`mode-btn ${indicators.includes(id) ? 'active' : ''}`}
+                onClick={() => toggleIndicator(id)}
+                title={t(`home.indicatorHelp.${id}`)}
+              >
+                {t(`home.indicator.${id}`)}
+              </button>
+            ))}
+          </div>
         </section>
 
+        {user && (
+          <WatchlistStrip
+            onPick={pickPair}
+            currentPair={fromCodeSelected && toCodeSelected ? { fromCode: fromCodeSelected, toCode: toCodeSelected } : null}
+            activePair={{ fromCode: fromCodeSelected, toCode: toCodeSelected }}
+          />
+        )}
+
         <section className="chart-card">
           <div className="chart-header">
             <h3>{t('home.title')}</h3>
             <div className="chart-sub">{t('home.subtitle')}</div>
+            <button type="button" className={`mode-btn ${showCompare ? 'active' : ''}`} onClick={() => setShowCompare(v => !v)}>
+              {showCompare ? t('compare.hide') : t('compare.show')}
+            </button>
           </div>
 
           <div className="chart-area" style={{ minHeight: 420, position: 'relative' }}>
@@ -811,9 +1074,13 @@ export default function Home() {
             <div>Pair: <strong>{ (currencies.find(c => c.Id === fromId)?.CurrencyCode || '—') + ' → ' + (currencies.find(c => c.Id === toId)?.CurrencyCode || '—') }</strong></div>
             <div className="mini-stats">See points in the navigator & use range selector</div>
           </div> */}
+          <RateStatsPanel stats={rangeStats} showOrigin={!!user} />
+
           {error && <div className="error">{error}</div>}
+
+          {showCompare && <PairComparisonChart currencies={currencies} initialPair={{ fromId, toId }} />}
         </section>
-        <RateConverter currencies={currencies} /> 
+        <RateConverter currencies={currencies} pair={converterPair} /> 
       </main>
     </div>
   );
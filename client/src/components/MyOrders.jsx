@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './Profile.css';
+
+// MyOrders: the logged-in user's conversions and where each payment stands
+export default function MyOrders() {
+  const { t } = useTranslation();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/orders/mine', { credentials: 'include', signal: controller.signal });
+        if (!res.ok) throw new Error(t('orders.errorLoad'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setOrders(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('orders.errorLoad'));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    })();
+    return () => controller.abort();
+  }, [t]);
+
+  const formatAmount = (value, code) => `${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} ${code}`;
+
+  return (
+    <div className="profile-orders">
+      <h3 className="profile-orders-title">{t('orders.myOrders')}</h3>
+      {loading && <div className="profile-label">{t('profile.loading')}</div>}
+      {error && <div className="message message--error">{error}</div>}
+      {!loading && !error && orders.length === 0 && (
+        <div className="profile-label">{t('orders.noOrdersYet')}</div>
+      )}
+      {orders.length > 0 && (
+        <table className="profile-orders-table">
+          <thead>
+            <tr>
+              <th>{t('orders.headerCreated')}</th>
+              <th>{t('orders.headerPays')}</th>
+              <th>{t('orders.headerReceives')}</th>
+              <th>{t('orders.headerRate')}</th>
+              <th>{t('orders.headerStatus')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(o => (
+              <tr key={o.Id}>
+                <td>{new Date(o.CreatedAt).toLocaleString()}</td>
+                <td>{formatAmount(o.AmountFrom, o.FromCode)}</td>
+                <td>{formatAmount(o.AmountTo, o.ToCode)}</td>
+                <td>{Number(o.Rate)}</td>
+                <td><span className={`order-pill order-pill--${o.Status}`}>{t(`orders.status.${o.Status}`)}</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Highcharts from 'highcharts/highstock';
+import HighchartsReact from 'highcharts-react-official';
+import { useTranslation } from 'react-i18next';
+
+import { useAuth } from './AuthContext';
+import { useRates } from '../contexts/RatesContext';
+import { buildSeriesPoints, buildTimeline } from '../utils/chartSeries';
+
+const MAX_PAIRS = 6;
+const COLORS = ['#3b82f6', '#28c76f', '#ff6b6b', '#f6c85f', '#a78bfa', '#0ea5e9'];
+
+/*
+*  PairComparisonChart: several pairs overlaid on one time axis (Home)
+* + Every pair is built from the RatesContext cache with buildSeriesPoints (same LOCF/EUR rules as the main chart)
+* + Side: buy | sell | origin (origin only for signed-in users, as on the main chart)
+* + Normalise: Highstock 'compare: percent' rebases every series to the first visible point,
+*   so zooming/panning always shows % change from the start of the visible range
+* + initialPair: { fromId, toId } of the main chart, used as the first pair
+*/
+export default function PairComparisonChart({ currencies, initialPair }) {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const { ensureRates } = useRates();
+
+  const [pairs, setPairs] = useState(() => (initialPair && initialPair.fromId && initialPair.toId ? [initialPair] : []));
+  const [side, setSide] = useState('sell');
+  const [normalise, setNormalise] = useState(true);
+  const [draft, setDraft] = useState({ fromId: '', toId: '' });
+  const [seriesData, setSeriesData] = useState([]); // [{ key, name, points }]
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const codeOf = (id) => currencies.find(c => c.Id === id)?.CurrencyCode || '—';
+  const pairKey = (p) => `${p.fromId}-${p.toId}`;
+
+  // Origin is hidden again when the user signs out
+  const effectiveSide = side === 'origin' && !user ? 'sell' : side;
+
+  // Build one series per pair from the shared cache
+  useEffect(() => {
+    let cancelled = false;
+    if (!pairs.length || !currencies.length) { setSeriesData([]); return; }
+
+    (async () => {
+      setLoading(true);
+      try {
+        const ids = [...new Set(pairs.flatMap(p => [p.fromId, p.toId]))];
+        const cached = await Promise.all(ids.map(id => ensureRates(id)));
+        if (cancelled) return;
+        const mapById = new Map(ids.map((id, i) => [id, (cached[i] && cached[i].map) || new Map()]));
+
+        const timeline = buildTimeline(mapById.values());
+        if (!timeline.length) { setSeriesData([]); return; }
+
+        const code = (id) => currencies.find(c => c.Id === id)?.CurrencyCode || '—';
+        const isEUR = (id) => code(id).toUpperCase() === 'EUR';
+        const next = pairs.map(p => {
+          const { buyPoints, sellPoints, originPoints } = buildSeriesPoints({
+            mapFrom: mapById.get(p.fromId),
+            mapTo: mapById.get(p.toId),
+            timeline,
+            isFromEUR: isEUR(p.fromId),
+            isToEUR: isEUR(p.toId),
+            rangeStart: timeline[0],
+            rangeEnd: timeline[timeline.length - 1]
+          });
+          const points = effectiveSide === 'buy' ? buyPoints : (effectiveSide === 'origin' ? originPoints : sellPoints);
+          return { key: pairKey(p), name: `${code(p.fromId)}/${code(p.toId)}`, points };
+        });
+        setSeriesData(next);
+        setError('');
+      } catch {
+        if (!cancelled) setError(t('compare.errorLoad'));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [pairs, currencies, effectiveSide, ensureRates, t]);
+
+  const chartOptions = useMemo(() => ({
+    chart: {
+      backgroundColor: '#0b0f18',
+      style: { fontFamily: 'Inter, system-ui, -apple-system, sans-serif' },
+      spacingLeft: 10
+    },
+    rangeSelector: {
+      selected: 1,
+      inputEnabled: false,
+      buttonTheme: {
+        fill: 'rgba(255,255,255,0.05)',
+        stroke: 'none',
+        'stroke-width': 0,
+        r: 8,
+        style: { color: '#cbd5e1', fontWeight: '500' },
+        states: {
+          hover: { fill: '#1e293b', style: { color: '#fff' } },
+          select: { fill: '#3b82f6', style: { color: '#fff' } }
+        }
+      },
+      buttons: [
+        { type: 'month', count: 1, text: '1M' },
+        { type: 'year', count: 1, text: '1Y' },
+        { type: 'year', count: 5, text: '5Y' },
+        { type: 'all', text: t('home.rangeAll') }
+      ]
+    },
+    navigator: { enabled: true, height: 30, maskFill: 'rgba(59, 130, 246, 0.2)' },
+    scrollbar: { enabled: false },
+    legend: { enabled: true },
+    tooltip: {
+      shared: true,
+      split: false,
+      borderRadius: 12,
+      backgroundColor: 'rgba(15, 23, 42, 0.95)',
+      borderWidth: 0,
+      style: { color: '#f8fafc' },
+      valueDecimals: 4,
+      pointFormat: normalise
+        ? '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b> ({point.change:.2f}%)<br/>'
+        : '<span style="color:{series.color}">●</span> {series.name}: <b>{point.y}</b><br/>'
+    },
+    xAxis: { ordinal: false, lineWidth: 0, tickWidth: 0, labels: { style: { color: '#64748b' } } },
+    yAxis: {
+      opposite: false,
+      gridLineColor: '#1e293b',
+      gridLineDashStyle: 'Dash',
+      labels: {
+        style: { color: '#64748b' },
+        formatter() { return normalise ? `${this.value > 0 ? '+' : ''}${this.value}%` : String(this.value); }
+      },
+      plotLines: normalise ? [{ value: 0, width: 1, color: '#475569' }] : []
+    },
+    plotOptions: {
+      series: {
+        compare: normalise ? 'percent' : undefined,
+        compareStart: true,
+        dataGrouping: { enabled: true, approximation: 'average', groupPixelWidth: 15 },
+        marker: { enabled: false, states: { hover: { enabled: true } } },
+        lineWidth: 2
+      }
+    },
+    series: seriesData.map((s, i) => ({
+      id: `compare-${s.key}`,
+      name: s.name,
+      type: 'line',
+      data: s.points,
+      color: COLORS[i % COLORS.length]
+    })),
+    credits: { enabled: false },
+    time: { useUTC: true }
+  }), [seriesData, normalise, t]);
+
+  const onAdd = () => {
+    const fromId = Number(draft.fromId);
+    const toId = Number(draft.toId);
+    if (!fromId || !toId) return;
+    if (fromId === toId) { setError(t('compare.samePair')); return; }
+    if (pairs.some(p => p.fromId === fromId && p.toId === toId)) { setError(t('compare.duplicate')); return; }
+    if (pairs.length >= MAX_PAIRS) { setError(t('compare.maxPairs', { max: MAX_PAIRS })); return; }
+    setError('');
+    setPairs(ps => [...ps, { fromId, toId }]);
+  };
+
+  const onRemove = (p) => setPairs(ps => ps.filter(x => pairKey(x) !== pairKey(p)));
+
+  return (
+    <section className="compare-card">
+      <div className="compare-controls">
+        <div className="compare-pairs">
+          {pairs.map((p, i) => (
+            <span key={pairKey(p)} className="compare-chip" style={{ borderColor: COLORS[i % COLORS.length] }}>
+              {codeOf(p.fromId)}/{codeOf(p.toId)}
+              <button type="button" onClick={() => onRemove(p)} aria-label={t('compare.remove')}>×</button>
+            </span>
+          ))}
+          {pairs.length < MAX_PAIRS && (
+            <span className="compare-add">
+              <select value={draft.fromId} onChange={(e) => setDraft(d => ({ ...d, fromId: e.target.value }))}>
+                <option value="">{t('home.from')}</option>
+                {currencies.map(c => <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>)}
+              </select>
+              <select value={draft.toId} onChange={(e) => setDraft(d => ({ ...d, toId: e.target.value }))}>
+                <option value="">{t('home.to')}</option>
+                {currencies.map(c => <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>)}
+              </select>
+              <button type="button" className="mode-btn" onClick={onAdd} disabled={!draft.fromId || !draft.toId}>{t('compare.add')}</button>
+            </span>
+          )}
+        </div>
+
+        <div className="mode-control">
+          <button type="button" className={`mode-btn ${effectiveSide === 'buy' ? 'active' : ''}`} onClick={() => setSide('buy')}>{t('home.modeBuy')}</button>
+          <button type="button" className={`mode-btn ${effectiveSide === 'sell' ? 'active' : ''}`} onClick={() => setSide('sell')}>{t('home.modeSell')}</button>
+          {user && (
+            <button type="button" className={`mode-btn ${effectiveSide === 'origin' ? 'active' : ''}`} onClick={() => setSide('origin')}>{t('home.modeOrigin')}</button>
+          )}
+          <label className="compare-normalise">
+            <input type="checkbox" checked={normalise} onChange={(e) => setNormalise(e.target.checked)} />
+            {t('compare.normalise')}
+          </label>
+        </div>
+      </div>
+
+      <div className="chart-area" style={{ minHeight: 380, position: 'relative' }}>
+        {pairs.length === 0 ? (
+          <div className="compare-empty">{t('compare.empty')}</div>
+        ) : (
+          <HighchartsReact
+            highcharts={Highcharts}
+            constructorType={'stockChart'}
+            key={`compare-${i18n.language}`}
+            options={chartOptions}
+          />
+        )}
+        {loading && (
+          <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'rgba(11,15,24,0.72)', color: '#e6eef8', zIndex: 10 }}>
+            {t('home.loading')}
+          </div>
+        )}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
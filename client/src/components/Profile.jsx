@@ -2,6 +2,11 @@ import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from './AuthContext';
+import MyOrders from './MyOrders';
+import RateAlerts from './RateAlerts';
+import WatchlistStrip from './WatchlistStrip';
+import ApiKeys from './ApiKeys';
+import TwoFactorSettings from './TwoFactorSettings';
 import './Home.css';
 import './Profile.css';
 
@@ -322,6 +327,20 @@ export default function Profile() {
 
       {message.text && <div className={`message ${message.kind === 'error' ? 'message--error' : 'message--success'}`}>{message.text}</div>}
 
+      {user && (
+        <div className="profile-orders">
+          <WatchlistStrip onPick={({ fromCode, toCode }) => navigate(`/?from=${fromCode}&to=${toCode}`)} />
+        </div>
+      )}
+
+      {user && <TwoFactorSettings />}
+
+      {user && <MyOrders />}
+
+      {user && <RateAlerts />}
+
+      {user && <ApiKeys />}
+
     </div>
   );
 }
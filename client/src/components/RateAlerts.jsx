@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './Profile.css';
+
+const SIDES = ['buy', 'sell', 'origin'];
+const KINDS = ['above', 'below', 'change'];
+
+const EMPTY_FORM = { fromCode: '', toCode: '', side: 'sell', kind: 'above', threshold: '', windowDays: '7' };
+
+// RateAlerts: the logged-in user's pair alerts (threshold or % move) and their trigger history
+export default function RateAlerts() {
+  const { t } = useTranslation();
+  const [currencies, setCurrencies] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after every change
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/currencies', { signal: controller.signal });
+        const data = res.ok ? await res.json() : [];
+        if (controller.signal.aborted) return;
+        const codes = (Array.isArray(data) ? data : []).map(c => String(c.CurrencyCode).toUpperCase()).sort();
+        setCurrencies(codes);
+        setForm(f => ({ ...f, fromCode: f.fromCode || codes[0] || '', toCode: f.toCode || codes[1] || '' }));
+      } catch {
+        // Form stays empty without currencies
+      }
+    })();
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const [alertsRes, historyRes] = await Promise.all([
+          fetch('/api/alerts', { credentials: 'include', signal: controller.signal }),
+          fetch('/api/alerts/history', { credentials: 'include', signal: controller.signal })
+        ]);
+        if (!alertsRes.ok || !historyRes.ok) throw new Error(t('alerts.errorLoad'));
+        const [alertsData, historyData] = await Promise.all([alertsRes.json(), historyRes.json()]);
+        if (controller.signal.aborted) return;
+        setAlerts(Array.isArray(alertsData) ? alertsData : []);
+        setHistory(Array.isArray(historyData) ? historyData : []);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('alerts.errorLoad'));
+      }
+    })();
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const onChange = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+  // Send a request and reload the lists; errors are shown above the form
+  const send = async (url, options) => {
+    setError('');
+    const res = await fetch(url, { credentials: 'include', headers: { 'Content-Type': 'application/json' }, ...options });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data && data.error ? data.error : t('alerts.errorSave'));
+    setReloadKey(k => k + 1);
+    return data;
+  };
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await send('/api/alerts', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...form,
+          threshold: Number(String(form.threshold).replace(',', '.')),
+          windowDays: form.kind === 'change' ? Number(form.windowDays) : null
+        })
+      });
+      setForm(f => ({ ...f, threshold: '' }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onToggle = (a) => send(`/api/alerts/${a.Id}`, { method: 'PUT', body: JSON.stringify({ isActive: !a.IsActive }) })
+    .catch(err => setError(err.message));
+
+  const onDelete = (a) => send(`/api/alerts/${a.Id}`, { method: 'DELETE' })
+    .catch(err => setError(err.message));
+
+  const describe = (a) => a.Kind === 'change'
+    ? t('alerts.describeChange', { side: t(`alerts.side.${a.Side}`), threshold: Number(a.Threshold), days: a.WindowDays })
+    : t(`alerts.describe.${a.Kind}`, { side: t(`alerts.side.${a.Side}`), threshold: Number(a.Threshold) });
+
+  return (
+    <div className="profile-orders">
+      <h3 className="profile-orders-title">{t('alerts.title')}</h3>
+      {error && <div className="message message--error">{error}</div>}
+
+      <form className="alert-form" onSubmit={onCreate}>
+        <select className="input-small" value={form.fromCode} onChange={onChange('fromCode')}>
+          {currencies.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select className="input-small" value={form.toCode} onChange={onChange('toCode')}>
+          {currencies.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select className="input-small" value={form.side} onChange={onChange('side')}>
+          {SIDES.map(s => <option key={s} value={s}>{t(`alerts.side.${s}`)}</option>)}
+        </select>
+        <select className="input-small" value={form.kind} onChange={onChange('kind')}>
+          {KINDS.map(k => <option key={k} value={k}>{t(`alerts.kind.${k}`)}</option>)}
+        </select>
+        <input
+          className="input-small"
+          type="text"
+          inputMode="decimal"
+          value={form.threshold}
+          onChange={onChange('threshold')}
+          placeholder={form.kind === 'change' ? t('alerts.percentPlaceholder') : t('alerts.ratePlaceholder')}
+        />
+        {form.kind === 'change' && (
+          <input
+            className="input-small"
+            type="number"
+            min="1"
+            max="365"
+            value={form.windowDays}
+            onChange={onChange('windowDays')}
+            title={t('alerts.windowDays')}
+          />
+        )}
+        <button type="submit" className="btn-primary" disabled={saving || !form.threshold}>
+          {saving ? t('profile.saving') : t('alerts.add')}
+        </button>
+      </form>
+
+      {alerts.length === 0 ? (
+        <div className="profile-label">{t('alerts.noAlerts')}</div>
+      ) : (
+        <table className="profile-orders-table">
+          <thead>
+            <tr>
+              <th>{t('alerts.headerPair')}</th>
+              <th>{t('alerts.headerCondition')}</th>
+              <th>{t('alerts.headerLastTriggered')}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.map(a => (
+              <tr key={a.Id} className={a.IsActive ? '' : 'alert-row-paused'}>
+                <td>{a.FromCode}/{a.ToCode}</td>
+                <td>{describe(a)}</td>
+                <td>{a.LastTriggeredDate || '—'}</td>
+                <td className="alert-actions">
+                  <button className="btn-ghost" onClick={() => onToggle(a)}>{a.IsActive ? t('alerts.pause') : t('alerts.resume')}</button>
+                  <button className="btn-ghost" onClick={() => onDelete(a)}>{t('alerts.delete')}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 className="profile-orders-title alert-history-title">{t('alerts.historyTitle')}</h3>
+      {history.length === 0 ? (
+        <div className="profile-label">{t('alerts.noHistory')}</div>
+      ) : (
+        <table className="profile-orders-table">
+          <thead>
+            <tr>
+              <th>{t('alerts.headerRateDate')}</th>
+              <th>{t('alerts.headerPair')}</th>
+              <th>{t('alerts.headerValue')}</th>
+              <th>{t('alerts.headerChange')}</th>
+              <th>{t('alerts.headerEmail')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map(h => (
+              <tr key={h.Id}>
+                <td>{h.RateDate}</td>
+                <td>{h.FromCode}/{h.ToCode} ({t(`alerts.side.${h.Side}`)})</td>
+                <td>{Number(h.Value).toFixed(6)}</td>
+                <td>{h.ChangePct != null ? `${Number(h.ChangePct).toFixed(2)}%` : '—'}</td>
+                <td>{h.EmailSent ? t('alerts.emailSent') : t('alerts.emailNotSent')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+const fmtRate = (v) => (Number.isFinite(v) ? v.toFixed(6) : '—');
+const fmtPct = (v) => (Number.isFinite(v) ? `${v > 0 ? '+' : ''}${v.toFixed(2)}%` : '—');
+const pctClass = (v) => (Number.isFinite(v) && v !== 0 ? (v > 0 ? 'stat-up' : 'stat-down') : '');
+
+/*
+*  RateStatsPanel: statistics of the visible chart window (Home)
+* + stats: { origin, buy, sell } from computeSeriesStats, any of them may be null
+* + showOrigin: origin column only for signed-in users, like the origin mode
+*/
+export default function RateStatsPanel({ stats, showOrigin }) {
+  const { t } = useTranslation();
+  const sides = (showOrigin ? ['origin', 'buy', 'sell'] : ['buy', 'sell']).filter((s) => stats && stats[s]);
+  if (!sides.length) return null;
+
+  const rows = [
+    { key: 'min', render: (s) => <>{fmtRate(s.min.value)}<span className="stat-date">{s.min.date}</span></> },
+    { key: 'max', render: (s) => <>{fmtRate(s.max.value)}<span className="stat-date">{s.max.date}</span></> },
+    { key: 'mean', render: (s) => fmtRate(s.mean) },
+    { key: 'median', render: (s) => fmtRate(s.median) },
+    { key: 'stdDev', render: (s) => fmtRate(s.stdDev) },
+    {
+      key: 'largestMove',
+      render: (s) => (s.largestMove
+        ? <><span className={pctClass(s.largestMove.changePct)}>{fmtPct(s.largestMove.changePct)}</span><span className="stat-date">{s.largestMove.date}</span></>
+        : '—')
+    },
+    { key: 'current', render: (s) => <>{fmtRate(s.current)}<span className="stat-date">{s.last.date}</span></> },
+    { key: 'vsMean', render: (s) => <span className={pctClass(s.vsMeanPct)}>{fmtPct(s.vsMeanPct)}</span> },
+    { key: 'change', render: (s) => <span className={pctClass(s.changePct)}>{fmtPct(s.changePct)}</span> },
+  ];
+
+  const first = stats[sides[0]];
+
+  return (
+    <div className="stats-panel">
+      <div className="stats-head">
+        <h4>{t('stats.title')}</h4>
+        <span className="stats-range">{t('stats.range', { from: first.first.date, to: first.last.date, days: first.count })}</span>
+      </div>
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th />
+            {sides.map((s) => <th key={s}>{t(`stats.side.${s}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.key}>
+              <td className="stat-label">{t(`stats.${r.key}`)}</td>
+              {sides.map((s) => <td key={s}>{r.render(stats[s])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
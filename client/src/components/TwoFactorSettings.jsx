@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import TwoFactorSetup, { RecoveryCodeList } from './auth/TwoFactorSetup';
+import './Profile.css';
+
+// TwoFactorSettings: the logged-in user's authenticator app (enable, new recovery codes, disable)
+export default function TwoFactorSettings() {
+  const { t } = useTranslation();
+
+  const [state, setState] = useState(null); // { enabled, enabledAt, recoveryCodesLeft, required }
+  const [mode, setMode] = useState(null); // 'setup' | 'codes' | 'disable'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [newCodes, setNewCodes] = useState(null); // Regenerated recovery codes, shown once
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after enable / disable / new codes
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/auth/2fa', { credentials: 'include', signal: controller.signal });
+        if (!res.ok) throw new Error(t('twoFactor.errorLoad'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setState(data);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('twoFactor.errorLoad'));
+      }
+    })();
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const openMode = (next) => {
+    setMode(m => (m === next ? null : next));
+    setCode('');
+    setPassword('');
+    setNewCodes(null);
+    setError('');
+  };
+
+  const post = async (url, payload) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data && data.error ? data.error : t('twoFactor.errorSave'));
+    return data;
+  };
+
+  const onNewCodes = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const data = await post('/api/auth/2fa/recovery-codes', { code: code.trim() });
+      setNewCodes(data.recoveryCodes);
+      setCode('');
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onDisable = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      // Six digits are an app code, anything else is taken as a recovery code
+      const trimmed = code.trim();
+      await post('/api/auth/2fa/disable', /^\d{6}$/.test(trimmed)
+        ? { password, code: trimmed }
+        : { password, recoveryCode: trimmed });
+      setMode(null);
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+      setCode('');
+    }
+  };
+
+  const formatDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+
+  if (!state) {
+    return error ? (
+      <div className="profile-orders">
+        <h3 className="profile-orders-title">{t('twoFactor.title')}</h3>
+        <div className="message message--error">{error}</div>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className="profile-orders">
+      <h3 className="profile-orders-title">{t('twoFactor.title')}</h3>
+      <div className="profile-label">{t('twoFactor.intro')}</div>
+      {state.required && <div className="profile-label">{t('twoFactor.requiredForRole')}</div>}
+      {error && <div className="message message--error">{error}</div>}
+
+      {!state.enabled ? (
+        mode === 'setup' ? (
+          <TwoFactorSetup
+            onDone={() => { setMode(null); setReloadKey(k => k + 1); }}
+            onCancel={() => setMode(null)}
+          />
+        ) : (
+          <div className="profile-controls">
+            <span className="profile-value">{t('twoFactor.statusOff')}</span>
+            <button className="btn-primary" onClick={() => openMode('setup')}>{t('twoFactor.enable')}</button>
+          </div>
+        )
+      ) : (
+        <>
+          <div className="profile-controls">
+            <span className="profile-value">
+              {t('twoFactor.statusOn', { date: formatDateTime(state.enabledAt), count: state.recoveryCodesLeft })}
+            </span>
+            <button className="btn-ghost" onClick={() => openMode('codes')}>{t('twoFactor.newRecoveryCodes')}</button>
+            {!state.required && (
+              <button className="btn-ghost" onClick={() => openMode('disable')}>{t('twoFactor.disable')}</button>
+            )}
+          </div>
+
+          {mode === 'codes' && (
+            newCodes ? (
+              <div className="two-factor-setup">
+                <RecoveryCodeList codes={newCodes} />
+                <button className="btn-ghost" onClick={() => openMode('codes')}>{t('twoFactor.savedCodes')}</button>
+              </div>
+            ) : (
+              <form className="alert-form" onSubmit={onNewCodes}>
+                <input
+                  className="input-small"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                  placeholder={t('twoFactor.codeLabel')}
+                />
+                <button type="submit" className="btn-primary" disabled={saving || code.length !== 6}>
+                  {saving ? t('profile.saving') : t('twoFactor.generate')}
+                </button>
+              </form>
+            )
+          )}
+
+          {mode === 'disable' && (
+            <form className="alert-form" onSubmit={onDisable}>
+              <input
+                className="input-small"
+                type="password"
+                maxLength={50}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={t('twoFactor.currentPassword')}
+              />
+              <input
+                className="input-small"
+                autoComplete="one-time-code"
+                maxLength={9}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={t('twoFactor.codeOrRecovery')}
+              />
+              <button type="submit" className="btn-primary" disabled={saving || !password || !code.trim()}>
+                {saving ? t('profile.saving') : t('twoFactor.disable')}
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './WatchlistStrip.css';
+
+const formatRate = (v) => (Number.isFinite(Number(v)) && v != null ? Number(v).toFixed(6) : '—');
+
+// Signed % with an up/down class, '—' when there is no previous rate
+function Change({ value }) {
+  if (value == null || !Number.isFinite(Number(value))) return <span className="watch-change">—</span>;
+  const n = Number(value);
+  const cls = n > 0 ? 'watch-change up' : (n < 0 ? 'watch-change down' : 'watch-change');
+  return <span className={cls}>{`${n > 0 ? '+' : ''}${n.toFixed(2)}%`}</span>;
+}
+
+/*
+*  WatchlistStrip: the logged-in user's favourite pairs with latest buy/sell and daily change
+* + onPick({ fromCode, toCode }): called when a pair is clicked
+* + currentPair: optional { fromCode, toCode }, shows an add / remove toggle for it (Home)
+* + activePair: optional { fromCode, toCode }, highlighted in the strip
+*/
+export default function WatchlistStrip({ onPick, currentPair = null, activePair = null }) {
+  const { t } = useTranslation();
+  const [items, setItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after add / remove
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/watchlist', { credentials: 'include', signal: controller.signal });
+        if (!res.ok) throw new Error(t('watchlist.errorLoad'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setItems(Array.isArray(data) ? data : []);
+        setError('');
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('watchlist.errorLoad'));
+      } finally {
+        if (!controller.signal.aborted) setLoaded(true);
+      }
+    })();
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const same = (item, pair) => !!pair && item.FromCode === pair.fromCode && item.ToCode === pair.toCode;
+  const currentItem = currentPair ? items.find(i => same(i, currentPair)) : null;
+
+  // Send a change and reload the strip; errors are shown under it
+  const send = async (url, options) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch(url, { credentials: 'include', headers: { 'Content-Type': 'application/json' }, ...options });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data && data.error ? data.error : t('watchlist.errorSave'));
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onToggleCurrent = () => {
+    if (currentItem) return send(`/api/watchlist/${currentItem.Id}`, { method: 'DELETE' });
+    return send('/api/watchlist', { method: 'POST', body: JSON.stringify(currentPair) });
+  };
+
+  const onRemove = (e, item) => {
+    e.stopPropagation();
+    send(`/api/watchlist/${item.Id}`, { method: 'DELETE' });
+  };
+
+  const canToggle = currentPair && currentPair.fromCode && currentPair.toCode && currentPair.fromCode !== currentPair.toCode;
+
+  return (
+    <section className="watchlist">
+      <div className="watchlist-head">
+        <h3>{t('watchlist.title')}</h3>
+        {canToggle && (
+          <button type="button" className="btn-ghost watchlist-toggle" onClick={onToggleCurrent} disabled={busy}>
+            {currentItem
+              ? t('watchlist.remove', { pair: `${currentPair.fromCode}/${currentPair.toCode}` })
+              : t('watchlist.add', { pair: `${currentPair.fromCode}/${currentPair.toCode}` })}
+          </button>
+        )}
+      </div>
+
+      {loaded && items.length === 0 && !error && <div className="watchlist-empty">{t('watchlist.empty')}</div>}
+
+      {items.length > 0 && (
+        <div className="watchlist-strip">
+          {items.map(item => (
+            <div
+              key={item.Id}
+              className={`watch-card ${same(item, activePair) ? 'active' : ''}`}
+              role="button"
+              tabIndex={0}
+              onClick={() => onPick && onPick({ fromCode: item.FromCode, toCode: item.ToCode })}
+              onKeyDown={(e) => { if ((e.key === 'Enter' || e.key === ' ') && onPick) { e.preventDefault(); onPick({ fromCode: item.FromCode, toCode: item.ToCode }); } }}
+              title={t('watchlist.pickHint')}
+            >
+              <div className="watch-card-head">
+                <span className="watch-pair">{item.FromCode} → {item.ToCode}</span>
+                <button type="button" className="watch-remove" onClick={(e) => onRemove(e, item)} disabled={busy} aria-label={t('watchlist.removeShort')}>×</button>
+              </div>
+              <div className="watch-row">
+                <span className="label">{t('watchlist.buy')}</span>
+                <span className="value">{formatRate(item.buy)}</span>
+                <Change value={item.buyChangePct} />
+              </div>
+              <div className="watch-row">
+                <span className="label">{t('watchlist.sell')}</span>
+                <span className="value">{formatRate(item.sell)}</span>
+                <Change value={item.sellChangePct} />
+              </div>
+              {item.rateDate && <div className="watch-date">{item.rateDate}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
@@ -5,6 +5,8 @@ import '../common/TableStyles.css';
 
 import Header from '../Header';
 import UserTable from './UserTable';
+import AuditLog from './AuditLog';
+import OrderTable from './OrderTable';
 import './AdminManagement.css';
 
 export default function AdminManagement() {
@@ -46,6 +48,22 @@ export default function AdminManagement() {
 						>
 							{t('admin.userTable')}
 						</button>
+						{/* Tab: audit trail */}
+						<button
+							className={`tab-btn ${activeTab === 'audit' ? 'active' : ''}`}
+							onClick={() => setActiveTab('audit')}
+							style={{ padding: '6px 8px' }}
+						>
+							{t('admin.audit')}
+						</button>
+						{/* Tab: conversion orders */}
+						<button
+							className={`tab-btn ${activeTab === 'orders' ? 'active' : ''}`}
+							onClick={() => setActiveTab('orders')}
+							style={{ padding: '6px 8px' }}
+						>
+							{t('admin.orders')}
+						</button>
 					</div>
 				</section>
 
@@ -55,6 +73,16 @@ export default function AdminManagement() {
 							<UserTable />
 						</div>
 					)}
+					{activeTab === 'audit' && (
+						<div>
+							<AuditLog />
+						</div>
+					)}
+					{activeTab === 'orders' && (
+						<div>
+							<OrderTable />
+						</div>
+					)}
 				</section>
 			</main>
 		</div>
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import ExportTable from '../currencies_management/subsections/ExportTable';
+
+import '../common/TableStyles.css';
+import '../currencies_management/CurrencyRatesTable.css';
+import './AdminManagement.css';
+
+// Action groups offered in the filter (server treats a trailing '.' as a prefix)
+const ACTION_GROUPS = ['rate.', 'rates.', 'margin.', 'currency.', 'user.', 'order.'];
+const ENTITY_TYPES = ['CurrencyRate', 'Currency', 'Margin', 'User', 'Order'];
+
+const EMPTY_FILTERS = { actor: '', action: '', entityType: '', entityId: '', dateFrom: '', dateTo: '' };
+
+// Format a date/time nicely for table cells
+const formatDateTime = (value) => {
+	if (!value) return '—';
+	const d = new Date(value);
+	if (Number.isNaN(d.getTime())) return '—';
+	return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })}`;
+};
+
+// Compact one-line JSON for the before/after cells
+const formatState = (value) => (value === null || value === undefined ? '—' : JSON.stringify(value));
+
+// AuditLog: admin view of who changed rates, margins and users, with filters and export
+export default function AuditLog() {
+	const { t } = useTranslation();
+
+	const [entries, setEntries] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	// Form values vs. filters actually applied to the request
+	const [form, setForm] = useState(EMPTY_FILTERS);
+	const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+	useEffect(() => {
+		const controller = new AbortController();
+		setLoading(true);
+		setError('');
+
+		(async () => {
+			try {
+				const params = new URLSearchParams();
+				Object.entries(filters).forEach(([k, v]) => {
+					if (v) params.set(k, v);
+				});
+				const res = await fetch(`/api/audit?${params.toString()}`, { credentials: 'include', signal: controller.signal });
+				if (!res.ok) {
+					const payload = await res.json().catch(() => ({}));
+					throw new Error(payload && payload.error ? payload.error : t('auditLog.errorLoad'));
+				}
+				const data = await res.json();
+				if (controller.signal.aborted) return;
+				setEntries(Array.isArray(data) ? data : []);
+			} catch (err) {
+				if (controller.signal.aborted) return;
+				setError(err.message || t('auditLog.errorLoad'));
+			} finally {
+				if (!controller.signal.aborted) setLoading(false);
+			}
+		})();
+
+		return () => controller.abort();
+	}, [t, filters]);
+
+	const onChange = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+	const onApply = (e) => {
+		e.preventDefault();
+		setFilters({ ...form });
+	};
+
+	const onClear = () => {
+		setForm(EMPTY_FILTERS);
+		setFilters(EMPTY_FILTERS);
+	};
+
+	const headers = [
+		t('auditLog.headerTime'),
+		t('auditLog.headerActor'),
+		t('auditLog.headerAction'),
+		t('auditLog.headerEntity'),
+		t('auditLog.headerEntityId'),
+		t('auditLog.headerBefore'),
+		t('auditLog.headerAfter')
+	];
+
+	// Same cells as the table, handed to ExportTable as array rows
+	const exportRows = useMemo(() => entries.map(e => [
+		formatDateTime(e.CreatedAt),
+		e.ActorEmail || t('auditLog.system'),
+		e.Action,
+		e.EntityType,
+		e.EntityId || '',
+		formatState(e.Before),
+		formatState(e.After)
+	]), [entries, t]);
+
+	return (
+		<div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+			<form onSubmit={onApply} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end', gap: 8 }}>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterActor')}</span>
+					<input type="text" value={form.actor} onChange={onChange('actor')} placeholder="user@example.com" />
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterAction')}</span>
+					<select value={form.action} onChange={onChange('action')}>
+						<option value="">{t('auditLog.all')}</option>
+						{ACTION_GROUPS.map(a => <option key={a} value={a}>{a}*</option>)}
+					</select>
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterEntity')}</span>
+					<select value={form.entityType} onChange={onChange('entityType')}>
+						<option value="">{t('auditLog.all')}</option>
+						{ENTITY_TYPES.map(et => <option key={et} value={et}>{et}</option>)}
+					</select>
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterEntityId')}</span>
+					<input type="text" value={form.entityId} onChange={onChange('entityId')} style={{ width: 90 }} />
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterFrom')}</span>
+					<input type="date" value={form.dateFrom} onChange={onChange('dateFrom')} />
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('auditLog.filterTo')}</span>
+					<input type="date" value={form.dateTo} onChange={onChange('dateTo')} />
+				</label>
+				<button type="submit" className="action-btn" disabled={loading}>{t('auditLog.apply')}</button>
+				<button type="button" className="action-btn ghost" onClick={onClear} disabled={loading}>{t('auditLog.clear')}</button>
+			</form>
+
+			{error && <div className="error">{error}</div>}
+
+			<div className="table-wrapper table-surface">
+				{loading && (
+					<div className="table-loading">
+						<div className="spinner" />
+					</div>
+				)}
+				<table className="curr-table">
+					<thead>
+						<tr>
+							{headers.map(h => <th key={h}>{h}</th>)}
+						</tr>
+					</thead>
+					<tbody>
+						{entries.length === 0 && !loading ? (
+							<tr>
+								<td colSpan={headers.length} className="no-data-cell">{t('auditLog.noEntries')}</td>
+							</tr>
+						) : entries.map((e, idx) => (
+							<tr key={e.Id}>
+								{exportRows[idx].map((cell, i) => (
+									<td key={i} style={i >= 5 ? { fontFamily: 'monospace', fontSize: 12, wordBreak: 'break-all', maxWidth: 320 } : undefined}>
+										{cell}
+									</td>
+								))}
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+
+			<ExportTable rows={exportRows} headers={headers} filename="audit_log" />
+		</div>
+	);
+}
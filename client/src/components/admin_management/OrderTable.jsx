@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import ExportTable from '../currencies_management/subsections/ExportTable';
+
+import '../common/TableStyles.css';
+import '../currencies_management/CurrencyRatesTable.css';
+import './subsections/CreateUser.css';
+import './AdminManagement.css';
+
+const ORDER_STATUSES = ['pending', 'paid', 'expired', 'failed', 'refunded'];
+
+const EMPTY_FILTERS = { status: '', email: '', dateFrom: '', dateTo: '' };
+
+// Format a date/time nicely for table cells
+const formatDateTime = (value) => {
+	if (!value) return '—';
+	const d = new Date(value);
+	if (Number.isNaN(d.getTime())) return '—';
+	return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })}`;
+};
+
+const formatAmount = (value, code) => `${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })} ${code}`;
+
+// OrderTable: admin view of all conversion orders paid through Stripe
+export default function OrderTable() {
+	const { t } = useTranslation();
+
+	const [orders, setOrders] = useState([]);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState('');
+
+	// Form values vs. filters actually applied to the request
+	const [form, setForm] = useState(EMPTY_FILTERS);
+	const [filters, setFilters] = useState(EMPTY_FILTERS);
+	const [reloadKey, setReloadKey] = useState(0); // Bumped to reload after a refund
+
+	// Refund confirmation: { order, loading, error }
+	const [refundModal, setRefundModal] = useState(null);
+	const [notice, setNotice] = useState('');
+
+	useEffect(() => {
+		const controller = new AbortController();
+		setLoading(true);
+		setError('');
+
+		(async () => {
+			try {
+				const params = new URLSearchParams();
+				Object.entries(filters).forEach(([k, v]) => {
+					if (v) params.set(k, v);
+				});
+				const res = await fetch(`/api/orders?${params.toString()}`, { credentials: 'include', signal: controller.signal });
+				if (!res.ok) {
+					const payload = await res.json().catch(() => ({}));
+					throw new Error(payload && payload.error ? payload.error : t('orders.errorLoad'));
+				}
+				const data = await res.json();
+				if (controller.signal.aborted) return;
+				setOrders(Array.isArray(data) ? data : []);
+			} catch (err) {
+				if (controller.signal.aborted) return;
+				setError(err.message || t('orders.errorLoad'));
+			} finally {
+				if (!controller.signal.aborted) setLoading(false);
+			}
+		})();
+
+		return () => controller.abort();
+	}, [t, filters, reloadKey]);
+
+	const onChange = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+	const onApply = (e) => {
+		e.preventDefault();
+		setFilters({ ...form });
+	};
+
+	const onClear = () => {
+		setForm(EMPTY_FILTERS);
+		setFilters(EMPTY_FILTERS);
+	};
+
+	const confirmRefund = async () => {
+		if (!refundModal || !refundModal.order) return;
+		const orderId = refundModal.order.Id;
+		setRefundModal(m => ({ ...m, loading: true, error: '' }));
+		try {
+			const res = await fetch(`/api/orders/${orderId}/refund`, { method: 'POST', credentials: 'include' });
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) throw new Error(data && data.error ? data.error : t('orders.refundFailed'));
+
+			setRefundModal(null);
+			setNotice(data.status === 'refunded'
+				? t('orders.refundDone', { id: orderId })
+				: t('orders.refundPending', { id: orderId }));
+			setReloadKey(k => k + 1);
+		} catch (err) {
+			setRefundModal(m => ({ ...m, loading: false, error: err.message || t('orders.refundFailed') }));
+		}
+	};
+
+	const headers = [
+		t('orders.headerId'),
+		t('orders.headerCreated'),
+		t('orders.headerUser'),
+		t('orders.headerPays'),
+		t('orders.headerReceives'),
+		t('orders.headerRate'),
+		t('orders.headerRateDate'),
+		t('orders.headerStatus'),
+		t('orders.headerSession')
+	];
+
+	const exportRows = useMemo(() => orders.map(o => [
+		o.Id,
+		formatDateTime(o.CreatedAt),
+		o.UserEmail || t('orders.guest'),
+		formatAmount(o.AmountFrom, o.FromCode),
+		formatAmount(o.AmountTo, o.ToCode),
+		Number(o.Rate),
+		o.UsedDate || '—',
+		t(`orders.status.${o.Status}`),
+		o.StripeSessionId
+	]), [orders, t]);
+
+	return (
+		<div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+			<form onSubmit={onApply} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end', gap: 8 }}>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('orders.filterStatus')}</span>
+					<select value={form.status} onChange={onChange('status')}>
+						<option value="">{t('orders.all')}</option>
+						{ORDER_STATUSES.map(s => <option key={s} value={s}>{t(`orders.status.${s}`)}</option>)}
+					</select>
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('orders.filterEmail')}</span>
+					<input type="text" value={form.email} onChange={onChange('email')} placeholder="user@example.com" />
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('orders.filterFrom')}</span>
+					<input type="date" value={form.dateFrom} onChange={onChange('dateFrom')} />
+				</label>
+				<label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+					<span className="muted">{t('orders.filterTo')}</span>
+					<input type="date" value={form.dateTo} onChange={onChange('dateTo')} />
+				</label>
+				<button type="submit" className="action-btn" disabled={loading}>{t('orders.apply')}</button>
+				<button type="button" className="action-btn ghost" onClick={onClear} disabled={loading}>{t('orders.clear')}</button>
+			</form>
+
+			{error && <div className="error">{error}</div>}
+			{notice && <div className="muted">{notice}</div>}
+
+			<div className="table-wrapper table-surface">
+				{loading && (
+					<div className="table-loading">
+						<div className="spinner" />
+					</div>
+				)}
+				<table className="curr-table">
+					<thead>
+						<tr>
+							{headers.map(h => <th key={h}>{h}</th>)}
+							<th>{t('orders.headerActions')}</th>
+						</tr>
+					</thead>
+					<tbody>
+						{orders.length === 0 && !loading ? (
+							<tr>
+								<td colSpan={headers.length + 1} className="no-data-cell">{t('orders.noOrders')}</td>
+							</tr>
+						) : orders.map((o, idx) => (
+							<tr key={o.Id}>
+								{exportRows[idx].map((cell, i) => (
+									<td key={i} style={i === 8 ? { fontFamily: 'monospace', fontSize: 12, wordBreak: 'break-all', maxWidth: 220 } : undefined}>
+										{i === 7 ? <span className={`status-pill order-status-${o.Status}`}>{cell}</span> : cell}
+									</td>
+								))}
+								<td>
+									{o.Status === 'paid' && (
+										<button
+											className="action-btn ghost"
+											onClick={() => { setNotice(''); setRefundModal({ order: o, loading: false, error: '' }); }}
+											disabled={loading}
+										>
+											{t('orders.refund')}
+										</button>
+									)}
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			</div>
+
+			<ExportTable rows={exportRows} headers={headers} filename="orders" />
+
+			{refundModal && (
+				<div className="modal-overlay">
+					<div className="modal-content">
+						<div className="modal-title">{t('orders.refundTitle')}</div>
+						<p style={{ margin: '4px 0 12px', color: '#d4d4d4' }}>
+							{t('orders.refundConfirm', {
+								id: refundModal.order.Id,
+								amount: formatAmount(refundModal.order.AmountFrom, refundModal.order.FromCode),
+								user: refundModal.order.UserEmail || t('orders.guest')
+							})}
+						</p>
+						{refundModal.error && <div className="error-msg">{refundModal.error}</div>}
+						<div className="modal-actions">
+							<button className="btn-cancel" onClick={() => setRefundModal(null)} disabled={refundModal.loading}>{t('orders.cancel')}</button>
+							<button className="btn-confirm" onClick={confirmRefund} disabled={refundModal.loading}>
+								{refundModal.loading ? t('orders.refunding') : t('orders.refund')}
+							</button>
+						</div>
+					</div>
+				</div>
+			)}
+		</div>
+	);
+}
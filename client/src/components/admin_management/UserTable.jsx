@@ -57,6 +57,10 @@ export default function UserTable() {
 	const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
 	const [actionModal, setActionModal] = useState(null);
 	const [roleModal, setRoleModal] = useState(null);
+	const [unlockingId, setUnlockingId] = useState(null);
+	const [resettingId, setResettingId] = useState(null);
+	const [requireAdmin2fa, setRequireAdmin2fa] = useState(null); // null until the policy is loaded
+	const [policySaving, setPolicySaving] = useState(false);
 
 	// Fetch user list from server with cancellation support
 	const loadUsers = () => {
@@ -84,6 +88,9 @@ export default function UserTable() {
 					createdAt: u.CreatedAt || '',
 					lastLogin: u.LastLogin || '',
 					isDeleted: parseIsDeleted(u.IsDeleted),
+					failedLogins: Number(u.FailedLogins) || 0,
+					lockedUntil: u.LockedUntil || null,
+					twoFactorEnabled: Boolean(u.TwoFactorEnabled),
 				}));
 
 				setUsers(normalized);
@@ -106,6 +113,46 @@ export default function UserTable() {
 		return loadUsers();
 	}, []);
 
+	// Two-factor policy for the admin role
+	useEffect(() => {
+		const controller = new AbortController();
+		(async () => {
+			try {
+				const res = await fetch('/api/auth/2fa/policy', { credentials: 'include', signal: controller.signal });
+				if (!res.ok) return;
+				const data = await res.json();
+				setRequireAdmin2fa(Boolean(data.requiredForAdmin));
+			} catch {
+				// Aborted or offline: the toggle stays hidden
+			}
+		})();
+		return () => controller.abort();
+	}, []);
+
+	const handlePolicyChange = async (checked) => {
+		setPolicySaving(true);
+		setError('');
+
+		try {
+			const res = await fetch('/api/auth/2fa/policy', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ requiredForAdmin: checked }),
+				credentials: 'include',
+			});
+
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) {
+				throw new Error(data && data.error ? data.error : t('UserTable.errorPolicy'));
+			}
+			setRequireAdmin2fa(Boolean(data.requiredForAdmin));
+		} catch (err) {
+			setError(err.message || t('UserTable.errorPolicy'));
+		} finally {
+			setPolicySaving(false);
+		}
+	};
+
 	const onHeaderClick = (key) => {
 		setPage(1);
 		if (sortBy === key) {
@@ -237,12 +284,76 @@ export default function UserTable() {
 		}
 	};
 
+	// End a login lockout (repeated failed logins) right away
+	const handleUnlock = async (user) => {
+		setUnlockingId(user.id);
+		setError('');
+
+		try {
+			const res = await fetch('/api/users/unlock', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ userId: user.id }),
+				credentials: 'include',
+			});
+
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) {
+				throw new Error(data && data.error ? data.error : t('UserTable.errorUnlock'));
+			}
+
+			loadUsers();
+		} catch (err) {
+			setError(err.message || t('UserTable.errorUnlock'));
+		} finally {
+			setUnlockingId(null);
+		}
+	};
+
+	// Remove a user's second factor (lost authenticator and recovery codes)
+	const handleReset2fa = async (user) => {
+		if (!window.confirm(t('UserTable.reset2faConfirm', { user: userDisplayName(user) }))) return;
+		setResettingId(user.id);
+		setError('');
+
+		try {
+			const res = await fetch('/api/users/reset-2fa', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ userId: user.id }),
+				credentials: 'include',
+			});
+
+			const data = await res.json().catch(() => ({}));
+			if (!res.ok) {
+				throw new Error(data && data.error ? data.error : t('UserTable.errorReset2fa'));
+			}
+
+			loadUsers();
+		} catch (err) {
+			setError(err.message || t('UserTable.errorReset2fa'));
+		} finally {
+			setResettingId(null);
+		}
+	};
+
 	return (
 		<div>
 			{error && <div className="error" style={{ marginBottom: 12 }}>{error}</div>}
 
 			<div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
 				<div className="headline">{t('UserTable.title')}</div>
+				{requireAdmin2fa !== null && (
+					<label className="user-2fa-policy" title={t('UserTable.require2faHint')}>
+						<input
+							type="checkbox"
+							checked={requireAdmin2fa}
+							onChange={(e) => handlePolicyChange(e.target.checked)}
+							disabled={policySaving}
+						/>
+						{t('UserTable.require2fa')}
+					</label>
+				)}
 				<button 
 					className="action-btn" 
 					onClick={() => setIsCreateModalOpen(true)}
@@ -291,6 +402,14 @@ export default function UserTable() {
 									<span className={`status-pill ${u.isDeleted ? 'user-status-deleted' : 'user-status-active'}`}>
 										{u.isDeleted ? t('UserTable.statusDeactivated') : t('UserTable.statusActive')}
 									</span>
+									{u.lockedUntil && (
+										<span className="status-pill user-status-locked" title={t('UserTable.failedLogins', { count: u.failedLogins })}>
+											{t('UserTable.statusLocked', { time: formatDateTime(u.lockedUntil) })}
+										</span>
+									)}
+									{u.twoFactorEnabled && (
+										<span className="status-pill user-status-2fa">{t('UserTable.status2fa')}</span>
+									)}
 								</td>
 								<td>
 									<div className="actions-cell">
@@ -310,6 +429,26 @@ export default function UserTable() {
 										>
 										{t('UserTable.changeRole')}
 										</button>
+										{u.lockedUntil && (
+											<button
+												className="action-btn ghost"
+												type="button"
+												onClick={() => handleUnlock(u)}
+												disabled={loading || unlockingId === u.id}
+											>
+											{unlockingId === u.id ? t('UserTable.working') : t('UserTable.unlock')}
+											</button>
+										)}
+										{u.twoFactorEnabled && (
+											<button
+												className="action-btn ghost"
+												type="button"
+												onClick={() => handleReset2fa(u)}
+												disabled={loading || resettingId === u.id}
+											>
+											{resettingId === u.id ? t('UserTable.working') : t('UserTable.reset2fa')}
+											</button>
+										)}
 									</div>
 								</td>
 							</tr>
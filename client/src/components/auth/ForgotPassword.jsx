@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import './ForgotPassword.css';
+import { loadResetSession, saveResetSession, clearResetSession } from '../../utils/passwordResetSession';
 
 // Default recovery options - currently only email supported
 export const defaultRecoveryOptions = [
@@ -36,6 +37,46 @@ export default function ForgotPassword({
   const { t } = useTranslation();
   const options = useMemo(() => recoveryOptions ?? defaultRecoveryOptions, [recoveryOptions]);
 
+  // Resume a reset started in this tab (page reload): the server tells which step is still valid
+  useEffect(() => {
+    const session = loadResetSession();
+    if (!session) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const resp = await fetch('/api/password-reset/status', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(session),
+        });
+        const data = await resp.json().catch(() => ({}));
+        if (cancelled || !resp.ok) return;
+
+        if (data.stage === 'verified') {
+          setEmail(session.email);
+          setResetToken(session.resetToken);
+          setStep('reset');
+          setStatusKind('info');
+          setStatusText(t('forgot.resumed'));
+        } else if (data.stage === 'code') {
+          setEmail(session.email);
+          setStep('code');
+          setStatusKind('info');
+          setStatusText(t('forgot.resumedCode', { attempts: data.attemptsLeft }));
+        } else {
+          clearResetSession();
+        }
+      } catch {
+        // Network error: start from the beginning, the stored session stays for the next load
+      }
+    })();
+
+    return () => { cancelled = true; };
+    // eslint-disable-next-line
+  }, []);
+
   // Navigate one step back/cleanup state depending on current step
   const handleBack = () => {
     setStatusText('');
@@ -43,6 +84,7 @@ export default function ForgotPassword({
     
     if (step === 'reset') {
       // Cancel reset flow -> go back to choosing method
+      clearResetSession();
       setResetPw('');
       setResetPwRepeat('');
       setStep('choose');
@@ -50,6 +92,7 @@ export default function ForgotPassword({
     }
     if (step === 'code') {
       // Clear code inputs and go back to email entry
+      clearResetSession();
       setCodeChars(Array.from({ length: 6 }, () => ''));
       setStep('email');
       return;
@@ -110,6 +153,7 @@ export default function ForgotPassword({
       // Success: notify user and transition to code entry
       setStatusKind('info');
       setStatusText(t('forgot.codeSent'));
+      saveResetSession({ email: trimmedEmail, resetId: data.resetId });
       onSubmitEmail?.(trimmedEmail);
       
       setCodeChars(Array.from({ length: 6 }, () => ''));
@@ -192,6 +236,7 @@ export default function ForgotPassword({
       setStatusKind('success');
       setStatusText(t('forgot.codeVerified'));
       setResetToken(data.resetToken); // Store token
+      saveResetSession({ ...loadResetSession(), email: String(email).trim(), resetToken: data.resetToken });
       setStep('reset');
       
     } catch (err) {
@@ -274,6 +319,7 @@ export default function ForgotPassword({
       }
 
       // Success: inform user then reset internal state and go back
+      clearResetSession();
       setStatusText(t('forgot.passwordChangedSuccess'));
       setStatusKind('success');
       
@@ -5,6 +5,8 @@ import './Login.css';
 import { useAuth } from '../AuthContext';
 
 import ForgotPassword from './ForgotPassword';
+import TwoFactorSetup from './TwoFactorSetup';
+import { loadResetSession } from '../../utils/passwordResetSession';
 
 export default function Login() {
   const [email, setEmail] = useState('');
@@ -15,8 +17,27 @@ export default function Login() {
   const { login } = useAuth();
   const { t } = useTranslation();
 
-  // Toggle to show forgot-password UI instead of login form
-  const [showForgot, setShowForgot] = useState(false);
+  // Toggle to show forgot-password UI instead of login form (open while a reset is pending in this tab)
+  const [showForgot, setShowForgot] = useState(() => Boolean(loadResetSession()));
+
+  // Second step after a correct password: { stage: 'verify' | 'setup', challenge } from /api/auth/login
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  const finishLogin = async (userData) => {
+    // Update global auth state; 'login' will also refresh /api/auth/me by default
+    await login(userData);
+    navigate('/');
+  };
+
+  const cancelTwoFactor = (message = '') => {
+    setTwoFactor(null);
+    setCode('');
+    setUseRecovery(false);
+    setPassword('');
+    setError(message);
+  };
 
   // Handle form submit: basic validation, POST to /api/auth/login
   const handleSubmit = async (e) => {
@@ -46,12 +67,17 @@ export default function Login() {
         return;
       }
 
-      // Success: backend returns safe user object (server also sets httpOnly token cookie)
-      // Update global auth state; 'login' will also refresh /api/auth/me by default
-      await login(data);
+      // Password accepted but a second factor is needed (no cookie yet)
+      if (data.twoFactor) {
+        setTwoFactor({ stage: data.twoFactor, challenge: data.challenge });
+        setCode('');
+        setLoading(false);
+        return;
+      }
 
+      // Success: backend returns safe user object (server also sets httpOnly token cookie)
       setLoading(false);
-      navigate('/');
+      await finishLogin(data);
 
     } catch (err) {
       console.error('Login request failed', err);
@@ -61,11 +87,106 @@ export default function Login() {
     }
   };
 
+  // Second step: TOTP code from the authenticator app, or one of the recovery codes
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setError('');
+    setLoading(true);
+    try {
+      const resp = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(useRecovery
+          ? { challenge: twoFactor.challenge, recoveryCode: code.trim() }
+          : { challenge: twoFactor.challenge, code: code.trim() }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      setLoading(false);
+
+      if (resp.status === 401 && data.error !== 'Invalid credentials') {
+        // Challenge expired: start again with the password
+        cancelTwoFactor(data.error || t('login.twoFactorExpired'));
+        return;
+      }
+      if (!resp.ok) {
+        setError(resp.status === 401 ? t('login.twoFactorWrongCode') : (data.error || t('login.loginFailed')));
+        setCode('');
+        return;
+      }
+      await finishLogin(data);
+    } catch (err) {
+      console.error('Two-factor login failed', err);
+      setError(err && err.message ? err.message : t('login.networkError'));
+      setLoading(false);
+    }
+  };
+
+  const renderTwoFactor = () => (
+    <div className="login-box">
+      <div className="login-top">
+        <button type="button" className="login-back" onClick={() => cancelTwoFactor()}>
+          {t('profile.back')}
+        </button>
+      </div>
+      {twoFactor.stage === 'setup' ? (
+        <>
+          <h2>{t('login.twoFactorSetupTitle')}</h2>
+          <p className="two-factor-hint">{t('login.twoFactorSetupRequired')}</p>
+          <TwoFactorSetup
+            setupUrl="/api/auth/login/2fa/setup"
+            enableUrl="/api/auth/login/2fa/enable"
+            challenge={twoFactor.challenge}
+            onDone={finishLogin}
+          />
+        </>
+      ) : (
+        <form onSubmit={handleTwoFactorSubmit}>
+          <h2>{t('login.twoFactorTitle')}</h2>
+          <div className="input-group">
+            <label>{useRecovery ? t('login.recoveryCodeLabel') : t('login.twoFactorCodeLabel')}</label>
+            <input
+              type="text"
+              inputMode={useRecovery ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              placeholder={useRecovery ? 'XXXX-XXXX' : '123456'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={useRecovery ? 9 : 6}
+              autoFocus
+              required
+            />
+          </div>
+
+          {error && <p className="error">{error}</p>}
+
+          <button type="submit" className="login-btn" disabled={loading}>
+            {loading ? t('login.loading') : t('login.twoFactorSubmit')}
+          </button>
+          <p
+            className="forgot-password"
+            role="button"
+            tabIndex={0}
+            onClick={() => { setUseRecovery(r => !r); setCode(''); setError(''); }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') { setUseRecovery(r => !r); setCode(''); setError(''); }
+            }}
+          >
+            {useRecovery ? t('login.useAuthenticator') : t('login.useRecoveryCode')}
+          </p>
+        </form>
+      )}
+    </div>
+  );
+
   return (
     <div className="login-container">
-      {/* Show forgot-password flow when toggled, otherwise show login form */}
+      {/* Show forgot-password flow when toggled, the second factor step after the password, otherwise the login form */}
       {showForgot ? (
         <ForgotPassword onBack={() => setShowForgot(false)} />
+      ) : twoFactor ? (
+        renderTwoFactor()
       ) : (
         <form className="login-box" onSubmit={handleSubmit}>
           <div className="login-top">
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './TwoFactor.css';
+
+// Two-factor enrolment: QR code (or secret) for the authenticator app -> confirm with a code -> recovery codes
+// Used from Profile (session cookie) and from Login when the role requires 2FA (login challenge in the body)
+export default function TwoFactorSetup({
+  setupUrl = '/api/auth/2fa/setup',
+  enableUrl = '/api/auth/2fa/enable',
+  challenge,
+  onDone,
+  onCancel,
+}) {
+  const { t } = useTranslation();
+
+  const [enrolment, setEnrolment] = useState(null); // { secret, otpauthUrl, qrCode }
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null); // Response of the enable call, holds recoveryCodes
+  const [copied, setCopied] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  // A new secret each time the component opens; nothing changes server-side until the code is confirmed
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch(setupUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(challenge ? { challenge } : {}),
+          signal: controller.signal,
+        });
+        const data = await res.json().catch(() => ({}));
+        if (controller.signal.aborted) return;
+        if (!res.ok) throw new Error(data && data.error ? data.error : t('twoFactor.errorSetup'));
+        setEnrolment(data);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('twoFactor.errorSetup'));
+      }
+    })();
+    return () => controller.abort();
+  }, [setupUrl, challenge, t]);
+
+  const onConfirm = async (e) => {
+    e.preventDefault();
+    if (sending) return;
+    setSending(true);
+    setError('');
+    try {
+      const res = await fetch(enableUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(challenge ? { challenge, code: code.trim() } : { code: code.trim() }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data && data.error ? data.error : t('twoFactor.errorCode'));
+      setResult(data);
+    } catch (err) {
+      setError(err.message);
+      setCode('');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const onCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(result.recoveryCodes.join('\n'));
+      setCopied(true);
+    } catch {
+      // Clipboard blocked: the codes stay selectable on screen
+    }
+  };
+
+  // Enabled: the recovery codes are shown this once
+  if (result) {
+    return (
+      <div className="two-factor-setup">
+        <div className="two-factor-title">{t('twoFactor.enabledTitle')}</div>
+        <RecoveryCodeList codes={result.recoveryCodes} />
+        <div className="two-factor-actions">
+          <button type="button" className="two-factor-btn ghost" onClick={onCopy}>
+            {copied ? t('twoFactor.copied') : t('twoFactor.copy')}
+          </button>
+          <button type="button" className="two-factor-btn" onClick={() => onDone?.(result)}>
+            {t('twoFactor.savedCodes')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="two-factor-setup">
+      <div className="two-factor-title">{t('twoFactor.setupTitle')}</div>
+      <div className="two-factor-hint">{t('twoFactor.scanHint')}</div>
+
+      {enrolment ? (
+        <>
+          <img className="two-factor-qr" src={enrolment.qrCode} alt={t('twoFactor.qrAlt')} width={220} height={220} />
+          <div className="two-factor-hint">{t('twoFactor.manualHint')}</div>
+          <code className="two-factor-secret">{enrolment.secret.replace(/(.{4})/g, '$1 ').trim()}</code>
+
+          <form className="two-factor-form" onSubmit={onConfirm}>
+            <input
+              className="two-factor-code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              placeholder="123456"
+              aria-label={t('twoFactor.codeLabel')}
+              autoFocus
+            />
+            <button type="submit" className="two-factor-btn" disabled={sending || code.length !== 6}>
+              {sending ? t('twoFactor.verifying') : t('twoFactor.confirm')}
+            </button>
+            {onCancel && (
+              <button type="button" className="two-factor-btn ghost" onClick={onCancel} disabled={sending}>
+                {t('profile.cancel')}
+              </button>
+            )}
+          </form>
+        </>
+      ) : (
+        !error && <div className="two-factor-hint">{t('twoFactor.loading')}</div>
+      )}
+
+      {error && <div className="two-factor-error">{error}</div>}
+    </div>
+  );
+}
+
+// Recovery codes in a grid, shown once after enabling or regenerating
+export function RecoveryCodeList({ codes }) {
+  const { t } = useTranslation();
+  return (
+    <>
+      <div className="two-factor-hint">{t('twoFactor.recoveryHint')}</div>
+      <ul className="two-factor-recovery">
+        {(codes || []).map(c => <li key={c}><code>{c}</code></li>)}
+      </ul>
+    </>
+  );
+}
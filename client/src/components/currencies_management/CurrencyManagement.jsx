@@ -3,12 +3,14 @@ import { useTranslation } from 'react-i18next';
 import Header from '../Header';
 import CurrencyRatesTable from './CurrencyRatesTable';
 import CreateCurrency from './subsections/CreateCurrency';
+import IngestionRuns from './subsections/IngestionRuns';
+import ImportRates from './subsections/ImportRates';
 // import ExportTable from './subsections/ExportTable';
 import { useAuth } from '../AuthContext';
 
 export default function CurrencyManagement() {
   // Which tab is visible: table of rates, create currency form, or export
-  const [activeTab, setActiveTab] = useState('table'); // 'table' | 'create' | 'export'
+  const [activeTab, setActiveTab] = useState('table'); // 'table' | 'create' | 'import' | 'ingestion' | 'export'
   
   // Current user + admin check
   const { user } = useAuth();
@@ -43,6 +45,24 @@ export default function CurrencyManagement() {
                 {t('currencyManagement.tabCreate')}
               </button>
             )}
+            {isAdmin && (
+              <button
+                className={`tab-btn ${activeTab === 'import' ? 'active' : ''}`}
+                onClick={() => setActiveTab('import')}
+                style={{ padding: '6px 8px' }}
+              >
+                {t('currencyManagement.tabImport')}
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                className={`tab-btn ${activeTab === 'ingestion' ? 'active' : ''}`}
+                onClick={() => setActiveTab('ingestion')}
+                style={{ padding: '6px 8px' }}
+              >
+                {t('currencyManagement.tabIngestion')}
+              </button>
+            )}
             {/* <button
               className={`tab-btn ${activeTab === 'export' ? 'active' : ''}`}
               onClick={() => setActiveTab('export')}
@@ -74,6 +94,18 @@ export default function CurrencyManagement() {
             </div>
           )}
 
+          {isAdmin && activeTab === 'import' && (
+            <div>
+              <ImportRates />
+            </div>
+          )}
+
+          {isAdmin && activeTab === 'ingestion' && (
+            <div>
+              <IngestionRuns />
+            </div>
+          )}
+
           {/* {activeTab === 'export' && (
             <div>
               <h4>Exports</h4>
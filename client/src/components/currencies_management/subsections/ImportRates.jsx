@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+import '../../common/TableStyles.css';
+import '../CurrencyRatesTable.css';
+import '../../admin_management/AdminManagement.css';
+
+// Rows shown per preview table (the server reports full counts)
+const PREVIEW_LIMIT = 100;
+
+// Content type per file extension; the server reads the file (parseImportFile in server/src/ingestion/rateImport.js)
+const FILE_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel'
+};
+
+// ImportRates: admin bulk import of EUR-based rates with a dry-run diff before committing
+export default function ImportRates() {
+  const { t } = useTranslation();
+
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // The file itself is the request body, sent again for the commit
+  const postImport = async (upload, dryRun) => {
+    const extension = upload.name.split('.').pop().toLowerCase();
+    const res = await fetch(`/api/rates/import?dryRun=${dryRun}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': FILE_TYPES[extension] || upload.type || 'application/octet-stream' },
+      body: upload
+    });
+    const body = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, body };
+  };
+
+  const requestError = (body) => {
+    if (body && body.missingColumns) return t('importRates.errorColumns', { columns: body.missingColumns.join(', ') });
+    return body && body.error ? body.error : t('importRates.errorRequest');
+  };
+
+  const onFileChange = async (e) => {
+    const picked = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+
+    setFile(picked);
+    setPreview(null);
+    setResult(null);
+    setError('');
+    setLoading(true);
+
+    try {
+      const { ok, body } = await postImport(picked, true);
+      if (!ok) throw new Error(requestError(body));
+      setPreview(body);
+    } catch (err) {
+      setError(err.message || t('importRates.errorRead'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onCommit = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { ok, body } = await postImport(file, false);
+      if (!ok) {
+        // Data changed between dry run and commit: show the fresh diff
+        if (body && body.summary) setPreview(body);
+        throw new Error(requestError(body));
+      }
+      setResult(body);
+      setPreview(null);
+      setFile(null);
+    } catch (err) {
+      setError(err.message || t('importRates.errorRequest'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onReset = () => {
+    setPreview(null);
+    setFile(null);
+    setError('');
+  };
+
+  const canCommit = preview && preview.valid && (preview.summary.inserts + preview.summary.updates) > 0;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+      <div className="headline">{t('importRates.title')}</div>
+      <div className="muted">{t('importRates.hint')}</div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+        <label className="action-btn" style={{ display: 'inline-block' }}>
+          {t('importRates.chooseFile')}
+          <input type="file" accept=".csv,.xlsx,.xls" onChange={onFileChange} disabled={loading} style={{ display: 'none' }} />
+        </label>
+        <span className="muted">{file ? file.name : t('importRates.noFile')}</span>
+        {loading && <span className="muted">{t('importRates.working')}</span>}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {result && (
+        <div style={{ color: '#7ee787' }}>
+          {t('importRates.success', { inserted: result.inserted, updated: result.updated })}
+        </div>
+      )}
+
+      {preview && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          <div>
+            {t('importRates.summary', {
+              inserts: preview.summary.inserts,
+              updates: preview.summary.updates,
+              unchanged: preview.summary.unchanged,
+              errors: preview.summary.errors
+            })}
+          </div>
+          {preview.truncated && <div className="muted">{t('importRates.truncated')}</div>}
+
+          {preview.errors.length > 0 && (
+            <div>
+              <div className="headline" style={{ marginBottom: 6 }}>{t('importRates.errorsTitle')}</div>
+              <div className="table-wrapper table-surface">
+                <table className="curr-table">
+                  <thead>
+                    <tr>
+                      <th>{t('importRates.headerLine')}</th>
+                      <th>{t('importRates.headerError')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.errors.slice(0, PREVIEW_LIMIT).map((er, idx) => (
+                      <tr key={idx}>
+                        <td>{er.line ?? '—'}</td>
+                        <td className="error">{er.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {preview.updates.length > 0 && (
+            <div>
+              <div className="headline" style={{ marginBottom: 6 }}>{t('importRates.updatesTitle')}</div>
+              <div className="table-wrapper table-surface">
+                <table className="curr-table">
+                  <thead>
+                    <tr>
+                      <th>{t('importRates.headerDate')}</th>
+                      <th>{t('importRates.headerCurrency')}</th>
+                      <th>{t('importRates.headerOldRate')}</th>
+                      <th>{t('importRates.headerNewRate')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.updates.slice(0, PREVIEW_LIMIT).map((u) => (
+                      <tr key={`${u.currencyCode}-${u.date}`}>
+                        <td>{u.date}</td>
+                        <td>{u.currencyCode}</td>
+                        <td>{Number(u.oldExchangeRate).toFixed(6)}</td>
+                        <td>{Number(u.exchangeRate).toFixed(6)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {preview.inserts.length > 0 && (
+            <div>
+              <div className="headline" style={{ marginBottom: 6 }}>{t('importRates.insertsTitle')}</div>
+              <div className="table-wrapper table-surface">
+                <table className="curr-table">
+                  <thead>
+                    <tr>
+                      <th>{t('importRates.headerDate')}</th>
+                      <th>{t('importRates.headerCurrency')}</th>
+                      <th>{t('importRates.headerNewRate')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.inserts.slice(0, PREVIEW_LIMIT).map((ins) => (
+                      <tr key={`${ins.currencyCode}-${ins.date}`}>
+                        <td>{ins.date}</td>
+                        <td>{ins.currencyCode}</td>
+                        <td>{Number(ins.exchangeRate).toFixed(6)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="action-btn" onClick={onCommit} disabled={!canCommit || loading}>
+              {t('importRates.commit')}
+            </button>
+            <button className="action-btn ghost" onClick={onReset} disabled={loading}>
+              {t('importRates.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+import '../../common/TableStyles.css';
+import '../CurrencyRatesTable.css';
+import '../../admin_management/AdminManagement.css';
+
+// Format a date/time nicely for table cells
+const formatDateTime = (value) => {
+  if (!value) return '—';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '—';
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })}`;
+};
+
+// Map run status to the existing pill colors
+const statusClass = (status) => {
+  if (status === 'success') return 'user-status-active';
+  if (status === 'failed') return 'user-status-deleted';
+  return '';
+};
+
+// IngestionRuns: admin view of the daily ECB ingestion (schedule, missing days, run history)
+export default function IngestionRuns() {
+  const { t } = useTranslation();
+
+  const [runs, setRuns] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  // Bumped after "run now" to reload the view
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Load scheduler state and run history together
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+
+    (async () => {
+      try {
+        const [runsRes, statusRes] = await Promise.all([
+          fetch('/api/ingestion/runs', { credentials: 'include', signal: controller.signal }),
+          fetch('/api/ingestion/status', { credentials: 'include', signal: controller.signal })
+        ]);
+        if (!runsRes.ok || !statusRes.ok) throw new Error(t('ingestion.errorLoad'));
+        const runsData = await runsRes.json();
+        const statusData = await statusRes.json();
+        if (controller.signal.aborted) return;
+        setRuns(Array.isArray(runsData) ? runsData : []);
+        setStatus(statusData);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err.message || t('ingestion.errorLoad'));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    })();
+
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const runNow = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const res = await fetch('/api/ingestion/run', { method: 'POST', credentials: 'include' });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body && body.error ? body.error : t('ingestion.errorRun'));
+    } catch (err) {
+      setError(err.message || t('ingestion.errorRun'));
+    } finally {
+      setRunning(false);
+      setReloadKey(k => k + 1);
+    }
+  };
+
+  const missing = (status && status.missingDates) || [];
+
+  return (
+    <div>
+      {error && <div className="error" style={{ marginBottom: 12 }}>{error}</div>}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 12 }}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+          <div className="headline">{t('ingestion.title')}</div>
+          <div className="muted">
+            {status && status.enabled
+              ? t('ingestion.scheduleEnabled', { time: status.scheduleTime, next: formatDateTime(status.nextRunAt) })
+              : t('ingestion.scheduleDisabled')}
+          </div>
+          <div className="muted" title={missing.join(', ')}>
+            {missing.length
+              ? t('ingestion.missingDates', { count: missing.length, first: missing[0], last: missing[missing.length - 1] })
+              : t('ingestion.noMissingDates')}
+          </div>
+        </div>
+        <button
+          className="action-btn"
+          onClick={runNow}
+          disabled={running || (status && status.running)}
+        >
+          {running || (status && status.running) ? t('ingestion.running') : t('ingestion.runNow')}
+        </button>
+      </div>
+
+      <div className="table-wrapper table-surface">
+        {loading && (
+          <div className="table-loading">
+            <div className="spinner" aria-hidden="true" />
+            <span>{t('ingestion.loading')}</span>
+          </div>
+        )}
+        <table className="curr-table">
+          <thead>
+            <tr>
+              <th>{t('ingestion.headerStarted')}</th>
+              <th>{t('ingestion.headerTrigger')}</th>
+              <th>{t('ingestion.headerStatus')}</th>
+              <th>{t('ingestion.headerMissing')}</th>
+              <th>{t('ingestion.headerFilled')}</th>
+              <th>{t('ingestion.headerInserted')}</th>
+              <th>{t('ingestion.headerSkipped')}</th>
+              <th>{t('ingestion.headerError')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map((r) => (
+              <tr key={r.Id}>
+                <td>{formatDateTime(r.StartedAt)}</td>
+                <td>{r.TriggerType === 'manual' ? t('ingestion.triggerManual', { user: r.UserEmail || '—' }) : t('ingestion.triggerSchedule')}</td>
+                <td><span className={`status-pill ${statusClass(r.Status)}`}>{t(`ingestion.status_${r.Status}`, r.Status)}</span></td>
+                <td>{r.MissingDates}</td>
+                <td>{r.FilledDates}</td>
+                <td>{r.Inserted}</td>
+                <td>{r.Skipped}</td>
+                <td style={{ maxWidth: 320, whiteSpace: 'normal', wordBreak: 'break-word' }}>{r.ErrorMessage || '—'}</td>
+              </tr>
+            ))}
+            {runs.length === 0 && !loading && (
+              <tr><td colSpan={8} className="no-data-cell">{t('ingestion.noRuns')}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { useTranslation } from 'react-i18next';
 import '../common/TableStyles.css';
 import './MarginTable.css';
 import CreateMargin from './subsections/CreateMargin';
+import './subsections/CreateMargin.css';
 import DatePicker, { registerLocale } from 'react-datepicker';
 import ReactDOM from 'react-dom';
 import enGB from 'date-fns/locale/en-GB';
@@ -21,6 +22,9 @@ const describeStatusKey = (start, end) => {
 
   // If end date is in the past - expired
   if (endDate !== '—' && endDate < today) return 'expired';
+
+  // If start date is in the future - scheduled (pending, becomes active on its start date)
+  if (startDate !== '—' && startDate > today) return 'scheduled';
   
   // Otherwise active
   return 'active';
@@ -50,7 +54,12 @@ export default function MarginTable() {
   const activeRowRef = useRef(null);
   const tableWrapperRef = useRef(null);
 
-  const todayDate = new Date().toISOString().split('T')[0];
+  // Delete confirmation state (preview comes from the server's 409 response)
+  const [deleteId, setDeleteId] = useState(null);
+  const [deletePolicy, setDeletePolicy] = useState('extend');
+  const [deletePreview, setDeletePreview] = useState(null);
+  const [deleteLoading, setDeleteLoading] = useState(false);
+  const [deleteError, setDeleteError] = useState('');
 
   const { user } = useAuth();
   const isAdmin = !!(user && String(user.Role).toLowerCase() === 'admin');
@@ -97,6 +106,7 @@ export default function MarginTable() {
         startDate: formatDateLocal(m.StartDate) || '—',
         endDate: formatDateLocal(m.EndDate) || '—',
         owner,
+        scope: m.CurrencyCode || t('marginTable.scopeGlobal'),
         statusKey: describeStatusKey(m.StartDate, m.EndDate)
       };
     });
@@ -166,8 +176,8 @@ export default function MarginTable() {
       setEditingError('Margin value and start date are required.');
       return;
     }
-    if (editValues.startDate > todayDate) {
-      setEditingError('Start date cannot be in the future.');
+    if (editValues.endDate && editValues.endDate < editValues.startDate) {
+      setEditingError(t('createMargin.errorEndBeforeStart'));
       return;
     }
     const val = parseFloat(normalizedValue);
@@ -206,6 +216,73 @@ export default function MarginTable() {
     }
   };
 
+  // Load the delete preview whenever the dialog opens or the policy changes
+  useEffect(() => {
+    if (!deleteId) return undefined;
+    const controller = new AbortController();
+    setDeletePreview(null);
+    setDeleteError('');
+    setDeleteLoading(true);
+
+    (async () => {
+      try {
+        const res = await fetch(`/api/margins/${deleteId}?policy=${deletePolicy}`, {
+          method: 'DELETE',
+          credentials: 'include',
+          signal: controller.signal
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.status !== 409) throw new Error(data.error || t('marginTable.deleteErrorPreview'));
+        setDeletePreview(data.conflicts);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setDeleteError(err.message || t('marginTable.deleteErrorPreview'));
+      } finally {
+        if (!controller.signal.aborted) setDeleteLoading(false);
+      }
+    })();
+
+    return () => controller.abort();
+  }, [deleteId, deletePolicy, t]);
+
+  const openDelete = (id) => {
+    setDeletePolicy('extend');
+    setDeleteId(id);
+  };
+
+  const closeDelete = () => {
+    setDeleteId(null);
+    setDeletePreview(null);
+    setDeleteError('');
+  };
+
+  const confirmDelete = async () => {
+    setDeleteLoading(true);
+    setDeleteError('');
+    try {
+      const res = await fetch(`/api/margins/${deleteId}?policy=${deletePolicy}&force=true`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || t('marginTable.deleteErrorFailed'));
+      closeDelete();
+      fetchMargins();
+    } catch (err) {
+      setDeleteError(err.message || t('marginTable.deleteErrorFailed'));
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const formatMarginRange = (m) => t('marginTable.deleteRange', {
+    id: m.Id,
+    scope: m.CurrencyId != null ? (findMarginById(m.Id)?.CurrencyCode || `#${m.CurrencyId}`) : t('marginTable.scopeGlobal'),
+    value: (Number(m.MarginValue) * 100).toFixed(2),
+    start: formatDateLocal(m.StartDate) || '—',
+    end: formatDateLocal(m.EndDate) || t('marginTable.openEnded')
+  });
+
   // Click outside detection: save on outside click
   useEffect(() => {
     const onDocMouseDown = (e) => {
@@ -245,6 +322,7 @@ export default function MarginTable() {
           <thead>
             <tr>
               <th onClick={() => onHeaderClick('id')}>ID {sortBy === 'id' ? (sortDir === 'asc' ? '↑' : '↓') : ''}</th>
+              <th onClick={() => onHeaderClick('scope')}>{t('marginTable.colScope')} {sortBy === 'scope' ? (sortDir === 'asc' ? '↑' : '↓') : ''}</th>
               <th onClick={() => onHeaderClick('marginValue')}>{t('marginTable.colMargin')} {sortBy === 'marginValue' ? (sortDir === 'asc' ? '↑' : '↓') : ''}</th>
               <th onClick={() => onHeaderClick('startDate')}>{t('marginTable.colStartDate')} {sortBy === 'startDate' ? (sortDir === 'asc' ? '↑' : '↓') : ''}</th>
               <th onClick={() => onHeaderClick('endDate')}>{t('marginTable.colEndDate')} {sortBy === 'endDate' ? (sortDir === 'asc' ? '↑' : '↓') : ''}</th>
@@ -255,8 +333,9 @@ export default function MarginTable() {
           </thead>
           <tbody>
             {pageRows.map((row) => (
-              <tr key={row.key} data-row-id={row.key}>
+              <tr key={row.key} data-row-id={row.key} className={row.statusKey === 'scheduled' ? 'margin-row-scheduled' : undefined}>
                 <td>{row.id}</td>
+                <td>{row.scope}</td>
                 <td>
                   {editingId === row.key ? (
                     <input
@@ -278,7 +357,6 @@ export default function MarginTable() {
                       onChange={(d) => setEditValues(ev => ({ ...ev, startDate: d ? d.toISOString().slice(0,10) : '' }))}
                       dateFormat="yyyy-MM-dd"
                       locale="en-GB"
-                      maxDate={todayDate ? new Date(todayDate) : undefined}
                       className="date-picker-input"
                       disabled={editingLoading}
                       popperContainer={({ children }) => ReactDOM.createPortal(children, document.body)}
@@ -294,7 +372,6 @@ export default function MarginTable() {
                       onChange={(d) => setEditValues(ev => ({ ...ev, endDate: d ? d.toISOString().slice(0,10) : '' }))}
                       dateFormat="yyyy-MM-dd"
                       locale="en-GB"
-                      maxDate={todayDate ? new Date(todayDate) : undefined}
                       className="date-picker-input"
                       disabled={editingLoading}
                       popperContainer={({ children }) => ReactDOM.createPortal(children, document.body)}
@@ -319,12 +396,20 @@ export default function MarginTable() {
                         {editingError && <div className="error-msg">{editingError}</div>}
                       </div>
                     ) : (
-                      <button 
-                        className="icon-btn" 
-                        title={t('marginTable.edit')} 
-                        onClick={() => startEdit(row.key)}
-                        style={{ border: 'none', background: 'transparent', cursor: 'pointer', transform: 'scaleX(-1)', display: 'inline-block', paddingBottom: 0, paddingTop: 0 }}
-                      >✎</button>
+                      <>
+                        <button 
+                          className="icon-btn" 
+                          title={t('marginTable.edit')} 
+                          onClick={() => startEdit(row.key)}
+                          style={{ border: 'none', background: 'transparent', cursor: 'pointer', transform: 'scaleX(-1)', display: 'inline-block', paddingBottom: 0, paddingTop: 0 }}
+                        >✎</button>
+                        <button
+                          className="icon-btn"
+                          title={t('marginTable.delete')}
+                          onClick={() => openDelete(row.key)}
+                          style={{ border: 'none', background: 'transparent', cursor: 'pointer', display: 'inline-block', paddingBottom: 0, paddingTop: 0 }}
+                        >✕</button>
+                      </>
                     )}
                   </td>
                 )}
@@ -332,7 +417,7 @@ export default function MarginTable() {
               </tr>
             ))}
             {!loading && rows.length === 0 && (
-              <tr><td colSpan={isAdmin ? 7 : 6} className="no-data-cell">{t('marginTable.noData')}</td></tr>
+              <tr><td colSpan={isAdmin ? 8 : 7} className="no-data-cell">{t('marginTable.noData')}</td></tr>
             )}
           </tbody>
         </table>
@@ -349,6 +434,51 @@ export default function MarginTable() {
         </div>
       </div>
 
+      {deleteId && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-title">{t('marginTable.deleteTitle')}</div>
+
+            {deleteError && <div className="error-msg">{deleteError}</div>}
+
+            <div className="form-group">
+              <label>{t('marginTable.deletePolicyLabel')}</label>
+              <select value={deletePolicy} onChange={(e) => setDeletePolicy(e.target.value)} disabled={deleteLoading}>
+                <option value="extend">{t('marginTable.deletePolicyExtend')}</option>
+                <option value="gap">{t('marginTable.deletePolicyGap')}</option>
+              </select>
+            </div>
+
+            {deletePreview && (
+              <div className="warning-msg">
+                <div>{t('marginTable.deleteWillRemove', { margin: formatMarginRange(deletePreview.deleted) })}</div>
+                {deletePreview.extended ? (
+                  <div>
+                    {t('marginTable.deleteWillExtend', {
+                      before: formatMarginRange(deletePreview.extended.before),
+                      after: formatMarginRange(deletePreview.extended.after)
+                    })}
+                  </div>
+                ) : (
+                  <div>{deletePreview.fallback === 'global' ? t('marginTable.deleteWillFallback') : t('marginTable.deleteWillGap')}</div>
+                )}
+                {deletePolicy === 'extend' && !deletePreview.extended && (
+                  <div>{deletePreview.fallback === 'global' ? t('marginTable.deleteNoNeighbourFallback') : t('marginTable.deleteNoNeighbour')}</div>
+                )}
+                <div>{t('marginTable.deleteLinkedRates', { count: deletePreview.linkedRates })}</div>
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button className="btn-cancel" onClick={closeDelete} disabled={deleteLoading}>{t('marginTable.cancel')}</button>
+              <button className="btn-confirm btn-warning" onClick={confirmDelete} disabled={deleteLoading || !deletePreview}>
+                {deleteLoading ? t('marginTable.deleting') : t('marginTable.deleteConfirm')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <CreateMargin 
         isOpen={isModalOpen}
         onClose={handleCloseModal}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import './CreateMargin.css';
 import DatePicker, { registerLocale } from 'react-datepicker';
@@ -6,11 +6,13 @@ import enGB from 'date-fns/locale/en-GB';
 // import 'react-datepicker/dist/react-datepicker.css';
 registerLocale('en-GB', enGB);
 
-export default function CreateMargin({ isOpen, onClose, onSuccess }) {
+export default function CreateMargin({ isOpen, onClose, onSuccess, initialValues }) {
   // Form state
   const [marginValue, setMarginValue] = useState('');
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
+  const [currencyId, setCurrencyId] = useState(''); // '' = global margin
+  const [currencies, setCurrencies] = useState([]);
   const [loading, setLoading] = useState(false);
   
   // UI state
@@ -20,13 +22,36 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
 
   const { t } = useTranslation();
 
-  // Get current date in YYYY-MM-DD format for max date restriction
-  const todayDate = new Date().toISOString().split('T')[0];
+  // Currencies for the scope picker (EUR is the base and has no own margin)
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    fetch('/api/currencies')
+      .then(res => (res.ok ? res.json() : []))
+      .then(data => {
+        if (cancelled || !Array.isArray(data)) return;
+        setCurrencies(data
+          .filter(c => String(c.CurrencyCode).toUpperCase() !== 'EUR')
+          .sort((a, b) => String(a.CurrencyCode).localeCompare(String(b.CurrencyCode))));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [isOpen]);
+
+  // Prefill when opened from the margin simulator (values are only saved on Create)
+  useEffect(() => {
+    if (!isOpen || !initialValues) return;
+    setMarginValue(initialValues.marginValue || '');
+    setStartDate(initialValues.startDate || '');
+    setEndDate(initialValues.endDate || '');
+    setCurrencyId(initialValues.currencyId ? String(initialValues.currencyId) : '');
+  }, [isOpen, initialValues]);
 
   const resetForm = () => {
     setMarginValue('');
     setStartDate('');
     setEndDate('');
+    setCurrencyId('');
     setCreateError('');
     setConflictWarning(null);
     setConflicts(null);
@@ -48,9 +73,9 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
       return;
     }
 
-    // Check: Date cannot be in the future
-    if (startDate > todayDate) {
-      setCreateError(t('createMargin.errorFutureDate'));
+    // Check: End date cannot be before start date (future start dates create pending margins)
+    if (endDate && endDate < startDate) {
+      setCreateError(t('createMargin.errorEndBeforeStart'));
       return;
     }
 
@@ -67,6 +92,7 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
         marginValue: normalizedValue,
         startDate: startDate,
         endDate: endDate || null,
+        currencyId: currencyId || null,
         forceCreate: force
       };
 
@@ -117,6 +143,22 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
             </div>
         )}
         
+        <div className="form-group">
+          <label>{t('createMargin.scopeLabel')}</label>
+          <select
+            value={currencyId}
+            onChange={(e) => {
+              setCurrencyId(e.target.value);
+              setConflictWarning(null);
+              setCreateError('');
+            }}
+            disabled={!!conflictWarning || loading}
+          >
+            <option value="">{t('createMargin.scopeGlobal')}</option>
+            {currencies.map(c => <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>)}
+          </select>
+        </div>
+
         <div className="form-group">
             <label>{t('createMargin.marginLabel')}</label>
             <input 
@@ -141,7 +183,6 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
             }}
             dateFormat="yyyy-MM-dd"
             locale="en-GB"
-            maxDate={todayDate ? new Date(todayDate) : undefined}
             className="date-picker-input"
             disabled={!!conflictWarning || loading}
           />
@@ -154,7 +195,6 @@ export default function CreateMargin({ isOpen, onClose, onSuccess }) {
             onChange={(d) => setEndDate(d ? d.toISOString().slice(0,10) : '')}
             dateFormat="yyyy-MM-dd"
             locale="en-GB"
-            maxDate={todayDate ? new Date(todayDate) : undefined}
             className="date-picker-input"
             disabled={!!conflictWarning || loading}
           />
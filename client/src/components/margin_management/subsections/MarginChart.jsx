@@ -6,11 +6,14 @@ import { useTranslation } from 'react-i18next';
 import './MarginChart.css';
 import { parseDate, keyFromTimestampUTC } from '../../../utils/date';
 import useDebounceCallback from '../../../utils/debounce'; // Custom debounce hook
+import MarginSimulator from './MarginSimulator';
 
 export default function MarginChart() {
-  const [margins, setMargins] = useState([]); // Raw margin data from API
+  const [allMargins, setAllMargins] = useState([]); // Raw margin data from API (all scopes)
+  const [scope, setScope] = useState('global'); // 'global' or a CurrencyId (as string)
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [showSimulator, setShowSimulator] = useState(false); // What-if panel below the chart
   const [chartReady, setChartReady] = useState(false);
   const [latestMargin, setLatestMargin] = useState(null);
 
@@ -22,6 +25,22 @@ export default function MarginChart() {
   const { t, i18n } = useTranslation();
   const chartInstanceKey = useMemo(() => `margin-chart-${i18n.language}`, [i18n.language]);
 
+  // Scopes present in the history: global first, then currencies by code
+  const scopeOptions = useMemo(() => {
+    const byId = new Map();
+    for (const m of allMargins) {
+      if (m.CurrencyId != null && !byId.has(m.CurrencyId)) byId.set(m.CurrencyId, m.CurrencyCode || `#${m.CurrencyId}`);
+    }
+    return [...byId.entries()]
+      .sort((a, b) => String(a[1]).localeCompare(String(b[1])))
+      .map(([id, code]) => ({ value: String(id), label: code }));
+  }, [allMargins]);
+
+  // Margins of the selected scope, everything below works on this list
+  const margins = useMemo(() => allMargins.filter(m => (
+    scope === 'global' ? m.CurrencyId == null : String(m.CurrencyId) === scope
+  )), [allMargins, scope]);
+
   const logDebug = useCallback((msg) => {
     const line = `${new Date().toISOString()} ${typeof msg === 'string' ? msg : JSON.stringify(msg)}`;
     console.debug(line);
@@ -42,7 +61,7 @@ export default function MarginChart() {
         const data = await res.json();
         if (cancelled) return;
         if (Array.isArray(data)) {
-          setMargins(data);
+          setAllMargins(data);
           setError('');
           return;
         }
@@ -89,6 +108,14 @@ export default function MarginChart() {
     const today = new Date();
     allDates.push(today);
 
+    // Pending open-ended margins: show a month of them so the scheduled step is visible
+    for (const m of margins) {
+      const startDt = parseDate(m.StartDate);
+      if (!m.EndDate && startDt && startDt > today) {
+        allDates.push(new Date(startDt.getFullYear(), startDt.getMonth(), startDt.getDate() + 30));
+      }
+    }
+
     if (allDates.length === 0) {
       fullTimelineRef.current = [];
       fullMinRef.current = null;
@@ -142,8 +169,8 @@ export default function MarginChart() {
       }
     }
 
-    // If no active margin, show the latest one
-    const sorted = [...margins].sort((a, b) => b.StartDate.localeCompare(a.StartDate));
+    // If no active margin, show the latest one that has already started (pending ones are shown separately)
+    const sorted = margins.filter(m => m.StartDate <= today).sort((a, b) => b.StartDate.localeCompare(a.StartDate));
     if (sorted.length > 0) {
       const m = sorted[0];
       const marginPct = Number(m.MarginValue) * 100;
@@ -158,6 +185,13 @@ export default function MarginChart() {
     }
   }, [margins]);
 
+  // Next scheduled (pending) margin of the selected scope
+  const nextPendingMargin = useMemo(() => {
+    const today = new Date().toISOString().split('T')[0];
+    const pending = margins.filter(m => m.StartDate > today).sort((a, b) => a.StartDate.localeCompare(b.StartDate));
+    return pending.length ? pending[0] : null;
+  }, [margins]);
+
   // -----------------------------------------------------------
   // buildSeriesFromMargins: construct margin series data for the chart
   // Uses step interpolation to show margin changes over time
@@ -252,6 +286,9 @@ export default function MarginChart() {
   // Highstock chart options
   // -----------------------------------------------------------
   const chartOptions = useMemo(() => {
+    const now = new Date();
+    const todayTs = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+
     return {
       chart: {
         backgroundColor: '#0b0f18',
@@ -361,7 +398,13 @@ export default function MarginChart() {
           },
           lineWidth: 2,
           step: 'left', // Step interpolation for margin changes
-          threshold: null
+          threshold: null,
+          // Everything after today comes from pending (scheduled) margins
+          zoneAxis: 'x',
+          zones: [
+            { value: todayTs + 24 * 60 * 60 * 1000 },
+            { color: '#f6c85f', dashStyle: 'ShortDash', fillColor: 'rgba(246, 200, 95, 0.08)' }
+          ]
         }
       ],
       credits: { enabled: false },
@@ -395,14 +438,19 @@ export default function MarginChart() {
 
   // Build timeline when margins load
   useEffect(() => {
-    if (margins && margins.length > 0) {
-      buildFullTimeline();
-    }
+    buildFullTimeline();
   }, [margins, buildFullTimeline]);
 
-  // Initial data population
+  // Initial data population (and on scope change)
   useEffect(() => {
-    if (!chartReady || !margins || margins.length === 0) return;
+    if (!chartReady || !margins) return;
+
+    // Scope without margins: clear the previous scope's line
+    if (margins.length === 0) {
+      const marginSeries = chartRef.current?.chart?.get('margin-series');
+      if (marginSeries) marginSeries.setData([], true);
+      return;
+    }
 
     buildSeriesFromMargins();
   }, [chartReady, margins, buildSeriesFromMargins]);
@@ -417,6 +465,13 @@ export default function MarginChart() {
       <div className="margin-chart-card">
         <div className="chart-header">
           <h3>{t('marginChart.title', { defaultValue: 'Margin History' })}</h3>
+          <select className="scope-select" value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="global">{t('marginChart.scopeGlobal')}</option>
+            {scopeOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <button className="create-btn" onClick={() => setShowSimulator(v => !v)}>
+            {showSimulator ? t('marginChart.hideSimulator') : t('marginChart.simulate')}
+          </button>
         </div>
 
         <div className="chart-area" style={{ minHeight: 420, position: 'relative' }}>
@@ -459,10 +514,24 @@ export default function MarginChart() {
               ) : ''}
             </div>
           </div>
+          {nextPendingMargin && (
+            <div className="margin-info-card pending">
+              <div className="label">{t('marginChart.scheduledMargin')}</div>
+              <div className="value">{`${(Number(nextPendingMargin.MarginValue) * 100).toFixed(2)}%`}</div>
+              <div className="date-range">
+                {t('marginChart.from', { defaultValue: 'From' })}: {new Date(nextPendingMargin.StartDate).toLocaleDateString()}
+                {nextPendingMargin.EndDate && (
+                  <> {t('marginChart.to', { defaultValue: 'to' })} {new Date(nextPendingMargin.EndDate).toLocaleDateString()}</>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {error && <div className="error">{error}</div>}
       </div>
+
+      {showSimulator && <MarginSimulator />}
     </div>
   );
 }
@@ -0,0 +1,373 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Highcharts from 'highcharts/highstock';
+import HighchartsReact from 'highcharts-react-official';
+import { useTranslation } from 'react-i18next';
+import DatePicker from 'react-datepicker';
+import { useRates } from '../../../contexts/RatesContext';
+import { buildSeriesPoints } from '../../../utils/chartSeries';
+import CreateMargin from './CreateMargin';
+import './MarginChart.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replay window used when the proposed margin has not started yet (pending margin)
+const PROXY_WINDOW_DAYS = 90;
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+const tsFromKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+const keyFromTs = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+/*
+*  Dates the proposal is replayed on
+* + Past part of the proposed range (StartDate .. min(EndDate, today))
+* + Pending proposals (StartDate after today) have no rates yet: the last 90 days act as a proxy
+*/
+const resolveWindow = (startDate, endDate, today) => {
+  if (startDate && startDate <= today) {
+    const end = endDate && endDate < today ? endDate : today;
+    return { from: startDate, to: end, proxy: false };
+  }
+  return { from: keyFromTs(tsFromKey(today) - PROXY_WINDOW_DAYS * DAY_MS), to: today, proxy: true };
+};
+
+const covers = (m, key) => m.StartDate <= key && (!m.EndDate || m.EndDate >= key);
+
+/*
+*  Copy a leg's rate map with the proposed margin applied
+* + Currency proposal: only the leg of that currency changes
+* + Global proposal: every leg changes, except dates where the leg has its own currency margin
+*   (currency margins win over the global one, as on the server)
+*/
+const applyProposal = (map, legCurrencyId, proposal, scopedMargins, window) => {
+  const out = new Map(map);
+  const appliesToLeg = proposal.currencyId
+    ? String(proposal.currencyId) === String(legCurrencyId)
+    : true;
+  if (!appliesToLeg) return out;
+
+  const own = scopedMargins.filter(m => String(m.CurrencyId) === String(legCurrencyId));
+  for (const [key, entry] of map) {
+    if (key < window.from || key > window.to) continue;
+    if (!proposal.currencyId && own.some(m => covers(m, key))) continue;
+    out.set(key, { ...entry, margin: proposal.margin });
+  }
+  return out;
+};
+
+// Average spread in % of the origin rate over points that have values
+const averageSpread = (buyPoints, sellPoints, originPoints) => {
+  let sum = 0;
+  let n = 0;
+  for (let i = 0; i < originPoints.length; i++) {
+    const o = originPoints[i][1];
+    const b = buyPoints[i][1];
+    const s = sellPoints[i][1];
+    if (o == null || b == null || s == null || o === 0) continue;
+    sum += ((b - s) / o) * 100;
+    n++;
+  }
+  return n ? sum / n : null;
+};
+
+// Revenue on client conversions (FROM paid, TO received at the sell rate): amountFrom * (origin - sell)
+const estimateRevenue = (days, sellPoints, originPoints) => {
+  const byTs = new Map(originPoints.map((p, i) => [p[0], { origin: p[1], sell: sellPoints[i][1] }]));
+  let total = 0;
+  for (const d of days) {
+    const point = byTs.get(tsFromKey(d.date));
+    if (!point || point.origin == null || point.sell == null) continue;
+    total += d.amountFrom * (point.origin - point.sell);
+  }
+  return total;
+};
+
+// MarginSimulator: what-if view for a proposed margin on one pair; nothing is saved until confirmed
+export default function MarginSimulator() {
+  const { t } = useTranslation();
+  const { ensureRates } = useRates();
+
+  const [currencies, setCurrencies] = useState([]);
+  const [history, setHistory] = useState([]);
+
+  // Proposal and pair
+  const [marginValue, setMarginValue] = useState('');
+  const [currencyId, setCurrencyId] = useState(''); // '' = global
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+
+  // Currencies and existing margins (for currency margins that override a global proposal)
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const [curRes, histRes] = await Promise.all([
+          fetch('/api/currencies'),
+          fetch('/api/margins/history', { credentials: 'include' })
+        ]);
+        const curData = curRes.ok ? await curRes.json() : [];
+        const histData = histRes.ok ? await histRes.json() : [];
+        if (cancelled) return;
+        const sorted = (Array.isArray(curData) ? curData : [])
+          .sort((a, b) => String(a.CurrencyCode).localeCompare(String(b.CurrencyCode)));
+        setCurrencies(sorted);
+        setHistory(Array.isArray(histData) ? histData : []);
+      } catch {
+        if (!cancelled) setError(t('marginSimulator.errorLoad'));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [t]);
+
+  const codeOf = (id) => (currencies.find(c => String(c.Id) === String(id))?.CurrencyCode || '').toUpperCase();
+
+  const runSimulation = async () => {
+    setError('');
+    setResult(null);
+
+    const normalized = (marginValue || '').replace(/,/g, '.');
+    const pct = parseFloat(normalized);
+    if (!normalized || Number.isNaN(pct) || pct < 0 || pct > 100) {
+      setError(t('marginSimulator.errorMargin'));
+      return;
+    }
+    if (!startDate) {
+      setError(t('marginSimulator.errorStartDate'));
+      return;
+    }
+    if (endDate && endDate < startDate) {
+      setError(t('createMargin.errorEndBeforeStart'));
+      return;
+    }
+    if (!fromId || !toId || fromId === toId) {
+      setError(t('marginSimulator.errorPair'));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const today = todayKey();
+      const window = resolveWindow(startDate, endDate || null, today);
+      const fromCode = codeOf(fromId);
+      const toCode = codeOf(toId);
+      const isFromEUR = fromCode === 'EUR';
+      const isToEUR = toCode === 'EUR';
+
+      const [fromEntry, toEntry] = await Promise.all([
+        isFromEUR ? { map: new Map() } : ensureRates(fromId),
+        isToEUR ? { map: new Map() } : ensureRates(toId)
+      ]);
+
+      // Daily timeline over the window (LOCF in buildSeriesPoints fills weekends)
+      const rangeStart = tsFromKey(window.from);
+      const rangeEnd = tsFromKey(window.to);
+      const timeline = [];
+      for (let ts = rangeStart; ts <= rangeEnd; ts += DAY_MS) timeline.push(ts);
+
+      const proposal = { margin: pct / 100, currencyId: currencyId || null };
+      const scopedMargins = history.filter(m => m.CurrencyId != null);
+
+      const current = buildSeriesPoints({
+        mapFrom: fromEntry.map, mapTo: toEntry.map, timeline, isFromEUR, isToEUR, rangeStart, rangeEnd
+      });
+      const simulated = buildSeriesPoints({
+        mapFrom: isFromEUR ? fromEntry.map : applyProposal(fromEntry.map, fromId, proposal, scopedMargins, window),
+        mapTo: isToEUR ? toEntry.map : applyProposal(toEntry.map, toId, proposal, scopedMargins, window),
+        timeline, isFromEUR, isToEUR, rangeStart, rangeEnd
+      });
+
+      // Past paid conversions on this pair (optional: the chart still works without it)
+      let volume = null;
+      const volRes = await fetch(`/api/payments/volume?from=${fromCode}&to=${toCode}&dateFrom=${window.from}&dateTo=${window.to}`, { credentials: 'include' });
+      if (volRes.ok) volume = await volRes.json();
+
+      setResult({
+        window,
+        fromCode,
+        toCode,
+        current,
+        simulated,
+        spreadCurrent: averageSpread(current.buyPoints, current.sellPoints, current.originPoints),
+        spreadSimulated: averageSpread(simulated.buyPoints, simulated.sellPoints, simulated.originPoints),
+        volume,
+        revenueCurrent: volume ? estimateRevenue(volume.days, current.sellPoints, current.originPoints) : null,
+        revenueSimulated: volume ? estimateRevenue(volume.days, simulated.sellPoints, simulated.originPoints) : null
+      });
+    } catch (err) {
+      setError(err.message || t('marginSimulator.errorLoad'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chartOptions = useMemo(() => ({
+    chart: { backgroundColor: '#0b0f18', height: 360 },
+    title: { text: null },
+    rangeSelector: { enabled: false },
+    navigator: { enabled: false },
+    scrollbar: { enabled: false },
+    legend: { enabled: true },
+    tooltip: { shared: true, split: false, valueDecimals: 6 },
+    xAxis: { ordinal: false },
+    yAxis: { opposite: false },
+    plotOptions: { series: { dataGrouping: { enabled: false }, marker: { enabled: false } } },
+    series: result ? [
+      { name: t('marginSimulator.seriesBuy'), data: result.current.buyPoints, color: '#3b82f6' },
+      { name: t('marginSimulator.seriesSell'), data: result.current.sellPoints, color: '#0ea5e9' },
+      { name: t('marginSimulator.seriesBuySimulated'), data: result.simulated.buyPoints, color: '#f6c85f', dashStyle: 'ShortDash' },
+      { name: t('marginSimulator.seriesSellSimulated'), data: result.simulated.sellPoints, color: '#f59e0b', dashStyle: 'ShortDash' }
+    ] : [],
+    credits: { enabled: false },
+    time: { useUTC: true }
+  }), [result, t]);
+
+  // Stable prefill for the confirm dialog (it re-applies whenever this object changes)
+  const initialValues = useMemo(
+    () => ({ marginValue, startDate, endDate, currencyId }),
+    [marginValue, startDate, endDate, currencyId]
+  );
+
+  const fmtPct = (v) => (v == null ? '—' : `${v.toFixed(3)}%`);
+  const fmtAmount = (v) => (v == null ? '—' : v.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+
+  return (
+    <div className="margin-chart-card simulator-card">
+      <div className="chart-header">
+        <h3>{t('marginSimulator.title')}</h3>
+      </div>
+      <div className="chart-sub">{t('marginSimulator.hint')}</div>
+
+      <div className="simulator-form">
+        <label>
+          <span>{t('createMargin.marginLabel')}</span>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={marginValue}
+            onChange={(e) => setMarginValue(e.target.value)}
+            placeholder={t('createMargin.marginPlaceholder')}
+          />
+        </label>
+        <label>
+          <span>{t('createMargin.scopeLabel')}</span>
+          <select value={currencyId} onChange={(e) => setCurrencyId(e.target.value)}>
+            <option value="">{t('createMargin.scopeGlobal')}</option>
+            {currencies.filter(c => String(c.CurrencyCode).toUpperCase() !== 'EUR').map(c => (
+              <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>{t('createMargin.startDateLabel')}</span>
+          <DatePicker
+            selected={startDate ? new Date(startDate) : null}
+            onChange={(d) => setStartDate(d ? d.toISOString().slice(0, 10) : '')}
+            dateFormat="yyyy-MM-dd"
+            locale="en-GB"
+            className="date-picker-input"
+          />
+        </label>
+        <label>
+          <span>{t('createMargin.endDateLabel')}</span>
+          <DatePicker
+            selected={endDate ? new Date(endDate) : null}
+            onChange={(d) => setEndDate(d ? d.toISOString().slice(0, 10) : '')}
+            dateFormat="yyyy-MM-dd"
+            locale="en-GB"
+            className="date-picker-input"
+          />
+        </label>
+        <label>
+          <span>{t('marginSimulator.from')}</span>
+          <select value={fromId} onChange={(e) => setFromId(e.target.value)}>
+            <option value="">—</option>
+            {currencies.map(c => <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>)}
+          </select>
+        </label>
+        <label>
+          <span>{t('marginSimulator.to')}</span>
+          <select value={toId} onChange={(e) => setToId(e.target.value)}>
+            <option value="">—</option>
+            {currencies.map(c => <option key={c.Id} value={c.Id}>{c.CurrencyCode}</option>)}
+          </select>
+        </label>
+        <button className="create-btn" onClick={runSimulation} disabled={loading}>
+          {loading ? t('marginSimulator.running') : t('marginSimulator.run')}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {result && (
+        <>
+          {result.window.proxy && (
+            <div className="chart-sub">{t('marginSimulator.proxyWindow', { days: PROXY_WINDOW_DAYS })}</div>
+          )}
+
+          <div className="chart-area" style={{ position: 'relative' }}>
+            <HighchartsReact highcharts={Highcharts} constructorType={'stockChart'} options={chartOptions} />
+          </div>
+
+          <div className="latest-margin-info">
+            <div className="margin-info-card">
+              <div className="label">{t('marginSimulator.spreadCurrent')}</div>
+              <div className="value">{fmtPct(result.spreadCurrent)}</div>
+              <div className="date-range">{result.window.from} – {result.window.to}</div>
+            </div>
+            <div className="margin-info-card pending">
+              <div className="label">{t('marginSimulator.spreadSimulated')}</div>
+              <div className="value">{fmtPct(result.spreadSimulated)}</div>
+              <div className="date-range">{result.fromCode}/{result.toCode}</div>
+            </div>
+            <div className="margin-info-card pending">
+              <div className="label">{t('marginSimulator.revenueImpact')}</div>
+              {result.volume ? (
+                <>
+                  <div className="value">
+                    {`${result.revenueSimulated - result.revenueCurrent >= 0 ? '+' : ''}${fmtAmount(result.revenueSimulated - result.revenueCurrent)} ${result.toCode}`}
+                  </div>
+                  <div className="date-range">
+                    {t('marginSimulator.revenueBasis', {
+                      count: result.volume.totals.count,
+                      amount: fmtAmount(result.volume.totals.amountFrom),
+                      code: result.fromCode,
+                      current: fmtAmount(result.revenueCurrent),
+                      simulated: fmtAmount(result.revenueSimulated),
+                      toCode: result.toCode
+                    })}
+                  </div>
+                </>
+              ) : (
+                <div className="date-range">{t('marginSimulator.volumeUnavailable')}</div>
+              )}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 12 }}>
+            <button className="create-btn" onClick={() => setIsConfirmOpen(true)}>
+              {t('marginSimulator.createFromSimulation')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Nothing is saved until the margin is created through the normal (conflict-checked) dialog */}
+      <CreateMargin
+        isOpen={isConfirmOpen}
+        onClose={() => setIsConfirmOpen(false)}
+        initialValues={initialValues}
+      />
+    </div>
+  );
+}
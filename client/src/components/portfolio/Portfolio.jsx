@@ -0,0 +1,388 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Highcharts from 'highcharts/highstock';
+import HighchartsReact from 'highcharts-react-official';
+import DatePicker from 'react-datepicker';
+import 'react-datepicker/dist/react-datepicker.css';
+
+import Header from '../Header';
+import ExportTable from '../currencies_management/subsections/ExportTable';
+import { useRates } from '../../contexts/RatesContext';
+import { calculatePairRates } from '../../utils/currencyCalculations';
+import { buildSeriesPoints, buildTimeline } from '../../utils/chartSeries';
+import { dateKeyFromDate } from '../../utils/date';
+
+import '../common/DatePickerDark.css';
+import '../common/TableStyles.css';
+import '../currencies_management/CurrencyRatesTable.css';
+import '../admin_management/AdminManagement.css';
+import './Portfolio.css';
+
+const SIDES = ['origin', 'sell', 'buy']; // Rate used to value the holdings
+const EUR_ENTRY = { rate: 1, margin: 0 };
+
+const formatMoney = (v, code) => (Number.isFinite(v) ? `${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${code}` : '—');
+
+/*
+*  Portfolio: the user's currency balances (stored in PortfolioHoldings) valued in a base currency
+* + Valuation on a date uses getRateForDate per leg (closest rate on or before the date), EUR legs are 1
+* + The value-over-time chart builds each holding's pair series with buildSeriesPoints (LOCF) and sums them;
+*   a day is empty until every holding has a rate
+* + The valuation table can be exported with ExportTable
+*/
+export default function Portfolio() {
+  const { t } = useTranslation();
+  const { ensureRates, getRateForDate } = useRates();
+
+  const [currencies, setCurrencies] = useState([]);
+  const [holdings, setHoldings] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after every change
+  const [baseCode, setBaseCode] = useState('EUR');
+  const [side, setSide] = useState('origin');
+  const [date, setDate] = useState(() => { const d = new Date(); d.setHours(0, 0, 0, 0); return d; });
+  const [form, setForm] = useState({ currencyCode: '', amount: '' });
+  const [editing, setEditing] = useState(null); // { currencyCode, amount } while a row is edited
+  const [valuation, setValuation] = useState([]); // [{ code, amount, rate, usedKey, value }]
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Currency list, EUR is always available as the base of the ECB rates
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/currencies', { signal: controller.signal });
+        if (!res.ok) throw new Error(t('portfolio.errorLoadCurrencies'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setCurrencies(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (!controller.signal.aborted) setError(err.message || t('portfolio.errorLoadCurrencies'));
+      }
+    })();
+    return () => controller.abort();
+  }, [t]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const res = await fetch('/api/portfolio', { credentials: 'include', signal: controller.signal });
+        if (!res.ok) throw new Error(t('portfolio.errorLoad'));
+        const data = await res.json();
+        if (controller.signal.aborted) return;
+        setHoldings(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (!controller.signal.aborted) setError(err.message || t('portfolio.errorLoad'));
+      }
+    })();
+    return () => controller.abort();
+  }, [t, reloadKey]);
+
+  const codes = useMemo(() => {
+    const list = currencies.map(c => String(c.CurrencyCode).toUpperCase());
+    if (!list.includes('EUR')) list.push('EUR');
+    return list.sort();
+  }, [currencies]);
+
+  const idByCode = useMemo(
+    () => new Map(currencies.map(c => [String(c.CurrencyCode).toUpperCase(), c.Id])),
+    [currencies]
+  );
+
+  // Valuation on the chosen date
+  useEffect(() => {
+    let cancelled = false;
+    if (!holdings.length || !currencies.length) { setValuation([]); return; }
+
+    (async () => {
+      setLoading(true);
+      try {
+        const key = dateKeyFromDate(date);
+        const legFor = async (code) => {
+          if (code === 'EUR') return { rate: EUR_ENTRY, usedKey: key };
+          const id = idByCode.get(code);
+          return id ? getRateForDate(id, key) : null;
+        };
+        const baseLeg = await legFor(baseCode);
+
+        const rows = [];
+        for (const h of holdings) {
+          const amount = Number(h.Amount);
+          if (h.CurrencyCode === baseCode) {
+            rows.push({ code: h.CurrencyCode, amount, rate: 1, usedKey: key, value: amount });
+            continue;
+          }
+          const leg = await legFor(h.CurrencyCode);
+          if (!leg || !baseLeg) {
+            rows.push({ code: h.CurrencyCode, amount, rate: null, usedKey: null, value: null });
+            continue;
+          }
+          const rates = calculatePairRates(baseLeg.rate.rate, leg.rate.rate, baseLeg.rate.margin || 0, leg.rate.margin || 0);
+          const rate = rates[side];
+          const usedKey = leg.usedKey < baseLeg.usedKey ? leg.usedKey : baseLeg.usedKey; // Older of the two legs
+          rows.push({ code: h.CurrencyCode, amount, rate, usedKey, value: Number.isFinite(rate) ? amount * rate : null });
+        }
+        if (!cancelled) setValuation(rows);
+      } catch {
+        if (!cancelled) setError(t('portfolio.errorValue'));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [holdings, currencies, idByCode, baseCode, side, date, getRateForDate, t]);
+
+  // Basket value over time
+  useEffect(() => {
+    let cancelled = false;
+    if (!holdings.length || !currencies.length) { setSeries([]); return; }
+
+    (async () => {
+      try {
+        const needed = [...new Set([baseCode, ...holdings.map(h => h.CurrencyCode)])].filter(c => c !== 'EUR' && idByCode.has(c));
+        const cached = await Promise.all(needed.map(c => ensureRates(idByCode.get(c))));
+        if (cancelled) return;
+        const mapByCode = new Map(needed.map((c, i) => [c, (cached[i] && cached[i].map) || new Map()]));
+        const mapOf = (code) => mapByCode.get(code) || new Map();
+
+        const timeline = buildTimeline(mapByCode.values());
+        if (!timeline.length) { setSeries([]); return; }
+
+        const totals = timeline.map(() => 0);
+        for (const h of holdings) {
+          const amount = Number(h.Amount);
+          if (h.CurrencyCode === baseCode) {
+            for (let i = 0; i < totals.length; i++) if (totals[i] !== null) totals[i] += amount;
+            continue;
+          }
+          const points = buildSeriesPoints({
+            mapFrom: mapOf(h.CurrencyCode),
+            mapTo: mapOf(baseCode),
+            timeline,
+            isFromEUR: h.CurrencyCode === 'EUR',
+            isToEUR: baseCode === 'EUR',
+            rangeStart: timeline[0],
+            rangeEnd: timeline[timeline.length - 1]
+          });
+          const sidePoints = side === 'buy' ? points.buyPoints : (side === 'sell' ? points.sellPoints : points.originPoints);
+          sidePoints.forEach(([, v], i) => {
+            if (totals[i] === null) return;
+            totals[i] = Number.isFinite(v) ? totals[i] + amount * v : null;
+          });
+        }
+        setSeries(timeline.map((ts, i) => [ts, totals[i]]));
+      } catch {
+        if (!cancelled) setError(t('portfolio.errorValue'));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [holdings, currencies, idByCode, baseCode, side, ensureRates, t]);
+
+  const total = valuation.length && valuation.every(r => Number.isFinite(r.value))
+    ? valuation.reduce((acc, r) => acc + r.value, 0)
+    : null;
+
+  // Send a change and reload the holdings; errors are shown above the table
+  const send = async (url, options) => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await fetch(url, { credentials: 'include', headers: { 'Content-Type': 'application/json' }, ...options });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data && data.error ? data.error : t('portfolio.errorSave'));
+      setReloadKey(k => k + 1);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onAdd = async (e) => {
+    e.preventDefault();
+    if (!form.currencyCode || !form.amount) return;
+    const ok = await send(`/api/portfolio/${form.currencyCode}`, { method: 'PUT', body: JSON.stringify({ amount: form.amount }) });
+    if (ok) setForm({ currencyCode: '', amount: '' });
+  };
+
+  const onSaveEdit = async () => {
+    if (!editing) return;
+    const ok = await send(`/api/portfolio/${editing.currencyCode}`, { method: 'PUT', body: JSON.stringify({ amount: editing.amount }) });
+    if (ok) setEditing(null);
+  };
+
+  const onDelete = (code) => send(`/api/portfolio/${code}`, { method: 'DELETE' });
+
+  const headers = [
+    t('portfolio.headerCurrency'),
+    t('portfolio.headerAmount'),
+    t('portfolio.headerRate', { base: baseCode }),
+    t('portfolio.headerRateDate'),
+    t('portfolio.headerValue', { base: baseCode }),
+    t('portfolio.headerShare')
+  ];
+
+  const exportRows = useMemo(() => valuation.map(r => [
+    r.code,
+    r.amount,
+    Number.isFinite(r.rate) ? Number(r.rate.toFixed(6)) : '',
+    r.usedKey || '',
+    Number.isFinite(r.value) ? Number(r.value.toFixed(2)) : '',
+    Number.isFinite(r.value) && total ? Number(((r.value / total) * 100).toFixed(2)) : ''
+  ]), [valuation, total]);
+
+  const chartOptions = useMemo(() => ({
+    chart: { backgroundColor: '#0b0f18', style: { fontFamily: 'Inter, system-ui, -apple-system, sans-serif' } },
+    rangeSelector: {
+      selected: 1,
+      inputEnabled: false,
+      buttons: [
+        { type: 'month', count: 1, text: '1M' },
+        { type: 'year', count: 1, text: '1Y' },
+        { type: 'year', count: 5, text: '5Y' },
+        { type: 'all', text: t('home.rangeAll') }
+      ]
+    },
+    navigator: { enabled: true, height: 30 },
+    scrollbar: { enabled: false },
+    tooltip: { valueDecimals: 2, valueSuffix: ` ${baseCode}` },
+    xAxis: { ordinal: false },
+    yAxis: { opposite: false, gridLineColor: '#1e293b', gridLineDashStyle: 'Dash', labels: { style: { color: '#64748b' } } },
+    plotOptions: { series: { dataGrouping: { enabled: true, approximation: 'average', groupPixelWidth: 15 } } },
+    series: [{
+      id: 'portfolio-value',
+      name: t('portfolio.seriesValue', { base: baseCode }),
+      type: 'areaspline',
+      data: series,
+      color: '#3b82f6',
+      fillColor: {
+        linearGradient: { x1: 0, y1: 0, x2: 0, y2: 1 },
+        stops: [[0, 'rgba(59, 130, 246, 0.4)'], [1, 'rgba(59, 130, 246, 0.02)']]
+      },
+      threshold: null
+    }],
+    credits: { enabled: false },
+    time: { useUTC: true }
+  }), [series, baseCode, t]);
+
+  return (
+    <div className="home-container">
+      <Header />
+
+      <main className="main-card wide">
+        <section className="controls portfolio-controls">
+          <div className="headline">{t('portfolio.title')}</div>
+          <label>
+            {t('portfolio.base')}
+            <select value={baseCode} onChange={(e) => setBaseCode(e.target.value)}>
+              {codes.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          <label>
+            {t('portfolio.rate')}
+            <select value={side} onChange={(e) => setSide(e.target.value)}>
+              {SIDES.map(s => <option key={s} value={s}>{t(`portfolio.side.${s}`)}</option>)}
+            </select>
+          </label>
+          <label>
+            {t('portfolio.date')}
+            <DatePicker
+              selected={date}
+              onChange={(d) => { if (d) { d.setHours(0, 0, 0, 0); setDate(d); } }}
+              dateFormat="yyyy-MM-dd"
+              maxDate={new Date()}
+            />
+          </label>
+        </section>
+
+        <form className="portfolio-add" onSubmit={onAdd}>
+          <select value={form.currencyCode} onChange={(e) => setForm(f => ({ ...f, currencyCode: e.target.value }))}>
+            <option value="">{t('portfolio.chooseCurrency')}</option>
+            {codes.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={form.amount}
+            onChange={(e) => setForm(f => ({ ...f, amount: e.target.value }))}
+            placeholder={t('portfolio.amountPlaceholder')}
+          />
+          <button type="submit" className="action-btn" disabled={saving || !form.currencyCode || !form.amount}>{t('portfolio.save')}</button>
+          <span className="muted">{t('portfolio.addHint')}</span>
+        </form>
+
+        {error && <div className="error">{error}</div>}
+
+        <div className="portfolio-total">
+          <span className="muted">{t('portfolio.total', { date: dateKeyFromDate(date) })}</span>
+          <strong>{loading ? t('home.loading') : formatMoney(total, baseCode)}</strong>
+        </div>
+
+        <div className="table-wrapper table-surface">
+          <table className="curr-table">
+            <thead>
+              <tr>
+                {headers.map(h => <th key={h}>{h}</th>)}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {valuation.length === 0 ? (
+                <tr><td colSpan={headers.length + 1} className="no-data-cell">{t('portfolio.empty')}</td></tr>
+              ) : valuation.map(r => (
+                <tr key={r.code}>
+                  <td>{r.code}</td>
+                  <td>
+                    {editing && editing.currencyCode === r.code ? (
+                      <input
+                        className="portfolio-edit"
+                        type="text"
+                        inputMode="decimal"
+                        value={editing.amount}
+                        onChange={(e) => setEditing(ed => ({ ...ed, amount: e.target.value }))}
+                        autoFocus
+                      />
+                    ) : r.amount.toLocaleString(undefined, { maximumFractionDigits: 4 })}
+                  </td>
+                  <td>{Number.isFinite(r.rate) ? r.rate.toFixed(6) : t('portfolio.noRate')}</td>
+                  <td>{r.usedKey || '—'}</td>
+                  <td>{formatMoney(r.value, baseCode)}</td>
+                  <td>{Number.isFinite(r.value) && total ? `${((r.value / total) * 100).toFixed(2)}%` : '—'}</td>
+                  <td className="portfolio-actions">
+                    {editing && editing.currencyCode === r.code ? (
+                      <>
+                        <button type="button" className="action-btn" onClick={onSaveEdit} disabled={saving}>{t('portfolio.save')}</button>
+                        <button type="button" className="action-btn ghost" onClick={() => setEditing(null)}>{t('portfolio.cancel')}</button>
+                      </>
+                    ) : (
+                      <>
+                        <button type="button" className="action-btn ghost" onClick={() => setEditing({ currencyCode: r.code, amount: String(r.amount) })}>{t('portfolio.edit')}</button>
+                        <button type="button" className="action-btn ghost" onClick={() => onDelete(r.code)} disabled={saving}>{t('portfolio.remove')}</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <ExportTable rows={exportRows} headers={headers} filename={`portfolio_${baseCode}_${dateKeyFromDate(date)}`} />
+
+        {series.length > 0 && (
+          <section className="chart-card portfolio-chart">
+            <div className="chart-header">
+              <h3>{t('portfolio.chartTitle', { base: baseCode })}</h3>
+            </div>
+            <HighchartsReact highcharts={Highcharts} constructorType={'stockChart'} options={chartOptions} />
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
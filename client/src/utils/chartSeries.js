@@ -20,6 +20,29 @@ export function buildOriginPoint(ts, aa, bb) {
   return [ts, rates.origin];
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily UTC timestamps from the earliest to the latest YYYY-MM-DD key found in any of the maps,
+// the 'timeline' buildSeriesPoints expects
+export function buildTimeline(maps) {
+  let min = null;
+  let max = null;
+  for (const map of maps) {
+    for (const key of map.keys()) {
+      if (min === null || key < min) min = key;
+      if (max === null || key > max) max = key;
+    }
+  }
+  if (!min || !max) return [];
+  const toUTC = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  const timeline = [];
+  for (let ts = toUTC(min); ts <= toUTC(max); ts += DAY_MS) timeline.push(ts);
+  return timeline;
+}
+
 /*
 *  Build all three series, preserving LOCF & EUR-fallback semantics
 * + LOCF: when a value for a given date is missing in the
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { buildSeriesPoints, buildTimeline } from './chartSeries';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('buildTimeline', () => {
+  it('covers every calendar day between the earliest and latest key of all maps', () => {
+    const a = new Map([['2024-02-28', {}], ['2024-03-01', {}]]);
+    const b = new Map([['2024-02-27', {}]]);
+
+    const timeline = buildTimeline([a, b]);
+    expect(timeline).toHaveLength(4); // leap day included
+    expect(timeline[0]).toBe(Date.UTC(2024, 1, 27));
+    expect(timeline.every((ts, i) => i === 0 || ts - timeline[i - 1] === DAY_MS)).toBe(true);
+  });
+
+  it('is empty without any keys', () => {
+    expect(buildTimeline([new Map(), new Map()])).toEqual([]);
+    expect(buildTimeline([])).toEqual([]);
+  });
+});
+
+describe('buildSeriesPoints on a built timeline', () => {
+  it('carries the last observation over the weekend and uses 1 for EUR', () => {
+    const mapTo = new Map([['2024-01-05', { rate: 1.1, margin: 0 }], ['2024-01-08', { rate: 1.2, margin: 0 }]]);
+    const timeline = buildTimeline([mapTo]);
+
+    const { originPoints } = buildSeriesPoints({
+      mapTo,
+      timeline,
+      isFromEUR: true,
+      rangeStart: timeline[0],
+      rangeEnd: timeline[timeline.length - 1]
+    });
+    expect(originPoints.map(([, v]) => v)).toEqual([1.1, 1.1, 1.1, 1.2]);
+  });
+});
@@ -28,7 +28,8 @@ export function calculatePairRates(baseTo, baseFrom, marginTo, marginFrom) {
   // Calculate origin rate (without margin)
   const origin = baseTo / baseFrom; // If baseFrom is from EUR then it will be 1
 
-  // If margins are equal (NOW it is the only one case), use optimized formula
+  // If margins are equal (both legs under the same margin), use optimized formula
+  // Legs can differ when a currency has its own margin (Margins.CurrencyId)
   if (mTo === mFrom) {
     const halfMargin = mTo / 2;
     const multiplier = (1 + halfMargin) / (1 - halfMargin);
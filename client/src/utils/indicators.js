@@ -0,0 +1,140 @@
+// Technical indicators over chart series (arrays of [timestampUTC, value|null] from buildSeriesPoints)
+// Every function returns points aligned 1:1 with its input. A point stays 'null' until the
+// window behind it holds 'period' non-null values, and a 'null' input (no data yet) restarts the warm-up
+
+export const INDICATOR_DEFAULTS = {
+  sma: { period: 20 },
+  ema: { period: 20 },
+  bollinger: { period: 20, multiplier: 2 },
+  volatility: { period: 30, daysPerYear: 365 }, // Series are daily calendar points (LOCF over weekends)
+  rsi: { period: 14 },
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Simple moving average of the last 'period' values
+export function sma(points, period = INDICATOR_DEFAULTS.sma.period) {
+  const out = [];
+  let sum = 0;
+  let run = 0; // Consecutive non-null values ending at i
+  for (let i = 0; i < points.length; i++) {
+    const [ts, v] = points[i];
+    if (!isNum(v)) { run = 0; sum = 0; out.push([ts, null]); continue; }
+    sum += v;
+    run++;
+    if (run > period) sum -= points[i - period][1];
+    out.push([ts, run >= period ? sum / period : null]);
+  }
+  return out;
+}
+
+// Exponential moving average (alpha = 2 / (period + 1)), seeded with the SMA of the first 'period' values
+export function ema(points, period = INDICATOR_DEFAULTS.ema.period) {
+  const alpha = 2 / (period + 1);
+  const out = [];
+  let prev = null;
+  let seed = 0;
+  let run = 0;
+  for (const [ts, v] of points) {
+    if (!isNum(v)) { prev = null; seed = 0; run = 0; out.push([ts, null]); continue; }
+    run++;
+    if (prev === null) {
+      seed += v;
+      if (run === period) prev = seed / period;
+      out.push([ts, prev]);
+      continue;
+    }
+    prev = alpha * v + (1 - alpha) * prev;
+    out.push([ts, prev]);
+  }
+  return out;
+}
+
+/*
+*  Bollinger bands: SMA(period) +/- multiplier * population standard deviation over the same window
+* + Returns { middle: [ts, value], band: [ts, lower, upper] } (band is the Highcharts 'arearange' shape)
+*/
+export function bollinger(points, period = INDICATOR_DEFAULTS.bollinger.period, multiplier = INDICATOR_DEFAULTS.bollinger.multiplier) {
+  const middle = sma(points, period);
+  const band = middle.map(([ts, mean], i) => {
+    if (mean === null) return [ts, null, null];
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (points[j][1] - mean) ** 2;
+    const sd = Math.sqrt(sq / period);
+    return [ts, mean - multiplier * sd, mean + multiplier * sd];
+  });
+  return { middle, band };
+}
+
+/*
+*  Rolling annualised volatility in percent
+* + Sample standard deviation of daily log returns over 'period' returns, scaled by sqrt(daysPerYear)
+* + Needs period + 1 values (period returns) before the first point
+*/
+export function rollingVolatility(points, period = INDICATOR_DEFAULTS.volatility.period, daysPerYear = INDICATOR_DEFAULTS.volatility.daysPerYear) {
+  const returns = points.map(([ts, v], i) => {
+    const prev = i > 0 ? points[i - 1][1] : null;
+    return [ts, isNum(v) && isNum(prev) && v > 0 && prev > 0 ? Math.log(v / prev) : null];
+  });
+  const mean = sma(returns, period);
+  return mean.map(([ts, m], i) => {
+    if (m === null || period < 2) return [ts, null];
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (returns[j][1] - m) ** 2;
+    return [ts, Math.sqrt(sq / (period - 1)) * Math.sqrt(daysPerYear) * 100];
+  });
+}
+
+/*
+*  Relative strength index (0..100) with Wilder's smoothing
+* + First average gain/loss is the plain mean of the first 'period' changes, then
+*   avg = (prevAvg * (period - 1) + current) / period
+* + No losses in the window gives 100, a flat window gives 50
+*/
+export function rsi(points, period = INDICATOR_DEFAULTS.rsi.period) {
+  const out = [];
+  let avgGain = null;
+  let avgLoss = null;
+  let gainSum = 0;
+  let lossSum = 0;
+  let run = 0; // Consecutive changes available
+  for (let i = 0; i < points.length; i++) {
+    const [ts, v] = points[i];
+    const prev = i > 0 ? points[i - 1][1] : null;
+    if (!isNum(v) || !isNum(prev)) {
+      avgGain = null; avgLoss = null; gainSum = 0; lossSum = 0; run = 0;
+      out.push([ts, null]);
+      continue;
+    }
+    const change = v - prev;
+    const gain = change > 0 ? change : 0;
+    const loss = change < 0 ? -change : 0;
+    run++;
+
+    if (avgGain === null) {
+      gainSum += gain;
+      lossSum += loss;
+      if (run < period) { out.push([ts, null]); continue; }
+      avgGain = gainSum / period;
+      avgLoss = lossSum / period;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+
+    if (avgLoss === 0) out.push([ts, avgGain === 0 ? 50 : 100]);
+    else out.push([ts, 100 - 100 / (1 + avgGain / avgLoss)]);
+  }
+  return out;
+}
+
+// Longest warm-up (in points) any indicator needs, used to extend the computed range before the visible window
+export function indicatorWarmup() {
+  const d = INDICATOR_DEFAULTS;
+  return Math.max(d.sma.period, d.ema.period * 3, d.bollinger.period, d.volatility.period + 1, d.rsi.period * 3);
+}
+
+// Null out points outside [rangeStart, rangeEnd] (keeps the array aligned with the chart timeline)
+export function clipToRange(points, rangeStart, rangeEnd) {
+  return points.map((p) => (p[0] >= rangeStart && p[0] <= rangeEnd ? p : [p[0], ...p.slice(1).map(() => null)]));
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { bollinger, ema, rollingVolatility, rsi, sma } from './indicators';
+
+// Chart points [timestamp, value] one day apart
+const DAY_MS = 24 * 60 * 60 * 1000;
+const series = (values) => values.map((v, i) => [i * DAY_MS, v]);
+const valuesOf = (points) => points.map((p) => p[1]);
+
+// Compare with a tolerance, keeping nulls exact
+const expectValues = (actual, expected, digits = 6) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((v, i) => {
+    if (expected[i] === null) expect(v, `index ${i}`).toBeNull();
+    else expect(v, `index ${i}`).toBeCloseTo(expected[i], digits);
+  });
+};
+
+describe('sma', () => {
+  it('averages the last period values once the window is full', () => {
+    expectValues(valuesOf(sma(series([1, 2, 3, 4, 5]), 3)), [null, null, 2, 3, 4]);
+  });
+
+  it('keeps the input timestamps', () => {
+    const points = series([1, 2, 3]);
+    expect(sma(points, 2).map((p) => p[0])).toEqual(points.map((p) => p[0]));
+  });
+
+  it('restarts the warm-up after a null', () => {
+    expectValues(valuesOf(sma(series([1, 2, 3, null, 4, 5, 6]), 2)), [null, 1.5, 2.5, null, null, 4.5, 5.5]);
+  });
+});
+
+describe('ema', () => {
+  it('is seeded with the SMA of the first period values, then smoothed with alpha = 2 / (period + 1)', () => {
+    // alpha = 0.5: seed (2 + 4 + 6) / 3 = 4, then 0.5 * 8 + 0.5 * 4 = 6, then 0.5 * 12 + 0.5 * 6 = 9
+    expectValues(valuesOf(ema(series([2, 4, 6, 8, 12]), 3)), [null, null, 4, 6, 9]);
+  });
+
+  it('restarts the warm-up after a null', () => {
+    expectValues(valuesOf(ema(series([2, 4, null, 6, 8, 12]), 2)), [null, 3, null, null, 7, 10.333333]);
+  });
+});
+
+describe('bollinger', () => {
+  it('is the SMA +/- multiplier population standard deviations', () => {
+    const { middle, band } = bollinger(series([2, 4, 6, 8]), 3, 2);
+    const sd = Math.sqrt(8 / 3);
+
+    expectValues(valuesOf(middle), [null, null, 4, 6]);
+    expect(band[0]).toEqual([0, null, null]);
+    expect(band[1]).toEqual([DAY_MS, null, null]);
+    expect(band[2][1]).toBeCloseTo(4 - 2 * sd, 9);
+    expect(band[2][2]).toBeCloseTo(4 + 2 * sd, 9);
+    expect(band[3][1]).toBeCloseTo(6 - 2 * sd, 9);
+  });
+
+  it('collapses onto the middle line for a flat series', () => {
+    const { band } = bollinger(series([5, 5, 5]), 3, 2);
+    expect(band[2]).toEqual([2 * DAY_MS, 5, 5]);
+  });
+});
+
+describe('rollingVolatility', () => {
+  it('is the sample standard deviation of log returns, annualised, in percent', () => {
+    // Returns ln(1.1), ln(0.9), ln(1.1): each pair has sd |ln(1.1) - ln(0.9)| / sqrt(2)
+    const expected = (Math.abs(Math.log(1.1) - Math.log(0.9)) / Math.SQRT2) * Math.sqrt(365) * 100;
+    expectValues(valuesOf(rollingVolatility(series([100, 110, 99, 108.9]), 2, 365)), [null, null, expected, expected]);
+  });
+
+  it('needs period + 1 values before the first point', () => {
+    const out = valuesOf(rollingVolatility(series([1, 2, 3, 4, 5, 6]), 3));
+    expect(out.findIndex((v) => v !== null)).toBe(3);
+  });
+
+  it('is zero for a constant growth rate', () => {
+    expectValues(valuesOf(rollingVolatility(series([1, 2, 4, 8]), 2)), [null, null, 0, 0]);
+  });
+
+  it('restarts the warm-up after a null', () => {
+    const out = valuesOf(rollingVolatility(series([1, 2, 4, null, 1, 2, 4, 8]), 2));
+    expectValues(out, [null, null, 0, null, null, null, 0, 0]);
+  });
+});
+
+describe('rsi', () => {
+  // Wilder's 14-day example as published by StockCharts; exact arithmetic gives 70.46 for the first
+  // value (the article rounds its intermediate averages and shows 70.53)
+  const WILDER = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+    45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64,
+  ];
+
+  it('matches the reference values with Wilder smoothing', () => {
+    const out = valuesOf(rsi(series(WILDER), 14));
+    expectValues(out, [...Array(14).fill(null), 70.464, 66.249, 66.481, 69.347, 66.295, 57.915], 2);
+  });
+
+  it('starts after period changes (period + 1 values)', () => {
+    // Changes +1, -0.5, +1: avg gain 0.5 / avg loss 0.25, then 0.75 / 0.125
+    expectValues(valuesOf(rsi(series([1, 2, 1.5, 2.5]), 2)), [null, null, 100 - 100 / 3, 100 - 100 / 7]);
+  });
+
+  it('is 100 when the window has no losses', () => {
+    expect(valuesOf(rsi(series([1, 2, 3, 4]), 2))).toEqual([null, null, 100, 100]);
+  });
+
+  it('is 50 for a flat window', () => {
+    expect(valuesOf(rsi(series([3, 3, 3, 3]), 2))).toEqual([null, null, 50, 50]);
+  });
+
+  it('restarts the warm-up after a null', () => {
+    expect(valuesOf(rsi(series([1, 2, 3, null, 3, 2, 1]), 2))).toEqual([null, null, 100, null, null, null, 0]);
+  });
+});
@@ -0,0 +1,21 @@
+// Started password reset kept in sessionStorage, so ForgotPassword can resume it after a reload
+// Holds { email, resetId, resetToken }; resetId comes from /request, resetToken from /verify
+// The server decides what is still valid (POST /api/password-reset/status)
+const KEY = 'passwordReset';
+
+export function loadResetSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(KEY) || 'null');
+    return session && session.email && session.resetId ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveResetSession(session) {
+  try { sessionStorage.setItem(KEY, JSON.stringify(session)); } catch { /* ignore */ }
+}
+
+export function clearResetSession() {
+  try { sessionStorage.removeItem(KEY); } catch { /* ignore */ }
+}
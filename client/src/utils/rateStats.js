@@ -0,0 +1,72 @@
+import { keyFromTimestampUTC } from './date';
+
+/*
+*  Descriptive statistics of one pair series (mirrors server/src/utils/rateStats.js, which backs GET /api/rates/stats;
+*  rateStats.test.js checks that both copies give the same output)
+* + Input: [timestampUTC, value|null] points as built by buildSeriesPoints, null points are skipped
+* + observed: dates (YYYY-MM-DD, anything with .has()) that have a stored rate, see observationDates()
+*   The series fills weekends/holidays with the previous observation; counting those copies would
+*   weigh values before a gap more and bias mean, median and stdDev, so only observed dates count
+*   (without 'observed' every point counts)
+* + min / max: value and the first date it was reached
+* + stdDev: population standard deviation
+* + largestMove: biggest absolute day-over-day change (date = the day the move landed on)
+* + current: last value, vsMeanPct: current against the period mean, changePct: last against first
+* + Returns null when the series has no values
+*/
+export function computeSeriesStats(points, observed = null) {
+  const values = [];
+  for (const [ts, v] of points || []) {
+    if (typeof v !== 'number' || !Number.isFinite(v)) continue;
+    const date = keyFromTimestampUTC(ts);
+    if (!observed || observed.has(date)) values.push({ date, value: v });
+  }
+  if (!values.length) return null;
+
+  let min = values[0];
+  let max = values[0];
+  let sum = 0;
+  let largestMove = null;
+  for (let i = 0; i < values.length; i++) {
+    const p = values[i];
+    if (p.value < min.value) min = p;
+    if (p.value > max.value) max = p;
+    sum += p.value;
+    if (i > 0) {
+      const prev = values[i - 1].value;
+      const change = p.value - prev;
+      if (!largestMove || Math.abs(change) > Math.abs(largestMove.change)) {
+        largestMove = { date: p.date, from: prev, to: p.value, change, changePct: prev ? (change / prev) * 100 : null };
+      }
+    }
+  }
+
+  const mean = sum / values.length;
+  const sorted = values.map(p => p.value).sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  const stdDev = Math.sqrt(values.reduce((acc, p) => acc + (p.value - mean) ** 2, 0) / values.length);
+
+  const first = values[0];
+  const last = values[values.length - 1];
+
+  return {
+    count: values.length,
+    first,
+    last,
+    min,
+    max,
+    mean,
+    median,
+    stdDev,
+    largestMove,
+    current: last.value,
+    vsMeanPct: mean ? ((last.value - mean) / mean) * 100 : null,
+    changePct: first.value ? ((last.value - first.value) / first.value) * 100 : null
+  };
+}
+
+// Dates with a stored rate on either side of a pair: the keys of its two rate maps (Map<YYYY-MM-DD, ...>)
+export function observationDates(mapFrom, mapTo) {
+  return new Set([...(mapFrom ? mapFrom.keys() : []), ...(mapTo ? mapTo.keys() : [])]);
+}
@@ -0,0 +1,71 @@
+import { createRequire } from 'node:module';
+import { describe, expect, it } from 'vitest';
+import { computeSeriesStats, observationDates } from './rateStats';
+
+// The server keeps its own copy for GET /api/rates/stats (CommonJS, loaded with Node's require)
+const server = createRequire(import.meta.url)('../../../server/src/utils/rateStats.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1); // Monday
+
+// Calendar-day points from 2024-01-01, as the chart builds them
+const series = (values) => values.map((v, i) => [START + i * DAY_MS, v]);
+const dateKey = (i) => new Date(START + i * DAY_MS).toISOString().slice(0, 10);
+
+// Two weeks of weekday observations; Saturdays and Sundays carry Friday's value forward
+const WEEKDAY_VALUES = [1.10, 1.12, 1.11, 1.15, 1.30, 1.30, 1.30, 1.14, 1.13, 1.16, 1.12, 1.20, 1.20, 1.20];
+const WEEKDAYS = new Map(WEEKDAY_VALUES.map((v, i) => [i, v]).filter(([i]) => i % 7 < 5).map(([i, v]) => [dateKey(i), { rate: v }]));
+
+describe('computeSeriesStats', () => {
+  it('counts only observed dates, not the weekend copies of Friday', () => {
+    const stats = computeSeriesStats(series(WEEKDAY_VALUES), observationDates(WEEKDAYS, new Map()));
+    const observed = [1.10, 1.12, 1.11, 1.15, 1.30, 1.14, 1.13, 1.16, 1.12, 1.20];
+    const mean = observed.reduce((a, b) => a + b, 0) / observed.length;
+
+    expect(stats.count).toBe(10);
+    expect(stats.mean).toBeCloseTo(mean, 12);
+    expect(stats.median).toBeCloseTo((1.13 + 1.14) / 2, 12);
+    expect(stats.stdDev).toBeCloseTo(Math.sqrt(observed.reduce((a, v) => a + (v - mean) ** 2, 0) / observed.length), 12);
+    expect(stats.last).toEqual({ date: '2024-01-12', value: 1.20 });
+    // Friday -> Monday is one move between consecutive observations
+    expect(stats.largestMove).toMatchObject({ date: '2024-01-08', from: 1.30, to: 1.14 });
+  });
+
+  it('counts every point without observed dates', () => {
+    expect(computeSeriesStats(series(WEEKDAY_VALUES)).count).toBe(14);
+  });
+
+  it('skips nulls and returns null for an empty series', () => {
+    expect(computeSeriesStats(series([null, 2, null, 4])).mean).toBe(3);
+    expect(computeSeriesStats(series([null, null]))).toBeNull();
+    expect(computeSeriesStats(series([1, 2]), new Set())).toBeNull();
+  });
+});
+
+describe('observationDates', () => {
+  it('is the union of both rate maps', () => {
+    const from = new Map([['2024-01-01', {}], ['2024-01-02', {}]]);
+    const to = new Map([['2024-01-02', {}], ['2024-01-03', {}]]);
+    expect([...observationDates(from, to)].sort()).toEqual(['2024-01-01', '2024-01-02', '2024-01-03']);
+  });
+});
+
+describe('server copy', () => {
+  const cases = {
+    'weekday observations': [series(WEEKDAY_VALUES), observationDates(WEEKDAYS, new Map())],
+    'all points': [series(WEEKDAY_VALUES), null],
+    'leading nulls and a flat stretch': [series([null, null, 5, 5, 5, 4.5, 6]), null],
+    'single value': [series([0.8731]), null],
+    'nothing observed': [series([1, 2, 3]), new Set()],
+  };
+
+  for (const [name, [points, observed]] of Object.entries(cases)) {
+    it(`gives the same output: ${name}`, () => {
+      expect(server.computeSeriesStats(points, observed)).toEqual(computeSeriesStats(points, observed));
+    });
+  }
+
+  it('builds the same observation dates', () => {
+    expect([...server.observationDates(WEEKDAYS, new Map())]).toEqual([...observationDates(WEEKDAYS, new Map())]);
+  });
+});
@@ -0,0 +1,82 @@
+const crypto = require('node:crypto');
+
+// API keys for /api/v1
+// Format: 'crf_<8 hex>.<secret>', the part before the dot is stored in clear (KeyPrefix) to find
+// the row, the whole key only as a SHA-256 hash: the secret is 192 random bits, so unlike a password
+// it needs no slow hash, and every /api/v1 request can afford the check
+// 'db' can be the pool or a connection inside a transaction
+
+const API_KEY_SCOPES = ['read-rates', 'convert', 'admin'];
+const DEFAULT_QUOTA_PER_DAY = 1000;
+const MAX_QUOTA_PER_DAY = 100000;
+
+// Hex SHA-256 of the whole key, as stored in ApiKeys.KeyHash
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// New random key, returns { key, prefix, hash } (the plain key is shown to the user once)
+function generateApiKey() {
+  const prefix = `crf_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}.${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashApiKey(key) };
+}
+
+const parseScopes = (raw) => String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// 'admin' covers every scope
+const hasScope = (scopes, scope) => scopes.includes(scope) || scopes.includes('admin');
+
+/*
+*  Resolve a presented key to its active row (with the owner), or null
+* + Revoked keys and keys of deleted users never match
+* + The hashes are compared in constant time
+*/
+async function findApiKey(db, rawKey) {
+  const key = String(rawKey || '').trim();
+  const dot = key.indexOf('.');
+  if (dot <= 0) return null;
+
+  const [rows] = await db.query(
+    `SELECT k.Id, k.UserId, k.Name, k.KeyPrefix, k.KeyHash, k.Scopes, k.QuotaPerDay,
+            u.Email AS UserEmail, u.Role AS UserRole
+     FROM ApiKeys k
+     JOIN Users u ON u.Id = k.UserId AND u.IsDeleted = 0
+     WHERE k.KeyPrefix = ? AND k.RevokedAt IS NULL`,
+    [key.slice(0, dot)]
+  );
+  if (!rows.length) return null;
+  const row = rows[0];
+  const presented = Buffer.from(hashApiKey(key), 'hex');
+  const stored = Buffer.from(String(row.KeyHash || ''), 'hex');
+  if (stored.length !== presented.length || !crypto.timingSafeEqual(stored, presented)) return null;
+  return { ...row, Scopes: parseScopes(row.Scopes) };
+}
+
+/*
+*  Count one request against the key's daily quota (calendar day of the DB server)
+* + A single conditional UPDATE, so concurrent requests cannot overshoot the quota
+* + Also stamps LastUsedAt; returns { allowed, used, limit }
+*/
+async function consumeQuota(db, key) {
+  const [result] = await db.query(
+    `UPDATE ApiKeys
+     SET UsageCount = IF(UsageDate = CURDATE(), UsageCount + 1, 1),
+         UsageDate = CURDATE(),
+         LastUsedAt = NOW()
+     WHERE Id = ? AND (UsageDate IS NULL OR UsageDate <> CURDATE() OR UsageCount < QuotaPerDay)`,
+    [key.Id]
+  );
+  const [[usage]] = await db.query('SELECT UsageCount FROM ApiKeys WHERE Id = ?', [key.Id]);
+  return { allowed: result.affectedRows > 0, used: usage ? usage.UsageCount : 0, limit: key.QuotaPerDay };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_QUOTA_PER_DAY,
+  MAX_QUOTA_PER_DAY,
+  hashApiKey,
+  generateApiKey,
+  parseScopes,
+  hasScope,
+  findApiKey,
+  consumeQuota
+};
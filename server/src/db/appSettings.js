@@ -0,0 +1,26 @@
+// Site-wide settings changed by admins, one row per name in AppSettings (values stored as strings)
+// 'db' can be the pool or a connection inside a transaction
+
+// Settings known to the server and their values while no row exists
+const DEFAULTS = {
+  'twoFactor.requiredForAdmin': 'false'
+};
+
+async function getSetting(db, name) {
+  const [rows] = await db.query('SELECT Value FROM AppSettings WHERE Name = ?', [name]);
+  return rows.length ? rows[0].Value : (DEFAULTS[name] ?? null);
+}
+
+async function getBooleanSetting(db, name) {
+  return (await getSetting(db, name)) === 'true';
+}
+
+async function setSetting(db, name, value, userId = null) {
+  await db.query(
+    `INSERT INTO AppSettings (Name, Value, UpdatedAt, UpdatedBy) VALUES (?, ?, NOW(), ?)
+     ON DUPLICATE KEY UPDATE Value = VALUES(Value), UpdatedAt = NOW(), UpdatedBy = VALUES(UpdatedBy)`,
+    [name, String(value), userId]
+  );
+}
+
+module.exports = { getSetting, getBooleanSetting, setSetting };
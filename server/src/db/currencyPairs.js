@@ -0,0 +1,26 @@
+// Currency pair input of user-owned pairs (rate alerts, watchlists)
+// 'db' can be the pool or a connection inside a transaction
+
+/*
+*  Validate fromCode / toCode of a request body, returns { pair: { from, to } } or { error }
+* + Known currency codes (or EUR, which has no Currencies row), different from each other
+*/
+async function parseCurrencyPair(db, body) {
+  const from = String(body.fromCode || '').trim().toUpperCase();
+  const to = String(body.toCode || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to) || from === to) {
+    return { error: 'fromCode and toCode must be two different 3-letter currency codes' };
+  }
+
+  const codes = [from, to].filter(c => c !== 'EUR');
+  if (codes.length) {
+    const [rows] = await db.query('SELECT CurrencyCode FROM Currencies WHERE CurrencyCode IN (?)', [codes]);
+    const known = new Set(rows.map(r => String(r.CurrencyCode).toUpperCase()));
+    const unknown = codes.find(c => !known.has(c));
+    if (unknown) return { error: `Unknown currency: ${unknown}` };
+  }
+
+  return { pair: { from, to } };
+}
+
+module.exports = { parseCurrencyPair };
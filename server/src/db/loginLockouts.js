@@ -0,0 +1,89 @@
+// Progressive lockout after repeated failed logins, stored in LoginLockouts by lower-cased email
+// Unknown emails are counted too, so the answers do not reveal which accounts exist
+// 'db' can be the pool or a connection inside a transaction
+
+/*
+*  Lockout rules
+* + FAILURES_BEFORE_LOCK failed logins in a row lock the account for the next entry of LOCK_MINUTES
+*   (5 min, 15 min, 1 h, then 24 h for every further lock)
+* + The failure count restarts after each lock, the lock level stays until a successful login,
+*   a password reset or an admin unlock
+* + Both restart after FORGET_AFTER_HOURS without a failed login
+*/
+const FAILURES_BEFORE_LOCK = 5;
+const LOCK_MINUTES = [5, 15, 60, 24 * 60];
+const FORGET_AFTER_HOURS = 24;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const lockMinutesFor = (level) => LOCK_MINUTES[Math.min(level, LOCK_MINUTES.length) - 1];
+
+// Current lock of an email, or null: { lockedUntil, secondsLeft }
+async function getLockout(db, email) {
+  const [rows] = await db.query(
+    `SELECT LockedUntil, TIMESTAMPDIFF(SECOND, NOW(), LockedUntil) AS SecondsLeft
+     FROM LoginLockouts WHERE Email = ? AND LockedUntil > NOW()`,
+    [normalizeEmail(email)]
+  );
+  if (!rows.length) return null;
+  return { lockedUntil: rows[0].LockedUntil, secondsLeft: Math.max(Number(rows[0].SecondsLeft), 1) };
+}
+
+/*
+*  Count a failed login, returns { locked, lockedUntil, lockMinutes, level }
+* + locked is true only for the failure that engaged a new lock (the caller notifies the user once)
+* + The lock is set by a conditional UPDATE, so concurrent failures cannot lock twice
+*/
+async function recordLoginFailure(db, email, ip) {
+  const key = normalizeEmail(email);
+  await db.query(
+    `INSERT INTO LoginLockouts (Email, FailedCount, LockLevel, LastFailedAt, LastIp) VALUES (?, 1, 0, NOW(), ?)
+     ON DUPLICATE KEY UPDATE
+       LockLevel = IF(LastFailedAt < NOW() - INTERVAL ? HOUR, 0, LockLevel),
+       FailedCount = IF(LastFailedAt < NOW() - INTERVAL ? HOUR, 1, FailedCount + 1),
+       LastFailedAt = NOW(),
+       LastIp = ?`,
+    [key, ip || null, FORGET_AFTER_HOURS, FORGET_AFTER_HOURS, ip || null]
+  );
+
+  const [[row]] = await db.query('SELECT FailedCount, LockLevel FROM LoginLockouts WHERE Email = ?', [key]);
+  if (!row || row.FailedCount < FAILURES_BEFORE_LOCK) return { locked: false };
+
+  const level = row.LockLevel + 1;
+  const lockMinutes = lockMinutesFor(level);
+  const [result] = await db.query(
+    `UPDATE LoginLockouts
+     SET FailedCount = 0, LockLevel = ?, LockedUntil = NOW() + INTERVAL ? MINUTE
+     WHERE Email = ? AND FailedCount >= ?`,
+    [level, lockMinutes, key, FAILURES_BEFORE_LOCK]
+  );
+  if (!result.affectedRows) return { locked: false };
+
+  const lock = await getLockout(db, key);
+  return { locked: true, lockedUntil: lock ? lock.lockedUntil : null, lockMinutes, level };
+}
+
+// Successful login, password reset or admin unlock: forget failures and lock level
+async function clearLoginFailures(db, email) {
+  const [result] = await db.query('DELETE FROM LoginLockouts WHERE Email = ?', [normalizeEmail(email)]);
+  return result ? result.affectedRows > 0 : false;
+}
+
+// Failure counts and active locks by lower-cased email (admin user list)
+async function loadLockoutsByEmail(db) {
+  const [rows] = await db.query(
+    `SELECT Email, FailedCount, IF(LockedUntil > NOW(), LockedUntil, NULL) AS LockedUntil
+     FROM LoginLockouts
+     WHERE FailedCount > 0 OR LockedUntil > NOW()`
+  );
+  return new Map(rows.map(r => [r.Email, { failedCount: r.FailedCount, lockedUntil: r.LockedUntil }]));
+}
+
+module.exports = {
+  FAILURES_BEFORE_LOCK,
+  normalizeEmail,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  loadLockoutsByEmail
+};
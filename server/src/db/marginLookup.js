@@ -0,0 +1,65 @@
+// Margin resolution for CurrencyRates.MarginId
+// Same rule as MyDbContext.FindMarginIdForDate in the .NET fetcher:
+// StartDate <= date AND (EndDate IS NULL OR EndDate >= date), latest StartDate wins,
+// a margin scoped to the rate's currency (Margins.CurrencyId) beats the global one (CurrencyId IS NULL)
+// 'db' can be the pool or a connection inside a transaction
+
+// Find the margin that covers a given date (YYYY-MM-DD) for one currency (null = global only)
+async function findMarginIdForDate(db, date, currencyId = null) {
+  const [rows] = await db.query(
+    `SELECT Id FROM Margins
+     WHERE StartDate <= ? AND (EndDate IS NULL OR EndDate >= ?)
+       AND (CurrencyId IS NULL OR CurrencyId = ?)
+     ORDER BY CurrencyId IS NULL, StartDate DESC
+     LIMIT 1`,
+    [date, date, currencyId]
+  );
+  return rows && rows.length ? rows[0].Id : null;
+}
+
+// Load all margins once and resolve (date, currencyId) -> MarginId in memory (bulk inserts)
+async function loadMarginResolver(db) {
+  const [rows] = await db.query(
+    `SELECT Id, CurrencyId, CAST(StartDate AS CHAR) AS StartDate, CAST(EndDate AS CHAR) AS EndDate
+     FROM Margins ORDER BY StartDate DESC`
+  );
+  const covers = (m, date) => m.StartDate <= date && (!m.EndDate || m.EndDate >= date);
+
+  return (date, currencyId = null) => {
+    const scoped = currencyId == null ? null : rows.find(m => m.CurrencyId === currencyId && covers(m, date));
+    if (scoped) return scoped.Id;
+    const global = rows.find(m => m.CurrencyId == null && covers(m, date));
+    return global ? global.Id : null;
+  };
+}
+
+/*
+*  Re-point CurrencyRates.MarginId at the effective margin after margins changed
+* + dateFrom: first date whose links may have changed (everything after it is recomputed)
+* + currencyId: limit to one currency (changes to a scoped margin), null for all currencies
+* + Returns the number of rates whose link actually changed
+*/
+async function relinkRates(db, { dateFrom, currencyId = null }) {
+  const params = [dateFrom];
+  let currencySql = '';
+  if (currencyId != null) {
+    currencySql = 'AND cr.ToCurrencyId = ?';
+    params.push(currencyId);
+  }
+
+  const [result] = await db.query(
+    `UPDATE CurrencyRates cr
+     SET cr.MarginId = (
+       SELECT m.Id FROM Margins m
+       WHERE m.StartDate <= cr.Date AND (m.EndDate IS NULL OR m.EndDate >= cr.Date)
+         AND (m.CurrencyId IS NULL OR m.CurrencyId = cr.ToCurrencyId)
+       ORDER BY m.CurrencyId IS NULL, m.StartDate DESC
+       LIMIT 1
+     )
+     WHERE cr.Date >= ? ${currencySql}`,
+    params
+  );
+  return result ? result.affectedRows : 0;
+}
+
+module.exports = { findMarginIdForDate, loadMarginResolver, relinkRates };
@@ -0,0 +1,137 @@
+// Conversion orders (Orders table) and their Stripe-driven status
+// 'db' can be the pool or a connection inside a transaction
+
+/*
+*  Order lifecycle
+* + pending: Checkout Session created, not paid yet
+* + paid: Stripe confirmed the payment
+* + expired: session expired without payment
+* + failed: the session was completed but the (delayed) payment failed
+* + refunded: a paid order was fully refunded
+*/
+const ORDER_STATUSES = ['pending', 'paid', 'expired', 'failed', 'refunded'];
+
+// Allowed moves: target status -> statuses it can be reached from
+// Anything else (late or out-of-order events) leaves the order unchanged
+const TRANSITIONS = {
+  paid: ['pending'],
+  expired: ['pending'],
+  failed: ['pending'],
+  refunded: ['paid']
+};
+
+// Insert a new pending order for a freshly created Checkout Session
+async function createOrder(db, { userId, fromCode, toCode, amountFrom, amountTo, rate, usedDate, sessionId, quoteId = null }) {
+  const [result] = await db.query(
+    `INSERT INTO Orders (UserId, FromCode, ToCode, AmountFrom, AmountTo, Rate, UsedDate, Status, StripeSessionId, QuoteId, CreatedAt, UpdatedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, NOW(), NOW())`,
+    [userId || null, fromCode, toCode, amountFrom, amountTo, rate, usedDate || null, sessionId, quoteId]
+  );
+  return result.insertId;
+}
+
+// True when an order was already started with this quote
+async function isQuoteUsed(db, quoteId) {
+  const [rows] = await db.query('SELECT 1 FROM Orders WHERE QuoteId = ? LIMIT 1', [quoteId]);
+  return rows.length > 0;
+}
+
+/*
+*  Move an order to 'status' if the lifecycle allows it
+* + Order is found by Stripe session id or payment intent id
+* + paymentIntentId is stored when known (needed to match later refunds)
+* + Returns { orderId, changed, status }; orderId is null when no order matches, status is the order's status afterwards
+*/
+async function transitionOrder(db, { sessionId = null, paymentIntentId = null, status }) {
+  const allowedFrom = TRANSITIONS[status];
+  if (!allowedFrom) throw new Error(`Unknown order status: ${status}`);
+
+  const [rows] = sessionId
+    ? await db.query('SELECT Id, Status FROM Orders WHERE StripeSessionId = ? FOR UPDATE', [sessionId])
+    : await db.query('SELECT Id, Status FROM Orders WHERE StripePaymentIntentId = ? FOR UPDATE', [paymentIntentId]);
+  if (!rows.length) return { orderId: null, changed: false, status: null };
+
+  const order = rows[0];
+  if (!allowedFrom.includes(order.Status)) return { orderId: order.Id, changed: false, status: order.Status };
+
+  await db.query(
+    `UPDATE Orders
+     SET Status = ?,
+         StripePaymentIntentId = COALESCE(?, StripePaymentIntentId),
+         PaidAt = IF(? = 'paid', NOW(), PaidAt),
+         UpdatedAt = NOW()
+     WHERE Id = ?`,
+    [status, paymentIntentId, status, order.Id]
+  );
+  return { orderId: order.Id, changed: true, status };
+}
+
+// One order with the email of the user who started it (null for guests)
+async function findOrder(db, orderId) {
+  const [rows] = await db.query(
+    `SELECT o.Id, o.UserId, u.Email AS UserEmail, o.FromCode, o.ToCode, o.AmountFrom, o.AmountTo, o.Rate,
+            CAST(o.UsedDate AS CHAR) AS UsedDate, o.Status, o.StripeSessionId, o.StripePaymentIntentId, o.CreatedAt, o.PaidAt
+     FROM Orders o
+     LEFT JOIN Users u ON u.Id = o.UserId
+     WHERE o.Id = ?`,
+    [orderId]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+// Paid orders of one pair per day of payment (PaidAt) between two dates, inclusive
+// Rows: { date, count, amountFrom, amountTo }, oldest first
+async function getPaidVolume(db, { fromCode, toCode, dateFrom, dateTo }) {
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(PaidAt, '%Y-%m-%d') AS Day, COUNT(*) AS Orders,
+            SUM(AmountFrom) AS AmountFrom, SUM(AmountTo) AS AmountTo
+     FROM Orders
+     WHERE Status = 'paid' AND FromCode = ? AND ToCode = ?
+       AND PaidAt >= ? AND PaidAt < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY Day
+     ORDER BY Day`,
+    [fromCode, toCode, dateFrom, dateTo]
+  );
+  return rows.map(r => ({
+    date: r.Day,
+    count: Number(r.Orders),
+    amountFrom: Number(r.AmountFrom),
+    amountTo: Number(r.AmountTo)
+  }));
+}
+
+// Remember the payment intent of a session that is completed but still awaiting payment
+async function setPaymentIntent(db, sessionId, paymentIntentId) {
+  if (!paymentIntentId) return;
+  await db.query(
+    'UPDATE Orders SET StripePaymentIntentId = ?, UpdatedAt = NOW() WHERE StripeSessionId = ? AND StripePaymentIntentId IS NULL',
+    [paymentIntentId, sessionId]
+  );
+}
+
+// Claim a webhook event; false if it was already applied (redelivery)
+async function claimStripeEvent(db, event) {
+  const [result] = await db.query(
+    'INSERT IGNORE INTO StripeEvents (EventId, Type, ReceivedAt) VALUES (?, ?, NOW())',
+    [event.id, event.type]
+  );
+  return result.affectedRows === 1;
+}
+
+// Link a claimed event to the order it touched (for support lookups)
+async function linkStripeEvent(db, eventId, orderId) {
+  if (!orderId) return;
+  await db.query('UPDATE StripeEvents SET OrderId = ? WHERE EventId = ?', [orderId, eventId]);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  createOrder,
+  isQuoteUsed,
+  transitionOrder,
+  findOrder,
+  getPaidVolume,
+  setPaymentIntent,
+  claimStripeEvent,
+  linkStripeEvent
+};
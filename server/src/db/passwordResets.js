@@ -0,0 +1,88 @@
+// Password reset sessions in PasswordResets, shared by every server instance and kept across restarts
+// Lifecycle: saveResetCode (code emailed) -> markResetVerified (code exchanged for a reset token)
+// -> claimResetToken (password set, row removed); expired rows are removed by pruneExpiredResets
+// Hashes only: CodeHash is an HMAC of the code, TokenHash / ResetIdHash are SHA-256 of random values
+// 'db' can be the pool or a connection inside a transaction
+
+const RESET_COLUMNS = `Email, CodeHash, TokenHash, AttemptsLeft, ExpiresAt > NOW() AS IsLive,
+  GREATEST(TIMESTAMPDIFF(SECOND, NOW(), ExpiresAt), 0) AS SecondsLeft`;
+
+// Start a session with a new code; replaces (and so invalidates) any older code or token of the email
+async function saveResetCode(db, { email, resetIdHash, codeHash, attempts, ttlSeconds }) {
+  await db.query(
+    `INSERT INTO PasswordResets (Email, ResetIdHash, CodeHash, TokenHash, AttemptsLeft, ExpiresAt, CreatedAt, VerifiedAt)
+     VALUES (?, ?, ?, NULL, ?, NOW() + INTERVAL ? SECOND, NOW(), NULL)
+     ON DUPLICATE KEY UPDATE
+       ResetIdHash = VALUES(ResetIdHash), CodeHash = VALUES(CodeHash), TokenHash = NULL,
+       AttemptsLeft = VALUES(AttemptsLeft), ExpiresAt = VALUES(ExpiresAt), CreatedAt = NOW(), VerifiedAt = NULL`,
+    [email, resetIdHash, codeHash, attempts, ttlSeconds]
+  );
+}
+
+// The session of an email (expired ones too, IsLive = 0), or null
+async function findReset(db, email) {
+  const [rows] = await db.query(`SELECT ${RESET_COLUMNS} FROM PasswordResets WHERE Email = ?`, [email]);
+  return rows.length ? rows[0] : null;
+}
+
+// The live session a client resumes after a reload, identified by the resetId from /request
+async function findResetById(db, { email, resetIdHash }) {
+  const [rows] = await db.query(
+    `SELECT ${RESET_COLUMNS} FROM PasswordResets WHERE Email = ? AND ResetIdHash = ? AND ExpiresAt > NOW()`,
+    [email, resetIdHash]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+// Count a wrong code, returns the attempts left afterwards
+async function useResetAttempt(db, email) {
+  await db.query(
+    'UPDATE PasswordResets SET AttemptsLeft = AttemptsLeft - 1 WHERE Email = ? AND AttemptsLeft > 0',
+    [email]
+  );
+  const [rows] = await db.query('SELECT AttemptsLeft FROM PasswordResets WHERE Email = ?', [email]);
+  return rows.length ? rows[0].AttemptsLeft : 0;
+}
+
+/*
+*  Exchange the matching code for a reset token, valid for ttlSeconds from now
+* + Conditional on the code hash, so a code can be used once even with concurrent requests
+* + Returns false when the code was already used, replaced or has expired
+*/
+async function markResetVerified(db, { email, codeHash, tokenHash, ttlSeconds }) {
+  const [result] = await db.query(
+    `UPDATE PasswordResets
+     SET CodeHash = NULL, TokenHash = ?, VerifiedAt = NOW(), ExpiresAt = NOW() + INTERVAL ? SECOND
+     WHERE Email = ? AND CodeHash = ? AND ExpiresAt > NOW()`,
+    [tokenHash, ttlSeconds, email, codeHash]
+  );
+  return result.affectedRows > 0;
+}
+
+// Use up a reset token (deletes the session), false when it does not match or has expired
+async function claimResetToken(db, { email, tokenHash }) {
+  const [result] = await db.query(
+    'DELETE FROM PasswordResets WHERE Email = ? AND TokenHash = ? AND ExpiresAt > NOW()',
+    [email, tokenHash]
+  );
+  return result.affectedRows > 0;
+}
+
+async function deleteReset(db, email) {
+  await db.query('DELETE FROM PasswordResets WHERE Email = ?', [email]);
+}
+
+async function pruneExpiredResets(db) {
+  await db.query('DELETE FROM PasswordResets WHERE ExpiresAt < NOW()');
+}
+
+module.exports = {
+  saveResetCode,
+  findReset,
+  findResetById,
+  useResetAttempt,
+  markResetVerified,
+  claimResetToken,
+  deleteReset,
+  pruneExpiredResets
+};
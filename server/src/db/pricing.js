@@ -0,0 +1,50 @@
+const { calculatePairRates } = require('../utils/currencyCalculations');
+
+// Server-side conversion pricing, the authoritative twin of the Converter's calculation
+// 'db' can be the pool or a connection inside a transaction
+
+// Round down (amount the client RECEIVES) / up (amount the client PAYS), same as Converter.jsx
+const roundDown = (n, decimals = 2) => Math.floor(n * Math.pow(10, decimals)) / Math.pow(10, decimals);
+const roundUp = (n, decimals = 2) => Math.ceil(n * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+// Latest EUR -> currency rate on or before 'date' with the margin linked to that row
+async function loadLegRate(db, currencyCode, date) {
+  if (currencyCode === 'EUR') return { rate: 1, margin: 0, date };
+
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(cr.Date, '%Y-%m-%d') AS DateKey, cr.ExchangeRate AS ExchangeRate, m.MarginValue AS MarginValue
+     FROM CurrencyRates cr
+     JOIN Currencies c ON c.Id = cr.ToCurrencyId
+     LEFT JOIN Margins m ON m.Id = cr.MarginId
+     WHERE c.CurrencyCode = ? AND cr.Date <= ?
+     ORDER BY cr.Date DESC
+     LIMIT 1`,
+    [currencyCode, date]
+  );
+  if (!rows.length) return null;
+  const r = rows[0];
+  return { rate: Number(r.ExchangeRate), margin: r.MarginValue != null ? Number(r.MarginValue) : 0, date: r.DateKey };
+}
+
+/*
+*  Price a conversion from stored rates and margins
+* + from / to: 3-letter codes (upper case), date: YYYY-MM-DD (rates on or before it are used)
+* + Exactly one of amountFrom (client sells) / amountTo (client wants to receive) drives the other side
+* + Returns { sellRate, amountFrom, amountTo, rateDates: { from, to } } or null when a leg has no rate
+*/
+async function priceConversion(db, { from, to, date, amountFrom = null, amountTo = null }) {
+  const legFrom = await loadLegRate(db, from, date);
+  const legTo = await loadLegRate(db, to, date);
+  if (!legFrom || !legTo) return null;
+
+  const { sellRate } = calculatePairRates(legTo.rate, legFrom.rate, legTo.margin, legFrom.margin);
+  if (sellRate == null) return null;
+
+  const priced = amountFrom != null
+    ? { amountFrom, amountTo: roundDown(amountFrom * sellRate) }
+    : { amountFrom: roundUp(amountTo / sellRate), amountTo };
+
+  return { sellRate, ...priced, rateDates: { from: legFrom.date, to: legTo.date } };
+}
+
+module.exports = { priceConversion };
@@ -0,0 +1,38 @@
+// Fixed-window counters for middleware/rateLimit.js, stored in RateLimitWindows so limits survive restarts
+// Time comes from the database (NOW()), so several server processes share the same windows
+// 'db' can be the pool or a connection inside a transaction
+
+// Windows older than this are deleted by pruneRateLimits (longer than any configured window)
+const KEEP_WINDOWS_HOURS = 24;
+
+/*
+*  Count one request against (bucket, key), returns { hits, resetInSeconds }
+* + A window that has run out starts again at 1 (checked before WindowStart moves: MySQL applies
+*   the assignments left to right)
+*/
+async function hitRateLimit(db, { bucket, key, windowSeconds }) {
+  await db.query(
+    `INSERT INTO RateLimitWindows (Bucket, KeyValue, WindowStart, Hits) VALUES (?, ?, NOW(), 1)
+     ON DUPLICATE KEY UPDATE
+       Hits = IF(WindowStart <= NOW() - INTERVAL ? SECOND, 1, Hits + 1),
+       WindowStart = IF(WindowStart <= NOW() - INTERVAL ? SECOND, NOW(), WindowStart)`,
+    [bucket, key, windowSeconds, windowSeconds]
+  );
+  const [[row]] = await db.query(
+    `SELECT Hits, TIMESTAMPDIFF(SECOND, NOW(), WindowStart + INTERVAL ? SECOND) AS ResetIn
+     FROM RateLimitWindows WHERE Bucket = ? AND KeyValue = ?`,
+    [windowSeconds, bucket, key]
+  );
+  return { hits: row ? row.Hits : 1, resetInSeconds: Math.max(row ? Number(row.ResetIn) : windowSeconds, 1) };
+}
+
+// Forget one counter (e.g. the per-account login window after a successful login)
+async function resetRateLimit(db, { bucket, key }) {
+  await db.query('DELETE FROM RateLimitWindows WHERE Bucket = ? AND KeyValue = ?', [bucket, key]);
+}
+
+async function pruneRateLimits(db) {
+  await db.query('DELETE FROM RateLimitWindows WHERE WindowStart < NOW() - INTERVAL ? HOUR', [KEEP_WINDOWS_HOURS]);
+}
+
+module.exports = { hitRateLimit, resetRateLimit, pruneRateLimits };
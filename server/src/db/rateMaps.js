@@ -0,0 +1,115 @@
+const { buildPairSeries } = require('../utils/pairSeries');
+const { isIsoDate, formatDateToIsoLocal } = require('../utils/date');
+const { observationDates } = require('../utils/rateStats');
+
+// Rate maps for pair calculations (utils/pairSeries.js)
+// 'db' can be the pool or a connection inside a transaction
+
+// Load EUR -> currency rates as Map<YYYY-MM-DD, { rate, margin }>
+// The last row before 'dateFrom' is included too, so the series builder can seed LOCF
+async function loadRateMap(db, currencyId, dateFrom, dateTo) {
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(cr.Date, '%Y-%m-%d') AS DateKey, cr.ExchangeRate AS ExchangeRate, m.MarginValue AS MarginValue
+     FROM CurrencyRates cr
+     LEFT JOIN Margins m ON cr.MarginId = m.Id
+     WHERE cr.ToCurrencyId = ? AND cr.Date >= ? AND cr.Date <= ?
+     ORDER BY cr.Date ASC`,
+    [currencyId, dateFrom, dateTo]
+  );
+  const [seedRows] = await db.query(
+    `SELECT DATE_FORMAT(cr.Date, '%Y-%m-%d') AS DateKey, cr.ExchangeRate AS ExchangeRate, m.MarginValue AS MarginValue
+     FROM CurrencyRates cr
+     LEFT JOIN Margins m ON cr.MarginId = m.Id
+     WHERE cr.ToCurrencyId = ? AND cr.Date < ?
+     ORDER BY cr.Date DESC
+     LIMIT 1`,
+    [currencyId, dateFrom]
+  );
+
+  const map = new Map();
+  for (const r of [...seedRows, ...rows]) {
+    const rate = Number(r.ExchangeRate);
+    if (!Number.isFinite(rate)) continue;
+    map.set(r.DateKey, { rate, margin: r.MarginValue != null ? Number(r.MarginValue) : 0 });
+  }
+  return map;
+}
+
+// Daily pair series (LOCF) ending at dateTo, one array of values per side
+// 'idByCode' maps CurrencyCode -> Currencies.Id, returns null when a code is unknown
+async function loadPairValues(db, idByCode, { from, to, dateFrom, dateTo }) {
+  if ((from !== 'EUR' && !idByCode.has(from)) || (to !== 'EUR' && !idByCode.has(to))) return null;
+  const mapFrom = from === 'EUR' ? new Map() : await loadRateMap(db, idByCode.get(from), dateFrom, dateTo);
+  const mapTo = to === 'EUR' ? new Map() : await loadRateMap(db, idByCode.get(to), dateFrom, dateTo);
+
+  const { buyPoints, sellPoints, originPoints } = buildPairSeries({
+    mapFrom, mapTo, isFromEUR: from === 'EUR', isToEUR: to === 'EUR', dateFrom, dateTo
+  });
+  const values = (points) => points.map(p => p[1]);
+  return { buy: values(buyPoints), sell: values(sellPoints), origin: values(originPoints) };
+}
+
+/*
+*  Parse and load a pair series request (/api/rates/pair, /api/rates/stats, /api/v1)
+* + Query: from, to (3-letter codes, EUR allowed), optional dateFrom / dateTo (YYYY-MM-DD)
+* + Missing dates default to the earliest / latest stored observation of the pair
+* + Returns { from, to, dateFrom, dateTo, buyPoints, sellPoints, originPoints, observed } or { status, error }
+*   (observed: Set of dates with a stored rate, for computeSeriesStats)
+*/
+async function loadPairRequest(db, query) {
+  const from = String(query.from || '').trim().toUpperCase();
+  const to = String(query.to || '').trim().toUpperCase();
+
+  if (!/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to)) {
+    return { status: 400, error: 'from and to must be 3-letter currency codes' };
+  }
+  if ((query.dateFrom && !isIsoDate(query.dateFrom)) || (query.dateTo && !isIsoDate(query.dateTo))) {
+    return { status: 400, error: 'Invalid date format. Use YYYY-MM-DD.' };
+  }
+
+  const codes = [from, to].filter(c => c !== 'EUR');
+  const idByCode = new Map();
+  if (codes.length) {
+    const [curRows] = await db.query('SELECT Id, CurrencyCode FROM Currencies WHERE CurrencyCode IN (?)', [codes]);
+    for (const r of curRows) idByCode.set(String(r.CurrencyCode).toUpperCase(), r.Id);
+  }
+  for (const c of codes) {
+    if (!idByCode.has(c)) return { status: 404, error: `Unknown currency: ${c}` };
+  }
+
+  // Default range: from the earliest to the latest stored observation of the pair
+  let dateFrom = query.dateFrom || null;
+  let dateTo = query.dateTo || null;
+  if (!dateFrom || !dateTo) {
+    const ids = [...idByCode.values()];
+    if (ids.length) {
+      const [[bounds]] = await db.query(
+        `SELECT DATE_FORMAT(MIN(Date), '%Y-%m-%d') AS MinDate, DATE_FORMAT(MAX(Date), '%Y-%m-%d') AS MaxDate
+         FROM CurrencyRates WHERE ToCurrencyId IN (?)`,
+        [ids]
+      );
+      dateFrom = dateFrom || bounds?.MinDate || null;
+      dateTo = dateTo || bounds?.MaxDate || null;
+    }
+    const today = formatDateToIsoLocal(new Date());
+    dateFrom = dateFrom || dateTo || today;
+    dateTo = dateTo || today;
+  }
+  if (dateFrom > dateTo) return { status: 400, error: 'dateFrom must be on or before dateTo' };
+
+  const mapFrom = from === 'EUR' ? new Map() : await loadRateMap(db, idByCode.get(from), dateFrom, dateTo);
+  const mapTo = to === 'EUR' ? new Map() : await loadRateMap(db, idByCode.get(to), dateFrom, dateTo);
+
+  const { buyPoints, sellPoints, originPoints } = buildPairSeries({
+    mapFrom,
+    mapTo,
+    isFromEUR: from === 'EUR',
+    isToEUR: to === 'EUR',
+    dateFrom,
+    dateTo
+  });
+
+  return { from, to, dateFrom, dateTo, buyPoints, sellPoints, originPoints, observed: observationDates(mapFrom, mapTo) };
+}
+
+module.exports = { loadRateMap, loadPairValues, loadPairRequest };
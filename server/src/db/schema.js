@@ -0,0 +1,228 @@
+const pool = require('./pool');
+
+// Tables owned by the Node server
+// Core tables (Currencies, CurrencyRates, Margins, Users) are still created by the .NET EF models
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS IngestionRuns (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    TriggerType VARCHAR(20) NOT NULL,
+    Status VARCHAR(20) NOT NULL,
+    Source VARCHAR(1024) NULL,
+    MissingDates INT NOT NULL DEFAULT 0,
+    FilledDates INT NOT NULL DEFAULT 0,
+    Inserted INT NOT NULL DEFAULT 0,
+    Updated INT NOT NULL DEFAULT 0,
+    Skipped INT NOT NULL DEFAULT 0,
+    ErrorMessage TEXT NULL,
+    UserId INT NULL,
+    StartedAt DATETIME NOT NULL,
+    FinishedAt DATETIME NULL,
+    INDEX IX_IngestionRuns_StartedAt (StartedAt)
+  )`,
+  `CREATE TABLE IF NOT EXISTS AuditLog (
+    Id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    ActorUserId INT NULL,
+    ActorEmail VARCHAR(255) NULL,
+    Action VARCHAR(64) NOT NULL,
+    EntityType VARCHAR(64) NOT NULL,
+    EntityId VARCHAR(64) NULL,
+    BeforeJson LONGTEXT NULL,
+    AfterJson LONGTEXT NULL,
+    CreatedAt DATETIME NOT NULL,
+    INDEX IX_AuditLog_CreatedAt (CreatedAt),
+    INDEX IX_AuditLog_Entity (EntityType, EntityId),
+    INDEX IX_AuditLog_Actor (ActorUserId)
+  )`,
+  // Conversions paid through Stripe Checkout (one row per Checkout Session)
+  // QuoteId is the rate quote the order was paid at, unique so a locked quote can only be used once
+  `CREATE TABLE IF NOT EXISTS Orders (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NULL,
+    FromCode CHAR(3) NOT NULL,
+    ToCode CHAR(3) NOT NULL,
+    AmountFrom DECIMAL(18,4) NOT NULL,
+    AmountTo DECIMAL(18,4) NOT NULL,
+    Rate DECIMAL(18,8) NOT NULL,
+    UsedDate DATE NULL,
+    QuoteId CHAR(36) NULL,
+    Status VARCHAR(20) NOT NULL,
+    StripeSessionId VARCHAR(255) NOT NULL,
+    StripePaymentIntentId VARCHAR(255) NULL,
+    CreatedAt DATETIME NOT NULL,
+    UpdatedAt DATETIME NOT NULL,
+    PaidAt DATETIME NULL,
+    UNIQUE INDEX UX_Orders_StripeSessionId (StripeSessionId),
+    UNIQUE INDEX UX_Orders_QuoteId (QuoteId),
+    INDEX IX_Orders_StripePaymentIntentId (StripePaymentIntentId),
+    INDEX IX_Orders_UserId_CreatedAt (UserId, CreatedAt),
+    INDEX IX_Orders_Status (Status)
+  )`,
+  // Stripe webhook events already applied (redelivered events are skipped)
+  `CREATE TABLE IF NOT EXISTS StripeEvents (
+    EventId VARCHAR(255) PRIMARY KEY,
+    Type VARCHAR(100) NOT NULL,
+    OrderId INT NULL,
+    ReceivedAt DATETIME NOT NULL
+  )`,
+  // Saved rate alerts per user (see ingestion/rateAlerts.js)
+  `CREATE TABLE IF NOT EXISTS RateAlerts (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    FromCode CHAR(3) NOT NULL,
+    ToCode CHAR(3) NOT NULL,
+    Side VARCHAR(10) NOT NULL,
+    Kind VARCHAR(10) NOT NULL,
+    Threshold DECIMAL(18,8) NOT NULL,
+    WindowDays INT NULL,
+    IsActive TINYINT(1) NOT NULL DEFAULT 1,
+    LastTriggeredDate DATE NULL,
+    CreatedAt DATETIME NOT NULL,
+    INDEX IX_RateAlerts_UserId (UserId),
+    INDEX IX_RateAlerts_IsActive (IsActive)
+  )`,
+  // Every time an alert fired (pair and side copied, history outlives deleted alerts)
+  `CREATE TABLE IF NOT EXISTS RateAlertTriggers (
+    Id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    AlertId INT NOT NULL,
+    UserId INT NOT NULL,
+    FromCode CHAR(3) NOT NULL,
+    ToCode CHAR(3) NOT NULL,
+    Side VARCHAR(10) NOT NULL,
+    RateDate DATE NOT NULL,
+    Value DECIMAL(18,8) NOT NULL,
+    ReferenceValue DECIMAL(18,8) NULL,
+    ChangePct DECIMAL(12,4) NULL,
+    EmailSent TINYINT(1) NOT NULL DEFAULT 0,
+    CreatedAt DATETIME NOT NULL,
+    INDEX IX_RateAlertTriggers_UserId_CreatedAt (UserId, CreatedAt),
+    INDEX IX_RateAlertTriggers_AlertId (AlertId)
+  )`,
+  // Favourite currency pairs per user, shown as a strip on Home and in Profile
+  `CREATE TABLE IF NOT EXISTS Watchlists (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    FromCode CHAR(3) NOT NULL,
+    ToCode CHAR(3) NOT NULL,
+    Position INT NOT NULL DEFAULT 0,
+    CreatedAt DATETIME NOT NULL,
+    UNIQUE INDEX UX_Watchlists_UserId_Pair (UserId, FromCode, ToCode)
+  )`,
+  // Currency balances per user, valued on the Portfolio page
+  `CREATE TABLE IF NOT EXISTS PortfolioHoldings (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    CurrencyCode CHAR(3) NOT NULL,
+    Amount DECIMAL(20,4) NOT NULL,
+    CreatedAt DATETIME NOT NULL,
+    UpdatedAt DATETIME NOT NULL,
+    UNIQUE INDEX UX_PortfolioHoldings_UserId_Currency (UserId, CurrencyCode)
+  )`,
+  // Per-user keys for the /api/v1 REST API (SHA-256 hash only, KeyPrefix finds the row)
+  `CREATE TABLE IF NOT EXISTS ApiKeys (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    Name VARCHAR(100) NOT NULL,
+    KeyPrefix VARCHAR(16) NOT NULL,
+    KeyHash CHAR(64) NOT NULL,
+    Scopes VARCHAR(100) NOT NULL,
+    QuotaPerDay INT NOT NULL,
+    UsageDate DATE NULL,
+    UsageCount INT NOT NULL DEFAULT 0,
+    LastUsedAt DATETIME NULL,
+    CreatedAt DATETIME NOT NULL,
+    RevokedAt DATETIME NULL,
+    UNIQUE INDEX UX_ApiKeys_KeyPrefix (KeyPrefix),
+    INDEX IX_ApiKeys_UserId (UserId)
+  )`,
+  // Fixed-window request counters of middleware/rateLimit.js, one row per (bucket, IP or email)
+  `CREATE TABLE IF NOT EXISTS RateLimitWindows (
+    Bucket VARCHAR(64) NOT NULL,
+    KeyValue VARCHAR(255) NOT NULL,
+    WindowStart DATETIME NOT NULL,
+    Hits INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (Bucket, KeyValue),
+    INDEX IX_RateLimitWindows_WindowStart (WindowStart)
+  )`,
+  // Consecutive failed logins per (lower-cased) email and the progressive lockout (db/loginLockouts.js)
+  `CREATE TABLE IF NOT EXISTS LoginLockouts (
+    Email VARCHAR(255) PRIMARY KEY,
+    FailedCount INT NOT NULL DEFAULT 0,
+    LockLevel INT NOT NULL DEFAULT 0,
+    LockedUntil DATETIME NULL,
+    LastFailedAt DATETIME NULL,
+    LastIp VARCHAR(64) NULL
+  )`,
+  // Password reset sessions, one per (lower-cased) email: a new code replaces the previous session
+  // Only hashes are stored (db/passwordResets.js)
+  `CREATE TABLE IF NOT EXISTS PasswordResets (
+    Email VARCHAR(255) PRIMARY KEY,
+    ResetIdHash CHAR(64) NOT NULL,
+    CodeHash CHAR(64) NULL,
+    TokenHash CHAR(64) NULL,
+    AttemptsLeft INT NOT NULL,
+    ExpiresAt DATETIME NOT NULL,
+    CreatedAt DATETIME NOT NULL,
+    VerifiedAt DATETIME NULL,
+    INDEX IX_PasswordResets_ExpiresAt (ExpiresAt)
+  )`,
+  // TOTP second factor per user (db/twoFactor.js); secrets are AES-GCM encrypted, not hashed,
+  // because the server needs them to compute codes. PendingSecret holds an enrolment not yet confirmed
+  `CREATE TABLE IF NOT EXISTS UserTwoFactor (
+    UserId INT PRIMARY KEY,
+    Secret VARCHAR(255) NULL,
+    PendingSecret VARCHAR(255) NULL,
+    PendingCreatedAt DATETIME NULL,
+    EnabledAt DATETIME NULL,
+    LastUsedStep BIGINT NOT NULL DEFAULT 0
+  )`,
+  // One-time recovery codes for a lost authenticator (SHA-256 only)
+  `CREATE TABLE IF NOT EXISTS UserRecoveryCodes (
+    Id INT AUTO_INCREMENT PRIMARY KEY,
+    UserId INT NOT NULL,
+    CodeHash CHAR(64) NOT NULL,
+    CreatedAt DATETIME NOT NULL,
+    UsedAt DATETIME NULL,
+    UNIQUE INDEX UX_UserRecoveryCodes_UserId_CodeHash (UserId, CodeHash)
+  )`,
+  // Site-wide settings changed by admins, e.g. 'twoFactor.requiredForAdmin' (db/appSettings.js)
+  `CREATE TABLE IF NOT EXISTS AppSettings (
+    Name VARCHAR(64) PRIMARY KEY,
+    Value VARCHAR(255) NOT NULL,
+    UpdatedAt DATETIME NOT NULL,
+    UpdatedBy INT NULL
+  )`,
+];
+
+// Columns the Node server adds to the EF-owned tables (mirrored in the .NET models)
+const COLUMNS = [
+  {
+    table: 'Margins',
+    column: 'CurrencyId',
+    // NULL = global margin, otherwise the margin applies to that currency only
+    sql: `ALTER TABLE Margins
+      ADD COLUMN CurrencyId INT NULL,
+      ADD INDEX IX_Margins_CurrencyId_StartDate (CurrencyId, StartDate),
+      ADD CONSTRAINT FK_Margins_Currencies_CurrencyId FOREIGN KEY (CurrencyId) REFERENCES Currencies (Id) ON DELETE CASCADE`
+  },
+];
+
+const columnExists = async (table, column) => {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+// Create missing tables and columns on startup (idempotent)
+async function ensureSchema() {
+  for (const sql of TABLES) {
+    await pool.query(sql);
+  }
+  for (const c of COLUMNS) {
+    if (!(await columnExists(c.table, c.column))) await pool.query(c.sql);
+  }
+}
+
+module.exports = { ensureSchema };
@@ -0,0 +1,130 @@
+const crypto = require('node:crypto');
+
+// TOTP second factor per user (UserTwoFactor) and recovery codes (UserRecoveryCodes)
+// Secrets are stored AES-256-GCM encrypted with a key from TWO_FACTOR_KEY (falls back to JWT_SECRET;
+// changing the key disables every enrolment), recovery codes as SHA-256
+// 'db' can be the pool or a connection inside a transaction
+
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(`two-factor:${process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || ''}`)
+  .digest();
+
+// 'iv.tag.ciphertext', base64url parts
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+}
+
+// Null when the value cannot be decrypted (e.g. the key was changed)
+function decryptSecret(stored) {
+  if (!stored) return null;
+  try {
+    const [iv, tag, data] = stored.split('.').map(p => Buffer.from(p, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code || '').replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+
+/*
+*  Enrolment of a user: { enabled, enabledAt, secret, pendingSecret, lastUsedStep, recoveryCodesLeft }
+* + Users without a row get enabled: false and null secrets
+*/
+async function getTwoFactor(db, userId) {
+  const [rows] = await db.query(
+    `SELECT t.Secret, t.PendingSecret, t.PendingCreatedAt > NOW() - INTERVAL 15 MINUTE AS PendingIsLive,
+            t.EnabledAt, t.LastUsedStep,
+            (SELECT COUNT(*) FROM UserRecoveryCodes r WHERE r.UserId = t.UserId AND r.UsedAt IS NULL) AS RecoveryCodesLeft
+     FROM UserTwoFactor t WHERE t.UserId = ?`,
+    [userId]
+  );
+  const row = rows[0];
+  const secret = row ? decryptSecret(row.Secret) : null;
+  return {
+    enabled: Boolean(row && row.EnabledAt && secret),
+    enabledAt: row ? row.EnabledAt : null,
+    secret,
+    pendingSecret: row && row.PendingIsLive ? decryptSecret(row.PendingSecret) : null,
+    lastUsedStep: row ? Number(row.LastUsedStep) : 0,
+    recoveryCodesLeft: row ? Number(row.RecoveryCodesLeft) : 0
+  };
+}
+
+// Start (or restart) an enrolment; an enabled factor stays active until the new one is confirmed
+async function savePendingSecret(db, userId, secret) {
+  await db.query(
+    `INSERT INTO UserTwoFactor (UserId, PendingSecret, PendingCreatedAt) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE PendingSecret = VALUES(PendingSecret), PendingCreatedAt = NOW()`,
+    [userId, encryptSecret(secret)]
+  );
+}
+
+// Confirmed enrolment: the pending secret becomes the active one, 'step' is the code just used
+async function enableTwoFactor(db, userId, step) {
+  await db.query(
+    `UPDATE UserTwoFactor
+     SET Secret = PendingSecret, PendingSecret = NULL, PendingCreatedAt = NULL, EnabledAt = NOW(), LastUsedStep = ?
+     WHERE UserId = ? AND PendingSecret IS NOT NULL`,
+    [step, userId]
+  );
+}
+
+/*
+*  Record the time step of an accepted code, false when it (or a later one) was already used
+* + Conditional UPDATE, so one code cannot be used twice even by concurrent requests
+*/
+async function markStepUsed(db, userId, step) {
+  const [result] = await db.query(
+    'UPDATE UserTwoFactor SET LastUsedStep = ? WHERE UserId = ? AND LastUsedStep < ?',
+    [step, userId, step]
+  );
+  return result.affectedRows > 0;
+}
+
+async function disableTwoFactor(db, userId) {
+  await db.query('DELETE FROM UserTwoFactor WHERE UserId = ?', [userId]);
+  await db.query('DELETE FROM UserRecoveryCodes WHERE UserId = ?', [userId]);
+}
+
+// New set of recovery codes, the previous ones stop working
+async function replaceRecoveryCodes(db, userId, codes) {
+  await db.query('DELETE FROM UserRecoveryCodes WHERE UserId = ?', [userId]);
+  if (!codes.length) return;
+  await db.query(
+    'INSERT INTO UserRecoveryCodes (UserId, CodeHash, CreatedAt) VALUES ?',
+    [codes.map(code => [userId, hashRecoveryCode(code), new Date()])]
+  );
+}
+
+// Use up one recovery code, false when it is unknown or was used before
+async function useRecoveryCode(db, userId, code) {
+  const [result] = await db.query(
+    'UPDATE UserRecoveryCodes SET UsedAt = NOW() WHERE UserId = ? AND CodeHash = ? AND UsedAt IS NULL',
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.affectedRows > 0;
+}
+
+// Ids of users with an active second factor (admin user list)
+async function loadTwoFactorUserIds(db) {
+  const [rows] = await db.query('SELECT UserId FROM UserTwoFactor WHERE EnabledAt IS NOT NULL AND Secret IS NOT NULL');
+  return new Set(rows.map(r => r.UserId));
+}
+
+module.exports = {
+  getTwoFactor,
+  savePendingSecret,
+  enableTwoFactor,
+  markStepUsed,
+  disableTwoFactor,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  loadTwoFactorUserIds
+};
@@ -7,15 +7,36 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: t
 const currenciesRouter = require('./routes/currencies');
 const ratesRouter = require('./routes/rates');
 const authRouter = require('./routes/auth');
+const twoFactorRouter = require('./routes/twoFactor');
 const updateRouter = require('./routes/update');
 const marginsRouter = require('./routes/margins');
 const usersRouter = require('./routes/users');
 const aiRouter = require('./routes/ai');
 const payments = require('./routes/payments');
+const ingestionRouter = require('./routes/ingestion');
+const auditRouter = require('./routes/audit');
+const ordersRouter = require('./routes/orders');
+const alertsRouter = require('./routes/alerts');
+const watchlistRouter = require('./routes/watchlist');
+const portfolioRouter = require('./routes/portfolio');
+const apiKeysRouter = require('./routes/apiKeys');
+const v1Router = require('./routes/v1');
+const { openapiDocument } = require('./openapi');
+const { validateRequest, validateResponses } = require('./middleware/validateRequest');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { ensureSchema } = require('./db/schema');
+const { startIngestionScheduler } = require('./ingestion/scheduler');
+const { SPREADSHEET_TYPES } = require('./ingestion/rateImport');
+const { parseTrustProxy } = require('./utils/trustProxy');
 
 const passwordResetRouter = require('./routes/passwordReset'); ////
 
 const app = express();
+
+// Set TRUST_PROXY when the app runs behind a reverse proxy (e.g. TRUST_PROXY=1 for one nginx in front),
+// otherwise every client shares the proxy's IP for rate limits and lockouts; see utils/trustProxy.js
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(cors({
   origin: process.env.FRONTEND_ORIGIN || 'http://localhost:5173',
   credentials: true
@@ -25,16 +46,34 @@ app.use(cookieParser());
 // Stripe webhook must receive the raw request body (do this BEFORE express.json())
 app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), payments.handleStripeWebhook);
 
+// Bulk rate imports upload whole historical files (CSV text or XLSX bytes), allow a larger body there
+app.use('/api/rates/import', express.text({ type: 'text/csv', limit: '10mb' }), express.raw({ type: SPREADSHEET_TYPES, limit: '10mb' }));
+
 app.use(express.json());
 
+// Requests are checked against the OpenAPI document before they reach the routes
+// (secured operations only once protect / requireApiKey accepted the caller)
+if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') app.use(validateResponses(openapiDocument));
+app.use(validateRequest(openapiDocument));
 
 app.use('/api/currencies', currenciesRouter);
 app.use('/api/rates', ratesRouter);
+app.use('/api/auth/2fa', twoFactorRouter);
 app.use('/api/auth', authRouter);
 app.use('/api/update', updateRouter);
 app.use('/api/margins', marginsRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/ai', aiRouter);
+app.use('/api/ingestion', ingestionRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/orders', ordersRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/watchlist', watchlistRouter);
+app.use('/api/portfolio', portfolioRouter);
+app.use('/api/api-keys', apiKeysRouter);
+
+// Versioned public API, authenticated with API keys instead of the session cookie
+app.use('/api/v1', v1Router);
 
 app.use('/api/password-reset', passwordResetRouter);
 
@@ -45,5 +84,19 @@ app.get('/api/health', (req, res) => {
     res.json({ ok: true, time: new Date().toISOString() });
 });
 
+// Machine-readable contract of every route above (OpenAPI 3.1)
+app.get('/api/docs', (req, res) => {
+    res.json(openapiDocument);
+});
+
+// Anything else under /api, and errors thrown past the routes, answer with the { error } envelope
+app.use('/api', notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Create server-owned tables, then start the daily ECB ingestion
+ensureSchema()
+  .then(() => startIngestionScheduler())
+  .catch(err => console.error('Schema setup failed', err));
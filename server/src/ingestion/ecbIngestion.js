@@ -0,0 +1,167 @@
+const fs = require('node:fs/promises');
+const pool = require('../db/pool');
+const { loadMarginResolver } = require('../db/marginLookup');
+const { parseEcbPayload } = require('./ecbParser');
+const { formatDateToIsoLocal } = require('../utils/date');
+
+// Same endpoint the .NET CurrencyRateFetcher uses
+const ECB_SDMX_BASE_URL = (process.env.ECB_SDMX_URL || 'https://data-api.ecb.europa.eu/service/data/EXR/D..EUR.SP00.A').replace(/\/+$/, '');
+const FETCH_TIMEOUT_MS = Number(process.env.ECB_FETCH_TIMEOUT_MS) || 60 * 1000;
+
+// First date requested when the CurrencyRates table is still empty (matches the .NET fetcher)
+const INITIAL_START_DATE = '2000-01-01';
+
+const isUrl = (s) => /^https?:\/\//i.test(String(s || ''));
+
+const addDays = (dateStr, days) => {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const buildSdmxUrl = (startDate, endDate) =>
+  `${ECB_SDMX_BASE_URL}?startPeriod=${startDate}&endPeriod=${endDate}&format=xml`;
+
+// Read the payload from an http(s) URL or a local file path
+// The ECB data API answers 404 when a range has no observations (weekends, holidays): that is returned as null
+async function loadSource(source) {
+  if (!isUrl(source)) return fs.readFile(source, 'utf8');
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(source, { signal: controller.signal });
+    if (res.status === 404) return null;
+    if (!res.ok) throw Object.assign(new Error(`ECB request failed with status ${res.status}`), { statusCode: 502 });
+    return await res.text();
+  } catch (err) {
+    if (err.name === 'AbortError') throw Object.assign(new Error('ECB request timed out'), { statusCode: 504 });
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Latest stored rate date (YYYY-MM-DD) or null when the table is empty
+async function getLastStoredDate(db = pool) {
+  const [rows] = await db.query("SELECT DATE_FORMAT(MAX(Date), '%Y-%m-%d') AS LastDate FROM CurrencyRates");
+  return rows && rows[0] ? rows[0].LastDate : null;
+}
+
+/*
+*  Write parsed rates ({ 'YYYY-MM-DD': { USD: 1.09, ... } }) in a single transaction
+* + Unknown currency codes are created in Currencies
+* + New rows get the MarginId of the margin covering their date and currency
+* + Existing rows (same Date + ToCurrencyId) are skipped, or overwritten when 'overwrite' is set
+*/
+async function saveRates(ratesByDate, { overwrite = false, dateFrom = null, dateTo = null } = {}) {
+  const dates = Object.keys(ratesByDate || {})
+    .filter(d => (!dateFrom || d >= dateFrom) && (!dateTo || d <= dateTo))
+    .sort();
+
+  const summary = {
+    dates: dates.length,
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    currenciesCreated: []
+  };
+  if (!dates.length) return summary;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [currencyRows] = await connection.query('SELECT Id, CurrencyCode FROM Currencies');
+    const currencyIds = new Map(currencyRows.map(r => [String(r.CurrencyCode).toUpperCase(), r.Id]));
+
+    const [existingRows] = await connection.query(
+      `SELECT Id, ToCurrencyId, DATE_FORMAT(Date, '%Y-%m-%d') AS DateKey, ExchangeRate
+       FROM CurrencyRates WHERE Date >= ? AND Date <= ?`,
+      [summary.firstDate, summary.lastDate]
+    );
+    const existing = new Map(existingRows.map(r => [`${r.DateKey}|${r.ToCurrencyId}`, r]));
+    const marginIdFor = await loadMarginResolver(connection);
+
+    for (const date of dates) {
+      const inserts = [];
+
+      for (const [code, rate] of Object.entries(ratesByDate[date])) {
+        let currencyId = currencyIds.get(code);
+        if (!currencyId) {
+          const [result] = await connection.query('INSERT INTO Currencies (CurrencyCode) VALUES (?)', [code]);
+          currencyId = result.insertId;
+          currencyIds.set(code, currencyId);
+          summary.currenciesCreated.push(code);
+        }
+
+        const row = existing.get(`${date}|${currencyId}`);
+        if (!row) {
+          inserts.push([date, currencyId, rate, marginIdFor(date, currencyId)]);
+        } else if (overwrite && Number(row.ExchangeRate) !== rate) {
+          await connection.query('UPDATE CurrencyRates SET ExchangeRate = ? WHERE Id = ?', [rate, row.Id]);
+          summary.updated++;
+        } else {
+          summary.skipped++;
+        }
+      }
+
+      if (inserts.length) {
+        await connection.query('INSERT INTO CurrencyRates (Date, ToCurrencyId, ExchangeRate, MarginId) VALUES ?', [inserts]);
+        summary.inserted += inserts.length;
+      }
+    }
+
+    await connection.commit();
+    return summary;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/*
+*  Run one ECB ingestion
+* + 'source' is an http(s) URL or a local file (SDMX generic XML, eurofxref XML or CSV)
+* + Without a source the ECB SDMX API is queried from the day after the last stored rate up to today
+*/
+async function runEcbIngestion({ source = null, overwrite = false, dateFrom = null, dateTo = null } = {}) {
+  let resolvedSource = source;
+
+  if (!resolvedSource) {
+    const lastDate = await getLastStoredDate();
+    const startDate = dateFrom || (lastDate ? addDays(lastDate, 1) : INITIAL_START_DATE);
+    const endDate = dateTo || formatDateToIsoLocal(new Date());
+    if (startDate > endDate) {
+      return { source: null, format: null, upToDate: true, ...(await saveRates({})) };
+    }
+    resolvedSource = buildSdmxUrl(startDate, endDate);
+  }
+
+  const text = await loadSource(resolvedSource);
+  if (text == null || !text.trim()) {
+    return { source: resolvedSource, format: null, ...(await saveRates({})) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseEcbPayload(text);
+  } catch (err) {
+    throw Object.assign(err, { statusCode: 400 });
+  }
+
+  const summary = await saveRates(parsed.ratesByDate, { overwrite, dateFrom, dateTo });
+  return { source: resolvedSource, format: parsed.format, ...summary };
+}
+
+module.exports = {
+  buildSdmxUrl,
+  loadSource,
+  getLastStoredDate,
+  saveRates,
+  runEcbIngestion,
+};
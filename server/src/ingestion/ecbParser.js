@@ -0,0 +1,136 @@
+// Parsers for the ECB reference rate formats we ingest
+// Every parser returns the same shape as the .NET fetcher builds:
+//   { 'YYYY-MM-DD': { USD: 1.0921, JPY: 157.6, ... }, ... }
+// All rates are EUR -> currency (units of currency per 1 EUR)
+
+const MONTHS = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+};
+
+// Read an XML attribute value from a tag string (namespace prefixes are ignored)
+const readAttr = (tag, name) => {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+  return m ? m[1] : null;
+};
+
+// Accept YYYY-MM-DD or the "05 January 2024" form used by the daily CSV
+const normalizeDate = (raw) => {
+  const s = String(raw || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+
+  const m = s.match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
+  if (m && MONTHS[m[2].toLowerCase()]) {
+    return `${m[3]}-${String(MONTHS[m[2].toLowerCase()]).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  }
+  return null;
+};
+
+const normalizeCode = (raw) => {
+  const c = String(raw || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+};
+
+const parseRate = (raw) => {
+  const n = Number(String(raw || '').trim());
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const addRate = (out, date, code, rate) => {
+  if (!date || !code || rate == null || code === 'EUR') return;
+  if (!out[date]) out[date] = {};
+  out[date][code] = rate;
+};
+
+// ECB SDMX 2.1 generic data message (data-api.ecb.europa.eu ... &format=xml)
+// <generic:Series> holds a SeriesKey with <generic:Value id="CURRENCY" value="USD"/>
+// and <generic:Obs> nodes with ObsDimension (date) and ObsValue (rate)
+const parseSdmxGeneric = (xml) => {
+  const out = {};
+  const seriesRe = /<(?:\w+:)?Series\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Series>/g;
+  const valueRe = /<(?:\w+:)?Value\b[^>]*\/?>/g;
+  const obsRe = /<(?:\w+:)?Obs\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Obs>/g;
+
+  for (const series of String(xml).matchAll(seriesRe)) {
+    const body = series[1];
+
+    let currency = null;
+    for (const v of body.matchAll(valueRe)) {
+      if (readAttr(v[0], 'id') === 'CURRENCY') {
+        currency = normalizeCode(readAttr(v[0], 'value'));
+        break;
+      }
+    }
+    if (!currency) continue;
+
+    for (const obs of body.matchAll(obsRe)) {
+      const dimTag = obs[1].match(/<(?:\w+:)?ObsDimension\b[^>]*>/);
+      const valTag = obs[1].match(/<(?:\w+:)?ObsValue\b[^>]*>/);
+      if (!dimTag || !valTag) continue;
+      addRate(out, normalizeDate(readAttr(dimTag[0], 'value')), currency, parseRate(readAttr(valTag[0], 'value')));
+    }
+  }
+  return out;
+};
+
+// ECB eurofxref-daily.xml / eurofxref-hist.xml
+// <Cube time="2024-01-05"><Cube currency="USD" rate="1.0921"/>...</Cube>
+const parseEurofxrefXml = (xml) => {
+  const out = {};
+  const dayRe = /<(?:\w+:)?Cube\s+time\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/(?:\w+:)?Cube>/g;
+  const rateRe = /<(?:\w+:)?Cube\b[^>]*\bcurrency\s*=[^>]*>/g;
+
+  for (const day of String(xml).matchAll(dayRe)) {
+    const date = normalizeDate(day[1]);
+    for (const r of day[2].matchAll(rateRe)) {
+      addRate(out, date, normalizeCode(readAttr(r[0], 'currency')), parseRate(readAttr(r[0], 'rate')));
+    }
+  }
+  return out;
+};
+
+// ECB eurofxref.csv / eurofxref-hist.csv
+// Header: Date, USD, JPY, ... ; missing values are 'N/A'; lines may end with a trailing comma
+const parseEurofxrefCsv = (csv) => {
+  const out = {};
+  const lines = String(csv).split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return out;
+
+  const header = lines[0].split(',').map(h => h.trim());
+  if (header[0].toLowerCase() !== 'date') return out;
+
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',');
+    const date = normalizeDate(cells[0]);
+    for (let i = 1; i < header.length; i++) {
+      addRate(out, date, normalizeCode(header[i]), parseRate(cells[i]));
+    }
+  }
+  return out;
+};
+
+// Detect the format from the payload itself, so a file name or URL is not required to guess it
+const detectFormat = (text) => {
+  const head = String(text).trimStart().slice(0, 4000);
+  if (head.startsWith('<')) {
+    if (/<(?:\w+:)?(GenericData|DataSet|Series)\b/.test(head)) return 'sdmx';
+    return 'eurofxref-xml';
+  }
+  if (/^date\s*,/i.test(head)) return 'eurofxref-csv';
+  return null;
+};
+
+const parseEcbPayload = (text) => {
+  const format = detectFormat(text);
+  if (format === 'sdmx') return { format, ratesByDate: parseSdmxGeneric(text) };
+  if (format === 'eurofxref-xml') return { format, ratesByDate: parseEurofxrefXml(text) };
+  if (format === 'eurofxref-csv') return { format, ratesByDate: parseEurofxrefCsv(text) };
+  throw new Error('Unrecognized ECB payload format');
+};
+
+module.exports = {
+  parseSdmxGeneric,
+  parseEurofxrefXml,
+  parseEurofxrefCsv,
+  parseEcbPayload,
+};
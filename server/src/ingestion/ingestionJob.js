@@ -0,0 +1,158 @@
+const pool = require('../db/pool');
+const { runEcbIngestion } = require('./ecbIngestion');
+const { evaluateRateAlerts } = require('./rateAlerts');
+const { listBusinessDays } = require('./target2Calendar');
+
+// How far back every run re-checks for holes, on top of "since the last stored date"
+const LOOKBACK_DAYS = Number(process.env.INGESTION_LOOKBACK_DAYS) || 30;
+// Optional historical file or feed for backfill (e.g. a local eurofxref-hist.csv)
+// When unset the ECB SDMX API is queried for the missing range
+const BACKFILL_SOURCE = process.env.INGESTION_BACKFILL_SOURCE || null;
+
+// Only one run at a time per process (scheduler and "run now" share it)
+let activeRun = null;
+
+// The ECB publishes the day's reference rates around 16:00 CET (Frankfurt time)
+const ECB_TIME_ZONE = 'Europe/Berlin';
+const ECB_PUBLICATION_MINUTES = 16 * 60;
+
+const addDays = (dateStr, days) => {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+// Latest date the ECB can have published by 'now': today (Frankfurt) after the publication time, else yesterday
+function lastPublishedDate(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: ECB_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+  const today = `${parts.year}-${parts.month}-${parts.day}`;
+  const published = Number(parts.hour) * 60 + Number(parts.minute) >= ECB_PUBLICATION_MINUTES;
+  return published ? today : addDays(today, -1);
+}
+
+/*
+*  TARGET2 business days that have no CurrencyRates row at all
+* + Range starts at the earlier of: the day after the last stored Date, or 'until - lookbackDays'
+* + Range ends at 'until', by default the last date already published (today only after ~16:00 CET)
+* + Weekends and TARGET2 holidays are never reported (the ECB publishes nothing on them)
+*/
+async function findMissingDates({ until = lastPublishedDate(), lookbackDays = LOOKBACK_DAYS } = {}) {
+  const [[last]] = await pool.query("SELECT DATE_FORMAT(MAX(Date), '%Y-%m-%d') AS LastDate FROM CurrencyRates");
+
+  let from = addDays(until, -lookbackDays);
+  if (last && last.LastDate) {
+    const next = addDays(last.LastDate, 1);
+    if (next < from) from = next;
+  }
+  if (from > until) return [];
+
+  const candidates = listBusinessDays(from, until);
+  if (!candidates.length) return [];
+
+  const [rows] = await pool.query(
+    `SELECT DISTINCT DATE_FORMAT(Date, '%Y-%m-%d') AS DateKey
+     FROM CurrencyRates WHERE Date >= ? AND Date <= ?`,
+    [from, until]
+  );
+  const stored = new Set(rows.map(r => r.DateKey));
+  return candidates.filter(d => !stored.has(d));
+}
+
+const updateRun = (runId, fields) => {
+  const keys = Object.keys(fields);
+  return pool.query(
+    `UPDATE IngestionRuns SET ${keys.map(k => `${k} = ?`).join(', ')}, FinishedAt = NOW() WHERE Id = ?`,
+    [...keys.map(k => fields[k]), runId]
+  );
+};
+
+async function getRun(runId) {
+  const [rows] = await pool.query('SELECT * FROM IngestionRuns WHERE Id = ?', [runId]);
+  return rows[0] || null;
+}
+
+async function listRuns({ limit = 50 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT r.*, u.Email AS UserEmail
+     FROM IngestionRuns r
+     LEFT JOIN Users u ON u.Id = r.UserId
+     ORDER BY r.StartedAt DESC, r.Id DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+}
+
+/*
+*  Detect missing days and backfill them
+* + Every run is recorded in IngestionRuns (running -> success | partial | failed)
+* + 'partial' means some missing days were still not found in the source
+*/
+async function executeRun({ trigger, userId, source, until }) {
+  const [insert] = await pool.query(
+    "INSERT INTO IngestionRuns (TriggerType, Status, Source, UserId, StartedAt) VALUES (?, 'running', ?, ?, NOW())",
+    [trigger, source, userId]
+  );
+  const runId = insert.insertId;
+
+  try {
+    const missing = await findMissingDates({ until });
+    if (!missing.length) {
+      await updateRun(runId, { Status: 'success' });
+      return getRun(runId);
+    }
+
+    const dateFrom = missing[0];
+    const dateTo = missing[missing.length - 1];
+    const result = await runEcbIngestion({ source, dateFrom, dateTo });
+
+    const stillMissing = (await findMissingDates({ until })).filter(d => d >= dateFrom && d <= dateTo);
+    await updateRun(runId, {
+      Status: stillMissing.length ? 'partial' : 'success',
+      Source: result.source || source,
+      MissingDates: missing.length,
+      FilledDates: missing.length - stillMissing.length,
+      Inserted: result.inserted,
+      Updated: result.updated,
+      Skipped: result.skipped,
+      ErrorMessage: stillMissing.length ? `No data in source for: ${stillMissing.join(', ')}`.slice(0, 2000) : null
+    });
+
+    // New rates: check user alerts on each ingested date (an alert problem never fails the ingestion run)
+    if (result.inserted || result.updated) {
+      await evaluateRateAlerts({ dateFrom: result.firstDate, dateTo: result.lastDate })
+        .catch(err => console.error('Rate alert evaluation failed', err));
+    }
+    return getRun(runId);
+  } catch (err) {
+    await updateRun(runId, { Status: 'failed', ErrorMessage: String(err.message || err).slice(0, 2000) }).catch(() => {});
+    throw Object.assign(err, { runId });
+  }
+}
+
+async function runIngestionJob({ trigger = 'schedule', userId = null, source = BACKFILL_SOURCE, until } = {}) {
+  if (activeRun) {
+    throw Object.assign(new Error('An ingestion run is already in progress'), { statusCode: 409 });
+  }
+  activeRun = executeRun({ trigger, userId, source, until });
+  try {
+    return await activeRun;
+  } finally {
+    activeRun = null;
+  }
+}
+
+const isIngestionRunning = () => activeRun != null;
+
+module.exports = {
+  lastPublishedDate,
+  findMissingDates,
+  runIngestionJob,
+  isIngestionRunning,
+  listRuns,
+  getRun,
+};
@@ -0,0 +1,139 @@
+const pool = require('../db/pool');
+const { loadPairValues } = require('../db/rateMaps');
+const { sendRateAlertEmail } = require('../utils/mailtrapMailer');
+
+const ALERT_SIDES = ['buy', 'sell', 'origin'];
+const ALERT_KINDS = ['above', 'below', 'change'];
+const MAX_WINDOW_DAYS = 365;
+
+const addDays = (dateStr, days) => {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/*
+*  Condition of one alert at day 'i' of a daily series (null when there is no data)
+* + above / below: value compared with Threshold
+* + change: move in % against the value WindowDays earlier, |move| >= Threshold
+*/
+function conditionAt(alert, values, i) {
+  const value = values[i];
+  if (value == null) return null;
+  const threshold = Number(alert.Threshold);
+
+  if (alert.Kind === 'above') return { holds: value > threshold, value };
+  if (alert.Kind === 'below') return { holds: value < threshold, value };
+
+  const reference = values[i - alert.WindowDays];
+  if (reference == null || reference === 0) return null;
+  const changePct = ((value - reference) / reference) * 100;
+  return { holds: Math.abs(changePct) >= threshold, value, reference, changePct };
+}
+
+// An alert fires when its condition holds on the latest day but not on the day before (a crossing)
+function checkAlert(alert, values) {
+  const last = values.length - 1;
+  const now = conditionAt(alert, values, last);
+  if (!now || !now.holds) return null;
+  const before = conditionAt(alert, values, last - 1);
+  if (before && before.holds) return null;
+  return now;
+}
+
+// Rate dates more than this many days before the latest stored rate are history:
+// re-imports and backfills of them never send alerts
+const MAX_ALERT_AGE_DAYS = 7;
+
+/*
+*  Evaluate all active alerts on each rate date from dateFrom to dateTo (called after rates change)
+* + Without a range only the latest stored rate date is checked
+* + Dates are checked oldest first, so a multi-day backfill fires each crossing on its own date;
+*   dates older than MAX_ALERT_AGE_DAYS before the latest stored rate are skipped
+* + Returns { rateDate (last date checked), rateDates, evaluated, triggered }
+*/
+async function evaluateRateAlerts({ db = pool, dateFrom = null, dateTo = null } = {}) {
+  const [[latest]] = await db.query("SELECT DATE_FORMAT(MAX(Date), '%Y-%m-%d') AS RateDate FROM CurrencyRates");
+  const latestDate = latest && latest.RateDate;
+  if (!latestDate) return { rateDate: null, rateDates: [], evaluated: 0, triggered: 0 };
+
+  const last = dateTo && dateTo < latestDate ? dateTo : latestDate;
+  const oldest = addDays(latestDate, -MAX_ALERT_AGE_DAYS);
+  const first = !dateFrom ? last : (dateFrom > oldest ? dateFrom : oldest);
+
+  const [dateRows] = await db.query(
+    `SELECT DISTINCT DATE_FORMAT(Date, '%Y-%m-%d') AS RateDate
+     FROM CurrencyRates WHERE Date >= ? AND Date <= ?
+     ORDER BY RateDate`,
+    [first, last]
+  );
+  const rateDates = dateRows.map(r => r.RateDate);
+
+  const totals = { rateDate: rateDates.length ? rateDates[rateDates.length - 1] : null, rateDates, evaluated: 0, triggered: 0 };
+  for (const rateDate of rateDates) {
+    const { evaluated, triggered } = await evaluateRateDate(db, rateDate);
+    totals.evaluated += evaluated;
+    totals.triggered += triggered;
+  }
+  return totals;
+}
+
+/*
+*  Evaluate all active alerts against the rates of one date
+* + Pair values come from calculatePairRates (via buildPairSeries), so they match the charts
+* + Each alert fires at most once per rate date and never for a date before its last trigger
+*   (LastTriggeredDate), every trigger is kept in RateAlertTriggers
+* + Emails are sent after the trigger is stored; a mail failure leaves EmailSent = 0
+*/
+async function evaluateRateDate(db, rateDate) {
+  const [alerts] = await db.query(
+    `SELECT a.*, u.Email AS UserEmail
+     FROM RateAlerts a
+     JOIN Users u ON u.Id = a.UserId AND u.IsDeleted = 0
+     WHERE a.IsActive = 1 AND (a.LastTriggeredDate IS NULL OR a.LastTriggeredDate < ?)`,
+    [rateDate]
+  );
+  if (!alerts.length) return { evaluated: 0, triggered: 0 };
+
+  const [currencies] = await db.query('SELECT Id, CurrencyCode FROM Currencies');
+  const idByCode = new Map(currencies.map(c => [String(c.CurrencyCode).toUpperCase(), c.Id]));
+
+  // One series per pair, long enough for the widest 'change' window on it (+1 day for the crossing check)
+  const byPair = new Map();
+  for (const a of alerts) {
+    const key = `${a.FromCode}/${a.ToCode}`;
+    const days = Math.max(byPair.get(key) || 1, a.Kind === 'change' ? a.WindowDays : 1);
+    byPair.set(key, days);
+  }
+
+  let triggered = 0;
+  for (const [key, windowDays] of byPair) {
+    const [from, to] = key.split('/');
+    const series = await loadPairValues(db, idByCode, { from, to, dateFrom: addDays(rateDate, -(windowDays + 1)), dateTo: rateDate });
+    if (!series) continue;
+
+    for (const alert of alerts.filter(a => a.FromCode === from && a.ToCode === to)) {
+      const hit = checkAlert(alert, series[alert.Side]);
+      if (!hit) continue;
+
+      const [insert] = await db.query(
+        `INSERT INTO RateAlertTriggers (AlertId, UserId, FromCode, ToCode, Side, RateDate, Value, ReferenceValue, ChangePct, CreatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [alert.Id, alert.UserId, from, to, alert.Side, rateDate, hit.value, hit.reference ?? null, hit.changePct ?? null]
+      );
+      await db.query('UPDATE RateAlerts SET LastTriggeredDate = ? WHERE Id = ?', [rateDate, alert.Id]);
+      triggered++;
+
+      try {
+        await sendRateAlertEmail({ to: alert.UserEmail, alert, trigger: { rateDate, ...hit } });
+        await db.query('UPDATE RateAlertTriggers SET EmailSent = 1 WHERE Id = ?', [insert.insertId]);
+      } catch (err) {
+        console.error('Rate alert email failed', alert.Id, err && err.message ? err.message : err);
+      }
+    }
+  }
+
+  return { evaluated: alerts.length, triggered };
+}
+
+module.exports = { ALERT_SIDES, ALERT_KINDS, MAX_WINDOW_DAYS, MAX_ALERT_AGE_DAYS, evaluateRateAlerts, checkAlert };
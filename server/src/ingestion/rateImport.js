@@ -0,0 +1,203 @@
+const XLSX = require('xlsx');
+const { loadMarginResolver } = require('../db/marginLookup');
+const { isIsoDate } = require('../utils/date');
+
+// Max rows accepted per import request and max rows echoed back per detail list
+const MAX_IMPORT_ROWS = Number(process.env.RATE_IMPORT_MAX_ROWS) || 50000;
+const DETAIL_LIMIT = 500;
+
+// Request bodies accepted by POST /api/rates/import besides text/csv
+const SPREADSHEET_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+
+// Header aliases -> row fields
+const HEADER_MAP = {
+  date: 'date',
+  currencycode: 'currencyCode',
+  currency: 'currencyCode',
+  exchangerate: 'exchangeRate',
+  rate: 'exchangeRate'
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Date cell: Excel serial number, YYYY-MM-DD or DD.MM.YYYY
+const normalizeDateCell = (v) => {
+  if (typeof v === 'number') {
+    const p = XLSX.SSF.parse_date_code(v);
+    return p ? `${p.y}-${pad2(p.m)}-${pad2(p.d)}` : String(v);
+  }
+  const s = String(v || '').trim();
+  const dm = s.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  if (dm) return `${dm[3]}-${pad2(dm[2])}-${pad2(dm[1])}`;
+  return s;
+};
+
+// Rate cell: number, or text with a decimal point or comma
+const normalizeRateCell = (v) => {
+  if (typeof v === 'number') return v;
+  const s = String(v || '').trim().replace(',', '.');
+  return s === '' ? null : Number(s);
+};
+
+/*
+*  Read the first sheet of an uploaded file into import rows for buildImportPlan
+* + data: CSV text, or the bytes of an XLSX/XLS workbook
+* + Columns by header: Date, CurrencyCode (or Currency), ExchangeRate (or Rate); other columns are ignored
+* + Returns { rows, missingColumns }; an unreadable workbook throws
+*/
+function parseImportFile(data) {
+  const workbook = typeof data === 'string'
+    ? XLSX.read(data, { type: 'string', raw: true })
+    : XLSX.read(data, { type: 'buffer' });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { rows: [], missingColumns: ['Date', 'CurrencyCode', 'ExchangeRate'] };
+
+  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+  const header = (matrix[0] || []).map(h => HEADER_MAP[String(h).trim().toLowerCase().replace(/[\s_]/g, '')] || null);
+
+  const missingColumns = [];
+  if (!header.includes('date')) missingColumns.push('Date');
+  if (!header.includes('currencyCode')) missingColumns.push('CurrencyCode');
+  if (!header.includes('exchangeRate')) missingColumns.push('ExchangeRate');
+  if (missingColumns.length) return { rows: [], missingColumns };
+
+  const rows = [];
+  matrix.slice(1).forEach((cells, idx) => {
+    if (!cells || cells.every(c => String(c).trim() === '')) return;
+    const row = { line: idx + 2 }; // +1 for the header, +1 for 1-based lines
+    header.forEach((field, i) => {
+      if (field === 'date') row.date = normalizeDateCell(cells[i]);
+      if (field === 'currencyCode') row.currencyCode = String(cells[i] || '').trim().toUpperCase();
+      if (field === 'exchangeRate') row.exchangeRate = normalizeRateCell(cells[i]);
+    });
+    rows.push(row);
+  });
+
+  return { rows, missingColumns };
+}
+
+// Real calendar date check on top of the YYYY-MM-DD shape (rejects 2024-02-30)
+const isValidDate = (s) => {
+  if (!isIsoDate(s)) return false;
+  const d = new Date(s + 'T00:00:00Z');
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+};
+
+const sameRate = (a, b) => Math.abs(Number(a) - Number(b)) <= 1e-9 * Math.max(1, Math.abs(Number(b)));
+
+/*
+*  Validate import rows and diff them against CurrencyRates
+* + rows: [{ line, date: 'YYYY-MM-DD', currencyCode, exchangeRate }] from parseImportFile ('line' is the file row, for messages)
+* + Errors: invalid date, unknown currency, EUR (base currency), non-positive rate, duplicate currency+date
+* + Returns { errors, inserts, updates, unchanged } where inserts/updates are ready to apply
+*/
+async function buildImportPlan(db, rows) {
+  const errors = [];
+  const inserts = [];
+  const updates = [];
+  let unchanged = 0;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    errors.push({ line: null, error: 'No rows to import' });
+    return { errors, inserts, updates, unchanged };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({ line: null, error: `Too many rows (max ${MAX_IMPORT_ROWS})` });
+    return { errors, inserts, updates, unchanged };
+  }
+
+  const [currencyRows] = await db.query('SELECT Id, CurrencyCode FROM Currencies');
+  const currencyIds = new Map(currencyRows.map(r => [String(r.CurrencyCode).toUpperCase(), r.Id]));
+
+  // First pass: shape validation and duplicates inside the file
+  const valid = [];
+  const seen = new Map();
+  rows.forEach((r, idx) => {
+    const line = Number.isFinite(Number(r && r.line)) ? Number(r.line) : idx + 1;
+    const date = String((r && r.date) || '').trim();
+    const code = String((r && r.currencyCode) || '').trim().toUpperCase();
+    const rate = Number(r && r.exchangeRate);
+
+    if (!isValidDate(date)) return errors.push({ line, error: `Invalid date "${date}". Use YYYY-MM-DD.` });
+    if (code === 'EUR') return errors.push({ line, error: 'EUR is the base currency and cannot be imported' });
+    if (!currencyIds.has(code)) return errors.push({ line, error: `Unknown currency: ${code || '(empty)'}` });
+    if (!Number.isFinite(rate) || rate <= 0) return errors.push({ line, error: `Exchange rate must be a positive number` });
+
+    const key = `${code}|${date}`;
+    if (seen.has(key)) return errors.push({ line, error: `Duplicate date ${date} for ${code} (first seen on line ${seen.get(key)})` });
+    seen.set(key, line);
+
+    valid.push({ line, date, currencyCode: code, currencyId: currencyIds.get(code), exchangeRate: rate });
+  });
+
+  if (!valid.length) return { errors, inserts, updates, unchanged };
+
+  // Second pass: compare with stored rows in the covered range
+  const dates = valid.map(v => v.date).sort();
+  const [existingRows] = await db.query(
+    `SELECT Id, ToCurrencyId, DATE_FORMAT(Date, '%Y-%m-%d') AS DateKey, ExchangeRate
+     FROM CurrencyRates
+     WHERE ToCurrencyId IN (?) AND Date >= ? AND Date <= ?`,
+    [[...new Set(valid.map(v => v.currencyId))], dates[0], dates[dates.length - 1]]
+  );
+  const existing = new Map(existingRows.map(r => [`${r.ToCurrencyId}|${r.DateKey}`, r]));
+
+  for (const v of valid) {
+    const row = existing.get(`${v.currencyId}|${v.date}`);
+    if (!row) {
+      inserts.push(v);
+    } else if (!sameRate(v.exchangeRate, row.ExchangeRate)) {
+      updates.push({ ...v, rateId: row.Id, oldExchangeRate: Number(row.ExchangeRate) });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { errors, inserts, updates, unchanged };
+}
+
+// Apply a plan built by buildImportPlan; caller owns the transaction
+async function applyImportPlan(connection, plan) {
+  const marginIdFor = await loadMarginResolver(connection);
+  const values = plan.inserts.map(v => [v.date, v.currencyId, v.exchangeRate, marginIdFor(v.date, v.currencyId)]);
+  // Chunked multi-row inserts keep packets small for large historical files
+  for (let i = 0; i < values.length; i += 1000) {
+    await connection.query(
+      'INSERT INTO CurrencyRates (Date, ToCurrencyId, ExchangeRate, MarginId) VALUES ?',
+      [values.slice(i, i + 1000)]
+    );
+  }
+
+  for (const u of plan.updates) {
+    await connection.query('UPDATE CurrencyRates SET ExchangeRate = ? WHERE Id = ?', [u.exchangeRate, u.rateId]);
+  }
+
+  return { inserted: plan.inserts.length, updated: plan.updates.length };
+}
+
+// Response body shared by dry run and commit (detail lists are capped)
+const describePlan = (plan) => ({
+  summary: {
+    inserts: plan.inserts.length,
+    updates: plan.updates.length,
+    unchanged: plan.unchanged,
+    errors: plan.errors.length
+  },
+  inserts: plan.inserts.slice(0, DETAIL_LIMIT).map(({ line, date, currencyCode, exchangeRate }) => ({ line, date, currencyCode, exchangeRate })),
+  updates: plan.updates.slice(0, DETAIL_LIMIT).map(({ line, date, currencyCode, exchangeRate, oldExchangeRate }) => ({ line, date, currencyCode, exchangeRate, oldExchangeRate })),
+  errors: plan.errors.slice(0, DETAIL_LIMIT),
+  truncated: plan.inserts.length > DETAIL_LIMIT || plan.updates.length > DETAIL_LIMIT || plan.errors.length > DETAIL_LIMIT
+});
+
+module.exports = {
+  SPREADSHEET_TYPES,
+  parseImportFile,
+  buildImportPlan,
+  applyImportPlan,
+  describePlan,
+  MAX_IMPORT_ROWS
+};
@@ -0,0 +1,74 @@
+const { runIngestionJob } = require('./ingestionJob');
+
+// Daily run time in server local time, 'HH:MM' (24h)
+// The ECB publishes reference rates around 16:00 CET, so a value after that is a sensible choice
+// Leave INGESTION_SCHEDULE_TIME empty to disable the scheduler
+const SCHEDULE_TIME = process.env.INGESTION_SCHEDULE_TIME || '';
+
+let timer = null;
+let nextRunAt = null;
+let scheduleTime = null;
+
+const parseTime = (s) => {
+  const m = String(s || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? { hours: Number(m[1]), minutes: Number(m[2]) } : null;
+};
+
+// Milliseconds from 'now' until the next occurrence of the given time
+const msUntilNext = ({ hours, minutes }, now) => {
+  const next = new Date(now.getTime());
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= now.getTime()) next.setDate(next.getDate() + 1);
+  return next.getTime() - now.getTime();
+};
+
+/*
+*  Start the in-process daily scheduler
+* + 'run' and 'now' can be replaced (e.g. a fixed clock) without touching timers elsewhere
+* + A failing run is logged (and recorded in IngestionRuns) and the next day is still scheduled
+*/
+function startIngestionScheduler({ time = SCHEDULE_TIME, run = runIngestionJob, now = () => new Date() } = {}) {
+  stopIngestionScheduler();
+
+  const parsed = parseTime(time);
+  if (!parsed) {
+    if (time) console.warn(`Invalid INGESTION_SCHEDULE_TIME "${time}", expected HH:MM. Scheduler disabled.`);
+    return false;
+  }
+  scheduleTime = `${String(parsed.hours).padStart(2, '0')}:${String(parsed.minutes).padStart(2, '0')}`;
+
+  const scheduleNext = () => {
+    const current = now();
+    const delay = msUntilNext(parsed, current);
+    nextRunAt = new Date(current.getTime() + delay);
+    timer = setTimeout(async () => {
+      try {
+        await run({ trigger: 'schedule' });
+      } catch (err) {
+        console.error('Scheduled ingestion failed', err);
+      }
+      scheduleNext();
+    }, delay);
+    if (typeof timer.unref === 'function') timer.unref();
+  };
+
+  scheduleNext();
+  console.log(`Ingestion scheduler: daily at ${scheduleTime}, next run ${nextRunAt.toISOString()}`);
+  return true;
+}
+
+function stopIngestionScheduler() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+  scheduleTime = null;
+}
+
+const getSchedulerState = () => ({ enabled: !!timer, scheduleTime, nextRunAt });
+
+module.exports = {
+  startIngestionScheduler,
+  stopIngestionScheduler,
+  getSchedulerState,
+  msUntilNext,
+};
@@ -0,0 +1,65 @@
+// TARGET2 calendar: the ECB publishes reference rates only on TARGET2 business days
+// Closing days: weekends, New Year's Day, Good Friday, Easter Monday, 1 May, 25 and 26 December
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toKey = (ts) => new Date(ts).toISOString().slice(0, 10);
+const fromKey = (s) => {
+  const [y, m, d] = s.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+// Easter Sunday (Gregorian, anonymous algorithm) as a UTC timestamp
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+};
+
+// Holidays for a year as a Set of YYYY-MM-DD keys
+const holidayCache = new Map();
+const target2Holidays = (year) => {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const easter = easterSunday(year);
+  const set = new Set([
+    `${year}-01-01`,
+    toKey(easter - 2 * DAY_MS), // Good Friday
+    toKey(easter + DAY_MS), // Easter Monday
+    `${year}-05-01`,
+    `${year}-12-25`,
+    `${year}-12-26`,
+  ]);
+  holidayCache.set(year, set);
+  return set;
+};
+
+const isTarget2BusinessDay = (dateKey) => {
+  const ts = fromKey(dateKey);
+  const dow = new Date(ts).getUTCDay();
+  if (dow === 0 || dow === 6) return false;
+  return !target2Holidays(Number(dateKey.slice(0, 4))).has(dateKey);
+};
+
+// All TARGET2 business days between two YYYY-MM-DD keys (inclusive)
+const listBusinessDays = (fromDate, toDate) => {
+  const out = [];
+  for (let ts = fromKey(fromDate); ts <= fromKey(toDate); ts += DAY_MS) {
+    const key = toKey(ts);
+    if (isTarget2BusinessDay(key)) out.push(key);
+  }
+  return out;
+};
+
+module.exports = { easterSunday, target2Holidays, isTarget2BusinessDay, listBusinessDays };
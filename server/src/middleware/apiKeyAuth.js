@@ -0,0 +1,48 @@
+const pool = require('../db/pool');
+const { findApiKey, hasScope, consumeQuota } = require('../db/apiKeys');
+const { rejectInvalidRequest } = require('./validateRequest');
+
+/*
+Middleware for /api/v1: authenticate with an API key and require one scope
+The key is read from 'Authorization: Bearer <key>' or the 'X-API-Key' header
+Attaches req.apiKey and req.user ({ id, email, role } of the key owner)
+Requests that pass the scope check count against the key's daily quota (429 once used up)
+*/
+const requireApiKey = (scope) => async (req, res, next) => {
+    const auth = req.get('authorization') || '';
+    const rawKey = auth.toLowerCase().startsWith('bearer ') ? auth.slice(7) : req.get('x-api-key');
+
+    if (!rawKey) {
+        return res.status(401).json({ error: 'API key required (Authorization: Bearer <key> or X-API-Key)' });
+    }
+
+    try {
+        const key = await findApiKey(pool, rawKey);
+        if (!key) return res.status(401).json({ error: 'Invalid or revoked API key' });
+
+        // An admin key stops working for admin calls once its owner is no longer an admin
+        const isAdmin = String(key.UserRole || '').toLowerCase() === 'admin';
+        if (!hasScope(key.Scopes, scope) || (scope === 'admin' && !isAdmin)) {
+            return res.status(403).json({ error: `API key is missing the '${scope}' scope` });
+        }
+
+        const quota = await consumeQuota(pool, key);
+        res.set('X-RateLimit-Limit', String(quota.limit));
+        res.set('X-RateLimit-Remaining', String(Math.max(quota.limit - quota.used, 0)));
+        if (!quota.allowed) {
+            return res.status(429).json({ error: 'Daily request quota for this API key is used up' });
+        }
+
+        req.apiKey = { id: key.Id, name: key.Name, scopes: key.Scopes };
+        req.user = { id: key.UserId, email: key.UserEmail, role: key.UserRole };
+
+        // Input is validated once the key is accepted (middleware/validateRequest.js)
+        if (rejectInvalidRequest(req, res)) return;
+        next();
+    } catch (err) {
+        console.error('API key check failed', err);
+        return res.status(500).json({ error: 'Failed to verify API key' });
+    }
+};
+
+module.exports = { requireApiKey };
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../db/pool'); // Import pool for database check
+const { rejectInvalidRequest } = require('./validateRequest');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
@@ -30,7 +31,9 @@ const protect = async (req, res, next) => { // Make function async
 
         // All good — attach user data (can take fresh from DB or from token)
         req.user = decoded; 
-        
+
+        // Input of secured operations is validated once the caller is known (middleware/validateRequest.js)
+        if (rejectInvalidRequest(req, res)) return;
         next(); 
     } catch (err) {
         // If token is expired or invalid
@@ -38,4 +41,33 @@ const protect = async (req, res, next) => { // Make function async
     }
 };
 
-module.exports = { protect };
\ No newline at end of file
+/*
+Optional variant of protect for endpoints that also serve guests
+Attaches req.user when a valid token of an active user is present, never rejects
+*/
+const attachUser = async (req, res, next) => {
+    const token = req.cookies.token;
+    if (!token) return next();
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const [rows] = await pool.query('SELECT IsDeleted+0 as IsDeleted FROM Users WHERE Id = ?', [decoded.id]);
+        if (rows.length && rows[0].IsDeleted != 1) req.user = decoded;
+    } catch (err) {
+        // Invalid or expired token: continue as guest
+    }
+    next();
+};
+
+/*
+Admin-only gate, used after protect (relies on req.user.role)
+*/
+const requireAdmin = (req, res, next) => {
+    const role = req.user && req.user.role;
+    if (!role || String(role).toLowerCase() !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+};
+
+module.exports = { protect, attachUser, requireAdmin };
\ No newline at end of file
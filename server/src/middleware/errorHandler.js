@@ -0,0 +1,25 @@
+/*
+Final handlers for /api, so every failure uses the same { error } envelope as the routes
+(Express would otherwise answer with an HTML page)
+*/
+
+// Unknown /api path
+const notFound = (req, res) => {
+    res.status(404).json({ error: `Not found: ${req.method} ${req.originalUrl.split('?')[0]}` });
+};
+
+// Body parser failures and errors thrown outside the routes' own try/catch
+const errorHandler = (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+
+    console.error(`${req.method} ${req.originalUrl} failed`, err);
+    if (res.headersSent) return next(err);
+    return res.status(err.status || err.statusCode || 500).json({ error: 'Server error' });
+};
+
+module.exports = { notFound, errorHandler };
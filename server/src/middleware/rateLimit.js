@@ -0,0 +1,49 @@
+const pool = require('../db/pool');
+const { hitRateLimit, pruneRateLimits } = require('../db/rateLimits');
+const { normalizeEmail } = require('../db/loginLockouts');
+
+// Old windows are cleaned up from the request path, at most this often per process
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+let lastPrune = 0;
+
+/*
+Middleware factory: fixed-window rate limit stored in MySQL (db/rateLimits.js)
++ name: counter bucket, e.g. 'login:ip'
++ key(req): what to count per (IP, email, ...); a falsy key skips this limit
++ max requests per windowSeconds; the next one gets 429 with Retry-After
+A database error lets the request through (logged), limits must not take the login down
+*/
+const rateLimit = ({ name, windowSeconds, max, key, message }) => async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    try {
+        if (Date.now() - lastPrune > PRUNE_EVERY_MS) {
+            lastPrune = Date.now();
+            pruneRateLimits(pool).catch(err => console.error('Pruning rate limit windows failed', err));
+        }
+
+        const { hits, resetInSeconds } = await hitRateLimit(pool, { bucket: name, key: String(value), windowSeconds });
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(max - hits, 0)));
+        res.set('RateLimit-Reset', String(resetInSeconds));
+
+        if (hits > max) {
+            res.set('Retry-After', String(resetInSeconds));
+            const minutes = Math.ceil(resetInSeconds / 60);
+            return res.status(429).json({
+                error: message || `Too many requests, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+                retryAfter: resetInSeconds
+            });
+        }
+    } catch (err) {
+        console.error(`Rate limit '${name}' check failed`, err);
+    }
+    next();
+};
+
+// Common keys: the client IP (behind a proxy only with TRUST_PROXY set, see index.js) and the (lower-cased) email of an auth request body
+const byIp = (req) => req.ip;
+const byEmail = (req) => normalizeEmail(req.body && req.body.email);
+
+module.exports = { rateLimit, byIp, byEmail };
@@ -0,0 +1,148 @@
+const { validateSchema, coerceParameter } = require('../utils/jsonSchema');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/*
+Turn the document's paths into matchers, '/api/alerts/{id}' -> /^\/api\/alerts\/([^/]+)$/
+Literal paths are tried first, so '/api/rates/bulk' wins over '/api/rates/{currencyId}'
+*/
+function compileOperations(document) {
+    const operations = [];
+    for (const [path, item] of Object.entries(document.paths || {})) {
+        const paramNames = [];
+        const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_, name) => {
+            paramNames.push(name);
+            return '([^/]+)';
+        });
+        for (const method of METHODS) {
+            if (!item[method]) continue;
+            operations.push({ method: method.toUpperCase(), regex: new RegExp(`^${pattern}/?$`), paramNames, operation: item[method] });
+        }
+    }
+    return operations.sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+function findOperation(operations, method, path) {
+    for (const op of operations) {
+        if (op.method !== method) continue;
+        const match = op.regex.exec(path);
+        if (!match) continue;
+        const params = {};
+        op.paramNames.forEach((name, i) => {
+            try {
+                params[name] = decodeURIComponent(match[i + 1]);
+            } catch {
+                params[name] = match[i + 1];
+            }
+        });
+        return { operation: op.operation, params };
+    }
+    return null;
+}
+
+const jsonSchemaOf = (content) => content && content['application/json'] && content['application/json'].schema;
+
+// Collect parameter and body errors of one request, each as { in, path, message }
+function collectErrors(document, operation, req, pathParams) {
+    const errors = [];
+
+    for (const param of operation.parameters || []) {
+        const raw = param.in === 'path' ? pathParams[param.name] : req.query[param.name];
+        if (raw === undefined || raw === '') {
+            if (param.required) errors.push({ in: param.in, path: param.name, message: `${param.name} is required` });
+            continue;
+        }
+        if (Array.isArray(raw)) {
+            errors.push({ in: param.in, path: param.name, message: `${param.name} must be given once` });
+            continue;
+        }
+        const value = coerceParameter(param.schema, raw, document);
+        for (const e of validateSchema(param.schema, value, document, param.name)) errors.push({ in: param.in, ...e });
+    }
+
+    const schema = operation.requestBody && jsonSchemaOf(operation.requestBody.content);
+    if (schema) {
+        if (req.body === undefined) {
+            if (operation.requestBody.required) errors.push({ in: 'body', path: '', message: 'Request body is required (JSON)' });
+        } else {
+            for (const e of validateSchema(schema, req.body, document)) errors.push({ in: 'body', ...e });
+        }
+    }
+
+    return errors;
+}
+
+// Operations that need credentials: a 'security' list without the empty (anonymous) alternative
+function isSecured(document, operation) {
+    const security = operation.security || document.security || [];
+    return security.length > 0 && security.every(requirement => Object.keys(requirement).length > 0);
+}
+
+const sendValidationErrors = (res, details) =>
+    res.status(400).json({ error: details.map(d => d.message).join('; '), details });
+
+/*
+Middleware validating query, path and JSON body against the OpenAPI document (openapi/index.js)
+Requests the document does not describe are passed through unchanged
+Failures answer 400 with the common error envelope: { error, details: [{ in, path, message }] }
+Secured operations are answered only after authentication: their errors wait on the request until
+protect / requireApiKey accept the caller (rejectInvalidRequest), so anonymous callers get 401
+instead of a 400 describing the expected input
+*/
+const validateRequest = (document) => {
+    const operations = compileOperations(document);
+
+    return (req, res, next) => {
+        const found = findOperation(operations, req.method, req.path);
+        if (!found) return next();
+
+        const details = collectErrors(document, found.operation, req, found.params);
+        if (isSecured(document, found.operation)) {
+            req.validationErrors = details;
+            return next();
+        }
+        if (!details.length) return next();
+
+        return sendValidationErrors(res, details);
+    };
+};
+
+// Called by the auth middlewares once the caller is authenticated
+// Answers the validation errors kept for a secured operation; true when a response was sent
+const rejectInvalidRequest = (req, res) => {
+    if (!req.validationErrors || !req.validationErrors.length) return false;
+    sendValidationErrors(res, req.validationErrors);
+    return true;
+};
+
+/*
+Development aid: check JSON responses against the documented schema of their status code
+Mismatches are only logged, the response is sent unchanged
+*/
+const validateResponses = (document) => {
+    const operations = compileOperations(document);
+
+    return (req, res, next) => {
+        const found = findOperation(operations, req.method, req.path);
+        if (!found) return next();
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const documented = found.operation.responses && found.operation.responses[String(res.statusCode)];
+            const schema = documented && jsonSchemaOf(documented.content);
+            if (schema) {
+                // Compare what the client receives (Dates become strings, undefined fields disappear)
+                const sent = body === undefined ? null : JSON.parse(JSON.stringify(body));
+                const errors = validateSchema(schema, sent, document, 'response');
+                if (errors.length) {
+                    console.warn(`[openapi] ${req.method} ${req.path} ${res.statusCode} does not match the document:`,
+                        errors.map(e => e.message).join('; '));
+                }
+            }
+            return json(body);
+        };
+        next();
+    };
+};
+
+module.exports = { validateRequest, validateResponses, rejectInvalidRequest };
@@ -0,0 +1,42 @@
+// OpenAPI 3.1 document of the whole HTTP API, served at GET /api/docs
+// Request schemas are enforced by middleware/validateRequest.js, so the document is the contract
+// the routes and the React client share
+
+const { schemas } = require('./schemas');
+const { paths } = require('./paths');
+
+const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Currency Rate Fetcher API',
+    version: '1.0.0',
+    description: 'EUR based ECB rates with margins, conversions paid through Stripe and per-user tools. '
+      + 'Errors always use the Error schema: { error, details? }.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Rates' },
+    { name: 'Auth' },
+    { name: 'Admin' },
+    { name: 'Margins' },
+    { name: 'Payments' },
+    { name: 'Alerts' },
+    { name: 'Watchlist' },
+    { name: 'Portfolio' },
+    { name: 'API keys' },
+    { name: 'AI' },
+    { name: 'v1', description: 'Versioned public API, authenticated with API keys' },
+    { name: 'Service' }
+  ],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token', description: 'JWT set by POST /api/auth/login' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' }
+    }
+  }
+};
+
+module.exports = { openapiDocument };
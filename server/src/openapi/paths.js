@@ -0,0 +1,1001 @@
+// Paths of the OpenAPI document, one entry per route in routes/*.js
+// Keep this file in step with the routes: the request schemas here are enforced by middleware/validateRequest.js
+
+const { CurrencyCode, IsoDate, Numeric, PositiveId, RequiredString } = require('./schemas');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+
+const body = (schema) => ({ required: true, ...json(schema) });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, schema, description });
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Not logged in',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  410: 'Gone',
+  415: 'Unsupported media type',
+  429: 'Too many requests',
+  500: 'Server error'
+};
+
+// Every route answers errors with the same { error, details? } envelope
+const responses = (ok, ...errorCodes) => {
+  const out = { ...ok };
+  for (const code of [400, ...errorCodes, 500]) {
+    out[code] = { description: ERROR_DESCRIPTIONS[code], ...json(ref('Error')) };
+  }
+  return out;
+};
+const success = (description, schema, status = 200) => ({ [status]: { description, ...json(schema) } });
+
+// Security requirements
+const COOKIE = [{ cookieAuth: [] }];
+const API_KEY = [{ apiKeyHeader: [] }, { bearerAuth: [] }];
+const OPTIONAL_COOKIE = [{}, { cookieAuth: [] }];
+
+// Shared parameters
+const dateRange = [
+  query('dateFrom', IsoDate, 'First date, inclusive'),
+  query('dateTo', IsoDate, 'Last date, inclusive')
+];
+const pairQuery = [
+  query('from', CurrencyCode, 'Currency sold (EUR allowed)', true),
+  query('to', CurrencyCode, 'Currency bought (EUR allowed)', true),
+  ...dateRange
+];
+const pairMode = query('mode', { type: 'string', enum: ['buy', 'sell', 'origin', 'all'] }, 'Series to return (default all)');
+const granularity = query('granularity', { type: 'string', enum: ['day', 'week', 'month', 'quarter', 'year'] },
+  'OHLC/average buckets instead of daily rows');
+const limit = (max, fallback) => query('limit', { type: 'integer' }, `1..${max} (default ${fallback}, clamped)`);
+const idParam = (description) => pathParam('id', PositiveId, description);
+
+const paths = {
+  // --- Currencies and rates (public) ---
+  '/api/currencies': {
+    get: {
+      tags: ['Rates'],
+      summary: 'All currencies',
+      responses: responses(success('Currencies', arrayOf('Currency')))
+    }
+  },
+  '/api/rates/bulk': {
+    get: {
+      tags: ['Rates'],
+      summary: 'Rates of several currencies in one request',
+      parameters: [
+        query('ids', { type: 'string', pattern: '^[0-9, ]+$', 'x-pattern-message': 'must be a comma separated list of currency ids' },
+          'Comma separated currency ids', true),
+        ...dateRange,
+        granularity
+      ],
+      responses: responses(success('Rows grouped by currency id', {
+        type: 'object',
+        properties: {
+          granularity: { type: 'string' },
+          data: { type: 'object', additionalProperties: { type: 'array' } }
+        }
+      }))
+    }
+  },
+  '/api/rates/pair': {
+    get: {
+      tags: ['Rates'],
+      summary: 'Cross-rate series of a pair',
+      parameters: [...pairQuery, pairMode],
+      responses: responses(success('Daily series per mode', {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          mode: { type: 'string' },
+          dateFrom: { type: ['string', 'null'] },
+          dateTo: { type: ['string', 'null'] },
+          series: {
+            type: 'object',
+            properties: { buy: ref('SeriesPoints'), sell: ref('SeriesPoints'), origin: ref('SeriesPoints') }
+          }
+        }
+      }), 404)
+    }
+  },
+  '/api/rates/stats': {
+    get: {
+      tags: ['Rates'],
+      summary: 'Statistics of a pair series over a range',
+      parameters: [...pairQuery, pairMode],
+      responses: responses(success('Stats per mode', {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          mode: { type: 'string' },
+          dateFrom: { type: ['string', 'null'] },
+          dateTo: { type: ['string', 'null'] },
+          stats: {
+            type: 'object',
+            properties: { buy: ref('SeriesStats'), sell: ref('SeriesStats'), origin: ref('SeriesStats') }
+          }
+        }
+      }), 404)
+    }
+  },
+  '/api/rates/import': {
+    post: {
+      tags: ['Rates'],
+      summary: 'Admin: bulk import of EUR based rates from a CSV or XLSX file (dry run by default)',
+      security: COOKIE,
+      parameters: [query('dryRun', { type: 'boolean' }, 'false applies the import, anything else only plans it')],
+      requestBody: {
+        required: true,
+        description: 'Columns Date, CurrencyCode, ExchangeRate (first sheet), checked row by row by the import plan',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+          'application/vnd.ms-excel': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: responses(success('Plan (dry run) or applied counts', { type: 'object' }), 401, 403, 415)
+    }
+  },
+  '/api/rates/auth-check': {
+    get: {
+      tags: ['Rates'],
+      summary: 'Check that the session cookie is valid',
+      security: COOKIE,
+      responses: responses(success('Logged in', { type: 'object' }), 401)
+    }
+  },
+  '/api/rates/{currencyId}': {
+    get: {
+      tags: ['Rates'],
+      summary: 'Rate history of one currency',
+      parameters: [pathParam('currencyId', PositiveId, 'Currency id'), granularity],
+      responses: responses(success('Daily rows, or buckets with granularity', {
+        anyOf: [arrayOf('Rate'), { type: 'object' }]
+      }))
+    }
+  },
+
+  // --- Auth and profile ---
+  '/api/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in, sets the session cookie',
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: RequiredString, password: RequiredString }
+      }),
+      description: 'Limited per IP and per account; 5 failed logins in a row lock the account (5 min, 15 min, 1 h, then 24 h). ' +
+        'Users with 2FA (or whose role requires it) get a challenge instead of the cookie.',
+      responses: responses(success('Logged in user, or the second step to take', {
+        anyOf: [ref('LoginChallenge'), ref('User')]
+      }), 401, 403, 429)
+    }
+  },
+  '/api/auth/login/2fa': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Second login step: TOTP or recovery code, sets the session cookie',
+      requestBody: body({
+        type: 'object',
+        required: ['challenge'],
+        properties: { challenge: RequiredString, code: { type: 'string' }, recoveryCode: { type: 'string' } }
+      }),
+      description: 'Wrong codes count as failed logins (lockout).',
+      responses: responses(success('Logged in user, plus recoveryCodesLeft when a recovery code was used', ref('User')), 401, 429)
+    }
+  },
+  '/api/auth/login/2fa/setup': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Start the 2FA enrolment required at login',
+      requestBody: body({ type: 'object', required: ['challenge'], properties: { challenge: RequiredString } }),
+      responses: responses(success('Secret and QR code', ref('TwoFactorEnrolment')), 401, 409, 429)
+    }
+  },
+  '/api/auth/login/2fa/enable': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Confirm the enrolment started at login and log in',
+      requestBody: body({
+        type: 'object',
+        required: ['challenge', 'code'],
+        properties: { challenge: RequiredString, code: RequiredString }
+      }),
+      responses: responses(success('Logged in user, plus recoveryCodes (shown once)', ref('User')), 401, 409, 429)
+    }
+  },
+  '/api/auth/2fa': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Two-factor state of the current user',
+      security: COOKIE,
+      responses: responses(success('2FA state', {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          enabledAt: { type: ['string', 'null'] },
+          recoveryCodesLeft: { type: 'integer' },
+          required: { type: 'boolean', description: 'The role must use 2FA (cannot be disabled)' }
+        }
+      }), 401)
+    }
+  },
+  '/api/auth/2fa/setup': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Start a 2FA enrolment (QR code)',
+      security: COOKIE,
+      responses: responses(success('Secret and QR code', ref('TwoFactorEnrolment')), 401, 409, 429)
+    }
+  },
+  '/api/auth/2fa/enable': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Confirm the enrolment with a code from the app',
+      security: COOKIE,
+      requestBody: body({ type: 'object', required: ['code'], properties: { code: RequiredString } }),
+      responses: responses(success('Enabled, with recovery codes', ref('RecoveryCodes')), 401, 409, 429)
+    }
+  },
+  '/api/auth/2fa/disable': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Turn 2FA off (password and a code required)',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['password'],
+        properties: { password: RequiredString, code: { type: 'string' }, recoveryCode: { type: 'string' } }
+      }),
+      responses: responses(success('Disabled', ref('Ok')), 401, 403, 429)
+    }
+  },
+  '/api/auth/2fa/recovery-codes': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Replace the recovery codes',
+      security: COOKIE,
+      requestBody: body({ type: 'object', required: ['code'], properties: { code: RequiredString } }),
+      responses: responses(success('New recovery codes', ref('RecoveryCodes')), 401, 429)
+    }
+  },
+  '/api/auth/2fa/policy': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Whether admins must use 2FA',
+      security: COOKIE,
+      responses: responses(success('Policy', ref('TwoFactorPolicy')), 401, 403)
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Require (or stop requiring) 2FA for admins',
+      security: COOKIE,
+      requestBody: body(ref('TwoFactorPolicy')),
+      responses: responses(success('Policy', ref('TwoFactorPolicy')), 401, 403)
+    }
+  },
+  '/api/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Clear the session cookie',
+      responses: responses(success('Logged out', ref('Ok')))
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Current user, null when not logged in',
+      security: OPTIONAL_COOKIE,
+      responses: responses(success('User or null', { anyOf: [ref('User'), { type: 'null' }] }))
+    }
+  },
+  '/api/auth/change-password': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Change the current user\'s password',
+      security: COOKIE,
+      requestBody: body({ type: 'object', required: ['password'], properties: { password: RequiredString } }),
+      responses: responses(success('Changed', ref('Ok')), 401)
+    }
+  },
+  '/api/password-reset/request': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Email a one-time reset code',
+      requestBody: body({ type: 'object', required: ['email'], properties: { email: RequiredString } }),
+      responses: responses(success('Code sent if the account exists', {
+        type: 'object',
+        properties: {
+          ok: { type: 'boolean' },
+          message: { type: 'string' },
+          expiresInSeconds: { type: 'integer' },
+          resetId: { type: 'string', description: 'Identifies this reset for /status, returned for unknown emails too' }
+        }
+      }), 403, 429)
+    }
+  },
+  '/api/password-reset/status': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Stage of a started reset, to resume the form after a reload',
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'resetId'],
+        properties: { email: RequiredString, resetId: RequiredString, resetToken: { type: ['string', 'null'] } }
+      }),
+      responses: responses(success('Reset stage', {
+        type: 'object',
+        required: ['stage'],
+        properties: {
+          stage: { type: 'string', enum: ['none', 'code', 'verified'] },
+          expiresInSeconds: { type: 'integer' },
+          attemptsLeft: { type: 'integer' }
+        }
+      }), 429)
+    }
+  },
+  '/api/password-reset/verify': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Exchange the emailed code for a reset token',
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'code'],
+        properties: { email: RequiredString, code: RequiredString }
+      }),
+      responses: responses(success('Reset token', {
+        type: 'object',
+        properties: { ok: { type: 'boolean' }, resetToken: { type: 'string' }, expiresInSeconds: { type: 'integer' } }
+      }), 429)
+    }
+  },
+  '/api/password-reset/set': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Set a new password with the reset token',
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'password', 'resetToken'],
+        properties: {
+          email: RequiredString,
+          password: { type: 'string', minLength: 6, description: 'At least one digit or special character' },
+          resetToken: RequiredString
+        }
+      }),
+      responses: responses(success('Password changed, a login lockout is lifted', ref('Ok')), 403, 404, 429)
+    }
+  },
+  '/api/update/update-profile': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Update name and email, re-issues the session cookie',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          firstName: { type: ['string', 'null'] },
+          lastName: { type: ['string', 'null'] },
+          email: { type: ['string', 'null'] }
+        }
+      }),
+      responses: responses(success('Updated user', ref('User')), 401)
+    }
+  },
+
+  // --- Admin: currencies and ECB data ---
+  '/api/update/update-ecbRate': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Correct one stored ECB rate',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['rateId', 'exchangeRate'],
+        properties: { rateId: PositiveId, exchangeRate: Numeric }
+      }),
+      responses: responses(success('Updated', { type: 'object', properties: { success: { type: 'boolean' } } }), 401, 403, 404)
+    }
+  },
+  '/api/update/update-createCurrency': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a currency',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['currencyCode'],
+        properties: { currencyCode: { type: 'string' } }
+      }),
+      responses: responses(success('Created', {
+        type: 'object',
+        properties: { success: { type: 'boolean' }, currencyId: { type: 'integer' } }
+      }), 401, 403, 409)
+    }
+  },
+  '/api/update/fetch-ecb': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Pull ECB reference rates (SDMX API or a given file URL)',
+      security: COOKIE,
+      requestBody: {
+        required: false,
+        ...json({
+          type: 'object',
+          properties: {
+            url: { type: ['string', 'null'] },
+            dateFrom: { anyOf: [IsoDate, { type: ['string', 'null'], maxLength: 0 }] },
+            dateTo: { anyOf: [IsoDate, { type: ['string', 'null'], maxLength: 0 }] },
+            overwrite: { type: 'boolean' }
+          }
+        })
+      },
+      responses: responses(success('Ingestion result', { type: 'object' }), 401, 403)
+    }
+  },
+  '/api/ingestion/runs': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Latest ingestion runs',
+      security: COOKIE,
+      parameters: [limit(500, 50)],
+      responses: responses(success('Runs, newest first', arrayOf('IngestionRun')), 401, 403)
+    }
+  },
+  '/api/ingestion/status': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Scheduler state and missing business days',
+      security: COOKIE,
+      responses: responses(success('Status', { type: 'object' }), 401, 403)
+    }
+  },
+  '/api/ingestion/run': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Detect gaps and backfill now',
+      security: COOKIE,
+      responses: responses(success('Finished run', ref('IngestionRun')), 401, 403, 409)
+    }
+  },
+  '/api/audit': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Audit log',
+      security: COOKIE,
+      parameters: [
+        query('actor', { type: 'string' }, 'Part of the actor email'),
+        query('action', { type: 'string' }, "Exact action, or a prefix ending in '.'"),
+        query('entityType', { type: 'string' }, 'Exact entity type'),
+        query('entityId', { type: 'string' }, 'Exact entity id'),
+        ...dateRange,
+        limit(5000, 500)
+      ],
+      responses: responses(success('Entries, newest first', arrayOf('AuditEntry')), 401, 403)
+    }
+  },
+
+  // --- Admin: users ---
+  '/api/users': {
+    get: {
+      tags: ['Admin'],
+      summary: 'All users',
+      security: COOKIE,
+      responses: responses(success('Users', arrayOf('ManagedUser')), 401, 403)
+    }
+  },
+  '/api/users/create': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a user',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['firstName', 'lastName', 'email', 'password'],
+        properties: {
+          firstName: RequiredString,
+          lastName: RequiredString,
+          email: RequiredString,
+          password: { type: 'string', minLength: 6 },
+          role: { type: ['string', 'null'], description: 'user | admin (default user)' }
+        }
+      }),
+      responses: responses(success('Created', {
+        type: 'object',
+        properties: { ok: { type: 'boolean' }, userId: { type: 'integer' }, message: { type: 'string' } }
+      }, 201), 401, 403)
+    }
+  },
+  '/api/users/delete-user': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Deactivate (1) or reactivate (0) a user',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['userId', 'isDeleted'],
+        properties: {
+          userId: PositiveId,
+          isDeleted: { enum: [0, 1, '0', '1', true, false] }
+        }
+      }),
+      responses: responses(success('Updated', ref('Ok')), 401, 403, 404)
+    }
+  },
+  '/api/users/change-role': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Change a user\'s role',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['userId', 'role'],
+        properties: { userId: PositiveId, role: { type: 'string', description: 'user | admin' } }
+      }),
+      responses: responses(success('Updated', ref('Ok')), 401, 403, 404)
+    }
+  },
+
+  '/api/users/unlock': {
+    post: {
+      tags: ['Admin'],
+      summary: 'End a login lockout and forget the failed logins',
+      security: COOKIE,
+      requestBody: body({ type: 'object', required: ['userId'], properties: { userId: PositiveId } }),
+      responses: responses(success('Unlocked (cleared is false when nothing was stored)', {
+        type: 'object',
+        properties: { ok: { type: 'boolean' }, userId: { type: 'integer' }, cleared: { type: 'boolean' } }
+      }), 401, 403, 404)
+    }
+  },
+  '/api/users/reset-2fa': {
+    post: {
+      tags: ['Admin'],
+      summary: "Remove a user's second factor (lost authenticator)",
+      security: COOKIE,
+      requestBody: body({ type: 'object', required: ['userId'], properties: { userId: PositiveId } }),
+      responses: responses(success('Reset', {
+        type: 'object',
+        properties: { ok: { type: 'boolean' }, userId: { type: 'integer' } }
+      }), 401, 403, 404)
+    }
+  },
+
+  // --- Admin: margins ---
+  '/api/margins': {
+    get: {
+      tags: ['Margins'],
+      summary: 'Margins, optionally only active ones or one scope',
+      security: COOKIE,
+      parameters: [
+        query('active', { type: 'string' }, "'true' leaves out ended and pending margins"),
+        query('currencyId', { type: 'string', pattern: '^([0-9]+|global)$', 'x-pattern-message': "must be a currency id or 'global'" },
+          "Currency id or 'global'")
+      ],
+      responses: responses(success('Margins', arrayOf('Margin')), 401)
+    }
+  },
+  '/api/margins/history': {
+    get: {
+      tags: ['Margins'],
+      summary: 'All margins with their date ranges (chart)',
+      security: COOKIE,
+      responses: responses(success('Margins', arrayOf('Margin')), 401)
+    }
+  },
+  '/api/margins/create': {
+    post: {
+      tags: ['Margins'],
+      summary: 'Create a margin, closing/shifting overlapping ones of the same scope',
+      security: COOKIE,
+      requestBody: body(ref('MarginInput')),
+      responses: responses(success('Created', { type: 'object' }, 201), 401, 403, 409)
+    }
+  },
+  '/api/margins/update/{id}': {
+    put: {
+      tags: ['Margins'],
+      summary: 'Update a margin, shifting neighbours if needed',
+      security: COOKIE,
+      parameters: [idParam('Margin id')],
+      requestBody: body(ref('MarginInput')),
+      responses: responses(success('Updated', { type: 'object' }), 401, 403, 404, 409)
+    }
+  },
+  '/api/margins/{id}': {
+    delete: {
+      tags: ['Margins'],
+      summary: 'Delete a margin and re-link the rates it covered',
+      security: COOKIE,
+      parameters: [
+        idParam('Margin id'),
+        query('policy', { type: 'string' }, 'extend (default): the previous margin covers the freed range, gap: leave it uncovered'),
+        query('force', { type: 'string' }, "'true' applies the change, otherwise a 409 lists the planned changes")
+      ],
+      responses: responses(success('Deleted', { type: 'object' }), 401, 403, 404, 409)
+    }
+  },
+
+  // --- Payments and orders ---
+  '/api/payments/quote': {
+    post: {
+      tags: ['Payments'],
+      summary: 'Price a conversion and lock it in a signed quote',
+      requestBody: body({
+        type: 'object',
+        required: ['fromCode', 'toCode', 'date'],
+        properties: {
+          fromCode: CurrencyCode,
+          toCode: CurrencyCode,
+          date: IsoDate,
+          fixed: { type: 'string', enum: ['from', 'to'], description: 'Which amount the client typed (default from)' },
+          amountFrom: { type: ['number', 'string', 'null'] },
+          amountTo: { type: ['number', 'string', 'null'] },
+          rate: { type: ['number', 'string', 'null'] }
+        }
+      }),
+      responses: responses(success('Quote', ref('Quote')), 404)
+    }
+  },
+  '/api/payments/create-checkout-session': {
+    post: {
+      tags: ['Payments'],
+      summary: 'Create a Stripe Checkout Session for a quote',
+      security: OPTIONAL_COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['quote'],
+        properties: {
+          quote: RequiredString,
+          amountFrom: { type: ['number', 'string', 'null'] },
+          amountTo: { type: ['number', 'string', 'null'] },
+          rate: { type: ['number', 'string', 'null'] }
+        }
+      }),
+      responses: responses(success('Checkout URL', {
+        type: 'object',
+        properties: { url: { type: 'string' }, id: { type: 'string' }, orderId: { type: 'integer' } }
+      }), 409, 410)
+    }
+  },
+  '/api/payments/volume': {
+    get: {
+      tags: ['Payments'],
+      summary: 'Admin: paid volume per day for a pair, from paid orders by payment date (margin simulator)',
+      security: COOKIE,
+      parameters: [
+        query('from', CurrencyCode, 'Currency sold', true),
+        query('to', CurrencyCode, 'Currency bought', true),
+        query('dateFrom', IsoDate, 'First date, inclusive', true),
+        query('dateTo', IsoDate, 'Last date, inclusive', true)
+      ],
+      responses: responses(success('Volume per day', { type: 'object' }), 401, 403)
+    }
+  },
+  '/api/payments/webhook': {
+    post: {
+      tags: ['Payments'],
+      summary: 'Stripe webhook (raw body, verified with the Stripe-Signature header)',
+      responses: responses(success('Received', { type: 'object' }))
+    }
+  },
+  '/api/orders/mine': {
+    get: {
+      tags: ['Payments'],
+      summary: 'Current user\'s orders',
+      security: COOKIE,
+      responses: responses(success('Orders, newest first', arrayOf('Order')), 401)
+    }
+  },
+  '/api/orders': {
+    get: {
+      tags: ['Payments'],
+      summary: 'Admin: all orders',
+      security: COOKIE,
+      parameters: [
+        query('status', { type: 'string' }, 'Exact status'),
+        query('email', { type: 'string' }, 'Part of the user email'),
+        ...dateRange,
+        limit(5000, 500)
+      ],
+      responses: responses(success('Orders, newest first', arrayOf('Order')), 401, 403)
+    }
+  },
+  '/api/orders/{id}/refund': {
+    post: {
+      tags: ['Payments'],
+      summary: 'Admin: refund a paid order in full',
+      security: COOKIE,
+      parameters: [idParam('Order id')],
+      responses: responses(success('Refund started or completed', { type: 'object' }), 401, 403, 404, 409)
+    }
+  },
+
+  // --- Per-user features ---
+  '/api/alerts': {
+    get: {
+      tags: ['Alerts'],
+      summary: 'Current user\'s rate alerts',
+      security: COOKIE,
+      responses: responses(success('Alerts', arrayOf('Alert')), 401)
+    },
+    post: {
+      tags: ['Alerts'],
+      summary: 'Create an alert',
+      security: COOKIE,
+      requestBody: body(ref('AlertInput')),
+      responses: responses(success('Created', ref('Alert'), 201), 401)
+    }
+  },
+  '/api/alerts/history': {
+    get: {
+      tags: ['Alerts'],
+      summary: 'Alerts that fired',
+      security: COOKIE,
+      parameters: [limit(500, 100)],
+      responses: responses(success('Triggers, newest first', arrayOf('AlertTrigger')), 401)
+    }
+  },
+  '/api/alerts/{id}': {
+    put: {
+      tags: ['Alerts'],
+      summary: 'Update an alert or pause/resume it',
+      security: COOKIE,
+      parameters: [idParam('Alert id')],
+      requestBody: body(ref('AlertUpdate')),
+      responses: responses(success('Updated', ref('Alert')), 401, 404)
+    },
+    delete: {
+      tags: ['Alerts'],
+      summary: 'Delete an alert (its history is kept)',
+      security: COOKIE,
+      parameters: [idParam('Alert id')],
+      responses: responses(success('Deleted', ref('Ok')), 401, 404)
+    }
+  },
+  '/api/watchlist': {
+    get: {
+      tags: ['Watchlist'],
+      summary: 'Favourite pairs with latest buy/sell and daily change',
+      security: COOKIE,
+      responses: responses(success('Pairs in display order', arrayOf('WatchlistItem')), 401)
+    },
+    post: {
+      tags: ['Watchlist'],
+      summary: 'Add a pair',
+      security: COOKIE,
+      requestBody: body(ref('PairInput')),
+      responses: responses(success('Added', ref('WatchlistItem'), 201), 401, 409)
+    }
+  },
+  '/api/watchlist/{id}': {
+    put: {
+      tags: ['Watchlist'],
+      summary: 'Change a pair and/or its position',
+      security: COOKIE,
+      parameters: [idParam('Watchlist entry id')],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          fromCode: CurrencyCode,
+          toCode: CurrencyCode,
+          position: { type: ['integer', 'string'], minimum: 0 }
+        }
+      }),
+      responses: responses(success('Updated', ref('WatchlistItem')), 401, 404, 409)
+    },
+    delete: {
+      tags: ['Watchlist'],
+      summary: 'Remove a pair',
+      security: COOKIE,
+      parameters: [idParam('Watchlist entry id')],
+      responses: responses(success('Removed', ref('Ok')), 401, 404)
+    }
+  },
+  '/api/portfolio': {
+    get: {
+      tags: ['Portfolio'],
+      summary: 'Current user\'s holdings',
+      security: COOKIE,
+      responses: responses(success('Holdings by currency', arrayOf('Holding')), 401)
+    }
+  },
+  '/api/portfolio/{currencyCode}': {
+    put: {
+      tags: ['Portfolio'],
+      summary: 'Set the balance in one currency',
+      security: COOKIE,
+      parameters: [pathParam('currencyCode', CurrencyCode, 'Currency code')],
+      requestBody: body({
+        type: 'object',
+        required: ['amount'],
+        properties: { amount: { ...Numeric, description: 'Positive, a decimal comma is accepted' } }
+      }),
+      responses: responses(success('Saved holding', ref('Holding')), 401)
+    },
+    delete: {
+      tags: ['Portfolio'],
+      summary: 'Remove a holding',
+      security: COOKIE,
+      parameters: [pathParam('currencyCode', CurrencyCode, 'Currency code')],
+      responses: responses(success('Removed', ref('Ok')), 401, 404)
+    }
+  },
+  '/api/api-keys': {
+    get: {
+      tags: ['API keys'],
+      summary: 'Current user\'s API keys (never the key itself)',
+      security: COOKIE,
+      responses: responses(success('Keys', arrayOf('ApiKey')), 401)
+    },
+    post: {
+      tags: ['API keys'],
+      summary: 'Create a key, the plain key is only in this response',
+      security: COOKIE,
+      requestBody: body({
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: ['read-rates', 'convert', 'admin'] } },
+          quotaPerDay: { type: ['integer', 'string', 'null'] }
+        }
+      }),
+      responses: responses(success('Created key', ref('ApiKey'), 201), 401, 403)
+    }
+  },
+  '/api/api-keys/{id}': {
+    delete: {
+      tags: ['API keys'],
+      summary: 'Revoke a key',
+      security: COOKIE,
+      parameters: [idParam('API key id')],
+      responses: responses(success('Revoked', ref('Ok')), 401, 404)
+    }
+  },
+
+  // --- AI assistant ---
+  '/api/ai/tools/pair-rate': {
+    get: {
+      tags: ['AI'],
+      summary: 'Pair rate lookup used by the assistant',
+      security: COOKIE,
+      parameters: [
+        query('from', { type: 'string' }, 'Currency code', true),
+        query('to', { type: 'string' }, 'Currency code', true),
+        query('date', { type: 'string' }, 'Date', true),
+        query('exact', { type: 'string', enum: ['0', '1'] }, "'1' disables the fallback to the previous rate")
+      ],
+      responses: responses(success('Rate', { type: 'object' }), 401)
+    }
+  },
+  '/api/ai/chat': {
+    post: {
+      tags: ['AI'],
+      summary: 'Chat with the assistant',
+      security: COOKIE,
+      requestBody: body(ref('ChatInput')),
+      responses: responses(success('Answer', { type: 'object' }), 401)
+    }
+  },
+  '/api/ai/chat-stream': {
+    post: {
+      tags: ['AI'],
+      summary: 'Chat with the assistant, streamed as NDJSON',
+      security: COOKIE,
+      requestBody: body(ref('ChatInput')),
+      responses: {
+        ...responses({}, 401),
+        200: { description: 'NDJSON stream', content: { 'application/x-ndjson': { schema: { type: 'string' } } } }
+      }
+    }
+  },
+
+  // --- Versioned public API (API key auth) ---
+  '/api/v1/currencies': {
+    get: {
+      tags: ['v1'],
+      summary: 'Currencies (scope read-rates)',
+      security: API_KEY,
+      responses: responses(success('Currencies', {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'integer' }, code: { type: 'string' } } }
+          }
+        }
+      }), 401, 403, 429)
+    }
+  },
+  '/api/v1/rates': {
+    get: {
+      tags: ['v1'],
+      summary: 'Stored EUR -> currency rates (scope read-rates)',
+      security: API_KEY,
+      parameters: [query('currency', CurrencyCode, 'Currency code', true), ...dateRange],
+      responses: responses(success('Rates', {
+        type: 'object',
+        properties: {
+          base: { type: 'string' },
+          currency: { type: 'string' },
+          data: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { date: { type: 'string' }, rate: { type: 'number' }, margin: { type: ['number', 'null'] } }
+            }
+          }
+        }
+      }), 401, 403, 404, 429)
+    }
+  },
+  '/api/v1/pair': {
+    get: {
+      tags: ['v1'],
+      summary: 'Daily cross rates of a pair (scope read-rates)',
+      security: API_KEY,
+      parameters: [...pairQuery, pairMode],
+      responses: responses(success('One row per date', {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          mode: { type: 'string' },
+          dateFrom: { type: ['string', 'null'] },
+          dateTo: { type: ['string', 'null'] },
+          data: { type: 'array', items: { type: 'object' } }
+        }
+      }), 401, 403, 404, 429)
+    }
+  },
+  '/api/v1/convert': {
+    get: {
+      tags: ['v1'],
+      summary: 'Convert an amount at the sell rate (scope convert)',
+      security: API_KEY,
+      parameters: [
+        query('from', CurrencyCode, 'Currency sold', true),
+        query('to', CurrencyCode, 'Currency bought', true),
+        query('amount', { type: 'number', exclusiveMinimum: 0 }, 'Amount of the from currency', true),
+        query('date', IsoDate, 'Rate date (default today)')
+      ],
+      responses: responses(success('Conversion', { type: 'object', properties: { data: { type: 'object' } } }), 401, 403, 404, 429)
+    }
+  },
+  '/api/v1/admin/api-keys': {
+    get: {
+      tags: ['v1'],
+      summary: 'Usage of every API key (scope admin)',
+      security: API_KEY,
+      responses: responses(success('Keys', { type: 'object', properties: { data: { type: 'array' } } }), 401, 403, 429)
+    }
+  },
+
+  // --- Service ---
+  '/api/health': {
+    get: {
+      tags: ['Service'],
+      summary: 'Health check',
+      responses: responses(success('Up', {
+        type: 'object',
+        properties: { ok: { type: 'boolean' }, time: { type: 'string' } }
+      }))
+    }
+  },
+  '/api/docs': {
+    get: {
+      tags: ['Service'],
+      summary: 'This OpenAPI document',
+      responses: responses(success('OpenAPI 3.1 document', { type: 'object' }))
+    }
+  }
+};
+
+module.exports = { paths };
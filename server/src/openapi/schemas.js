@@ -0,0 +1,359 @@
+// Reusable schemas of the OpenAPI document (components.schemas)
+// Request schemas mirror what the routes accept today (numeric strings included), the routes keep
+// their own checks for rules a schema cannot express (known currency, date order, role, ...)
+
+// Building blocks, inlined where they are used
+const CurrencyCode = {
+  type: 'string',
+  pattern: '^[A-Za-z]{3}$',
+  'x-pattern-message': 'must be a 3-letter currency code',
+  example: 'USD'
+};
+const IsoDate = { type: 'string', format: 'date', example: '2024-01-31' };
+const DateTime = { type: ['string', 'null'], format: 'date-time' };
+// mysql2 returns DECIMAL columns as strings
+const Decimal = { type: ['string', 'number'] };
+// Numbers the routes read with Number(), so form values like "12.5" are accepted as well
+const Numeric = { type: ['number', 'string'] };
+const PositiveId = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1, 'x-pattern-message': 'must be a positive integer' };
+const RequiredString = { type: 'string', minLength: 1 };
+
+const alertProperties = {
+  fromCode: CurrencyCode,
+  toCode: CurrencyCode,
+  side: { type: 'string', enum: ['buy', 'sell', 'origin'] },
+  kind: { type: 'string', enum: ['above', 'below', 'change'] },
+  threshold: Numeric,
+  windowDays: { type: ['integer', 'string', 'null'], description: "Required for kind 'change'" }
+};
+
+const schemas = {
+  // One envelope for every 4xx/5xx response; details lists each failed check of a request validation
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', description: 'Human readable message' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['in', 'path', 'message'],
+          properties: {
+            in: { type: 'string', enum: ['body', 'query', 'path'] },
+            path: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Ok: {
+    type: 'object',
+    properties: { ok: { type: 'boolean' } }
+  },
+
+  User: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      Email: { type: 'string' },
+      FirstName: { type: ['string', 'null'] },
+      LastName: { type: ['string', 'null'] },
+      Role: { type: 'string' }
+    }
+  },
+  ManagedUser: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      Email: { type: 'string' },
+      FirstName: { type: ['string', 'null'] },
+      LastName: { type: ['string', 'null'] },
+      Role: { type: 'string' },
+      CreatedAt: DateTime,
+      LastLogin: DateTime,
+      IsDeleted: { description: 'BIT(1), serialized by mysql2 as a Buffer object' },
+      FailedLogins: { type: 'integer', description: 'Failed logins since the last lock or success' },
+      LockedUntil: { ...DateTime, description: 'Set while a login lockout is active' },
+      TwoFactorEnabled: { type: 'boolean' }
+    }
+  },
+  LoginChallenge: {
+    type: 'object',
+    required: ['twoFactor', 'challenge'],
+    properties: {
+      twoFactor: { type: 'string', enum: ['verify', 'setup'], description: "'setup' when the role requires 2FA and the user has none yet" },
+      challenge: { type: 'string', description: 'Valid for 5 minutes, sent to /api/auth/login/2fa*' }
+    }
+  },
+  TwoFactorEnrolment: {
+    type: 'object',
+    properties: {
+      secret: { type: 'string', description: 'Base32, for manual entry' },
+      otpauthUrl: { type: 'string' },
+      qrCode: { type: 'string', description: 'PNG data URL of otpauthUrl' }
+    }
+  },
+  TwoFactorPolicy: {
+    type: 'object',
+    required: ['requiredForAdmin'],
+    properties: { requiredForAdmin: { type: 'boolean' } }
+  },
+  RecoveryCodes: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Shown once, each works once' }
+    }
+  },
+  Currency: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      CurrencyCode: { type: 'string' }
+    }
+  },
+  Rate: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      Date: { type: 'string', format: 'date-time' },
+      ExchangeRate: Decimal,
+      MarginId: { type: ['integer', 'null'] },
+      MarginValue: { type: ['string', 'number', 'null'] }
+    }
+  },
+  // [timestampUTC, value] pairs, one per calendar day
+  SeriesPoints: {
+    type: 'array',
+    items: { type: 'array', minItems: 2, maxItems: 2, items: { type: ['number', 'null'] } }
+  },
+  SeriesStats: {
+    type: ['object', 'null'],
+    properties: {
+      count: { type: 'integer' },
+      first: { type: 'object' },
+      last: { type: 'object' },
+      min: { type: 'object' },
+      max: { type: 'object' },
+      mean: { type: 'number' },
+      median: { type: 'number' },
+      stdDev: { type: 'number' },
+      largestMove: { type: ['object', 'null'] },
+      current: { type: 'number' },
+      vsMeanPct: { type: ['number', 'null'] },
+      changePct: { type: ['number', 'null'] }
+    }
+  },
+  Margin: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      MarginValue: Decimal,
+      StartDate: { type: 'string' },
+      EndDate: { type: ['string', 'null'] },
+      UserId: { type: ['integer', 'null'] },
+      CurrencyId: { type: ['integer', 'null'] },
+      CurrencyCode: { type: ['string', 'null'] },
+      IsPending: { type: 'integer' }
+    }
+  },
+  Order: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      FromCode: { type: 'string' },
+      ToCode: { type: 'string' },
+      AmountFrom: Decimal,
+      AmountTo: Decimal,
+      Rate: Decimal,
+      UsedDate: { type: ['string', 'null'] },
+      Status: { type: 'string', description: 'pending | paid | failed | expired | refunded' },
+      CreatedAt: DateTime,
+      UpdatedAt: DateTime,
+      PaidAt: DateTime
+    }
+  },
+  Quote: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      date: IsoDate,
+      amountFrom: { type: 'number' },
+      amountTo: { type: 'number' },
+      rate: { type: 'number' },
+      rateDates: { type: 'object' },
+      quoteId: { type: 'string' },
+      quote: { type: 'string', description: 'Signed token, the only input /create-checkout-session trusts' },
+      expiresAt: { type: 'string' },
+      ttlSeconds: { type: 'integer' },
+      mismatches: { type: 'array' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      ActorUserId: { type: ['integer', 'null'] },
+      ActorEmail: { type: ['string', 'null'] },
+      Action: { type: 'string' },
+      EntityType: { type: 'string' },
+      EntityId: { type: ['string', 'null'] },
+      BeforeJson: {},
+      AfterJson: {},
+      CreatedAt: DateTime
+    }
+  },
+  IngestionRun: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      TriggerType: { type: 'string' },
+      Status: { type: 'string' },
+      Source: { type: ['string', 'null'] },
+      MissingDates: { type: 'integer' },
+      FilledDates: { type: 'integer' },
+      Inserted: { type: 'integer' },
+      Updated: { type: 'integer' },
+      Skipped: { type: 'integer' },
+      ErrorMessage: { type: ['string', 'null'] },
+      StartedAt: DateTime,
+      FinishedAt: DateTime
+    }
+  },
+  Alert: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      FromCode: { type: 'string' },
+      ToCode: { type: 'string' },
+      Side: { type: 'string', enum: ['buy', 'sell', 'origin'] },
+      Kind: { type: 'string', enum: ['above', 'below', 'change'] },
+      Threshold: Decimal,
+      WindowDays: { type: ['integer', 'null'] },
+      IsActive: { type: 'integer' },
+      LastTriggeredDate: { type: ['string', 'null'] },
+      CreatedAt: DateTime
+    }
+  },
+  AlertTrigger: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      AlertId: { type: 'integer' },
+      FromCode: { type: 'string' },
+      ToCode: { type: 'string' },
+      Side: { type: 'string' },
+      RateDate: { type: 'string' },
+      Value: Decimal,
+      ReferenceValue: { type: ['string', 'number', 'null'] },
+      ChangePct: { type: ['string', 'number', 'null'] },
+      EmailSent: { type: 'integer' },
+      Kind: { type: ['string', 'null'] },
+      Threshold: { type: ['string', 'number', 'null'] },
+      WindowDays: { type: ['integer', 'null'] },
+      CreatedAt: DateTime
+    }
+  },
+  WatchlistItem: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      FromCode: { type: 'string' },
+      ToCode: { type: 'string' },
+      Position: { type: 'integer' },
+      CreatedAt: DateTime,
+      rateDate: { type: ['string', 'null'] },
+      previousDate: { type: ['string', 'null'] },
+      buy: { type: ['number', 'null'] },
+      sell: { type: ['number', 'null'] },
+      buyChangePct: { type: ['number', 'null'] },
+      sellChangePct: { type: ['number', 'null'] }
+    }
+  },
+  Holding: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      CurrencyCode: { type: 'string' },
+      Amount: Decimal,
+      CreatedAt: DateTime,
+      UpdatedAt: DateTime
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      Id: { type: 'integer' },
+      Name: { type: 'string' },
+      KeyPrefix: { type: 'string' },
+      Scopes: { type: 'array', items: { type: 'string' } },
+      QuotaPerDay: { type: 'integer' },
+      UsedToday: { type: ['integer', 'string'] },
+      LastUsedAt: DateTime,
+      CreatedAt: DateTime,
+      RevokedAt: DateTime,
+      key: { type: 'string', description: 'Plain key, only present in the create response' }
+    }
+  },
+
+  // Request bodies
+  AlertInput: {
+    type: 'object',
+    required: ['fromCode', 'toCode', 'side', 'kind', 'threshold'],
+    properties: alertProperties
+  },
+  // PUT: the full alert (when fromCode is sent) and/or isActive
+  AlertUpdate: {
+    type: 'object',
+    properties: { ...alertProperties, isActive: { type: 'boolean' } }
+  },
+  PairInput: {
+    type: 'object',
+    required: ['fromCode', 'toCode'],
+    properties: {
+      fromCode: CurrencyCode,
+      toCode: CurrencyCode
+    }
+  },
+  MarginInput: {
+    type: 'object',
+    required: ['marginValue', 'startDate'],
+    properties: {
+      marginValue: { ...Numeric, description: 'Percent, e.g. 1.5 for 1.5%' },
+      startDate: IsoDate,
+      endDate: { anyOf: [IsoDate, { type: ['string', 'null'], maxLength: 0 }] },
+      currencyId: { type: ['integer', 'string', 'null'], description: "Currency id, or null / 'global' for the global margin" },
+      forceCreate: { type: 'boolean' }
+    }
+  },
+  ChatInput: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      message: { type: 'string' },
+      messages: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+          type: 'object',
+          properties: {
+            role: { type: 'string' },
+            content: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  schemas,
+  CurrencyCode,
+  IsoDate,
+  Numeric,
+  PositiveId,
+  RequiredString
+};
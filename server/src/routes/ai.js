@@ -2,6 +2,8 @@ const express = require('express');
 const { protect } = require('../middleware/authMiddleware');
 const { Readable } = require('node:stream');
 const { getAiReadOnlyPool } = require('../db/poolAiReadOnly');
+const { calculatePairRates } = require('../utils/currencyCalculations');
+const { isIsoDate, formatDateToIsoLocal } = require('../utils/date');
 
 const router = express.Router();
 
@@ -34,20 +36,6 @@ const LV_MONTH_STEMS = {
 // Safely convert a value to a string
 const toStringSafe = (v) => (typeof v === 'string' ? v : v == null ? '' : String(v));
 
-// Check if a string is in ISO date format (YYYY-MM-DD)
-const isIsoDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s);
-
-// Format a date value to ISO local format (YYYY-MM-DD)
-const formatDateToIsoLocal = (val) => {
-  if (val == null) return null;
-  const d = (val instanceof Date) ? val : new Date(val);
-  if (!Number.isFinite(d.getTime())) return null;
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-};
-
 // Remove code fences (e.g., ```json) from a string
 const stripCodeFences = (s) => {
   const text = toStringSafe(s).trim();
@@ -297,38 +285,6 @@ const findCurrencyCodesByNameInText = async (text) => {
   return unique;
 };
 
-const calculatePairRates = (baseTo, baseFrom, marginTo = 0, marginFrom = 0) => {
-  const bt = Number(baseTo);
-  const bf = Number(baseFrom);
-  if (!Number.isFinite(bt) || !Number.isFinite(bf) || bt <= 0 || bf <= 0) {
-    return { originRate: null, buyRate: null, sellRate: null };
-  }
-
-  const mTo = Number(marginTo) || 0;
-  const mFrom = Number(marginFrom) || 0;
-  const origin = bt / bf;
-
-  if (mTo === mFrom) {
-    const half = mTo / 2;
-    const multiplier = (1 + half) / (1 - half);
-    return {
-      originRate: Number(origin),
-      buyRate: Number(origin * multiplier),
-      sellRate: Number(origin / multiplier)
-    };
-  }
-
-  const eurTo_sell = bt * (1 + mTo / 2);
-  const eurFrom_buy = bf * (1 - mFrom / 2);
-  const buy = eurTo_sell / eurFrom_buy;
-
-  const eurTo_buy = bt * (1 - mTo / 2);
-  const eurFrom_sell = bf * (1 + mFrom / 2);
-  const sell = eurTo_buy / eurFrom_sell;
-
-  return { originRate: Number(origin), buyRate: Number(buy), sellRate: Number(sell) };
-};
-
 const getCurrencyIdByCode = async (code) => {
   const info = await getCurrencyInfoByCode(code);
   return info?.id ?? null;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect } = require('../middleware/authMiddleware');
+const { ALERT_SIDES, ALERT_KINDS, MAX_WINDOW_DAYS } = require('../ingestion/rateAlerts');
+const { parseCurrencyPair } = require('../db/currencyPairs');
+
+// Per-user cap, alerts are evaluated on every ingestion
+const MAX_ALERTS_PER_USER = 50;
+
+const ALERT_COLUMNS = `Id, FromCode, ToCode, Side, Kind, Threshold, WindowDays, IsActive+0 AS IsActive,
+  CAST(LastTriggeredDate AS CHAR) AS LastTriggeredDate, CreatedAt`;
+
+/*
+*  Validate an alert body, returns { alert } or { error }
+* + fromCode / toCode: see parseCurrencyPair (db/currencyPairs.js)
+* + side: buy | sell | origin
+* + kind: above | below (threshold = rate) or change (threshold = % move over windowDays)
+*/
+async function parseAlert(body) {
+  const side = String(body.side || '').trim().toLowerCase();
+  const kind = String(body.kind || '').trim().toLowerCase();
+  const threshold = Number(body.threshold);
+
+  if (!ALERT_SIDES.includes(side)) return { error: `side must be one of: ${ALERT_SIDES.join(', ')}` };
+  if (!ALERT_KINDS.includes(kind)) return { error: `kind must be one of: ${ALERT_KINDS.join(', ')}` };
+  if (!Number.isFinite(threshold) || threshold <= 0) return { error: 'threshold must be a positive number' };
+
+  let windowDays = null;
+  if (kind === 'change') {
+    windowDays = Number(body.windowDays);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+      return { error: `windowDays must be an integer between 1 and ${MAX_WINDOW_DAYS}` };
+    }
+    if (threshold > 100) return { error: 'threshold is a percentage (0-100) for change alerts' };
+  }
+
+  // Checked last, the only rule that needs the database
+  const { pair, error } = await parseCurrencyPair(pool, body);
+  if (error) return { error };
+
+  return { alert: { from: pair.from, to: pair.to, side, kind, threshold, windowDays } };
+}
+
+// GET /api/alerts
+// Current user's rate alerts
+router.get('/', protect, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${ALERT_COLUMNS} FROM RateAlerts WHERE UserId = ? ORDER BY CreatedAt DESC, Id DESC`,
+      [req.user.id]
+    );
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/alerts failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/alerts/history?limit=
+// Current user's past alert triggers, newest first (limit 1..500, default 100)
+// Kind/Threshold are null once the alert itself was deleted
+router.get('/history', protect, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  try {
+    const [rows] = await pool.query(
+      `SELECT t.Id, t.AlertId, t.FromCode, t.ToCode, t.Side, CAST(t.RateDate AS CHAR) AS RateDate,
+              t.Value, t.ReferenceValue, t.ChangePct, t.EmailSent+0 AS EmailSent, t.CreatedAt,
+              a.Kind, a.Threshold, a.WindowDays
+       FROM RateAlertTriggers t
+       LEFT JOIN RateAlerts a ON a.Id = t.AlertId
+       WHERE t.UserId = ?
+       ORDER BY t.CreatedAt DESC, t.Id DESC
+       LIMIT ?`,
+      [req.user.id, limit]
+    );
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/alerts/history failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/alerts
+// Create an alert for the current user
+// Body: { fromCode, toCode, side, kind, threshold, windowDays }
+router.post('/', protect, async (req, res) => {
+  try {
+    const { alert, error } = await parseAlert(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [[count]] = await pool.query('SELECT COUNT(*) AS Total FROM RateAlerts WHERE UserId = ?', [req.user.id]);
+    if (count.Total >= MAX_ALERTS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ALERTS_PER_USER} alerts` });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO RateAlerts (UserId, FromCode, ToCode, Side, Kind, Threshold, WindowDays, IsActive, CreatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1, NOW())`,
+      [req.user.id, alert.from, alert.to, alert.side, alert.kind, alert.threshold, alert.windowDays]
+    );
+    const [rows] = await pool.query(`SELECT ${ALERT_COLUMNS} FROM RateAlerts WHERE Id = ?`, [result.insertId]);
+    return res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('POST /api/alerts failed', err);
+    return res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+// PUT /api/alerts/:id
+// Update one of the current user's alerts
+// Body: full alert as for POST, and/or { isActive }
+router.put('/:id', protect, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid alert id' });
+
+  const body = req.body || {};
+  try {
+    const [existing] = await pool.query('SELECT Id FROM RateAlerts WHERE Id = ? AND UserId = ?', [id, req.user.id]);
+    if (!existing.length) return res.status(404).json({ error: 'Alert not found' });
+
+    const sets = [];
+    const params = [];
+    if (body.fromCode !== undefined) {
+      const { alert, error } = await parseAlert(body);
+      if (error) return res.status(400).json({ error });
+      // A changed condition may fire again for the current rate date
+      sets.push('FromCode = ?', 'ToCode = ?', 'Side = ?', 'Kind = ?', 'Threshold = ?', 'WindowDays = ?', 'LastTriggeredDate = NULL');
+      params.push(alert.from, alert.to, alert.side, alert.kind, alert.threshold, alert.windowDays);
+    }
+    if (body.isActive !== undefined) {
+      sets.push('IsActive = ?');
+      params.push(body.isActive ? 1 : 0);
+    }
+    if (!sets.length) return res.status(400).json({ error: 'Nothing to update' });
+
+    await pool.query(`UPDATE RateAlerts SET ${sets.join(', ')} WHERE Id = ?`, [...params, id]);
+    const [rows] = await pool.query(`SELECT ${ALERT_COLUMNS} FROM RateAlerts WHERE Id = ?`, [id]);
+    return res.json(rows[0]);
+  } catch (err) {
+    console.error('PUT /api/alerts/:id failed', err);
+    return res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+// DELETE /api/alerts/:id
+// Delete one of the current user's alerts (its trigger history is kept)
+router.delete('/:id', protect, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid alert id' });
+
+  try {
+    const [result] = await pool.query('DELETE FROM RateAlerts WHERE Id = ? AND UserId = ?', [id, req.user.id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Alert not found' });
+    return res.json({ ok: true, id });
+  } catch (err) {
+    console.error('DELETE /api/alerts/:id failed', err);
+    return res.status(500).json({ error: 'Failed to delete alert' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect } = require('../middleware/authMiddleware');
+const {
+  API_KEY_SCOPES,
+  DEFAULT_QUOTA_PER_DAY,
+  MAX_QUOTA_PER_DAY,
+  generateApiKey,
+  parseScopes
+} = require('../db/apiKeys');
+
+// Active (not revoked) keys per user
+const MAX_ACTIVE_KEYS = 10;
+
+const KEY_COLUMNS = `Id, Name, KeyPrefix, Scopes, QuotaPerDay,
+  IF(UsageDate = CURDATE(), UsageCount, 0) AS UsedToday, LastUsedAt, CreatedAt, RevokedAt`;
+
+const toKey = (row) => ({ ...row, Scopes: parseScopes(row.Scopes) });
+
+// GET /api/api-keys
+// Current user's API keys (revoked ones included), never the key itself
+router.get('/', protect, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM ApiKeys WHERE UserId = ? ORDER BY RevokedAt IS NOT NULL, CreatedAt DESC`,
+      [req.user.id]
+    );
+    return res.json((rows || []).map(toKey));
+  } catch (err) {
+    console.error('GET /api/api-keys failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/api-keys
+// Create a key for the current user, the plain key is only in this response
+// Body: { name, scopes: ['read-rates' | 'convert' | 'admin'], quotaPerDay }
+router.post('/', protect, async (req, res) => {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  const scopes = [...new Set(Array.isArray(body.scopes) ? body.scopes.map(s => String(s).trim()) : [])];
+  const quotaPerDay = body.quotaPerDay == null || body.quotaPerDay === '' ? DEFAULT_QUOTA_PER_DAY : Number(body.quotaPerDay);
+
+  if (!name || name.length > 100) return res.status(400).json({ error: 'name is required (max 100 characters)' });
+  if (!scopes.length || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+  }
+  if (scopes.includes('admin') && String(req.user.role || '').toLowerCase() !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can create keys with the admin scope' });
+  }
+  if (!Number.isInteger(quotaPerDay) || quotaPerDay < 1 || quotaPerDay > MAX_QUOTA_PER_DAY) {
+    return res.status(400).json({ error: `quotaPerDay must be an integer between 1 and ${MAX_QUOTA_PER_DAY}` });
+  }
+
+  try {
+    const [[count]] = await pool.query(
+      'SELECT COUNT(*) AS Total FROM ApiKeys WHERE UserId = ? AND RevokedAt IS NULL',
+      [req.user.id]
+    );
+    if (count.Total >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const [result] = await pool.query(
+      `INSERT INTO ApiKeys (UserId, Name, KeyPrefix, KeyHash, Scopes, QuotaPerDay, CreatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [req.user.id, name, prefix, hash, scopes.join(','), quotaPerDay]
+    );
+    const [rows] = await pool.query(`SELECT ${KEY_COLUMNS} FROM ApiKeys WHERE Id = ?`, [result.insertId]);
+    return res.status(201).json({ ...toKey(rows[0]), key });
+  } catch (err) {
+    console.error('POST /api/api-keys failed', err);
+    return res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// DELETE /api/api-keys/:id
+// Revoke one of the current user's keys (the row stays for its usage history)
+router.delete('/:id', protect, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid API key id' });
+
+  try {
+    const [result] = await pool.query(
+      'UPDATE ApiKeys SET RevokedAt = NOW() WHERE Id = ? AND UserId = ? AND RevokedAt IS NULL',
+      [id, req.user.id]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'API key not found or already revoked' });
+    return res.json({ ok: true, id });
+  } catch (err) {
+    console.error('DELETE /api/api-keys/:id failed', err);
+    return res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
+const { isIsoDate } = require('../utils/date');
+
+// Stored JSON is written by writeAudit; tolerate anything unparsable
+const parseJson = (s) => {
+  if (s === null || s === undefined) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return s;
+  }
+};
+
+// GET /api/audit?actor=&action=&entityType=&entityId=&dateFrom=&dateTo=&limit=
+// Admin: audit entries, newest first
+/*
+*  Filters (all optional)
+* + actor: part of the actor email
+* + action: exact action ('rate.update') or prefix ending with '.' ('margin.')
+* + entityType / entityId: exact match
+* + dateFrom / dateTo: YYYY-MM-DD, inclusive
+* + limit: 1..5000 (default 500)
+*/
+router.get('/', protect, requireAdmin, async (req, res) => {
+  const { actor, action, entityType, entityId, dateFrom, dateTo } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+
+  if ((dateFrom && !isIsoDate(dateFrom)) || (dateTo && !isIsoDate(dateTo))) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+
+  const where = [];
+  const params = [];
+  if (actor) {
+    where.push('ActorEmail LIKE ?');
+    params.push(`%${actor}%`);
+  }
+  if (action) {
+    if (String(action).endsWith('.')) {
+      where.push('Action LIKE ?');
+      params.push(`${action}%`);
+    } else {
+      where.push('Action = ?');
+      params.push(action);
+    }
+  }
+  if (entityType) {
+    where.push('EntityType = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    where.push('EntityId = ?');
+    params.push(String(entityId));
+  }
+  if (dateFrom) {
+    where.push('CreatedAt >= ?');
+    params.push(`${dateFrom} 00:00:00`);
+  }
+  if (dateTo) {
+    where.push('CreatedAt <= ?');
+    params.push(`${dateTo} 23:59:59`);
+  }
+
+  try {
+    const sql = `
+      SELECT Id, ActorUserId, ActorEmail, Action, EntityType, EntityId, BeforeJson, AfterJson, CreatedAt
+      FROM AuditLog
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY CreatedAt DESC, Id DESC
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(sql, [...params, limit]);
+
+    const data = (rows || []).map(({ BeforeJson, AfterJson, ...r }) => ({
+      ...r,
+      Before: parseJson(BeforeJson),
+      After: parseJson(AfterJson)
+    }));
+    return res.json(data);
+  } catch (err) {
+    console.error('GET /api/audit failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+module.exports = router;
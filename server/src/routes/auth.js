@@ -4,6 +4,19 @@ const pool = require('../db/pool');
 const bcrypt = require('bcryptjs'); // Password hashing library
 const jwt = require('jsonwebtoken'); // JWT token library
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit, byIp, byEmail } = require('../middleware/rateLimit');
+const { FAILURES_BEFORE_LOCK, getLockout, recordLoginFailure, clearLoginFailures } = require('../db/loginLockouts');
+const { sendAccountLockedEmail } = require('../utils/mailtrapMailer');
+const { getTwoFactor } = require('../db/twoFactor');
+const {
+  isTwoFactorRequired,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { writeAudit } = require('../utils/audit');
 
 const JWT_SECRET = process.env.JWT_SECRET // JWT secret from environment
 
@@ -15,13 +28,46 @@ function signToken(payload) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: '1d' });
 }
 
+// Attempts per window, failed or not; repeated failures additionally lock the account (db/loginLockouts.js)
+const loginLimits = [
+  rateLimit({ name: 'login:ip', windowSeconds: 15 * 60, max: 30, key: byIp }),
+  rateLimit({ name: 'login:account', windowSeconds: 15 * 60, max: 20, key: byEmail })
+];
+
+const lockedResponse = (res, secondsLeft) => {
+  const minutes = Math.ceil(secondsLeft / 60);
+  res.set('Retry-After', String(secondsLeft));
+  return res.status(429).json({
+    error: `Too many failed logins, the account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}`,
+    retryAfter: secondsLeft
+  });
+};
+
+// Second login step (wrong codes count as failed logins, like wrong passwords)
+const twoFactorLimits = [rateLimit({ name: 'login-2fa:ip', windowSeconds: 15 * 60, max: 30, key: byIp })];
+
+// Count a failed login; the failure that locks the account answers 429 and emails the owner
+async function rejectLogin(req, res, user, email = req.body.email) {
+  const lock = await recordLoginFailure(pool, email, req.ip);
+  if (!lock.locked) return res.status(401).json({ error: 'Invalid credentials' });
+
+  if (user) {
+    sendAccountLockedEmail({ to: user.Email, lockMinutes: lock.lockMinutes, failedAttempts: FAILURES_BEFORE_LOCK, ip: req.ip })
+      .catch(err => console.error('Failed to send account locked email', err));
+  }
+  return lockedResponse(res, lock.lockMinutes * 60);
+}
+
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimits, async (req, res) => {
   const { email, password } = req.body || {};
   if (!email) return res.status(400).json({ error: 'Email required' });
   if (!password) return res.status(400).json({ error: 'Password required' });
 
   try {
+    const lockout = await getLockout(pool, email);
+    if (lockout) return lockedResponse(res, lockout.secondsLeft);
+
     // Add "+0" to convert BIT to regular number
     const sql = `
       SELECT Id, Email, PasswordHash, FirstName, LastName, Role, IsDeleted+0 as IsDeleted 
@@ -29,7 +75,7 @@ router.post('/login', async (req, res) => {
     `;
     const [rows] = await pool.query(sql, [email]);
     
-    if (!rows || rows.length === 0) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!rows || rows.length === 0) return rejectLogin(req, res, null);
 
     const user = rows[0];
 
@@ -41,46 +87,174 @@ router.post('/login', async (req, res) => {
     const hash = user.PasswordHash || '';
     const isBcryptHash = typeof hash === 'string' && (hash.startsWith('$2a$') || hash.startsWith('$2b$') || hash.startsWith('$2y$')); // Verify hash format
     if (!isBcryptHash) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, user);
     }
 
     // Compare password with hash
     const ok = await bcrypt.compare(password, hash);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!ok) return rejectLogin(req, res, user);
 
-    // Update last login
-    try {
-      await pool.query('UPDATE Users SET LastLogin = NOW() WHERE Id = ?', [user.Id]); // Record login time
-    } catch (e) {
-      console.error('Failed to update last login', e);
+    // Second factor: no session cookie yet, the client continues with the challenge
+    const twoFactor = await getTwoFactor(pool, user.Id);
+    if (twoFactor.enabled) {
+      return res.json({ twoFactor: 'verify', challenge: signLoginChallenge(user.Id, 'verify') });
+    }
+    if (await isTwoFactorRequired(pool, user.Role)) {
+      return res.json({ twoFactor: 'setup', challenge: signLoginChallenge(user.Id, 'setup') });
     }
 
-    // Generate JWT token
-    const token = signToken({ 
-      id: user.Id, 
-      email: user.Email , 
-      role: user.Role,
-      firstName: user.FirstName,
-      lastName: user.LastName
-    });
-    
-     // Cookie settings for security
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 1 * 24 * 60 * 60 * 1000, 
-      path: '/'
-    };
-    res.cookie('token', token, cookieOptions);
-
-    return res.json({ Id: user.Id, Email: user.Email, FirstName: user.FirstName, LastName: user.LastName, Role: user.Role });
+    return completeLogin(res, user);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'DB error' });
   }
 });
 
+// Password (and second factor, if any) accepted: forget failures, issue the session cookie
+async function completeLogin(res, user, extra = {}) {
+  await clearLoginFailures(pool, user.Email);
+
+  // Update last login
+  try {
+    await pool.query('UPDATE Users SET LastLogin = NOW() WHERE Id = ?', [user.Id]); // Record login time
+  } catch (e) {
+    console.error('Failed to update last login', e);
+  }
+
+  // Generate JWT token
+  const token = signToken({ 
+    id: user.Id, 
+    email: user.Email , 
+    role: user.Role,
+    firstName: user.FirstName,
+    lastName: user.LastName
+  });
+  
+   // Cookie settings for security
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 1 * 24 * 60 * 60 * 1000, 
+    path: '/'
+  };
+  res.cookie('token', token, cookieOptions);
+
+  return res.json({ Id: user.Id, Email: user.Email, FirstName: user.FirstName, LastName: user.LastName, Role: user.Role, ...extra });
+}
+
+// Active user behind a login challenge of the given stage, or null
+async function loadChallengeUser(challenge, stage) {
+  const payload = verifyLoginChallenge(challenge);
+  if (!payload || payload.stage !== stage) return null;
+
+  const [rows] = await pool.query(
+    'SELECT Id, Email, FirstName, LastName, Role, IsDeleted+0 as IsDeleted FROM Users WHERE Id = ?',
+    [payload.id]
+  );
+  return rows.length && rows[0].IsDeleted != 1 ? rows[0] : null;
+}
+
+// POST /api/auth/login/2fa
+// Second step for users with 2FA: { challenge, code } or { challenge, recoveryCode }
+router.post('/login/2fa', twoFactorLimits, async (req, res) => {
+  const { challenge, code, recoveryCode } = req.body || {};
+  if (!code && !recoveryCode) return res.status(400).json({ error: 'Code required' });
+
+  try {
+    const user = await loadChallengeUser(challenge, 'verify');
+    if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+
+    const lockout = await getLockout(pool, user.Email);
+    if (lockout) return lockedResponse(res, lockout.secondsLeft);
+
+    const method = await verifySecondFactor(pool, user.Id, { code, recoveryCode }, Date.now());
+    if (!method) return rejectLogin(req, res, user, user.Email);
+
+    if (method === 'recovery') {
+      const { recoveryCodesLeft } = await getTwoFactor(pool, user.Id);
+      return completeLogin(res, user, { recoveryCodesLeft });
+    }
+    return completeLogin(res, user);
+  } catch (err) {
+    console.error('POST /api/auth/login/2fa failed', err);
+    res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/auth/login/2fa/setup
+// Role requires 2FA but the user has none yet: start the enrolment with the login challenge
+router.post('/login/2fa/setup', twoFactorLimits, async (req, res) => {
+  try {
+    const user = await loadChallengeUser((req.body || {}).challenge, 'setup');
+    if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+
+    // Enabled meanwhile (e.g. from another login): the user signs in again and gets the 'verify' step
+    const enrolment = await startEnrolment(pool, { id: user.Id, email: user.Email });
+    if (!enrolment) return res.status(409).json({ error: 'Two-factor authentication is already enabled, please sign in again' });
+    return res.json(enrolment);
+  } catch (err) {
+    console.error('POST /api/auth/login/2fa/setup failed', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/login/2fa/enable
+// Confirm the enrolment started at login with a code from the app, then log in
+// The response carries the recovery codes (shown once)
+router.post('/login/2fa/enable', twoFactorLimits, async (req, res) => {
+  const { challenge, code } = req.body || {};
+  if (!code) return res.status(400).json({ error: 'Code required' });
+
+  let user;
+  try {
+    user = await loadChallengeUser(challenge, 'setup');
+  } catch (err) {
+    console.error('POST /api/auth/login/2fa/enable failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+  if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+
+  let recoveryCodes;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if ((await getTwoFactor(connection, user.Id)).enabled) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled, please sign in again' });
+    }
+
+    recoveryCodes = await confirmEnrolment(connection, user.Id, code, Date.now());
+    if (!recoveryCodes) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Incorrect code' });
+    }
+
+    await writeAudit(connection, {
+      actor: { id: user.Id, email: user.Email },
+      action: 'user.2fa.enable',
+      entityType: 'User',
+      entityId: user.Id,
+      after: { TwoFactor: true, AtLogin: true }
+    });
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    console.error('POST /api/auth/login/2fa/enable failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  } finally {
+    connection.release();
+  }
+
+  try {
+    return await completeLogin(res, user, { recoveryCodes });
+  } catch (err) {
+    console.error('POST /api/auth/login/2fa/enable failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
 
 // POST /api/auth/logout
 router.post('/logout', (req, res) => {
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
+const { runIngestionJob, isIngestionRunning, findMissingDates, listRuns } = require('../ingestion/ingestionJob');
+const { getSchedulerState } = require('../ingestion/scheduler');
+
+// GET /api/ingestion/runs?limit=50
+// Admin: latest ingestion runs (scheduled and manual)
+router.get('/runs', protect, requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  try {
+    const rows = await listRuns({ limit });
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/ingestion/runs failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/ingestion/status
+// Admin: scheduler state and the business days currently missing from CurrencyRates
+router.get('/status', protect, requireAdmin, async (req, res) => {
+  try {
+    const missingDates = await findMissingDates();
+    return res.json({ ...getSchedulerState(), running: isIngestionRunning(), missingDates });
+  } catch (err) {
+    console.error('GET /api/ingestion/status failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/ingestion/run
+// Admin: detect gaps and backfill now, outside of the daily schedule
+router.post('/run', protect, requireAdmin, async (req, res) => {
+  try {
+    const run = await runIngestionJob({ trigger: 'manual', userId: req.user.id });
+    return res.json(run);
+  } catch (err) {
+    console.error('POST /api/ingestion/run failed', err);
+    if (err.statusCode === 409) return res.status(409).json({ error: err.message });
+    return res.status(500).json({ error: err.message || 'Ingestion failed', runId: err.runId || null });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,36 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
 const { protect } = require('../middleware/authMiddleware');
+const { writeAudit } = require('../utils/audit');
+const { relinkRates } = require('../db/marginLookup');
+
+/*
+*  Margin scope: a margin is either global (CurrencyId NULL) or bound to one currency
+* + Scoped margins win over the global one for their currency (see db/marginLookup.js)
+* + Overlap resolution (close / shift / delete neighbours) only looks at margins of the same scope
+* + Returns null for global, a positive integer for a currency, undefined when invalid
+*/
+const parseScope = (value) => {
+  if (value === undefined || value === null || value === '' || String(value).toLowerCase() === 'global') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+};
 
-// Get current date in 'YYYY-MM-DD' format
-const getTodayStr = () => new Date().toISOString().split('T')[0];
-
-// GET /api/margins
+// Check that a scope currency exists and is not the base currency
+async function validateScopeCurrency(db, currencyId) {
+  if (currencyId === null) return null;
+  const [rows] = await db.query('SELECT CurrencyCode FROM Currencies WHERE Id = ? LIMIT 1', [currencyId]);
+  if (!rows.length) return 'Currency not found';
+  if (String(rows[0].CurrencyCode).toUpperCase() === 'EUR') return 'EUR is the base currency and cannot have its own margin';
+  return null;
+}
+
+// GET /api/margins?active=true&currencyId=<id|global>
+// IsPending = 1 for margins scheduled to start after today (active=true leaves them out)
 router.get('/', protect, async (req, res) => {
   const { active } = req.query || {};
   const filters = [];
+  const params = [];
 
   // Active filter
   if (String(active).toLowerCase() === 'true') {
@@ -17,6 +39,14 @@ router.get('/', protect, async (req, res) => {
     filters.push('(m.EndDate IS NULL OR m.EndDate >= CURRENT_DATE())');
   }
 
+  // Scope filter
+  if (req.query.currencyId !== undefined) {
+    const scope = parseScope(req.query.currencyId);
+    if (scope === undefined) return res.status(400).json({ error: 'Invalid currencyId' });
+    filters.push('(m.CurrencyId <=> ?)');
+    params.push(scope);
+  }
+
   const whereSql = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
 
   try {
@@ -27,16 +57,20 @@ router.get('/', protect, async (req, res) => {
         CAST(m.StartDate AS CHAR) as StartDate,
         CAST(m.EndDate AS CHAR) as EndDate,
         m.UserId,
+        m.CurrencyId,
+        c.CurrencyCode,
+        (m.StartDate > CURRENT_DATE()) AS IsPending,
         u.Email AS UserEmail,
         u.FirstName AS UserFirstName,
         u.LastName AS UserLastName
       FROM Margins m
       LEFT JOIN Users u ON u.Id = m.UserId
+      LEFT JOIN Currencies c ON c.Id = m.CurrencyId
       ${whereSql}
       ORDER BY m.StartDate DESC, m.EndDate DESC, m.Id DESC
     `;
 
-    const [rows] = await pool.query(sql);
+    const [rows] = await pool.query(sql, params);
     return res.json(rows || []);
   } catch (err) {
     console.error('GET /api/margins failed', err);
@@ -45,7 +79,7 @@ router.get('/', protect, async (req, res) => {
 });
 
 // GET /api/margins/history
-// Returns all margins with their date ranges for chart visualization
+// Returns all margins (every scope) with their date ranges for chart visualization
 router.get('/history', protect, async (req, res) => {
   try {
     const sql = `
@@ -55,11 +89,15 @@ router.get('/history', protect, async (req, res) => {
         CAST(m.StartDate AS CHAR) as StartDate,
         CAST(m.EndDate AS CHAR) as EndDate,
         m.UserId,
+        m.CurrencyId,
+        c.CurrencyCode,
+        (m.StartDate > CURRENT_DATE()) AS IsPending,
         u.Email AS UserEmail,
         u.FirstName AS UserFirstName,
         u.LastName AS UserLastName
       FROM Margins m
       LEFT JOIN Users u ON u.Id = m.UserId
+      LEFT JOIN Currencies c ON c.Id = m.CurrencyId
       ORDER BY m.StartDate ASC
     `;
 
@@ -71,6 +109,16 @@ router.get('/history', protect, async (req, res) => {
   }
 });
 
+// Record a margin change in the audit trail (same transaction as the change itself)
+const auditMargin = (connection, req, action, before, after) => writeAudit(connection, {
+  actor: req.user,
+  action,
+  entityType: 'Margin',
+  entityId: (after || before).Id,
+  before,
+  after
+});
+
 // Add/Subtract days from date (string -> string) using UTC to avoid time shifts
 const addDaysToDateStr = (dateStr, days) => {
   const date = new Date(dateStr + 'T00:00:00Z');
@@ -79,10 +127,15 @@ const addDaysToDateStr = (dateStr, days) => {
 };
 
 // POST /api/margins/create
-// Create a new margin entry
+// Create a new margin entry (global, or for one currency when currencyId is given)
 router.post('/create', protect, async (req, res) => {
   const { marginValue, startDate, endDate, forceCreate } = req.body;
   const userId = req.user?.id;
+  const currencyId = parseScope(req.body.currencyId);
+
+  if (currencyId === undefined) {
+    return res.status(400).json({ error: 'Invalid currencyId' });
+  }
 
   // Basic validation
   if (marginValue == null || isNaN(marginValue)) {
@@ -93,13 +146,11 @@ router.post('/create', protect, async (req, res) => {
   }
 
   const decimalValue = parseFloat(marginValue) / 100; // Convert percentage to decimal
-  const today = getTodayStr();
 
-  // Cannot create future margins
-  if (startDate > today) {
-    return res.status(400).json({ 
-      error: 'Future margins are not allowed. Start Date must be today or in the past.' 
-    });
+  // A StartDate after today makes a pending margin, it becomes effective on that date by itself:
+  // rates are linked by date, so rows ingested on/after StartDate resolve to it (db/marginLookup.js)
+  if (endDate && endDate < startDate) {
+    return res.status(400).json({ error: 'End date cannot be before start date' });
   }
 
   const connection = await pool.getConnection();
@@ -107,10 +158,16 @@ router.post('/create', protect, async (req, res) => {
   try {
     await connection.beginTransaction();
 
-    // CHECK: Exact StartDate match
+    const scopeError = await validateScopeCurrency(connection, currencyId);
+    if (scopeError) {
+      await connection.rollback();
+      return res.status(400).json({ error: scopeError });
+    }
+
+    // CHECK: Exact StartDate match (within the same scope)
     const [sameDayMargins] = await connection.query( // Prevent duplicate start dates
-      'SELECT Id FROM Margins WHERE StartDate = ? LIMIT 1',
-      [startDate]
+      'SELECT Id FROM Margins WHERE StartDate = ? AND CurrencyId <=> ? LIMIT 1',
+      [startDate, currencyId]
     );
 
     if (sameDayMargins.length > 0) {
@@ -121,12 +178,13 @@ router.post('/create', protect, async (req, res) => {
     }
 
     // Neighbor processing logic
-    // Determine which existing margins need to be adjusted or removed due to the new margin
+    // Determine which existing margins of the same scope need to be adjusted or removed due to the new margin
     const [existingMargins] = await connection.query(`
-      SELECT Id, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate 
+      SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate 
       FROM Margins 
+      WHERE CurrencyId <=> ?
       ORDER BY StartDate ASC
-    `);
+    `, [currencyId]);
 
     const newStart = startDate; 
     const newEnd = endDate || null;
@@ -160,7 +218,7 @@ router.post('/create', protect, async (req, res) => {
       
       // If new margin is infinite (no EndDate), collect all margins it will completely overlap
       if (!newEnd && mStart > newStart) {
-          marginsToDelete.push(m.Id);
+          marginsToDelete.push(m);
       }
     }
     
@@ -191,13 +249,8 @@ router.post('/create', protect, async (req, res) => {
         'UPDATE Margins SET EndDate = ? WHERE Id = ?',
         [cutOffDate, previousMarginToClose.Id]
       );
-      
-      // Clear MarginId for CurrencyRates that are no longer covered by this margin
-      // (dates after the new cut-off date)
-      await connection.query(
-        'UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ? AND Date > ?',
-        [previousMarginToClose.Id, cutOffDate]
-      );
+
+      await auditMargin(connection, req, 'margin.truncate', previousMarginToClose, { ...previousMarginToClose, EndDate: cutOffDate });
     }
 
     // Process succeeding margin
@@ -214,71 +267,67 @@ router.post('/create', protect, async (req, res) => {
                     'UPDATE Margins SET StartDate = ? WHERE Id = ?',
                     [shiftedStartDate, succeedingMarginToModify.Id]
                 );
-                
-                // Clear MarginId for CurrencyRates that are no longer covered by this margin
-                // (dates before the new start date, including the new margin's period)
-                await connection.query(
-                  'UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ? AND Date < ?',
-                  [succeedingMarginToModify.Id, shiftedStartDate]
-                );
+
+                await auditMargin(connection, req, 'margin.shift', succeedingMarginToModify, { ...succeedingMarginToModify, StartDate: shiftedStartDate });
             } else {
                 // If we shifted the start so far that the margin disappeared -> delete it
-                 await connection.query(
-                    'DELETE FROM Margins WHERE Id = ?',
-                    [succeedingMarginToModify.Id]
-                );
-                
-                // Clear MarginId for all CurrencyRates that were linked to this deleted margin
+                // Unlink first so the delete does not depend on the FK's ON DELETE rule
                 await connection.query(
                   'UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ?',
                   [succeedingMarginToModify.Id]
                 );
+                await connection.query(
+                    'DELETE FROM Margins WHERE Id = ?',
+                    [succeedingMarginToModify.Id]
+                );
+
+                await auditMargin(connection, req, 'margin.delete', succeedingMarginToModify, null);
             }
 
         } else {
             // If new margin is infinite, delete all future margins
             if (marginsToDelete.length > 0) {
-                 // First, clear MarginId for all CurrencyRates linked to margins being deleted
+                 const idsToDelete = marginsToDelete.map(m => m.Id);
+
+                 // Unlink first, the rates are re-linked after the insert below
                  await connection.query(
                      `UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId IN (?)`,
-                     [marginsToDelete]
+                     [idsToDelete]
                  );
-                 
-                 // Then delete the margins
                  await connection.query(
                      `DELETE FROM Margins WHERE Id IN (?)`,
-                     [marginsToDelete]
+                     [idsToDelete]
                  );
+
+                 for (const m of marginsToDelete) await auditMargin(connection, req, 'margin.delete', m, null);
             }
         }
     }
 
     // Insert the new margin record
     const insertResult = await connection.query(
-      'INSERT INTO Margins (MarginValue, StartDate, EndDate, UserId) VALUES (?, ?, ?, ?)',
-      [decimalValue, startDate, newEnd, userId]
+      'INSERT INTO Margins (MarginValue, StartDate, EndDate, UserId, CurrencyId) VALUES (?, ?, ?, ?, ?)',
+      [decimalValue, startDate, newEnd, userId, currencyId]
     );
     
     // Get the newly created margin ID
     const newMarginId = insertResult[0].insertId;
     
 
-    // Update currency rates to link to the new margin
-    // UPDATE MarginId for CurrencyRates that fall within the new margin's date range
-    // This ensures all currency rates in this period are linked to the new margin
-    if (newEnd) {
-      // Margin has both start and end date
-      await connection.query(
-        'UPDATE CurrencyRates SET MarginId = ? WHERE Date >= ? AND Date <= ?',
-        [newMarginId, startDate, newEnd]
-      );
-    } else {
-      // Margin is infinite (no end date) - all dates from startDate onwards
-      await connection.query(
-        'UPDATE CurrencyRates SET MarginId = ? WHERE Date >= ?',
-        [newMarginId, startDate]
-      );
-    }
+    // Re-link CurrencyRates from the new start date onwards
+    // Neighbours were closed/shifted/deleted above, so every link from newStart may have changed
+    // (a global margin only becomes the link where no currency margin covers the date)
+    const relinked = await relinkRates(connection, { dateFrom: startDate, currencyId });
+
+    await auditMargin(connection, req, 'margin.create', null, {
+      Id: newMarginId,
+      MarginValue: decimalValue,
+      StartDate: startDate,
+      EndDate: newEnd,
+      UserId: userId,
+      CurrencyId: currencyId,
+      RelinkedRates: relinked
+    });
 
     await connection.commit();
     return res.status(201).json({ success: true, message: 'Margin created' });
@@ -315,9 +364,8 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
   }
 
   const decimalValue = parseFloat(marginValue) / 100;
-  const today = getTodayStr();
-  if (startDate > today) {
-    return res.status(400).json({ error: 'Future margins are not allowed. Start Date must be today or in the past.' });
+  if (endDate && endDate < startDate) {
+    return res.status(400).json({ error: 'End date cannot be before start date' });
   }
 
   const connection = await pool.getConnection();
@@ -326,7 +374,7 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
 
     // Fetch current margin
     const [currentRows] = await connection.query(
-      'SELECT Id, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate FROM Margins WHERE Id = ? LIMIT 1',
+      'SELECT Id, MarginValue, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate, UserId, CurrencyId FROM Margins WHERE Id = ? LIMIT 1',
       [marginId]
     );
 
@@ -335,10 +383,13 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
       return res.status(404).json({ error: 'Margin not found' });
     }
 
+    // The scope of a margin is fixed, neighbours are looked up within it
+    const currencyId = currentRows[0].CurrencyId ?? null;
+
     // Prevent exact StartDate collision with other margins
     const [sameDay] = await connection.query(
-      'SELECT Id FROM Margins WHERE StartDate = ? AND Id != ? LIMIT 1',
-      [startDate, marginId]
+      'SELECT Id FROM Margins WHERE StartDate = ? AND Id != ? AND CurrencyId <=> ? LIMIT 1',
+      [startDate, marginId, currencyId]
     );
     if (sameDay.length > 0) {
       await connection.rollback();
@@ -350,9 +401,9 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
 
     // Find immediate previous margin (closest StartDate < newStart)
     const [prevRows] = await connection.query(
-      `SELECT Id, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
-       FROM Margins WHERE Id != ? AND StartDate < ? ORDER BY StartDate DESC LIMIT 1`,
-      [marginId, newStart]
+      `SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
+       FROM Margins WHERE Id != ? AND CurrencyId <=> ? AND StartDate < ? ORDER BY StartDate DESC LIMIT 1`,
+      [marginId, currencyId, newStart]
     );
     // Margin that starts before newStart and is still active - needs to be closed
     let previousMarginToClose = (prevRows && prevRows.length) ? prevRows[0] : null;
@@ -365,9 +416,9 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
 
     // Find immediate succeeding margin (first StartDate > newStart)
     const [nextRows] = await connection.query(
-      `SELECT Id, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
-       FROM Margins WHERE Id != ? AND StartDate > ? ORDER BY StartDate ASC LIMIT 1`,
-      [marginId, newStart]
+      `SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
+       FROM Margins WHERE Id != ? AND CurrencyId <=> ? AND StartDate > ? ORDER BY StartDate ASC LIMIT 1`,
+      [marginId, currencyId, newStart]
     );
     // First margin that starts after newStart - may need to be shifted or deleted
     const succeedingMarginToModify = (nextRows && nextRows.length) ? nextRows[0] : null;
@@ -378,17 +429,18 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
     const marginsToDelete = [];
     if (!newEnd) {
       const [delRows] = await connection.query(
-        `SELECT Id FROM Margins WHERE Id != ? AND StartDate > ?`,
-        [marginId, newStart]
+        `SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
+         FROM Margins WHERE Id != ? AND CurrencyId <=> ? AND StartDate > ?`,
+        [marginId, currencyId, newStart]
       );
-      for (const r of delRows) marginsToDelete.push(r.Id);
+      for (const r of delRows) marginsToDelete.push(r);
     }
 
     // Close previous margin (cut to yesterday)
     if (previousMarginToClose) {
       const cutOffDate = addDaysToDateStr(newStart, -1);
       await connection.query('UPDATE Margins SET EndDate = ? WHERE Id = ?', [cutOffDate, previousMarginToClose.Id]);
-      await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ? AND Date > ?', [previousMarginToClose.Id, cutOffDate]);
+      await auditMargin(connection, req, 'margin.truncate', previousMarginToClose, { ...previousMarginToClose, EndDate: cutOffDate });
     }
 
     // Process succeeding margin
@@ -399,16 +451,19 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
 
         if (shiftedStartDate <= succeedingEndDate) {
           await connection.query('UPDATE Margins SET StartDate = ? WHERE Id = ?', [shiftedStartDate, succeedingMarginToModify.Id]);
-          await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ? AND Date < ?', [succeedingMarginToModify.Id, shiftedStartDate]);
+          await auditMargin(connection, req, 'margin.shift', succeedingMarginToModify, { ...succeedingMarginToModify, StartDate: shiftedStartDate });
         } else {
-          await connection.query('DELETE FROM Margins WHERE Id = ?', [succeedingMarginToModify.Id]);
           await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ?', [succeedingMarginToModify.Id]);
+          await connection.query('DELETE FROM Margins WHERE Id = ?', [succeedingMarginToModify.Id]);
+          await auditMargin(connection, req, 'margin.delete', succeedingMarginToModify, null);
         }
 
       } else {
         if (marginsToDelete.length > 0) {
-          await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId IN (?)', [marginsToDelete]);
-          await connection.query('DELETE FROM Margins WHERE Id IN (?)', [marginsToDelete]);
+          const idsToDelete = marginsToDelete.map(m => m.Id);
+          await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId IN (?)', [idsToDelete]);
+          await connection.query('DELETE FROM Margins WHERE Id IN (?)', [idsToDelete]);
+          for (const m of marginsToDelete) await auditMargin(connection, req, 'margin.delete', m, null);
         }
       }
     }
@@ -419,12 +474,19 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
       [decimalValue, newStart, newEnd, userId, marginId]
     );
 
-    // Update CurrencyRates to point to this margin where appropriate
-    if (newEnd) {
-      await connection.query('UPDATE CurrencyRates SET MarginId = ? WHERE Date >= ? AND Date <= ?', [marginId, newStart, newEnd]);
-    } else {
-      await connection.query('UPDATE CurrencyRates SET MarginId = ? WHERE Date >= ?', [marginId, newStart]);
-    }
+    // Re-link CurrencyRates from the earlier of the old and new start dates
+    const relinkFrom = currentRows[0].StartDate < newStart ? currentRows[0].StartDate : newStart;
+    const relinked = await relinkRates(connection, { dateFrom: relinkFrom, currencyId });
+
+    await auditMargin(connection, req, 'margin.update', currentRows[0], {
+      Id: currentRows[0].Id,
+      MarginValue: decimalValue,
+      StartDate: newStart,
+      EndDate: newEnd,
+      UserId: userId,
+      CurrencyId: currencyId,
+      RelinkedRates: relinked
+    });
 
     await connection.commit();
     return res.json({ success: true, message: 'Margin updated' });
@@ -438,13 +500,142 @@ router.put('/update/:id', protect, async (req, res) => { // Update margin with c
   }
 });
 
-/***/
+// Delete policies: 'extend' closes the hole with a neighbouring margin, 'gap' leaves the period margin-less
+const DELETE_POLICIES = ['extend', 'gap'];
+
+/*
+*  Work out what deleting a margin does (shared by the preview and the actual delete)
+* + Only margins of the same scope (global or the same currency) are considered as neighbours
+* + extend: the previous margin takes over the deleted period when it ends the day before (up to the deleted
+*   EndDate, so a gap after it stays a gap; an open-ended delete makes it open-ended again),
+*   otherwise the next margin starts earlier when it begins the day after
+* + extend without an adjacent neighbour falls back to a gap
+* + Returns { margin, extended: { before, after } | null, linkedRates } or null when the margin does not exist
+*/
+async function planMarginDelete(connection, marginId, policy) {
+  const [rows] = await connection.query(
+    'SELECT Id, MarginValue, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate, UserId, CurrencyId FROM Margins WHERE Id = ? LIMIT 1 FOR UPDATE',
+    [marginId]
+  );
+  if (!rows.length) return null;
+  const margin = rows[0];
+
+  const [[{ linkedRates }]] = await connection.query(
+    'SELECT COUNT(*) AS linkedRates FROM CurrencyRates WHERE MarginId = ?',
+    [margin.Id]
+  );
+
+  let extended = null;
+  if (policy === 'extend') {
+    const [prevRows] = await connection.query(
+      `SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
+       FROM Margins WHERE Id != ? AND CurrencyId <=> ? AND StartDate < ? ORDER BY StartDate DESC LIMIT 1`,
+      [margin.Id, margin.CurrencyId, margin.StartDate]
+    );
+    const [nextRows] = await connection.query(
+      `SELECT Id, MarginValue, CurrencyId, CAST(StartDate AS CHAR) as StartDate, CAST(EndDate AS CHAR) as EndDate
+       FROM Margins WHERE Id != ? AND CurrencyId <=> ? AND StartDate > ? ORDER BY StartDate ASC LIMIT 1`,
+      [margin.Id, margin.CurrencyId, margin.StartDate]
+    );
+    const prev = prevRows[0] || null;
+    const next = nextRows[0] || null;
+
+    if (prev && prev.EndDate === addDaysToDateStr(margin.StartDate, -1)) {
+      // Previous margin covers exactly the deleted period, or becomes open-ended again
+      extended = { before: prev, after: { ...prev, EndDate: margin.EndDate } };
+    } else if (next && margin.EndDate && next.StartDate === addDaysToDateStr(margin.EndDate, 1)) {
+      extended = { before: next, after: { ...next, StartDate: margin.StartDate } };
+    }
+  }
 
+  return { margin, extended, linkedRates: Number(linkedRates) || 0 };
+}
 
+// DELETE /api/margins/:id?policy=extend|gap&force=true
+// Admin: delete (revert) a margin and re-link the CurrencyRates it covered
+// Without force=true nothing is changed; a 409 with the planned changes is returned for confirmation
+router.delete('/:id', protect, async (req, res) => {
+  const role = req.user && req.user.role;
+  if (!role || String(role).toLowerCase() !== 'admin') {
+    return res.status(403).json({ error: 'Forbidden: admin only' });
+  }
 
+  const marginId = Number(req.params.id);
+  const policy = String(req.query.policy || 'extend').toLowerCase();
+  const force = String(req.query.force).toLowerCase() === 'true';
 
+  if (!Number.isInteger(marginId) || marginId <= 0) {
+    return res.status(400).json({ error: 'Invalid margin id' });
+  }
+  if (!DELETE_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `Invalid policy. Use one of: ${DELETE_POLICIES.join(', ')}` });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
+    const plan = await planMarginDelete(connection, marginId, policy);
+    if (!plan) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Margin not found' });
+    }
 
+    // PREVIEW
+    // Same shape as the create conflict response so the UI can ask for confirmation
+    if (!force) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: 'Confirmation required',
+        conflicts: {
+          deleted: plan.margin,
+          extended: plan.extended,
+          linkedRates: plan.linkedRates,
+          policy: plan.extended ? 'extend' : 'gap',
+          // What a gap falls back to: the global margin for currency margins, nothing for global ones
+          fallback: plan.margin.CurrencyId != null ? 'global' : 'none'
+        },
+        confirmationRequired: true
+      });
+    }
+
+    // APPLYING CHANGES
+    const { margin, extended } = plan;
+
+    if (extended) {
+      await connection.query(
+        'UPDATE Margins SET StartDate = ?, EndDate = ? WHERE Id = ?',
+        [extended.after.StartDate, extended.after.EndDate, extended.after.Id]
+      );
+      await auditMargin(connection, req, 'margin.extend', extended.before, extended.after);
+    }
+
+    await connection.query('UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = ?', [margin.Id]);
+    await connection.query('DELETE FROM Margins WHERE Id = ?', [margin.Id]);
+
+    // Freed period goes to the extended neighbour, or falls back to the global margin / none
+    const relinked = await relinkRates(connection, { dateFrom: margin.StartDate, currencyId: margin.CurrencyId ?? null });
+
+    await auditMargin(connection, req, 'margin.delete', margin, null);
+
+    await connection.commit();
+    return res.json({
+      success: true,
+      message: 'Margin deleted',
+      policy: extended ? 'extend' : 'gap',
+      extendedMarginId: extended ? extended.after.Id : null,
+      unlinkedRates: plan.linkedRates,
+      relinkedRates: relinked
+    });
+
+  } catch (err) {
+    await connection.rollback();
+    console.error('Delete margin failed', err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    connection.release();
+  }
+});
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
+const { isIsoDate } = require('../utils/date');
+const { ORDER_STATUSES, findOrder, transitionOrder } = require('../db/orders');
+const { getStripeGateway } = require('../utils/stripeGateway');
+const { notifyOrderStatus } = require('../utils/orderNotifications');
+const { writeAudit } = require('../utils/audit');
+
+const ORDER_COLUMNS = `o.Id, o.FromCode, o.ToCode, o.AmountFrom, o.AmountTo, o.Rate,
+  CAST(o.UsedDate AS CHAR) AS UsedDate, o.Status, o.CreatedAt, o.UpdatedAt, o.PaidAt`;
+
+// GET /api/orders/mine
+// Current user's conversion orders, newest first
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${ORDER_COLUMNS}
+       FROM Orders o
+       WHERE o.UserId = ?
+       ORDER BY o.CreatedAt DESC, o.Id DESC
+       LIMIT 200`,
+      [req.user.id]
+    );
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/orders/mine failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/orders?status=&email=&dateFrom=&dateTo=&limit=
+// Admin: all conversion orders with the paying user and Stripe references
+/*
+*  Filters (all optional)
+* + status: pending | paid | expired | failed | refunded
+* + email: part of the user email
+* + dateFrom / dateTo: YYYY-MM-DD on CreatedAt, inclusive
+* + limit: 1..5000 (default 500)
+*/
+router.get('/', protect, requireAdmin, async (req, res) => {
+  const { status, email, dateFrom, dateTo } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${ORDER_STATUSES.join(', ')}` });
+  }
+  if ((dateFrom && !isIsoDate(dateFrom)) || (dateTo && !isIsoDate(dateTo))) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('o.Status = ?');
+    params.push(status);
+  }
+  if (email) {
+    where.push('u.Email LIKE ?');
+    params.push(`%${email}%`);
+  }
+  if (dateFrom) {
+    where.push('o.CreatedAt >= ?');
+    params.push(`${dateFrom} 00:00:00`);
+  }
+  if (dateTo) {
+    where.push('o.CreatedAt <= ?');
+    params.push(`${dateTo} 23:59:59`);
+  }
+
+  try {
+    const sql = `
+      SELECT ${ORDER_COLUMNS}, o.UserId, u.Email AS UserEmail, o.StripeSessionId, o.StripePaymentIntentId
+      FROM Orders o
+      LEFT JOIN Users u ON u.Id = o.UserId
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY o.CreatedAt DESC, o.Id DESC
+      LIMIT ?
+    `;
+    const [rows] = await pool.query(sql, [...params, limit]);
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/orders failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/orders/:id/refund
+// Admin: refund a paid order in full through Stripe
+/*
+*  Refund rules
+* + Only 'paid' orders with a known payment intent can be refunded
+* + The refund uses an idempotency key per order, so a repeated click returns the same refund
+* + A refund Stripe completes at once marks the order refunded here; a pending one is
+*   finished by the charge.refunded webhook (refundStatus tells the client which case it was)
+*/
+router.post('/:id/refund', protect, requireAdmin, async (req, res) => {
+  const orderId = Number(req.params.id);
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return res.status(400).json({ error: 'Invalid order id' });
+  }
+
+  let refund;
+  try {
+    const order = await findOrder(pool, orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (order.Status !== 'paid') {
+      return res.status(409).json({ error: `Only paid orders can be refunded (order is ${order.Status})` });
+    }
+    if (!order.StripePaymentIntentId) {
+      return res.status(409).json({ error: 'Order has no Stripe payment to refund' });
+    }
+
+    try {
+      refund = await getStripeGateway().refundPayment(order.StripePaymentIntentId, {
+        metadata: { orderId: String(orderId) },
+        idempotencyKey: `order-${orderId}-refund`
+      });
+    } catch (err) {
+      console.error('Stripe refund failed', orderId, err && err.message ? err.message : err);
+      return res.status(502).json({ error: err && err.message ? `Stripe: ${err.message}` : 'Stripe refund failed' });
+    }
+
+    const connection = await pool.getConnection();
+    let outcome = { changed: false, status: order.Status };
+    try {
+      await connection.beginTransaction();
+
+      if (refund.status === 'succeeded') {
+        outcome = await transitionOrder(connection, { paymentIntentId: order.StripePaymentIntentId, status: 'refunded' });
+      }
+
+      await writeAudit(connection, {
+        actor: req.user,
+        action: 'order.refund',
+        entityType: 'Order',
+        entityId: orderId,
+        before: { Status: order.Status },
+        after: { Status: outcome.status, RefundId: refund.id, RefundStatus: refund.status }
+      });
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    if (outcome.changed) notifyOrderStatus(orderId);
+
+    return res.json({ ok: true, orderId, status: outcome.status, refundId: refund.id, refundStatus: refund.status });
+  } catch (err) {
+    console.error('POST /api/orders/:id/refund failed', err);
+    // The Stripe refund may already exist; the charge.refunded webhook still updates the order
+    return res.status(500).json({ error: refund ? 'Refund issued but the order could not be updated' : 'Failed to refund order' });
+  }
+});
+
+module.exports = router;
@@ -4,24 +4,50 @@ const pool = require('../db/pool');
 const crypto = require('node:crypto');
 const bcrypt = require('bcryptjs');
 const { sendPasswordResetCodeEmail } = require('../utils/mailtrapMailer');
+const { rateLimit, byIp, byEmail } = require('../middleware/rateLimit');
+const { clearLoginFailures } = require('../db/loginLockouts');
+const {
+  saveResetCode,
+  findReset,
+  findResetById,
+  useResetAttempt,
+  markResetVerified,
+  claimResetToken,
+  deleteReset,
+  pruneExpiredResets
+} = require('../db/passwordResets');
 
 // -----------------------------
-// Password reset (in-memory storage)
-// Uses an in-memory Map to store one-time codes and short-lived reset sessions
+// Password reset (stored in MySQL, see db/passwordResets.js)
+// One session per email in PasswordResets, so the flow survives restarts and works across instances
 // -----------------------------
 
 const RESET_CODE_LENGTH = 6; // Number of characters in reset code
 const RESET_CODE_TTL_MS = 5 * 60 * 1000; // 5 minutes lifetime for codes
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes to set the password once the code is verified
 const RESET_CODE_ATTEMPTS = 5; // Allowed verification attempts
 const RESET_CODE_SECRET = process.env.RESET_CODE_SECRET; // Secret for HMAC of codes
 
+// Expired sessions are removed from the request path, at most this often per process
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+let lastPrune = 0;
+
 // Compute HMAC hash for a reset code to avoid storing the plain code
 function computeCodeHash(code) {
   if (!code) return null;
   return crypto.createHmac('sha256', RESET_CODE_SECRET).update(String(code)).digest('hex');
 }
 
-const passwordResetStore = new Map();
+// SHA-256 of a random value handed to the client (reset token, reset id)
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Constant-time comparison of two hex hashes
+function hashesEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
 
 // Normalize email for consistent lookups
 function normalizeEmail(email) {
@@ -39,25 +65,46 @@ function generateRandomString(length) {
   return result;
 }
 
-// Check whether a stored reset entry is expired
-function isExpired(entry) {
-  return !entry || Date.now() > entry.expiresAt;
+function pruneIfDue() {
+  if (Date.now() - lastPrune < PRUNE_EVERY_MS) return;
+  lastPrune = Date.now();
+  pruneExpiredResets(pool).catch(err => console.error('[password-reset] Pruning expired sessions failed', err));
 }
 
+// Request limits (stored in MySQL, see middleware/rateLimit.js); /verify also counts wrong codes per session
+const requestLimits = [
+  rateLimit({ name: 'reset-request:ip', windowSeconds: 60 * 60, max: 10, key: byIp }),
+  rateLimit({
+    name: 'reset-request:account',
+    windowSeconds: 15 * 60,
+    max: 3,
+    key: byEmail,
+    message: 'A code was already sent several times, check your email or try again later'
+  })
+];
+const verifyLimits = [rateLimit({ name: 'reset-verify:ip', windowSeconds: 15 * 60, max: 30, key: byIp })];
+const statusLimits = [rateLimit({ name: 'reset-status:ip', windowSeconds: 15 * 60, max: 60, key: byIp })];
+const setLimits = [rateLimit({ name: 'reset-set:ip', windowSeconds: 15 * 60, max: 10, key: byIp })];
+
 // -----------------------------
 // Routes
 // -----------------------------
 
 // POST /api/password-reset/request
 // Sends a one-time code to the user's email if the account exists
-router.post('/request', async (req, res) => {
+// A new code replaces any earlier code or reset token of the email
+// resetId lets the client resume the flow after a reload (/status); unknown emails get one as well
+router.post('/request', requestLimits, async (req, res) => {
   const { email } = req.body || {};
   const normalizedEmail = normalizeEmail(email);
 
   if (!normalizedEmail) {
-    return res.status(400).json({ ok: false, error: 'Email required' });
+    return res.status(400).json({ error: 'Email required' });
   }
 
+  pruneIfDue();
+  const resetId = crypto.randomBytes(16).toString('hex');
+
   try {
     const [rows] = await pool.query(
       'SELECT Id, IsDeleted+0 AS IsDeletedVal FROM Users WHERE LOWER(Email) = ? LIMIT 1',
@@ -69,18 +116,17 @@ router.post('/request', async (req, res) => {
     if (user) {
       if (user.IsDeletedVal === 1) {
         console.log(`[password-reset] Blocked request for deleted account: ${normalizedEmail}`);
-        return res.status(403).json({ ok: false, error: 'Account is deleted' });
+        return res.status(403).json({ error: 'Account is deleted' });
       }
 
-      // Create and store HMAC-hashed code and attempt counter
+      // Store HMAC-hashed code and attempt counter
       const code = generateRandomString(RESET_CODE_LENGTH);
-      const codeHash = computeCodeHash(code);
-      const now = Date.now();
-
-      passwordResetStore.set(normalizedEmail, {
-        codeHash,
-        expiresAt: now + RESET_CODE_TTL_MS,
-        attemptsLeft: RESET_CODE_ATTEMPTS,
+      await saveResetCode(pool, {
+        email: normalizedEmail,
+        resetIdHash: hashSecret(resetId),
+        codeHash: computeCodeHash(code),
+        attempts: RESET_CODE_ATTEMPTS,
+        ttlSeconds: Math.floor(RESET_CODE_TTL_MS / 1000)
       });
 
       // Send plain code via email
@@ -98,111 +144,158 @@ router.post('/request', async (req, res) => {
     return res.json({
       ok: true,
       message: 'If this email exists and is active, a code has been sent.',
-      expiresInSeconds: Math.floor(RESET_CODE_TTL_MS / 1000)
+      expiresInSeconds: Math.floor(RESET_CODE_TTL_MS / 1000),
+      resetId
     });
 
   } catch (e) {
     console.error('[password-reset] Error processing request:', e);
-    return res.status(500).json({ ok: false, error: 'Server error' });
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/password-reset/status
+// Where a reset started in this browser stands, so the form can resume after a reload
+// Body: { email, resetId, resetToken } (POST keeps the token out of URLs and logs)
+// stage: 'code' (waiting for the emailed code), 'verified' (resetToken is valid) or 'none'
+router.post('/status', statusLimits, async (req, res) => {
+  const { email, resetId, resetToken } = req.body || {};
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedEmail || !resetId) {
+    return res.status(400).json({ error: 'Email and resetId required' });
+  }
+
+  try {
+    const session = await findResetById(pool, { email: normalizedEmail, resetIdHash: hashSecret(resetId) });
+
+    if (session && session.TokenHash && resetToken && hashesEqual(session.TokenHash, hashSecret(resetToken))) {
+      return res.json({ stage: 'verified', expiresInSeconds: Number(session.SecondsLeft) });
+    }
+    if (session && session.CodeHash && session.AttemptsLeft > 0) {
+      return res.json({ stage: 'code', expiresInSeconds: Number(session.SecondsLeft), attemptsLeft: session.AttemptsLeft });
+    }
+    return res.json({ stage: 'none' });
+
+  } catch (err) {
+    console.error('[password-reset/status] Lookup failed', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 });
 
 // POST /api/password-reset/verify
 // Verify submitted code and issue a short-lived reset token if correct
-router.post('/verify', async (req, res) => {
+router.post('/verify', verifyLimits, async (req, res) => {
   const { email, code } = req.body || {};
   const normalizedEmail = normalizeEmail(email);
   const normalizedCode = String(code || '').trim().toUpperCase();
 
   if (!normalizedEmail || !normalizedCode) {
-    return res.status(400).json({ ok: false, error: 'Email and code required' });
+    return res.status(400).json({ error: 'Email and code required' });
   }
 
-  const entry = passwordResetStore.get(normalizedEmail);
+  try {
+    const session = await findReset(pool, normalizedEmail);
 
-  if (!entry || isExpired(entry)) {
-    // Clean up expired or missing entries
-    passwordResetStore.delete(normalizedEmail);
-    return res.status(400).json({ ok: false, error: 'Code expired or invalid' });
-  }
+    if (!session || !session.IsLive || !session.CodeHash) {
+      // Clean up expired sessions; a verified one keeps its token
+      if (session && !session.IsLive) await deleteReset(pool, normalizedEmail);
+      return res.status(400).json({ error: 'Code expired or invalid' });
+    }
 
-  if (entry.attemptsLeft <= 0) {
-    passwordResetStore.delete(normalizedEmail);
-    return res.status(429).json({ ok: false, error: 'Too many attempts' });
-  }
+    if (session.AttemptsLeft <= 0) {
+      await deleteReset(pool, normalizedEmail);
+      return res.status(429).json({ error: 'Too many attempts' });
+    }
+
+    const providedHash = computeCodeHash(normalizedCode);
+    if (!hashesEqual(session.CodeHash, providedHash)) {
+      const attemptsLeft = await useResetAttempt(pool, normalizedEmail);
+      return res.status(400).json({
+        error: 'Incorrect code',
+        attemptsLeft,
+      });
+    }
 
-  const providedHash = computeCodeHash(normalizedCode);
-  if (entry.codeHash !== providedHash) {
-    // Decrement attempts and persist
-    entry.attemptsLeft -= 1;
-    passwordResetStore.set(normalizedEmail, entry);
-    return res.status(400).json({
-      ok: false,
-      error: 'Incorrect code',
-      attemptsLeft: entry.attemptsLeft,
+    // Issue a server-generated reset token for the subsequent password set step (only its hash is stored)
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const verified = await markResetVerified(pool, {
+      email: normalizedEmail,
+      codeHash: providedHash,
+      tokenHash: hashSecret(resetToken),
+      ttlSeconds: Math.floor(RESET_TOKEN_TTL_MS / 1000)
     });
-  }
+    if (!verified) {
+      return res.status(400).json({ error: 'Code expired or invalid' });
+    }
 
-  // Issue a server-generated reset token for the subsequent password set step
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  entry.codeHash = null;
-  entry.verifiedToken = resetToken;
-  passwordResetStore.set(normalizedEmail, entry);
+    return res.json({ ok: true, resetToken, expiresInSeconds: Math.floor(RESET_TOKEN_TTL_MS / 1000) });
 
-  return res.json({ ok: true, resetToken });
+  } catch (err) {
+    console.error('[password-reset/verify] Verification failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
 });
 
 // POST /api/password-reset/set
 // Set a new password using the previously issued resetToken
-router.post('/set', async (req, res) => {
+router.post('/set', setLimits, async (req, res) => {
   const { email, password, resetToken } = req.body || {};
   const normalizedEmail = normalizeEmail(email);
 
   if (!normalizedEmail || !password || !resetToken) {
-    return res.status(400).json({ ok: false, error: 'Missing data' });
+    return res.status(400).json({ error: 'Missing data' });
   }
 
   // Enforce minimal password length
   if (password.length < 6) {
-    return res.status(400).json({ ok: false, error: 'Password too short' });
+    return res.status(400).json({ error: 'Password too short' });
   }
 
   const hasDigitOrSymbol = /[0-9!@#$%^&*()_+\-=[\]{};':"\\|,.<>\/?]/.test(password);
   if (!hasDigitOrSymbol) {
-    return res.status(400).json({ ok: false, error: 'Password must contain at least one digit or special character' });
+    return res.status(400).json({ error: 'Password must contain at least one digit or special character' });
   }
 
-  const entry = passwordResetStore.get(normalizedEmail);
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
-  // Ensure the reset flow was correctly verified previously
-  if (!entry || isExpired(entry) || entry.verifiedToken !== resetToken) {
-    return res.status(403).json({ ok: false, error: 'Invalid or expired reset session' });
-  }
+    // Use up the token first, so the same token cannot set a password twice
+    const claimed = await claimResetToken(connection, { email: normalizedEmail, tokenHash: hashSecret(resetToken) });
+    if (!claimed) {
+      await connection.rollback();
+      return res.status(403).json({ error: 'Invalid or expired reset session' });
+    }
 
-  try {
-    const [rows] = await pool.query(
+    const [rows] = await connection.query(
       'SELECT Id FROM Users WHERE LOWER(Email) = ? AND IsDeleted+0 = 0 LIMIT 1',
       [normalizedEmail]
     );
 
     if (!rows || rows.length === 0) {
-      return res.status(404).json({ ok: false, error: 'User not found or deleted' });
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found or deleted' });
     }
 
     const userId = rows[0].Id;
     const saltRounds = 10;
     const hash = await bcrypt.hash(password, saltRounds); // Hash and store new password
 
-    await pool.query('UPDATE Users SET PasswordHash = ? WHERE Id = ?', [hash, userId]);
+    await connection.query('UPDATE Users SET PasswordHash = ? WHERE Id = ?', [hash, userId]);
 
-    // Remove reset session after successful change
-    passwordResetStore.delete(normalizedEmail);
+    // A new password also ends a login lockout
+    await clearLoginFailures(connection, normalizedEmail);
+    await connection.commit();
 
     return res.json({ ok: true });
 
   } catch (err) {
+    await connection.rollback();
     console.error('[password-reset/set] Password update failed', err);
-    return res.status(500).json({ ok: false, error: 'Database error' });
+    return res.status(500).json({ error: 'Database error' });
+  } finally {
+    connection.release();
   }
 });
 
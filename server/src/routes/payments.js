@@ -1,14 +1,25 @@
 const express = require('express');
-const Stripe = require('stripe');
+const pool = require('../db/pool');
+const { protect, attachUser, requireAdmin } = require('../middleware/authMiddleware');
+const { isIsoDate } = require('../utils/date');
+const {
+  createOrder,
+  isQuoteUsed,
+  transitionOrder,
+  getPaidVolume,
+  setPaymentIntent,
+  claimStripeEvent,
+  linkStripeEvent
+} = require('../db/orders');
+const { priceConversion } = require('../db/pricing');
+const { signQuote, verifyQuote } = require('../utils/quotes');
+const { getStripeGateway } = require('../utils/stripeGateway');
+const { notifyOrderStatus } = require('../utils/orderNotifications');
 
 const router = express.Router();
 
-// Load Stripe secret key from environment variables
-const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
-if (!STRIPE_SECRET_KEY) { throw new Error('STRIPE_SECRET_KEY is not set.'); }
-
-// Initialize Stripe client with the secret key
-const stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+// Fail fast when Stripe is not configured (the client itself lives in utils/stripeGateway)
+if (!process.env.STRIPE_SECRET_KEY) { throw new Error('STRIPE_SECRET_KEY is not set.'); }
 
 // Set of currencies that do not use decimal places
 const ZERO_DECIMAL_CURRENCIES = new Set([
@@ -35,50 +46,161 @@ function toStripeMinorUnits(amount, currency) {
   return Math.round(amount * factor);
 }
 
-// POST /api/payments/create-checkout-session
-// Creates a Stripe Checkout Session for the current conversion
-router.post('/create-checkout-session', async (req, res) => {
+// Conversion limits in the source currency
+const MIN_AMOUNT_FROM = 10;
+const MAX_AMOUNT_FROM = 1_000_000;
+
+// Tolerances when comparing the client's figures with the server's
+const RATE_TOLERANCE = 1e-9; // relative
+const AMOUNT_TOLERANCE = 0.005; // absolute, amounts are rounded to 2 decimals
+
+const sameRate = (a, b) => Math.abs(a - b) <= RATE_TOLERANCE * Math.abs(b);
+const sameAmount = (a, b) => Math.abs(a - b) <= AMOUNT_TOLERANCE;
+
+// Client figures that disagree with 'priced' (only the ones the client actually sent)
+function findMismatches(client, priced) {
+  const mismatches = [];
+  if (client.rate != null && !sameRate(client.rate, priced.rate)) mismatches.push('rate');
+  if (client.amountFrom != null && !sameAmount(client.amountFrom, priced.amountFrom)) mismatches.push('amountFrom');
+  if (client.amountTo != null && !sameAmount(client.amountTo, priced.amountTo)) mismatches.push('amountTo');
+  return mismatches;
+}
+
+// POST /api/payments/quote
+// Prices a conversion from stored rates and margins and locks it in a signed quote for QUOTE_TTL_SECONDS
+/*
+*  Body: { fromCode, toCode, date, fixed: 'from'|'to', amountFrom, amountTo, rate }
+* + fixed: which amount the client typed (default 'from'), the other side is computed like the Converter does
+* + amountTo/amountFrom/rate on the other side are optional: when sent and different from the
+*   server's figures, 'mismatches' lists them so the client can show the corrected price
+* + Checkout accepts only the returned quote token, never client amounts
+*/
+router.post('/quote', async (req, res) => {
+  const { fromCode, toCode, date, fixed = 'from' } = req.body || {};
+
+  const from = normalizeCurrency(fromCode || '');
+  const to = normalizeCurrency(toCode || '');
+  if (!from || !to || from === to) {
+    return res.status(400).json({ error: 'Invalid currency codes' });
+  }
+  if (!isIsoDate(date)) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+  }
+  if (date > new Date().toISOString().slice(0, 10)) {
+    return res.status(400).json({ error: 'Date cannot be in the future' });
+  }
+  if (fixed !== 'from' && fixed !== 'to') {
+    return res.status(400).json({ error: "fixed must be 'from' or 'to'" });
+  }
+
+  const client = {
+    amountFrom: safeNumber(req.body.amountFrom),
+    amountTo: safeNumber(req.body.amountTo),
+    rate: safeNumber(req.body.rate)
+  };
+  const fixedAmount = fixed === 'from' ? client.amountFrom : client.amountTo;
+  if (fixedAmount == null || fixedAmount <= 0) {
+    return res.status(400).json({ error: fixed === 'from' ? 'Invalid amountFrom' : 'Invalid amountTo' });
+  }
+
   try {
-    const {
-      fromCode, // Source currency code
-      toCode, // Target currency code
-      amountFrom, // Amount in source currency
-      amountTo, // Amount in target currency
-      rate, // Exchange rate used
-      usedDate // Date of the exchange rate
-    } = req.body || {};
-
-    // Normalize and validate currency codes
-    const from = normalizeCurrency(fromCode);
-    const to = normalizeCurrency(toCode);
-
-    // Parse and validate amounts and rate
-    const amtFrom = safeNumber(amountFrom);
-    const amtTo = safeNumber(amountTo);
-    const usedRate = safeNumber(rate);
-
-    if (!from || !to) {
-      return res.status(400).json({ error: 'Invalid currency codes' });
-    }
-    if (amtFrom == null || amtFrom <= 0) {
-      return res.status(400).json({ error: 'Invalid amountFrom' });
+    const priced = await priceConversion(pool, {
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      date,
+      amountFrom: fixed === 'from' ? fixedAmount : null,
+      amountTo: fixed === 'to' ? fixedAmount : null
+    });
+    if (!priced) {
+      return res.status(404).json({ error: 'No rate available for this pair and date' });
     }
 
-    // Minimum amount check
-    if (amtFrom < 10) { return res.status(400).json({ error: `Minimum amount is 10` }); }
-
-    if (amtTo == null || amtTo <= 0) {
-      return res.status(400).json({ error: 'Invalid amountTo' });
+    if (priced.amountFrom < MIN_AMOUNT_FROM) {
+      return res.status(400).json({ error: `Minimum amount is ${MIN_AMOUNT_FROM}` });
+    }
+    if (priced.amountFrom > MAX_AMOUNT_FROM) {
+      return res.status(400).json({ error: 'Amount too large' });
     }
-    if (usedRate == null || usedRate <= 0) {
-      return res.status(400).json({ error: 'Invalid rate' });
+    if (priced.amountTo <= 0) {
+      return res.status(400).json({ error: 'Invalid amountTo' });
     }
 
-    // Maximum amount check
-    if (amtFrom > 1_000_000) { return res.status(400).json({ error: 'Amount too large' }); }
+    const quote = {
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      date,
+      amountFrom: priced.amountFrom,
+      amountTo: priced.amountTo,
+      rate: priced.sellRate
+    };
+    const { id, token, expiresAt, ttlSeconds } = signQuote(quote);
+
+    return res.json({
+      ...quote,
+      rateDates: priced.rateDates,
+      quoteId: id,
+      quote: token,
+      expiresAt,
+      ttlSeconds,
+      mismatches: findMismatches(client, quote)
+    });
+  } catch (err) {
+    console.error('POST /api/payments/quote failed', err);
+    return res.status(500).json({ error: 'Failed to price conversion' });
+  }
+});
+
+// Expire a Checkout Session whose order could not be stored; failures are only logged
+async function expireOrphanedSession(sessionId) {
+  try {
+    await getStripeGateway().expireCheckoutSession(sessionId);
+  } catch (err) {
+    console.error('Failed to expire orphaned checkout session', sessionId, err && err.message ? err.message : err);
+  }
+}
+
+// POST /api/payments/create-checkout-session
+// Creates a Stripe Checkout Session for a quoted conversion and records it as a pending order
+/*
+*  Body: { quote, amountFrom, amountTo, rate }
+* + quote: token from POST /api/payments/quote; the charged figures come from it
+*   Expired quotes get 410, quotes already used for an order get 409 (also when two requests race
+*   with the same quote: the loser's Checkout Session is expired)
+* + amountFrom/amountTo/rate: what the client displayed, rejected (409) if they differ from the quote
+* + Guests may pay too; the order is linked to the user when logged in
+*/
+router.post('/create-checkout-session', attachUser, async (req, res) => {
+  const { quote: token } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ error: 'Quote is required' });
+  }
+
+  const { quote, error } = verifyQuote(token);
+  if (error === 'expired') {
+    return res.status(410).json({ error: 'Quote expired, request a new one' });
+  }
+  if (error) {
+    return res.status(400).json({ error: 'Invalid quote' });
+  }
+
+  const mismatches = findMismatches({
+    amountFrom: safeNumber(req.body.amountFrom),
+    amountTo: safeNumber(req.body.amountTo),
+    rate: safeNumber(req.body.rate)
+  }, quote);
+  if (mismatches.length) {
+    return res.status(409).json({ error: 'Displayed figures do not match the quote', mismatches });
+  }
+
+  const from = normalizeCurrency(quote.from);
+
+  try {
+    if (await isQuoteUsed(pool, quote.id)) {
+      return res.status(409).json({ error: 'Quote already used, request a new one' });
+    }
 
     // Convert amountFrom to Stripe minor units
-    const unitAmount = toStripeMinorUnits(amtFrom, from);
+    const unitAmount = toStripeMinorUnits(quote.amountFrom, from);
     if (!Number.isInteger(unitAmount) || unitAmount <= 0) {
       return res.status(400).json({ error: 'Invalid unit amount after conversion' });
     }
@@ -89,7 +211,7 @@ router.post('/create-checkout-session', async (req, res) => {
     const cancelUrl = `${frontendUrl}/?stripe=cancel`;
 
     // Create a Stripe Checkout Session
-    const session = await stripe.checkout.sessions.create({
+    const session = await getStripeGateway().createCheckoutSession({
       mode: 'payment',
       success_url: successUrl,
       cancel_url: cancelUrl,
@@ -100,30 +222,139 @@ router.post('/create-checkout-session', async (req, res) => {
             currency: from, // Source currency
             unit_amount: unitAmount, // Amount in minor units
             product_data: {
-              name: `Currency exchange ${from.toUpperCase()} → ${to.toUpperCase()}`, // Description of the exchange
-              description: `Pay ${amtFrom} ${from.toUpperCase()} to receive ${amtTo} ${to.toUpperCase()}`
+              name: `Currency exchange ${quote.from} → ${quote.to}`, // Description of the exchange
+              description: `Pay ${quote.amountFrom} ${quote.from} to receive ${quote.amountTo} ${quote.to}`
             }
           }
         }
       ],
       metadata: {
-        from: from.toUpperCase(),
-        to: to.toUpperCase(),
-        amountFrom: String(amtFrom),
-        amountTo: String(amtTo),
-        rate: String(usedRate),
-        usedDate: usedDate ? String(usedDate) : ''
+        from: quote.from,
+        to: quote.to,
+        amountFrom: String(quote.amountFrom),
+        amountTo: String(quote.amountTo),
+        rate: String(quote.rate),
+        usedDate: quote.date
       }
     });
 
+    // Persist the order; without it the payment could not be tracked, so do not hand out the URL
+    let orderId;
+    try {
+      orderId = await createOrder(pool, {
+        userId: req.user ? req.user.id : null,
+        fromCode: quote.from,
+        toCode: quote.to,
+        amountFrom: quote.amountFrom,
+        amountTo: quote.amountTo,
+        rate: quote.rate,
+        usedDate: quote.date,
+        sessionId: session.id,
+        quoteId: quote.id
+      });
+    } catch (err) {
+      // The session has no order, so it must never be paid
+      await expireOrphanedSession(session.id);
+      // A concurrent request with the same quote got its order in first (UX_Orders_QuoteId)
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'Quote already used, request a new one' });
+      }
+      throw err;
+    }
+
     // Respond with the session URL and ID
-    return res.json({ url: session.url, id: session.id });
+    return res.json({ url: session.url, id: session.id, orderId });
   } catch (err) {
     console.error('create-checkout-session failed', err);
     return res.status(500).json({ error: 'Failed to create checkout session' });
   }
 });
 
+// GET /api/payments/volume?from=USD&to=AUD&dateFrom=YYYY-MM-DD&dateTo=YYYY-MM-DD
+// Admin: paid conversion volume per day for a pair, aggregated from paid orders by payment date
+// Used by the margin simulator to estimate revenue impact
+router.get('/volume', protect, requireAdmin, async (req, res) => {
+  const from = normalizeCurrency(req.query.from || '');
+  const to = normalizeCurrency(req.query.to || '');
+  const { dateFrom, dateTo } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Invalid currency codes' });
+  }
+  if (!isIsoDate(dateFrom) || !isIsoDate(dateTo) || dateFrom > dateTo) {
+    return res.status(400).json({ error: 'Invalid date range. Use YYYY-MM-DD' });
+  }
+
+  try {
+    const days = await getPaidVolume(pool, {
+      fromCode: from.toUpperCase(),
+      toCode: to.toUpperCase(),
+      dateFrom,
+      dateTo
+    });
+    const totals = days.reduce((acc, d) => ({
+      count: acc.count + d.count,
+      amountFrom: acc.amountFrom + d.amountFrom,
+      amountTo: acc.amountTo + d.amountTo
+    }), { count: 0, amountFrom: 0, amountTo: 0 });
+
+    return res.json({ from: from.toUpperCase(), to: to.toUpperCase(), dateFrom, dateTo, days, totals });
+  } catch (err) {
+    console.error('GET /api/payments/volume failed', err);
+    return res.status(500).json({ error: 'Failed to load conversion volume' });
+  }
+});
+
+// Payment intent id of a session/charge (expanded object or plain id)
+const paymentIntentOf = (obj) => {
+  const pi = obj && obj.payment_intent;
+  if (!pi) return null;
+  return typeof pi === 'string' ? pi : pi.id;
+};
+
+/*
+*  Apply one webhook event to the Orders table
+* + checkout.session.completed: paid when payment_status is 'paid', otherwise stays pending (delayed methods)
+* + checkout.session.async_payment_succeeded: paid
+* + checkout.session.async_payment_failed: failed
+* + payment_intent.payment_failed: failed, only for sessions already completed (their payment intent is stored);
+*   a card declined inside Checkout can still be retried there, the session then completes or expires
+* + checkout.session.expired: expired
+* + charge.refunded: refunded once the charge is fully refunded
+* + Returns { orderId, changed, status } (orderId null when the event concerns no order)
+*/
+const NO_ORDER = { orderId: null, changed: false, status: null };
+
+async function applyStripeEvent(db, event) {
+  const obj = event.data && event.data.object;
+  if (!obj) return NO_ORDER;
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      if (obj.payment_status === 'paid') {
+        return transitionOrder(db, { sessionId: obj.id, paymentIntentId: paymentIntentOf(obj), status: 'paid' });
+      }
+      await setPaymentIntent(db, obj.id, paymentIntentOf(obj));
+      return NO_ORDER;
+    }
+    case 'checkout.session.async_payment_succeeded':
+      return transitionOrder(db, { sessionId: obj.id, paymentIntentId: paymentIntentOf(obj), status: 'paid' });
+    case 'checkout.session.async_payment_failed':
+      return transitionOrder(db, { sessionId: obj.id, status: 'failed' });
+    case 'payment_intent.payment_failed':
+      return transitionOrder(db, { paymentIntentId: obj.id, status: 'failed' });
+    case 'checkout.session.expired':
+      return transitionOrder(db, { sessionId: obj.id, status: 'expired' });
+    case 'charge.refunded': {
+      const paymentIntentId = paymentIntentOf(obj);
+      if (!obj.refunded || !paymentIntentId) return NO_ORDER; // Partial refunds keep the order paid
+      return transitionOrder(db, { paymentIntentId, status: 'refunded' });
+    }
+    default:
+      return NO_ORDER;
+  }
+}
+
 // Stripe webhook handler (must receive raw body)
 async function handleStripeWebhook(req, res) {
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -135,27 +366,40 @@ async function handleStripeWebhook(req, res) {
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    event = getStripeGateway().constructWebhookEvent(req.body, sig, webhookSecret);
   } catch (err) {
     console.error('Stripe webhook signature verification failed', err && err.message ? err.message : err);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Minimal handling
+  // Claim the event and apply it in one transaction: a redelivered event is acknowledged without
+  // touching the order again, a failed one is rolled back so Stripe retries it
+  const connection = await pool.getConnection();
+  let outcome;
   try {
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data && event.data.object;
-      console.log('Stripe checkout.session.completed', {
-        id: session && session.id,
-        payment_status: session && session.payment_status,
-        metadata: session && session.metadata
-      });
+    await connection.beginTransaction();
+
+    if (!(await claimStripeEvent(connection, event))) {
+      await connection.rollback();
+      return res.json({ received: true, duplicate: true });
     }
+
+    outcome = await applyStripeEvent(connection, event);
+    await linkStripeEvent(connection, event.id, outcome.orderId);
+
+    await connection.commit();
   } catch (e) {
-    console.error('Stripe webhook handler failed', e); // Still acknowledge to avoid retries storm for non-critical logging
+    await connection.rollback();
+    console.error('Stripe webhook handler failed', event.type, event.id, e);
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  } finally {
+    connection.release();
   }
 
   res.json({ received: true });
+
+  // Tell the user about the new status once it is committed (after acknowledging, mail can be slow)
+  if (outcome.changed) notifyOrderStatus(outcome.orderId);
 }
 
 module.exports = { router, handleStripeWebhook };
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect } = require('../middleware/authMiddleware');
+
+// Per-user cap, every holding needs its rate history on the client
+const MAX_HOLDINGS_PER_USER = 30;
+const MAX_AMOUNT = 1e15; // Fits DECIMAL(20,4)
+
+const HOLDING_COLUMNS = 'Id, CurrencyCode, Amount, CreatedAt, UpdatedAt';
+
+// Known currency code (or EUR), returns the upper-cased code or null
+async function parseCurrencyCode(raw) {
+  const code = String(raw || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) return null;
+  if (code === 'EUR') return code;
+  const [rows] = await pool.query('SELECT 1 FROM Currencies WHERE CurrencyCode = ?', [code]);
+  return rows.length ? code : null;
+}
+
+// GET /api/portfolio
+// Current user's holdings, one row per currency
+router.get('/', protect, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${HOLDING_COLUMNS} FROM PortfolioHoldings WHERE UserId = ? ORDER BY CurrencyCode ASC`,
+      [req.user.id]
+    );
+    return res.json(rows || []);
+  } catch (err) {
+    console.error('GET /api/portfolio failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// PUT /api/portfolio/:currencyCode
+// Set the current user's balance in one currency (creates the holding if missing)
+// Body: { amount } (> 0, up to 4 decimals are kept)
+router.put('/:currencyCode', protect, async (req, res) => {
+  const amount = Number(String((req.body || {}).amount ?? '').replace(',', '.'));
+  if (!Number.isFinite(amount) || amount <= 0 || amount >= MAX_AMOUNT) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+
+  try {
+    const code = await parseCurrencyCode(req.params.currencyCode);
+    if (!code) return res.status(400).json({ error: 'Unknown currency code' });
+
+    const [existing] = await pool.query(
+      'SELECT Id FROM PortfolioHoldings WHERE UserId = ? AND CurrencyCode = ?',
+      [req.user.id, code]
+    );
+    if (!existing.length) {
+      const [[count]] = await pool.query('SELECT COUNT(*) AS Total FROM PortfolioHoldings WHERE UserId = ?', [req.user.id]);
+      if (count.Total >= MAX_HOLDINGS_PER_USER) {
+        return res.status(400).json({ error: `You can hold at most ${MAX_HOLDINGS_PER_USER} currencies` });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO PortfolioHoldings (UserId, CurrencyCode, Amount, CreatedAt, UpdatedAt)
+       VALUES (?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE Amount = VALUES(Amount), UpdatedAt = NOW()`,
+      [req.user.id, code, amount]
+    );
+    const [rows] = await pool.query(
+      `SELECT ${HOLDING_COLUMNS} FROM PortfolioHoldings WHERE UserId = ? AND CurrencyCode = ?`,
+      [req.user.id, code]
+    );
+    return res.status(existing.length ? 200 : 201).json(rows[0]);
+  } catch (err) {
+    console.error('PUT /api/portfolio/:currencyCode failed', err);
+    return res.status(500).json({ error: 'Failed to save holding' });
+  }
+});
+
+// DELETE /api/portfolio/:currencyCode
+// Remove the current user's holding in one currency
+router.delete('/:currencyCode', protect, async (req, res) => {
+  const code = String(req.params.currencyCode || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) return res.status(400).json({ error: 'Invalid currency code' });
+
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM PortfolioHoldings WHERE UserId = ? AND CurrencyCode = ?',
+      [req.user.id, code]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Holding not found' });
+    return res.json({ ok: true, currencyCode: code });
+  } catch (err) {
+    console.error('DELETE /api/portfolio/:currencyCode failed', err);
+    return res.status(500).json({ error: 'Failed to remove holding' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware'); ///
+const { protect, requireAdmin } = require('../middleware/authMiddleware'); ///
 const pool = require('../db/pool');
+const { loadPairRequest } = require('../db/rateMaps');
+const { GRANULARITIES, aggregateRates } = require('../utils/rateAggregation');
+const { computeSeriesStats } = require('../utils/rateStats');
+const { parseImportFile, buildImportPlan, applyImportPlan, describePlan } = require('../ingestion/rateImport');
+const { writeAudit } = require('../utils/audit');
+const { evaluateRateAlerts } = require('../ingestion/rateAlerts');
 
-// GET /api/rates/bulk?ids=1,2,3&dateFrom=2024-01-01&dateTo=2024-12-31
+const PAIR_MODES = ['buy', 'sell', 'origin', 'all'];
+
+// Read the optional ?granularity= param; when it is missing the raw daily rows are returned
+const parseGranularity = (raw) => {
+  if (raw == null || raw === '') return { granularity: null };
+  const granularity = String(raw).trim().toLowerCase();
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+  return { granularity };
+};
+
+// GET /api/rates/bulk?ids=1,2,3&dateFrom=2024-01-01&dateTo=2024-12-31[&granularity=day|week|month|quarter|year]
 // Public: returns rows for multiple currencies in one request to cut N network calls
+// With 'granularity' every currency gets OHLC/average buckets instead of daily rows
 router.get('/bulk', async (req, res) => {
   const raw = req.query.ids;
   if (!raw) return res.status(400).json({ error: 'ids query param is required' });
 
+  const { granularity, error: granularityError } = parseGranularity(req.query.granularity);
+  if (granularityError) return res.status(400).json({ error: granularityError });
+
   // Parse currency IDs
   const ids = String(raw)
     .split(',')
@@ -54,6 +76,11 @@ router.get('/bulk', async (req, res) => {
       });
     }
 
+    if (granularity) {
+      for (const key of Object.keys(grouped)) grouped[key] = aggregateRates(grouped[key], granularity);
+      return res.json({ granularity, data: grouped });
+    }
+
     return res.json({ data: grouped });
   } catch (err) {
     console.error(err);
@@ -61,6 +88,146 @@ router.get('/bulk', async (req, res) => {
   }
 });
 
+// GET /api/rates/pair?from=USD&to=GBP&dateFrom=2024-01-01&dateTo=2024-12-31&mode=buy|sell|origin|all
+// Public: returns the computed cross-rate series so clients don't need the raw EUR-based history
+router.get('/pair', async (req, res) => {
+  const mode = String(req.query.mode || 'all').trim().toLowerCase();
+  if (!PAIR_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${PAIR_MODES.join(', ')}` });
+  }
+
+  try {
+    const pair = await loadPairRequest(pool, req.query);
+    if (pair.error) return res.status(pair.status).json({ error: pair.error });
+    const { from, to, dateFrom, dateTo, buyPoints, sellPoints, originPoints } = pair;
+
+    const series = {};
+    if (mode === 'buy' || mode === 'all') series.buy = buyPoints;
+    if (mode === 'sell' || mode === 'all') series.sell = sellPoints;
+    if (mode === 'origin' || mode === 'all') series.origin = originPoints;
+
+    return res.json({ from, to, mode, dateFrom, dateTo, series });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/rates/stats?from=USD&to=GBP&dateFrom=2024-01-01&dateTo=2024-12-31&mode=buy|sell|origin|all
+// Public: min/max (with dates), mean, median, std dev, largest daily move, current vs mean and % change
+// of the pair series over the range, same numbers as the stats panel under the Home chart
+router.get('/stats', async (req, res) => {
+  const mode = String(req.query.mode || 'all').trim().toLowerCase();
+  if (!PAIR_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${PAIR_MODES.join(', ')}` });
+  }
+
+  try {
+    const pair = await loadPairRequest(pool, req.query);
+    if (pair.error) return res.status(pair.status).json({ error: pair.error });
+    const { from, to, dateFrom, dateTo, buyPoints, sellPoints, originPoints, observed } = pair;
+
+    // Only dates with a stored rate count, not the days the series carries forward
+    const stats = {};
+    if (mode === 'origin' || mode === 'all') stats.origin = computeSeriesStats(originPoints, observed);
+    if (mode === 'buy' || mode === 'all') stats.buy = computeSeriesStats(buyPoints, observed);
+    if (mode === 'sell' || mode === 'all') stats.sell = computeSeriesStats(sellPoints, observed);
+
+    return res.json({ from, to, mode, dateFrom, dateTo, stats });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// Rows of the file uploaded to /import, or null once a 400 / 415 was sent
+function readImportRows(req, res) {
+  if (typeof req.body !== 'string' && !Buffer.isBuffer(req.body)) {
+    res.status(415).json({ error: 'Send a CSV (text/csv) or XLSX file as the request body' });
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = parseImportFile(req.body);
+  } catch (err) {
+    res.status(400).json({ error: 'The file could not be read as CSV or XLSX' });
+    return null;
+  }
+  if (parsed.missingColumns.length) {
+    res.status(400).json({ error: `Missing columns: ${parsed.missingColumns.join(', ')}`, missingColumns: parsed.missingColumns });
+    return null;
+  }
+  return parsed.rows;
+}
+
+// POST /api/rates/import?dryRun=false
+// Admin: bulk import EUR -> currency rates from a CSV (text/csv) or XLSX file sent as the request body
+// Columns Date, CurrencyCode, ExchangeRate on the first sheet; parsed once here, for the browser and scripted loads alike
+// Dry run (default) returns the validation errors and the insert/update diff; dryRun=false applies it in one transaction
+router.post('/import', protect, requireAdmin, async (req, res) => {
+  const rows = readImportRows(req, res);
+  if (!rows) return;
+  const isDryRun = req.query.dryRun !== 'false';
+
+  if (isDryRun) {
+    try {
+      const plan = await buildImportPlan(pool, rows);
+      return res.json({ dryRun: true, valid: plan.errors.length === 0, ...describePlan(plan) });
+    } catch (err) {
+      console.error('POST /api/rates/import (dry run) failed', err);
+      return res.status(500).json({ error: 'DB error' });
+    }
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Re-validate inside the transaction so the diff matches what gets written
+    const plan = await buildImportPlan(connection, rows);
+    if (plan.errors.length) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Import has invalid rows', dryRun: false, valid: false, ...describePlan(plan) });
+    }
+
+    const result = await applyImportPlan(connection, plan);
+
+    // One entry per import: overwritten rates keep their old values, inserts are summarized
+    const dates = [...plan.inserts, ...plan.updates].map(v => v.date).sort();
+    if (result.inserted || result.updated) {
+      await writeAudit(connection, {
+        actor: req.user,
+        action: 'rates.import',
+        entityType: 'CurrencyRate',
+        before: { updates: plan.updates.map(u => ({ date: u.date, currencyCode: u.currencyCode, exchangeRate: u.oldExchangeRate })) },
+        after: {
+          ...result,
+          dateFrom: dates[0],
+          dateTo: dates[dates.length - 1],
+          updates: plan.updates.map(u => ({ date: u.date, currencyCode: u.currencyCode, exchangeRate: u.exchangeRate }))
+        }
+      });
+    }
+
+    await connection.commit();
+
+    // Imported rates may cross user alert thresholds; each imported date is evaluated in the background
+    if (dates.length) {
+      evaluateRateAlerts({ dateFrom: dates[0], dateTo: dates[dates.length - 1] })
+        .catch(err => console.error('Rate alert evaluation failed', err));
+    }
+
+    return res.json({ success: true, dryRun: false, valid: true, ...result, ...describePlan(plan) });
+  } catch (err) {
+    await connection.rollback();
+    console.error('POST /api/rates/import failed', err);
+    return res.status(500).json({ error: 'Import failed' });
+  } finally {
+    connection.release();
+  }
+});
+
 // CHECK
 // Add a small endpoint to let the frontend verify the cookie-based auth
 router.get('/auth-check', protect, (req, res) => {
@@ -71,7 +238,7 @@ router.get('/auth-check', protect, (req, res) => {
     });
 });
 
-// GET /api/rates/:currencyId
+// GET /api/rates/:currencyId[?granularity=day|week|month|quarter|year]
 // Public route: exchange rate data is available without authentication
 router.get('/:currencyId', async (req, res) => {
   // console.log(`Rates request for: ${req.params.currencyId}`);
@@ -79,6 +246,9 @@ router.get('/:currencyId', async (req, res) => {
     const id = Number(req.params.currencyId);
     if (!id) return res.status(400).json({ error: 'Invalid currency id' });
 
+    const { granularity, error: granularityError } = parseGranularity(req.query.granularity);
+    if (granularityError) return res.status(400).json({ error: granularityError });
+
     try {
       const sql = `
         SELECT cr.Id as Id, cr.Date as Date, cr.ExchangeRate as ExchangeRate, cr.MarginId as MarginId, m.MarginValue as MarginValue
@@ -88,6 +258,7 @@ router.get('/:currencyId', async (req, res) => {
         ORDER BY cr.Date ASC
       `;
       const [rows] = await pool.query(sql, [id]);
+      if (granularity) return res.json(aggregateRates(rows, granularity));
       return res.json(rows);
     } catch (err) {
       console.error(err);
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const pool = require('../db/pool');
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
+const { writeAudit } = require('../utils/audit');
+const { getTwoFactor, disableTwoFactor, replaceRecoveryCodes } = require('../db/twoFactor');
+const { getBooleanSetting, setSetting } = require('../db/appSettings');
+const {
+  REQUIRED_FOR_ADMIN,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+/*
+*  Two-factor authentication (TOTP) of the logged-in user, managed from Profile
+* + setup -> enable: scan the QR code, confirm with a code, receive recovery codes
+*   (409 once 2FA is enabled: the factor is replaced by disabling it first)
+* + disable and new recovery codes need a current code (or a recovery code)
+* + Admins decide whether the admin role must use 2FA (policy)
+*  The login step itself is in routes/auth.js
+*/
+
+const ALREADY_ENABLED = 'Two-factor authentication is already enabled';
+
+// Requests per user to setup and the code endpoints (runs after protect); the login step has its own limits in routes/auth.js
+const codeLimit = rateLimit({ name: '2fa-manage:user', windowSeconds: 15 * 60, max: 20, key: (req) => req.user && req.user.id });
+
+// GET /api/auth/2fa
+// State of the user's second factor and whether their role requires one
+router.get('/', protect, async (req, res) => {
+  try {
+    const state = await getTwoFactor(pool, req.user.id);
+    return res.json({
+      enabled: state.enabled,
+      enabledAt: state.enabledAt,
+      recoveryCodesLeft: state.recoveryCodesLeft,
+      required: await isTwoFactorRequired(pool, req.user.role)
+    });
+  } catch (err) {
+    console.error('GET /api/auth/2fa failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/setup
+// Start an enrolment: { secret, otpauthUrl, qrCode (PNG data URL) }; nothing changes until /enable
+router.post('/setup', protect, codeLimit, async (req, res) => {
+  try {
+    const enrolment = await startEnrolment(pool, { id: req.user.id, email: req.user.email });
+    if (!enrolment) return res.status(409).json({ error: ALREADY_ENABLED });
+    return res.json(enrolment);
+  } catch (err) {
+    console.error('POST /api/auth/2fa/setup failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/enable
+// Confirm the enrolment with a code from the app, returns the recovery codes (shown once)
+router.post('/enable', protect, codeLimit, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: 'Code required' });
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if ((await getTwoFactor(connection, req.user.id)).enabled) {
+      await connection.rollback();
+      return res.status(409).json({ error: ALREADY_ENABLED });
+    }
+
+    const recoveryCodes = await confirmEnrolment(connection, req.user.id, code, Date.now());
+    if (!recoveryCodes) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Incorrect code' });
+    }
+
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.2fa.enable',
+      entityType: 'User',
+      entityId: req.user.id,
+      after: { TwoFactor: true }
+    });
+    await connection.commit();
+
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    await connection.rollback();
+    console.error('POST /api/auth/2fa/enable failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/auth/2fa/disable
+// Body: { password, code } or { password, recoveryCode }; refused while the role requires 2FA
+router.post('/disable', protect, codeLimit, async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+  if (!password) return res.status(400).json({ error: 'Password required' });
+  if (!code && !recoveryCode) return res.status(400).json({ error: 'Code required' });
+
+  try {
+    if (await isTwoFactorRequired(pool, req.user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const [rows] = await pool.query('SELECT PasswordHash FROM Users WHERE Id = ?', [req.user.id]);
+    const ok = rows.length && rows[0].PasswordHash && await bcrypt.compare(password, rows[0].PasswordHash);
+    if (!ok) return res.status(400).json({ error: 'Incorrect password' });
+
+    const method = await verifySecondFactor(pool, req.user.id, { code, recoveryCode }, Date.now());
+    if (!method) return res.status(400).json({ error: 'Incorrect code' });
+
+    await disableTwoFactor(pool, req.user.id);
+    await writeAudit(pool, {
+      actor: req.user,
+      action: 'user.2fa.disable',
+      entityType: 'User',
+      entityId: req.user.id,
+      before: { TwoFactor: true },
+      after: { TwoFactor: false }
+    });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /api/auth/2fa/disable failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes
+// Body: { code }; replaces all recovery codes, returns the new ones (shown once)
+router.post('/recovery-codes', protect, codeLimit, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: 'Code required' });
+
+  try {
+    const method = await verifySecondFactor(pool, req.user.id, { code }, Date.now());
+    if (!method) return res.status(400).json({ error: 'Incorrect code' });
+
+    const recoveryCodes = generateRecoveryCodes();
+    await replaceRecoveryCodes(pool, req.user.id, recoveryCodes);
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    console.error('POST /api/auth/2fa/recovery-codes failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/auth/2fa/policy
+// Admin-only: whether admins must use 2FA
+router.get('/policy', protect, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ requiredForAdmin: await getBooleanSetting(pool, REQUIRED_FOR_ADMIN) });
+  } catch (err) {
+    console.error('GET /api/auth/2fa/policy failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/policy
+// Admin-only: { requiredForAdmin: boolean }; admins without 2FA enrol at their next login
+router.post('/policy', protect, requireAdmin, async (req, res) => {
+  const { requiredForAdmin } = req.body || {};
+  if (typeof requiredForAdmin !== 'boolean') {
+    return res.status(400).json({ error: 'requiredForAdmin must be true or false' });
+  }
+
+  try {
+    const before = await getBooleanSetting(pool, REQUIRED_FOR_ADMIN);
+    await setSetting(pool, REQUIRED_FOR_ADMIN, requiredForAdmin, req.user.id);
+    if (before !== requiredForAdmin) {
+      await writeAudit(pool, {
+        actor: req.user,
+        action: 'settings.update',
+        entityType: 'AppSetting',
+        entityId: REQUIRED_FOR_ADMIN,
+        before: { Value: before },
+        after: { Value: requiredForAdmin }
+      });
+    }
+    return res.json({ requiredForAdmin });
+  } catch (err) {
+    console.error('POST /api/auth/2fa/policy failed', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
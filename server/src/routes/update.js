@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
 const jwt = require('jsonwebtoken');
+const { runEcbIngestion } = require('../ingestion/ecbIngestion');
+const { isIsoDate } = require('../utils/date');
+const { writeAudit } = require('../utils/audit');
+const { evaluateRateAlerts } = require('../ingestion/rateAlerts');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -19,58 +23,69 @@ router.post('/update-profile', protect, async (req, res) => {
   const userId = req.user && req.user.id;
   if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
+  const newEmail = typeof email === 'string' ? email.trim() : null;
+
+  const connection = await pool.getConnection();
+  let u;
   try {
-    const newEmail = typeof email === 'string' ? email.trim() : null;
+    await connection.beginTransaction();
 
     if (newEmail) {
-      const [existingRows] = await pool.query('SELECT Id FROM Users WHERE Email = ?', [newEmail]);
+      const [existingRows] = await connection.query('SELECT Id FROM Users WHERE Email = ?', [newEmail]);
       if (existingRows && existingRows.length > 0 && existingRows[0].Id !== userId) {
+        await connection.rollback();
         return res.status(400).json({ error: 'Email already exists' });
       }
     }
 
-    await pool.query('UPDATE Users SET FirstName = ?, LastName = ?, Email = ? WHERE Id = ?', [firstName || null, lastName || null, newEmail || null, userId]);
+    const [beforeRows] = await connection.query('SELECT Email, FirstName, LastName FROM Users WHERE Id = ? FOR UPDATE', [userId]);
+
+    await connection.query('UPDATE Users SET FirstName = ?, LastName = ?, Email = ? WHERE Id = ?', [firstName || null, lastName || null, newEmail || null, userId]);
 
     // Read back updated user
-    const [rows] = await pool.query('SELECT Id, Email, FirstName, LastName, Role FROM Users WHERE Id = ?', [userId]);
-    if (!rows || rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    const u = rows[0];
-
-    // Re-sign token with updated payload and set cookie
-    const token = signToken({ id: u.Id, email: u.Email, role: u.Role, firstName: u.FirstName, lastName: u.LastName });
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 1 * 24 * 60 * 60 * 1000,
-      path: '/'
-    };
-    res.cookie('token', token, cookieOptions);
-
-    return res.json({ Id: u.Id, Email: u.Email, FirstName: u.FirstName, LastName: u.LastName, Role: u.Role });
+    const [rows] = await connection.query('SELECT Id, Email, FirstName, LastName, Role FROM Users WHERE Id = ?', [userId]);
+    if (!rows || rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+    u = rows[0];
+
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.profile',
+      entityType: 'User',
+      entityId: u.Id,
+      before: beforeRows[0] || null,
+      after: { Email: u.Email, FirstName: u.FirstName, LastName: u.LastName }
+    });
+
+    await connection.commit();
   } catch (err) {
+    await connection.rollback();
     console.error('POST /update-profile failed', err);
 
-    res.status(500).json({ error: 'Update failed' });
+    return res.status(500).json({ error: 'Update failed' });
+  } finally {
+    connection.release();
   }
-});
 
-
-// Simple admin gate, relies on protect middleware attaching req.user.role
-function ensureAdmin(req, res) {
-  const role = req.user && req.user.role;
-  if (!role || String(role).toLowerCase() !== 'admin') {
-    res.status(403).json({ error: 'Forbidden' });
-    return false;
-  }
-  return true;
-}
+  // Re-sign token with the committed profile and set cookie
+  const token = signToken({ id: u.Id, email: u.Email, role: u.Role, firstName: u.FirstName, lastName: u.LastName });
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 1 * 24 * 60 * 60 * 1000,
+    path: '/'
+  };
+  res.cookie('token', token, cookieOptions);
+
+  return res.json({ Id: u.Id, Email: u.Email, FirstName: u.FirstName, LastName: u.LastName, Role: u.Role });
+});
 
 // POST /update-ecbRate
 // Update existing currency rate's ECB rate (admin-only)
-router.post('/update-ecbRate', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post('/update-ecbRate', protect, requireAdmin, async (req, res) => {
   const { rateId, exchangeRate } = req.body || {};
   const rid = Number(rateId);
   const rateNum = Number(exchangeRate);
@@ -78,25 +93,59 @@ router.post('/update-ecbRate', protect, async (req, res) => {
     return res.status(400).json({ error: 'Invalid payload: require positive rateId and exchangeRate' });
   }
 
+  const connection = await pool.getConnection();
   try {
+    await connection.beginTransaction();
+
+    // Keep the previous value for the audit trail
+    const [beforeRows] = await connection.query(
+      `SELECT cr.Id, DATE_FORMAT(cr.Date, '%Y-%m-%d') AS Date, cr.ToCurrencyId, c.CurrencyCode, cr.ExchangeRate
+       FROM CurrencyRates cr
+       LEFT JOIN Currencies c ON c.Id = cr.ToCurrencyId
+       WHERE cr.Id = ? FOR UPDATE`,
+      [rid]
+    );
+    if (!beforeRows.length) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Rate record not found' });
+    }
+
     const sql = `UPDATE CurrencyRates SET ExchangeRate = ? WHERE Id = ?`;
-    const [result] = await pool.query(sql, [rateNum, rid]);
-    if (!result || result.affectedRows === 0) return res.status(404).json({ error: 'Rate record not found' });
-    
+    await connection.query(sql, [rateNum, rid]);
+
+    const before = beforeRows[0];
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'rate.update',
+      entityType: 'CurrencyRate',
+      entityId: rid,
+      before,
+      after: { ...before, ExchangeRate: rateNum }
+    });
+
+    await connection.commit();
+
+    // The corrected rate may cross user alert thresholds on its date; evaluated in the background
+    if (Number(before.ExchangeRate) !== rateNum) {
+      evaluateRateAlerts({ dateFrom: before.Date, dateTo: before.Date })
+        .catch(err => console.error('Rate alert evaluation failed', err));
+    }
+
     return res.json({ success: true });
   } catch (err) {
+    await connection.rollback();
     console.error('POST /update-ecbRate failed', err);
 
     return res.status(500).json({ error: 'DB error' });
+  } finally {
+    connection.release();
   }
 });
 
 
 // POST /update-createCurrency
 // Create a new currency (admin-only)
-router.post('/update-createCurrency', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post('/update-createCurrency', protect, requireAdmin, async (req, res) => {
   const { currencyCode } = req.body || {};
   if (typeof currencyCode !== 'string') {
     return res.status(400).json({ error: 'Invalid currency code' });
@@ -104,26 +153,88 @@ router.post('/update-createCurrency', protect, async (req, res) => {
   const code = currencyCode.trim().toUpperCase();
   if (!code || code.length !== 3) return res.status(400).json({ error: 'Invalid currency code' });
 
+  const connection = await pool.getConnection();
   try {
+    await connection.beginTransaction();
+
     // Check if currency already exists
-    const [existingRows] = await pool.query('SELECT Id FROM Currencies WHERE CurrencyCode = ?', [code]);
+    const [existingRows] = await connection.query('SELECT Id FROM Currencies WHERE CurrencyCode = ?', [code]);
     if (existingRows && existingRows.length > 0) {
+      await connection.rollback();
       return res.status(400).json({ error: 'Currency code already exists' });
     }
     // Insert new currency
-    const [result] = await pool.query('INSERT INTO Currencies (CurrencyCode) VALUES (?)', [code]);
+    const [result] = await connection.query('INSERT INTO Currencies (CurrencyCode) VALUES (?)', [code]);
     if (!result || result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(500).json({ error: 'Insert failed' });
     }
+
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'currency.create',
+      entityType: 'Currency',
+      entityId: result.insertId,
+      after: { Id: result.insertId, CurrencyCode: code }
+    });
+
+    await connection.commit();
+
     return res.json({ success: true, currencyId: result.insertId });
   } catch (err) {
+    await connection.rollback();
     console.error('POST /update-createCurrency failed', err);
     
     return res.status(500).json({ error: 'DB error' });
+  } finally {
+    connection.release();
   }
 });
 
 
+// POST /fetch-ecb
+// Pull ECB reference rates into CurrencyRates (admin-only)
+// Body (all optional): { url, dateFrom, dateTo, overwrite }
+// Without 'url' the ECB SDMX API is queried from the day after the last stored rate up to today
+router.post('/fetch-ecb', protect, requireAdmin, async (req, res) => {
+  const { url, dateFrom, dateTo, overwrite } = req.body || {};
+  if (url != null && url !== '' && !/^https?:\/\//i.test(String(url))) {
+    return res.status(400).json({ error: 'url must be an http(s) address' });
+  }
+  if ((dateFrom && !isIsoDate(dateFrom)) || (dateTo && !isIsoDate(dateTo))) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+  }
+
+  try {
+    const result = await runEcbIngestion({
+      source: url || null,
+      dateFrom: dateFrom || null,
+      dateTo: dateTo || null,
+      overwrite: overwrite === true
+    });
+
+    if (result.inserted || result.updated || (result.currenciesCreated && result.currenciesCreated.length)) {
+      await writeAudit(pool, {
+        actor: req.user,
+        action: 'rates.fetch-ecb',
+        entityType: 'CurrencyRate',
+        after: result
+      });
+    }
+
+    // New rates may cross user alert thresholds; each ingested date is evaluated in the background
+    if (result.inserted || result.updated) {
+      evaluateRateAlerts({ dateFrom: result.firstDate, dateTo: result.lastDate })
+        .catch(err => console.error('Rate alert evaluation failed', err));
+    }
+
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('POST /fetch-ecb failed', err);
+
+    return res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : 'Ingestion failed' });
+  }
+});
 
 
 
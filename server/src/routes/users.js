@@ -2,25 +2,14 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
 const bcrypt = require('bcryptjs');
-const { protect } = require('../middleware/authMiddleware');
-
-// Simple admin gate reused across admin endpoints
-function ensureAdmin(req, res) {
-  const role = req.user && req.user.role;
-
-  // Deny access if not admin
-  if (!role || String(role).toLowerCase() !== 'admin') {
-    res.status(403).json({ error: 'Forbidden' });
-    return false;
-  }
-  return true;
-}
+const { protect, requireAdmin } = require('../middleware/authMiddleware');
+const { writeAudit } = require('../utils/audit');
+const { normalizeEmail, clearLoginFailures, loadLockoutsByEmail } = require('../db/loginLockouts');
+const { loadTwoFactorUserIds, disableTwoFactor } = require('../db/twoFactor');
 
 // GET /api/users
 // Admin-only: fetch list of users for management table
-router.get('/', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.get('/', protect, requireAdmin, async (req, res) => {
   try {
     const sql = `
       SELECT Id, Email, FirstName, LastName, Role, CreatedAt, LastLogin, IsDeleted 
@@ -28,7 +17,19 @@ router.get('/', protect, async (req, res) => {
       ORDER BY CreatedAt DESC, Id DESC
     `;
     const [rows] = await pool.query(sql);
-    res.json(rows || []);
+
+    // Failed logins and active lock per user (login lockout, see db/loginLockouts.js)
+    const lockouts = await loadLockoutsByEmail(pool);
+    const twoFactorIds = await loadTwoFactorUserIds(pool);
+    res.json((rows || []).map(u => {
+      const lockout = lockouts.get(normalizeEmail(u.Email));
+      return {
+        ...u,
+        FailedLogins: lockout ? lockout.failedCount : 0,
+        LockedUntil: lockout ? lockout.lockedUntil : null,
+        TwoFactorEnabled: twoFactorIds.has(u.Id)
+      };
+    }));
   } catch (err) {
     console.error('GET /api/users failed', err);
     res.status(500).json({ error: 'Failed to load users' });
@@ -37,9 +38,7 @@ router.get('/', protect, async (req, res) => {
 
 // POST /api/users/create
 // Admin-only: create a new user
-router.post('/create', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post('/create', protect, requireAdmin, async (req, res) => {
   const { firstName, lastName, email, password, role } = req.body || {};
 
   // Validation
@@ -68,23 +67,27 @@ router.post('/create', protect, async (req, res) => {
   const validRoles = ['user', 'admin'];
   const selectedRole = role && validRoles.includes(role) ? role : 'user';
 
+  // Hash password before storing
+  const saltRounds = 10;
+  const passwordHash = await bcrypt.hash(password, saltRounds);
+
+  const connection = await pool.getConnection();
   try {
+    await connection.beginTransaction();
+
     // Check if email already exists
-    const [existing] = await pool.query('SELECT Id FROM Users WHERE Email = ?', [email.trim()]);
+    const [existing] = await connection.query('SELECT Id FROM Users WHERE Email = ?', [email.trim()]);
     if (existing && existing.length > 0) {
+      await connection.rollback();
       return res.status(400).json({ error: 'Email already exists' });
     }
 
-    // Hash password before storing
-    const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
     // Insert new user record
     const sql = `
       INSERT INTO Users (Email, PasswordHash, FirstName, LastName, Role, CreatedAt, IsDeleted)
       VALUES (?, ?, ?, ?, ?, NOW(), 0)
     `;
-    const [result] = await pool.query(sql, [
+    const [result] = await connection.query(sql, [
       email.trim(),
       passwordHash,
       firstName.trim(),
@@ -92,22 +95,33 @@ router.post('/create', protect, async (req, res) => {
       selectedRole
     ]);
 
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.create',
+      entityType: 'User',
+      entityId: result.insertId,
+      after: { Email: email.trim(), FirstName: firstName.trim(), LastName: lastName.trim(), Role: selectedRole }
+    });
+
+    await connection.commit();
+
     res.status(201).json({ 
       ok: true, 
       userId: result.insertId,
       message: 'User created successfully' 
     });
   } catch (err) {
+    await connection.rollback();
     console.error('POST /api/users/create failed', err);
     res.status(500).json({ error: 'Failed to create user' });
+  } finally {
+    connection.release();
   }
 });
 
 // POST /api/users/set-status
 // Admin-only: activate/deactivate a user by toggling IsDeleted
-router.post('/delete-user', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post('/delete-user', protect, requireAdmin, async (req, res) => {
   const { userId, isDeleted } = req.body || {};
   const uid = Number(userId);
   const flag = Number(isDeleted);
@@ -120,24 +134,42 @@ router.post('/delete-user', protect, async (req, res) => {
     return res.status(400).json({ error: 'Invalid isDeleted flag' });
   }
 
+  const connection = await pool.getConnection();
   try {
-    const [result] = await pool.query('UPDATE Users SET IsDeleted = ? WHERE Id = ?', [flag, uid]);
+    await connection.beginTransaction();
+
+    const [beforeRows] = await connection.query('SELECT Email, IsDeleted FROM Users WHERE Id = ? FOR UPDATE', [uid]);
+    const [result] = await connection.query('UPDATE Users SET IsDeleted = ? WHERE Id = ?', [flag, uid]);
     if (!result || result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const before = beforeRows[0];
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.status',
+      entityType: 'User',
+      entityId: uid,
+      before: before ? { Email: before.Email, IsDeleted: Number(before.IsDeleted?.[0] ?? before.IsDeleted) } : null,
+      after: { Email: before ? before.Email : null, IsDeleted: flag }
+    });
+
+    await connection.commit();
+
     return res.json({ ok: true, userId: uid, isDeleted: flag });
   } catch (err) {
+    await connection.rollback();
     console.error('POST /api/users/delete-user failed', err);
     return res.status(500).json({ error: 'Failed to update user status' });
+  } finally {
+    connection.release();
   }
 });
 
 // POST /api/users/change-role
 // Admin-only: update a user's role
-router.post('/change-role', protect, async (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-
+router.post('/change-role', protect, requireAdmin, async (req, res) => {
   const { userId, role } = req.body || {};
   const uid = Number(userId);
   const validRoles = ['user', 'admin'];
@@ -151,16 +183,119 @@ router.post('/change-role', protect, async (req, res) => {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  const connection = await pool.getConnection();
   try {
-    const [result] = await pool.query('UPDATE Users SET Role = ? WHERE Id = ?', [nextRole, uid]);
+    await connection.beginTransaction();
+
+    const [beforeRows] = await connection.query('SELECT Email, Role FROM Users WHERE Id = ? FOR UPDATE', [uid]);
+    const [result] = await connection.query('UPDATE Users SET Role = ? WHERE Id = ?', [nextRole, uid]);
     if (!result || result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const before = beforeRows[0] || null;
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.role',
+      entityType: 'User',
+      entityId: uid,
+      before,
+      after: { Email: before ? before.Email : null, Role: nextRole }
+    });
+
+    await connection.commit();
+
     return res.json({ ok: true, userId: uid, role: nextRole });
   } catch (err) {
+    await connection.rollback();
     console.error('POST /api/users/change-role failed', err);
     return res.status(500).json({ error: 'Failed to change role' });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/users/unlock
+// Admin-only: end a login lockout and forget the user's failed logins
+router.post('/unlock', protect, requireAdmin, async (req, res) => {
+  const uid = Number((req.body || {}).userId);
+  if (!Number.isInteger(uid) || uid <= 0) {
+    return res.status(400).json({ error: 'Invalid userId' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT Email FROM Users WHERE Id = ?', [uid]);
+    if (!rows.length) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const cleared = await clearLoginFailures(connection, rows[0].Email);
+    if (cleared) {
+      await writeAudit(connection, {
+        actor: req.user,
+        action: 'user.unlock',
+        entityType: 'User',
+        entityId: uid,
+        before: { Email: rows[0].Email },
+        after: { Email: rows[0].Email, Unlocked: true }
+      });
+    }
+
+    await connection.commit();
+
+    return res.json({ ok: true, userId: uid, cleared });
+  } catch (err) {
+    await connection.rollback();
+    console.error('POST /api/users/unlock failed', err);
+    return res.status(500).json({ error: 'Failed to unlock user' });
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/users/reset-2fa
+// Admin-only: remove a user's second factor (lost phone and recovery codes)
+// If their role requires 2FA they enrol again at the next login
+router.post('/reset-2fa', protect, requireAdmin, async (req, res) => {
+  const uid = Number((req.body || {}).userId);
+  if (!Number.isInteger(uid) || uid <= 0) {
+    return res.status(400).json({ error: 'Invalid userId' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT Email FROM Users WHERE Id = ?', [uid]);
+    if (!rows.length) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await disableTwoFactor(connection, uid);
+    await writeAudit(connection, {
+      actor: req.user,
+      action: 'user.2fa.reset',
+      entityType: 'User',
+      entityId: uid,
+      before: { Email: rows[0].Email },
+      after: { Email: rows[0].Email, TwoFactor: false }
+    });
+
+    await connection.commit();
+
+    return res.json({ ok: true, userId: uid });
+  } catch (err) {
+    await connection.rollback();
+    console.error('POST /api/users/reset-2fa failed', err);
+    return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  } finally {
+    connection.release();
   }
 });
 
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+const { loadPairRequest } = require('../db/rateMaps');
+const { priceConversion } = require('../db/pricing');
+const { parseScopes } = require('../db/apiKeys');
+const { isIsoDate, formatDateToIsoLocal, isoDateFromTimestamp } = require('../utils/date');
+
+/*
+*  Versioned public API (/api/v1), the stable contract for scripts and integrations
+* + Auth: API key (see middleware/apiKeyAuth.js), every route names the scope it needs
+* + Responses: { data, ... } on success, { error } with a 4xx/5xx status otherwise
+* + Dates are YYYY-MM-DD strings, rates are EUR-based ECB rates with the stored margins applied
+* + Field names here must not change within v1; add fields, never rename or remove them
+*/
+
+const PAIR_MODES = ['buy', 'sell', 'origin', 'all'];
+const MAX_CONVERT_AMOUNT = 1e12;
+
+// GET /api/v1/currencies
+// Scope: read-rates. Currencies with stored rates (EUR is the base and has none)
+router.get('/currencies', requireApiKey('read-rates'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT Id, CurrencyCode FROM Currencies ORDER BY CurrencyCode');
+    return res.json({ data: rows.map(r => ({ id: r.Id, code: String(r.CurrencyCode).toUpperCase() })) });
+  } catch (err) {
+    console.error('GET /api/v1/currencies failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/v1/rates?currency=USD&dateFrom=2024-01-01&dateTo=2024-12-31
+// Scope: read-rates. Stored EUR -> currency rates with the margin linked to each day
+router.get('/rates', requireApiKey('read-rates'), async (req, res) => {
+  const currency = String(req.query.currency || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ error: 'currency must be a 3-letter currency code' });
+  if ((req.query.dateFrom && !isIsoDate(req.query.dateFrom)) || (req.query.dateTo && !isIsoDate(req.query.dateTo))) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+  }
+
+  const where = ['c.CurrencyCode = ?'];
+  const params = [currency];
+  if (req.query.dateFrom) { where.push('cr.Date >= ?'); params.push(req.query.dateFrom); }
+  if (req.query.dateTo) { where.push('cr.Date <= ?'); params.push(req.query.dateTo); }
+
+  try {
+    const [known] = await pool.query('SELECT 1 FROM Currencies WHERE CurrencyCode = ?', [currency]);
+    if (!known.length) return res.status(404).json({ error: `Unknown currency: ${currency}` });
+
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(cr.Date, '%Y-%m-%d') AS DateKey, cr.ExchangeRate, m.MarginValue
+       FROM CurrencyRates cr
+       JOIN Currencies c ON c.Id = cr.ToCurrencyId
+       LEFT JOIN Margins m ON m.Id = cr.MarginId
+       WHERE ${where.join(' AND ')}
+       ORDER BY cr.Date ASC`,
+      params
+    );
+    return res.json({
+      base: 'EUR',
+      currency,
+      data: rows.map(r => ({
+        date: r.DateKey,
+        rate: Number(r.ExchangeRate),
+        margin: r.MarginValue != null ? Number(r.MarginValue) : null
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/v1/rates failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/v1/pair?from=USD&to=GBP&dateFrom=2024-01-01&dateTo=2024-12-31&mode=buy|sell|origin|all
+// Scope: read-rates. Daily cross rates (LOCF over weekends/holidays), one row per date
+router.get('/pair', requireApiKey('read-rates'), async (req, res) => {
+  const mode = String(req.query.mode || 'all').trim().toLowerCase();
+  if (!PAIR_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${PAIR_MODES.join(', ')}` });
+  }
+
+  try {
+    const pair = await loadPairRequest(pool, req.query);
+    if (pair.error) return res.status(pair.status).json({ error: pair.error });
+    const { from, to, dateFrom, dateTo, buyPoints, sellPoints, originPoints } = pair;
+
+    const data = [];
+    for (let i = 0; i < originPoints.length; i++) {
+      if (originPoints[i][1] == null) continue; // No rate yet for one of the legs
+      const row = { date: isoDateFromTimestamp(originPoints[i][0]) };
+      if (mode === 'origin' || mode === 'all') row.origin = originPoints[i][1];
+      if (mode === 'buy' || mode === 'all') row.buy = buyPoints[i][1];
+      if (mode === 'sell' || mode === 'all') row.sell = sellPoints[i][1];
+      data.push(row);
+    }
+    return res.json({ from, to, mode, dateFrom, dateTo, data });
+  } catch (err) {
+    console.error('GET /api/v1/pair failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// GET /api/v1/convert?from=USD&to=GBP&amount=100&date=2024-05-02
+// Scope: convert. Prices a conversion exactly like the site's checkout (sell rate, received amount rounded down)
+// date defaults to today, the latest rates on or before it are used
+router.get('/convert', requireApiKey('convert'), async (req, res) => {
+  const from = String(req.query.from || '').trim().toUpperCase();
+  const to = String(req.query.to || '').trim().toUpperCase();
+  const amount = Number(req.query.amount);
+  const date = req.query.date || formatDateToIsoLocal(new Date());
+
+  if (!/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to) || from === to) {
+    return res.status(400).json({ error: 'from and to must be two different 3-letter currency codes' });
+  }
+  if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_CONVERT_AMOUNT) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  if (!isIsoDate(date)) return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+
+  try {
+    const priced = await priceConversion(pool, { from, to, date, amountFrom: amount });
+    if (!priced) return res.status(404).json({ error: 'No rate available for this pair on or before the date' });
+    return res.json({
+      data: {
+        from,
+        to,
+        date,
+        amountFrom: priced.amountFrom,
+        amountTo: priced.amountTo,
+        rate: priced.sellRate,
+        rateDates: priced.rateDates
+      }
+    });
+  } catch (err) {
+    console.error('GET /api/v1/convert failed', err);
+    return res.status(500).json({ error: 'Conversion failed' });
+  }
+});
+
+// GET /api/v1/admin/api-keys
+// Scope: admin. Usage of every API key (no hashes)
+router.get('/admin/api-keys', requireApiKey('admin'), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT k.Id, k.Name, k.KeyPrefix, k.Scopes, k.QuotaPerDay,
+              IF(k.UsageDate = CURDATE(), k.UsageCount, 0) AS UsedToday, k.LastUsedAt, k.CreatedAt, k.RevokedAt,
+              u.Email AS UserEmail
+       FROM ApiKeys k
+       LEFT JOIN Users u ON u.Id = k.UserId
+       ORDER BY k.LastUsedAt IS NULL, k.LastUsedAt DESC`
+    );
+    return res.json({
+      data: rows.map(r => ({
+        id: r.Id,
+        name: r.Name,
+        prefix: r.KeyPrefix,
+        user: r.UserEmail,
+        scopes: parseScopes(r.Scopes),
+        quotaPerDay: r.QuotaPerDay,
+        usedToday: Number(r.UsedToday),
+        lastUsedAt: r.LastUsedAt,
+        createdAt: r.CreatedAt,
+        revokedAt: r.RevokedAt
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/v1/admin/api-keys failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// Unknown v1 paths answer in JSON like the rest of the contract
+router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+module.exports = router;
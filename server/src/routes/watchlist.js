@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { protect } = require('../middleware/authMiddleware');
+const { loadPairValues } = require('../db/rateMaps');
+const { parseCurrencyPair } = require('../db/currencyPairs');
+
+// Per-user cap, every pair is priced on each GET
+const MAX_PAIRS_PER_USER = 20;
+
+const PAIR_COLUMNS = 'Id, FromCode, ToCode, Position, CreatedAt';
+
+const changePct = (value, previous) => (value != null && previous ? ((value - previous) / previous) * 100 : null);
+
+/*
+*  Latest buy/sell of each pair and the change against the previous rate date
+* + Values come from calculatePairRates (via buildPairSeries), so they match the Home chart
+* + rateDate / previousDate are the two newest dates in CurrencyRates (LOCF fills gaps per currency)
+*/
+async function priceWatchlist(items) {
+  if (!items.length) return items;
+
+  const [[dates]] = await pool.query(
+    `SELECT DATE_FORMAT(MAX(Date), '%Y-%m-%d') AS RateDate,
+            DATE_FORMAT((SELECT MAX(Date) FROM CurrencyRates WHERE Date < (SELECT MAX(Date) FROM CurrencyRates)), '%Y-%m-%d') AS PreviousDate
+     FROM CurrencyRates`
+  );
+  const rateDate = dates && dates.RateDate;
+  if (!rateDate) return items.map(i => ({ ...i, rateDate: null, previousDate: null, buy: null, sell: null, buyChangePct: null, sellChangePct: null }));
+  const previousDate = dates.PreviousDate || rateDate;
+
+  const [currencies] = await pool.query('SELECT Id, CurrencyCode FROM Currencies');
+  const idByCode = new Map(currencies.map(c => [String(c.CurrencyCode).toUpperCase(), c.Id]));
+
+  const priced = [];
+  for (const item of items) {
+    const series = await loadPairValues(pool, idByCode, { from: item.FromCode, to: item.ToCode, dateFrom: previousDate, dateTo: rateDate });
+    const last = (values) => (values && values.length ? values[values.length - 1] : null);
+    const first = (values) => (values && values.length ? values[0] : null);
+    const buy = series ? last(series.buy) : null;
+    const sell = series ? last(series.sell) : null;
+    priced.push({
+      ...item,
+      rateDate,
+      previousDate,
+      buy,
+      sell,
+      buyChangePct: series ? changePct(buy, first(series.buy)) : null,
+      sellChangePct: series ? changePct(sell, first(series.sell)) : null
+    });
+  }
+  return priced;
+}
+
+// GET /api/watchlist
+// Current user's favourite pairs in display order, each with latest buy/sell and daily change
+router.get('/', protect, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${PAIR_COLUMNS} FROM Watchlists WHERE UserId = ? ORDER BY Position ASC, Id ASC`,
+      [req.user.id]
+    );
+    return res.json(await priceWatchlist(rows || []));
+  } catch (err) {
+    console.error('GET /api/watchlist failed', err);
+    return res.status(500).json({ error: 'DB error' });
+  }
+});
+
+// POST /api/watchlist
+// Add a pair to the end of the current user's watchlist
+// Body: { fromCode, toCode }
+router.post('/', protect, async (req, res) => {
+  try {
+    const { pair, error } = await parseCurrencyPair(pool, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [[count]] = await pool.query(
+      'SELECT COUNT(*) AS Total, COALESCE(MAX(Position), -1) AS LastPosition FROM Watchlists WHERE UserId = ?',
+      [req.user.id]
+    );
+    if (count.Total >= MAX_PAIRS_PER_USER) {
+      return res.status(400).json({ error: `You can watch at most ${MAX_PAIRS_PER_USER} pairs` });
+    }
+
+    const [result] = await pool.query(
+      `INSERT IGNORE INTO Watchlists (UserId, FromCode, ToCode, Position, CreatedAt)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [req.user.id, pair.from, pair.to, Number(count.LastPosition) + 1]
+    );
+    if (!result.affectedRows) return res.status(409).json({ error: 'Pair is already in your watchlist' });
+
+    const [rows] = await pool.query(`SELECT ${PAIR_COLUMNS} FROM Watchlists WHERE Id = ?`, [result.insertId]);
+    const [priced] = await priceWatchlist(rows);
+    return res.status(201).json(priced);
+  } catch (err) {
+    console.error('POST /api/watchlist failed', err);
+    return res.status(500).json({ error: 'Failed to add pair' });
+  }
+});
+
+// PUT /api/watchlist/:id
+// Change one of the current user's pairs and/or its position
+// Body: { fromCode, toCode } and/or { position }
+router.put('/:id', protect, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid watchlist id' });
+
+  const body = req.body || {};
+  try {
+    const [existing] = await pool.query('SELECT Id FROM Watchlists WHERE Id = ? AND UserId = ?', [id, req.user.id]);
+    if (!existing.length) return res.status(404).json({ error: 'Pair not found' });
+
+    const sets = [];
+    const params = [];
+    if (body.fromCode !== undefined || body.toCode !== undefined) {
+      const { pair, error } = await parseCurrencyPair(pool, body);
+      if (error) return res.status(400).json({ error });
+      const [dup] = await pool.query(
+        'SELECT Id FROM Watchlists WHERE UserId = ? AND FromCode = ? AND ToCode = ? AND Id <> ?',
+        [req.user.id, pair.from, pair.to, id]
+      );
+      if (dup.length) return res.status(409).json({ error: 'Pair is already in your watchlist' });
+      sets.push('FromCode = ?', 'ToCode = ?');
+      params.push(pair.from, pair.to);
+    }
+    if (body.position !== undefined) {
+      const position = Number(body.position);
+      if (!Number.isInteger(position) || position < 0) return res.status(400).json({ error: 'position must be a non-negative integer' });
+      sets.push('Position = ?');
+      params.push(position);
+    }
+    if (!sets.length) return res.status(400).json({ error: 'Nothing to update' });
+
+    await pool.query(`UPDATE Watchlists SET ${sets.join(', ')} WHERE Id = ?`, [...params, id]);
+    const [rows] = await pool.query(`SELECT ${PAIR_COLUMNS} FROM Watchlists WHERE Id = ?`, [id]);
+    const [priced] = await priceWatchlist(rows);
+    return res.json(priced);
+  } catch (err) {
+    console.error('PUT /api/watchlist/:id failed', err);
+    return res.status(500).json({ error: 'Failed to update pair' });
+  }
+});
+
+// DELETE /api/watchlist/:id
+// Remove a pair from the current user's watchlist
+router.delete('/:id', protect, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid watchlist id' });
+
+  try {
+    const [result] = await pool.query('DELETE FROM Watchlists WHERE Id = ? AND UserId = ?', [id, req.user.id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Pair not found' });
+    return res.json({ ok: true, id });
+  } catch (err) {
+    console.error('DELETE /api/watchlist/:id failed', err);
+    return res.status(500).json({ error: 'Failed to remove pair' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// Audit trail helpers (AuditLog table)
+// Pass the transaction connection as 'db' when the change runs in a transaction,
+// so the audit entry is committed or rolled back together with it
+
+const toJson = (v) => (v === undefined || v === null ? null : JSON.stringify(v));
+
+/**
+ * Write one audit entry
+ * @param {Object} db - pool or connection
+ * @param {Object} entry
+ * @param {Object} entry.actor - req.user ({ id, email }) or null for system jobs
+ * @param {string} entry.action - e.g. 'rate.update', 'margin.create', 'user.role'
+ * @param {string} entry.entityType - e.g. 'CurrencyRate', 'Margin', 'User'
+ * @param {string|number} [entry.entityId]
+ * @param {Object} [entry.before] - state before the change
+ * @param {Object} [entry.after] - state after the change
+ */
+async function writeAudit(db, { actor = null, action, entityType, entityId = null, before = null, after = null }) {
+  await db.query(
+    `INSERT INTO AuditLog (ActorUserId, ActorEmail, Action, EntityType, EntityId, BeforeJson, AfterJson, CreatedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      actor && actor.id ? actor.id : null,
+      actor && actor.email ? actor.email : null,
+      action,
+      entityType,
+      entityId == null ? null : String(entityId),
+      toJson(before),
+      toJson(after)
+    ]
+  );
+}
+
+module.exports = { writeAudit };
@@ -0,0 +1,43 @@
+/**
+ * Calculate origin/buy/sell rates for a currency pair with margin
+ * Server-side twin of client/src/utils/currencyCalculations.js
+ *
+ * @param {number} baseTo - Exchange rate from EUR to target currency (e.g., EUR→AUD)
+ * @param {number} baseFrom - Exchange rate from EUR to source currency (e.g., EUR→USD)
+ * @param {number} marginTo - Margin value for target currency (0-1, e.g., 0.05 = 5%)
+ * @param {number} marginFrom - Margin value for source currency (0-1, e.g., 0.05 = 5%)
+ * @returns {{originRate:number|null, buyRate:number|null, sellRate:number|null}}
+ */
+const calculatePairRates = (baseTo, baseFrom, marginTo = 0, marginFrom = 0) => {
+  const bt = Number(baseTo);
+  const bf = Number(baseFrom);
+  if (!Number.isFinite(bt) || !Number.isFinite(bf) || bt <= 0 || bf <= 0) {
+    return { originRate: null, buyRate: null, sellRate: null };
+  }
+
+  const mTo = Number(marginTo) || 0;
+  const mFrom = Number(marginFrom) || 0;
+  const origin = bt / bf;
+
+  if (mTo === mFrom) {
+    const half = mTo / 2;
+    const multiplier = (1 + half) / (1 - half);
+    return {
+      originRate: Number(origin),
+      buyRate: Number(origin * multiplier),
+      sellRate: Number(origin / multiplier)
+    };
+  }
+
+  const eurTo_sell = bt * (1 + mTo / 2);
+  const eurFrom_buy = bf * (1 - mFrom / 2);
+  const buy = eurTo_sell / eurFrom_buy;
+
+  const eurTo_buy = bt * (1 - mTo / 2);
+  const eurFrom_sell = bf * (1 + mFrom / 2);
+  const sell = eurTo_buy / eurFrom_sell;
+
+  return { originRate: Number(origin), buyRate: Number(buy), sellRate: Number(sell) };
+};
+
+module.exports = { calculatePairRates };
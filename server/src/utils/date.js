@@ -0,0 +1,32 @@
+// Small date helper utilities shared across routes
+
+// Check if a string is in ISO date format (YYYY-MM-DD)
+const isIsoDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+// Format a date value to ISO local format (YYYY-MM-DD)
+const formatDateToIsoLocal = (val) => {
+  if (val == null) return null;
+  const d = (val instanceof Date) ? val : new Date(val);
+  if (!Number.isFinite(d.getTime())) return null;
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+};
+
+// Convert a YYYY-MM-DD key into a UTC midnight timestamp (ms), the format used by chart series
+const timestampFromIsoDate = (s) => {
+  if (!isIsoDate(s)) return null;
+  const [y, m, d] = s.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+
+// Convert a millisecond UTC timestamp into YYYY-MM-DD (UTC) key
+const isoDateFromTimestamp = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+module.exports = {
+  isIsoDate,
+  formatDateToIsoLocal,
+  timestampFromIsoDate,
+  isoDateFromTimestamp,
+};
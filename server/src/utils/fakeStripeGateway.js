@@ -0,0 +1,123 @@
+const crypto = require('node:crypto');
+
+/*
+*  Local stand-in for the Stripe gateway (utils/stripeGateway.js), installed with setStripeGateway()
+* + Same methods as the real gateway, state kept in memory, no network
+* + Refunds honour idempotency keys like Stripe: the same key returns the same refund
+* + Webhook signatures use Stripe's scheme (t=<unix>,v1=<HMAC-SHA256 of "t.payload">), so
+*   handleStripeWebhook runs unchanged; signPayload() produces the header for a test event
+* + Helpers not on the real gateway (completeSession, createEvent, signPayload) drive the fake from tests
+*/
+
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Stripe's default
+
+// HMAC of '<timestamp>.<payload>' with the endpoint secret, hex encoded
+const signature = (payload, secret, timestamp) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex');
+
+/**
+ * Build a fake gateway
+ * @param {Object} [options]
+ * @param {'succeeded'|'pending'|'failed'} [options.refundStatus] - status new refunds are created with
+ */
+function createFakeStripeGateway({ refundStatus = 'succeeded' } = {}) {
+  const sessions = new Map();
+  const refunds = new Map(); // idempotency key (or refund id) -> refund
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_fake_${++counter}`;
+
+  const gateway = {
+    sessions,
+    refunds,
+
+    createCheckoutSession: async (params) => {
+      const id = nextId('cs');
+      const lineItem = (params.line_items || [])[0] || {};
+      const priceData = lineItem.price_data || {};
+      const session = {
+        id,
+        object: 'checkout.session',
+        url: `https://checkout.stripe.test/c/pay/${id}`,
+        mode: params.mode,
+        status: 'open',
+        payment_status: 'unpaid',
+        payment_intent: null,
+        currency: priceData.currency || null,
+        amount_total: (priceData.unit_amount || 0) * (lineItem.quantity || 1),
+        metadata: { ...(params.metadata || {}) },
+        created: Math.floor(Date.now() / 1000)
+      };
+      sessions.set(id, session);
+      return { ...session };
+    },
+
+    expireCheckoutSession: async (sessionId) => {
+      const session = sessions.get(sessionId);
+      if (!session) throw new Error(`No such checkout.session: '${sessionId}'`);
+      if (session.status !== 'open') throw new Error(`Only open sessions can be expired (session is ${session.status})`);
+      session.status = 'expired';
+      return { ...session };
+    },
+
+    refundPayment: async (paymentIntentId, { reason = 'requested_by_customer', metadata = {}, idempotencyKey } = {}) => {
+      if (idempotencyKey && refunds.has(idempotencyKey)) return { ...refunds.get(idempotencyKey) };
+
+      const session = [...sessions.values()].find(s => s.payment_intent === paymentIntentId);
+      const refund = {
+        id: nextId('re'),
+        object: 'refund',
+        payment_intent: paymentIntentId,
+        amount: session ? session.amount_total : null,
+        currency: session ? session.currency : null,
+        reason,
+        metadata: { ...metadata },
+        status: refundStatus
+      };
+      refunds.set(idempotencyKey || refund.id, refund);
+      return { ...refund };
+    },
+
+    constructWebhookEvent: (rawBody, header, secret) => {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const parts = String(header || '').split(',').map(p => p.split('='));
+      const timestamp = Number((parts.find(([k]) => k === 't') || [])[1]);
+      const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+
+      if (!timestamp || !signatures.length) throw new Error('Unable to extract timestamp and signatures from header');
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) throw new Error('Timestamp outside the tolerance zone');
+
+      const expected = Buffer.from(signature(payload, secret, timestamp));
+      const matches = signatures.some(s => s.length === expected.length && crypto.timingSafeEqual(Buffer.from(s), expected));
+      if (!matches) throw new Error('No signatures found matching the expected signature for payload');
+
+      return JSON.parse(payload);
+    },
+
+    // Pay (or complete without payment, for delayed methods) an open session, as Checkout would
+    completeSession: (sessionId, { paid = true } = {}) => {
+      const session = sessions.get(sessionId);
+      if (!session) throw new Error(`No such checkout.session: '${sessionId}'`);
+      session.status = 'complete';
+      session.payment_status = paid ? 'paid' : 'unpaid';
+      session.payment_intent = session.payment_intent || nextId('pi');
+      return { ...session };
+    },
+
+    // Event envelope as Stripe sends it
+    createEvent: (type, object) => ({
+      id: nextId('evt'),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    }),
+
+    // Stripe-Signature header for a payload
+    signPayload: (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+      `t=${timestamp},v1=${signature(payload, secret, timestamp)}`
+  };
+
+  return gateway;
+}
+
+module.exports = { createFakeStripeGateway };
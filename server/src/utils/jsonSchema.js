@@ -0,0 +1,138 @@
+// Minimal JSON Schema validator for the OpenAPI document (openapi/index.js)
+/*
+*  Supported keywords (the subset the document uses)
+* + $ref to '#/components/schemas/<Name>'
+* + type (string or list, 'integer' = whole number, 'null' allowed), enum
+* + string: minLength, maxLength, pattern, format 'date' (YYYY-MM-DD) / 'email'
+* + number: minimum, maximum, exclusiveMinimum
+* + array: items, minItems, maxItems
+* + object: properties, required, additionalProperties: false
+* + anyOf (first matching branch wins)
+*/
+
+const { isIsoDate } = require('./date');
+
+const FORMATS = {
+  date: (v) => isIsoDate(v),
+  email: (v) => /^[^\s@]+@[^\s@]+$/.test(v)
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (actual, expected) => expected === actual || (expected === 'number' && actual === 'integer');
+
+const resolveRef = (schema, root) => {
+  let current = schema;
+  while (current && current.$ref) {
+    const name = current.$ref.replace('#/components/schemas/', '');
+    current = root && root.components && root.components.schemas && root.components.schemas[name];
+    if (!current) throw new Error(`Unknown schema reference: ${schema.$ref}`);
+  }
+  return current;
+};
+
+const label = (path) => path || 'value';
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/*
+*  Validate a value, returns a list of { path, message } (empty when valid)
+* + root: the OpenAPI document, used to resolve $ref
+* + path: dotted location prefix used in the messages ('' for the value itself)
+*/
+function validateSchema(schema, value, root, path = '') {
+  const s = resolveRef(schema, root);
+  if (!s) return [];
+
+  if (s.anyOf) {
+    let firstErrors = null;
+    for (const branch of s.anyOf) {
+      const errors = validateSchema(branch, value, root, path);
+      if (!errors.length) return [];
+      if (!firstErrors) firstErrors = errors;
+    }
+    return firstErrors || [];
+  }
+
+  const actual = typeOf(value);
+  if (s.type) {
+    const types = Array.isArray(s.type) ? s.type : [s.type];
+    if (!types.some(t => matchesType(actual, t))) {
+      return [{ path, message: `${label(path)} must be of type ${types.join(' or ')}` }];
+    }
+  }
+  if (s.enum && !s.enum.includes(value)) {
+    return [{ path, message: `${label(path)} must be one of: ${s.enum.filter(v => v !== null).join(', ')}` }];
+  }
+
+  const errors = [];
+  if (actual === 'string') {
+    if (s.minLength != null && value.length < s.minLength) {
+      errors.push({ path, message: s.minLength === 1 ? `${label(path)} is required` : `${label(path)} must be at least ${s.minLength} characters` });
+    }
+    if (s.maxLength != null && value.length > s.maxLength) {
+      errors.push({ path, message: `${label(path)} must be at most ${s.maxLength} characters` });
+    }
+    if (s.pattern && !new RegExp(s.pattern).test(value)) {
+      errors.push({ path, message: s['x-pattern-message'] ? `${label(path)} ${s['x-pattern-message']}` : `${label(path)} has an invalid format` });
+    }
+    if (s.format && FORMATS[s.format] && !FORMATS[s.format](value)) {
+      errors.push({ path, message: s.format === 'date' ? `${label(path)} must be a date (YYYY-MM-DD)` : `${label(path)} must be a valid ${s.format}` });
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (s.minimum != null && value < s.minimum) errors.push({ path, message: `${label(path)} must be >= ${s.minimum}` });
+    if (s.maximum != null && value > s.maximum) errors.push({ path, message: `${label(path)} must be <= ${s.maximum}` });
+    if (s.exclusiveMinimum != null && value <= s.exclusiveMinimum) {
+      errors.push({ path, message: `${label(path)} must be > ${s.exclusiveMinimum}` });
+    }
+  }
+
+  if (actual === 'array') {
+    if (s.minItems != null && value.length < s.minItems) errors.push({ path, message: `${label(path)} must have at least ${s.minItems} item(s)` });
+    if (s.maxItems != null && value.length > s.maxItems) errors.push({ path, message: `${label(path)} must have at most ${s.maxItems} items` });
+    if (s.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(s.items, item, root, `${label(path)}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of s.required || []) {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: `${join(path, key)} is required` });
+    }
+    const properties = s.properties || {};
+    for (const [key, propSchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propSchema, value[key], root, join(path, key)));
+    }
+    if (s.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) errors.push({ path: join(path, key), message: `${join(path, key)} is not allowed` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/*
+*  Query and path values always arrive as strings; convert them to the schema's type first
+* + Values that do not convert are returned unchanged, so validation reports the type error
+*/
+function coerceParameter(schema, raw, root) {
+  const s = resolveRef(schema, root) || {};
+  const types = Array.isArray(s.type) ? s.type : [s.type];
+  if (typeof raw !== 'string' || types.includes('string')) return raw;
+
+  if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && Number.isFinite(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+  return raw;
+}
+
+module.exports = { validateSchema, coerceParameter };
@@ -43,6 +43,122 @@ async function sendPasswordResetCodeEmail({ to, code, expiresInMinutes }) {
   });
 }
 
+// Subject and first line per order outcome
+const ORDER_STATUS_MESSAGES = {
+  paid: ['Payment received', 'We received your payment. Your exchange is confirmed.'],
+  failed: ['Payment failed', 'Your payment could not be completed. No money was taken; you can start a new exchange at any time.'],
+  expired: ['Exchange cancelled', 'Your checkout session expired before payment, so the exchange was cancelled.'],
+  refunded: ['Exchange refunded', 'Your payment has been refunded. Depending on your bank it can take a few days to appear.'],
+};
+
+/**
+ * Send email about the outcome of a conversion order
+ * @param {Object} params
+ * @param {string} params.to - Recipient email
+ * @param {Object} params.order - Orders row ({ Id, FromCode, ToCode, AmountFrom, AmountTo, Rate })
+ * @param {string} params.status - 'paid' | 'failed' | 'expired' | 'refunded'
+ */
+async function sendOrderStatusEmail({ to, order, status }) {
+  const message = ORDER_STATUS_MESSAGES[status];
+  if (!message) return null;
+
+  const fromAddress = process.env.MAILTRAP_FROM_ADDRESS || 'hello@local.test';
+  const fromName = process.env.MAILTRAP_FROM_NAME || 'Currency Rate Fetcher';
+
+  const transport = createMailerTransport();
+
+  const text = [
+    message[1],
+    '',
+    `Order #${order.Id}`,
+    `You pay: ${Number(order.AmountFrom)} ${order.FromCode}`,
+    `You get: ${Number(order.AmountTo)} ${order.ToCode}`,
+    `Rate: 1 ${order.FromCode} = ${Number(order.Rate)} ${order.ToCode}`,
+  ].join('\n');
+
+  return transport.sendMail({
+    from: `"${fromName}" <${fromAddress}>`,
+    to: process.env.UNIVERSAL_EMAIL || to,
+    subject: `${message[0]} (order #${order.Id})`,
+    text,
+  });
+}
+
+// Human-readable condition of a rate alert
+const describeAlert = (alert) => {
+  const pair = `${alert.FromCode}/${alert.ToCode} ${alert.Side}`;
+  if (alert.Kind === 'change') return `${pair} moved by ${Number(alert.Threshold)}% or more over ${alert.WindowDays} days`;
+  return `${pair} ${alert.Kind} ${Number(alert.Threshold)}`;
+};
+
+/**
+ * Send email for a triggered rate alert
+ * @param {Object} params
+ * @param {string} params.to - Recipient email
+ * @param {Object} params.alert - RateAlerts row
+ * @param {Object} params.trigger - { rateDate, value, reference, changePct }
+ */
+async function sendRateAlertEmail({ to, alert, trigger }) {
+  const fromAddress = process.env.MAILTRAP_FROM_ADDRESS || 'hello@local.test';
+  const fromName = process.env.MAILTRAP_FROM_NAME || 'Currency Rate Fetcher';
+
+  const transport = createMailerTransport();
+
+  const lines = [
+    `Your rate alert was triggered: ${describeAlert(alert)}.`,
+    '',
+    `Rate date: ${trigger.rateDate}`,
+    `1 ${alert.FromCode} = ${Number(trigger.value).toFixed(6)} ${alert.ToCode} (${alert.Side})`,
+  ];
+  if (trigger.changePct != null) {
+    lines.push(`Change over ${alert.WindowDays} days: ${trigger.changePct.toFixed(2)}% (from ${Number(trigger.reference).toFixed(6)})`);
+  }
+  lines.push('', 'You can manage your alerts in your profile.');
+
+  return transport.sendMail({
+    from: `"${fromName}" <${fromAddress}>`,
+    to: process.env.UNIVERSAL_EMAIL || to,
+    subject: `Rate alert: ${alert.FromCode}/${alert.ToCode}`,
+    text: lines.join('\n'),
+  });
+}
+
+/**
+ * Send email when repeated failed logins locked the account
+ * @param {Object} params
+ * @param {string} params.to - Recipient email
+ * @param {number} params.lockMinutes - Lock duration in minutes
+ * @param {number} params.failedAttempts - Failed logins that caused the lock
+ * @param {string|null} params.ip - Address of the last failed attempt
+ */
+async function sendAccountLockedEmail({ to, lockMinutes, failedAttempts, ip }) {
+  const fromAddress = process.env.MAILTRAP_FROM_ADDRESS || 'hello@local.test';
+  const fromName = process.env.MAILTRAP_FROM_NAME || 'Currency Rate Fetcher';
+
+  const transport = createMailerTransport();
+
+  const duration = lockMinutes >= 60 ? `${lockMinutes / 60} hour(s)` : `${lockMinutes} minutes`;
+  const lines = [
+    `Your account was locked for ${duration} after ${failedAttempts} failed login attempts.`,
+  ];
+  if (ip) lines.push(`The last attempt came from ${ip}.`);
+  lines.push(
+    '',
+    'If this was you, wait for the lock to end or reset your password to unlock the account now.',
+    'If it was not you, reset your password; an administrator can also unlock the account.',
+  );
+
+  return transport.sendMail({
+    from: `"${fromName}" <${fromAddress}>`,
+    to: process.env.UNIVERSAL_EMAIL || to,
+    subject: 'Account locked after failed logins',
+    text: lines.join('\n'),
+  });
+}
+
 module.exports = {
   sendPasswordResetCodeEmail,
+  sendOrderStatusEmail,
+  sendRateAlertEmail,
+  sendAccountLockedEmail,
 };
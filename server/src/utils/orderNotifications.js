@@ -0,0 +1,18 @@
+const pool = require('../db/pool');
+const { findOrder } = require('../db/orders');
+const { sendOrderStatusEmail } = require('./mailtrapMailer');
+
+// Email the user about an order's new status
+// Runs after the status change is committed; a mail failure is logged and never undoes the change
+// Guest orders have no user email and are skipped
+async function notifyOrderStatus(orderId) {
+  try {
+    const order = await findOrder(pool, orderId);
+    if (!order || !order.UserEmail) return;
+    await sendOrderStatusEmail({ to: order.UserEmail, order, status: order.Status });
+  } catch (err) {
+    console.error('Order status email failed', orderId, err && err.message ? err.message : err);
+  }
+}
+
+module.exports = { notifyOrderStatus };
@@ -0,0 +1,58 @@
+const { calculatePairRates } = require('./currencyCalculations');
+const { timestampFromIsoDate, isoDateFromTimestamp } = require('./date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/*
+*  Build daily origin/buy/sell series for a pair, mirroring client/src/utils/chartSeries.js
+* + Input maps are keyed by YYYY-MM-DD and hold { rate, margin } (EUR -> currency rates)
+*   They may contain observations before 'dateFrom' which are only used to seed LOCF
+* + LOCF: a date without an observation reuses the most recent previous one, so the
+*   series stays continuous over weekends and holidays
+* + EUR fallback: if one side of the pair is EUR we substitute { rate: 1, margin: 0 }
+* + Dates before the first available observation stay 'null' (no backfill)
+* + Points are [timestampUTC, value] pairs, the shape Highstock consumes directly
+*/
+function buildPairSeries({ mapFrom = new Map(), mapTo = new Map(), isFromEUR = false, isToEUR = false, dateFrom, dateTo }) {
+  const buyPoints = [];
+  const sellPoints = [];
+  const originPoints = [];
+
+  const start = timestampFromIsoDate(dateFrom);
+  const end = timestampFromIsoDate(dateTo);
+  if (start == null || end == null || start > end) return { buyPoints, sellPoints, originPoints };
+
+  // Seed LOCF with the latest observation strictly before the range
+  let lastA = null; // 'to' currency
+  let lastB = null; // 'from' currency
+  for (const [key, v] of mapTo) if (key < dateFrom && (!lastA || key > lastA.key)) lastA = { key, v };
+  for (const [key, v] of mapFrom) if (key < dateFrom && (!lastB || key > lastB.key)) lastB = { key, v };
+  lastA = lastA ? lastA.v : null;
+  lastB = lastB ? lastB.v : null;
+
+  for (let ts = start; ts <= end; ts += DAY_MS) {
+    const key = isoDateFromTimestamp(ts);
+
+    if (mapTo.has(key)) lastA = mapTo.get(key);
+    if (mapFrom.has(key)) lastB = mapFrom.get(key);
+
+    const aa = lastA || (isToEUR ? { rate: 1, margin: 0 } : null);
+    const bb = lastB || (isFromEUR ? { rate: 1, margin: 0 } : null);
+
+    if (!aa || !bb) {
+      buyPoints.push([ts, null]);
+      sellPoints.push([ts, null]);
+      originPoints.push([ts, null]);
+      continue;
+    }
+
+    const rates = calculatePairRates(aa.rate, bb.rate, aa.margin || 0, bb.margin || 0);
+    buyPoints.push([ts, rates.buyRate]);
+    sellPoints.push([ts, rates.sellRate]);
+    originPoints.push([ts, rates.originRate]);
+  }
+
+  return { buyPoints, sellPoints, originPoints };
+}
+
+module.exports = { buildPairSeries };
@@ -0,0 +1,40 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed conversion quotes: the server's price for a conversion, locked for a short time
+// Stateless JWTs, so checkout can trust the figures without storing them;
+// the quote id is stored on the order, which makes every quote single-use
+// Signed with a key derived from JWT_SECRET, so a quote never passes as a session token
+// and a session token never as a quote
+const QUOTE_KEY = crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('checkout-quote').digest();
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS) || 60;
+
+/**
+ * Sign a quote
+ * @param {Object} quote - { from, to, date, amountFrom, amountTo, rate }
+ * @returns {{ id: string, token: string, expiresAt: string, ttlSeconds: number }}
+ */
+function signQuote(quote) {
+  const id = crypto.randomUUID();
+  const token = jwt.sign({ typ: 'quote', ...quote }, QUOTE_KEY, { expiresIn: QUOTE_TTL_SECONDS, jwtid: id });
+  const { exp } = jwt.decode(token);
+  return { id, token, expiresAt: new Date(exp * 1000).toISOString(), ttlSeconds: QUOTE_TTL_SECONDS };
+}
+
+/**
+ * Verify a quote token
+ * @returns {{ quote?: Object, error?: 'expired'|'invalid' }} - quote includes its 'id'
+ */
+function verifyQuote(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), QUOTE_KEY);
+    if (payload.typ !== 'quote') return { error: 'invalid' };
+    const { typ, iat, exp, jti, ...quote } = payload;
+    if (!jti) return { error: 'invalid' };
+    return { quote: { id: jti, ...quote } };
+  } catch (err) {
+    return { error: err && err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+}
+
+module.exports = { QUOTE_TTL_SECONDS, signQuote, verifyQuote };
@@ -0,0 +1,107 @@
+const { formatDateToIsoLocal, timestampFromIsoDate, isoDateFromTimestamp } = require('./date');
+
+const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Last day of a month (month is 1-based)
+const lastDayOfMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+/*
+*  Resolve the calendar bucket a YYYY-MM-DD date belongs to
+* + week: ISO week (Monday..Sunday), labelled 'YYYY-Www' with the ISO week-year
+* + month: 'YYYY-MM', quarter: 'YYYY-Qn', year: 'YYYY', day: the date itself
+*/
+const resolvePeriod = (isoDate, granularity) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+
+  switch (granularity) {
+    case 'week': {
+      const ts = timestampFromIsoDate(isoDate);
+      const dow = (new Date(ts).getUTCDay() + 6) % 7; // Monday = 0
+      const monday = ts - dow * DAY_MS;
+      const thursday = monday + 3 * DAY_MS; // ISO week-year is the year of the week's Thursday
+      const weekYear = new Date(thursday).getUTCFullYear();
+      const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * DAY_MS)) + 1;
+      return {
+        period: `${weekYear}-W${pad2(week)}`,
+        start: isoDateFromTimestamp(monday),
+        end: isoDateFromTimestamp(monday + 6 * DAY_MS)
+      };
+    }
+    case 'month':
+      return { period: `${y}-${pad2(m)}`, start: `${y}-${pad2(m)}-01`, end: `${y}-${pad2(m)}-${pad2(lastDayOfMonth(y, m))}` };
+    case 'quarter': {
+      const q = Math.floor((m - 1) / 3) + 1;
+      const startMonth = q * 3 - 2;
+      const endMonth = q * 3;
+      return {
+        period: `${y}-Q${q}`,
+        start: `${y}-${pad2(startMonth)}-01`,
+        end: `${y}-${pad2(endMonth)}-${pad2(lastDayOfMonth(y, endMonth))}`
+      };
+    }
+    case 'year':
+      return { period: String(y), start: `${y}-01-01`, end: `${y}-12-31` };
+    default:
+      return { period: isoDate, start: isoDate, end: isoDate };
+  }
+};
+
+/*
+*  Aggregate CurrencyRates rows (sorted by Date ASC) into OHLC buckets
+* + Open/Close are the first/last ExchangeRate stored inside the bucket
+* + MarginId/MarginValue are taken from the closing row (the margin applied at period end)
+* + Count is the number of stored observations (no LOCF filling here)
+*/
+const aggregateRates = (rows, granularity) => {
+  const out = [];
+  let current = null;
+  let sum = 0;
+
+  for (const r of rows || []) {
+    const dateKey = formatDateToIsoLocal(r.Date);
+    const rate = Number(r.ExchangeRate);
+    if (!dateKey || !Number.isFinite(rate)) continue;
+
+    const bucket = resolvePeriod(dateKey, granularity);
+    if (!current || current.Period !== bucket.period) {
+      if (current) {
+        current.Average = sum / current.Count;
+        out.push(current);
+      }
+      current = {
+        Period: bucket.period,
+        PeriodStart: bucket.start,
+        PeriodEnd: bucket.end,
+        Open: rate,
+        High: rate,
+        Low: rate,
+        Close: rate,
+        Average: rate,
+        MarginId: r.MarginId ?? null,
+        MarginValue: r.MarginValue != null ? Number(r.MarginValue) : null,
+        Count: 0
+      };
+      sum = 0;
+    }
+
+    if (rate > current.High) current.High = rate;
+    if (rate < current.Low) current.Low = rate;
+    current.Close = rate;
+    current.MarginId = r.MarginId ?? null;
+    current.MarginValue = r.MarginValue != null ? Number(r.MarginValue) : null;
+    current.Count += 1;
+    sum += rate;
+  }
+
+  if (current) {
+    current.Average = sum / current.Count;
+    out.push(current);
+  }
+  return out;
+};
+
+module.exports = { GRANULARITIES, resolvePeriod, aggregateRates };
@@ -0,0 +1,50 @@
+const Stripe = require('stripe');
+
+/*
+*  Stripe adapter: the only place that talks to the Stripe SDK
+* + Routes call getStripeGateway() and use the methods below, never the SDK directly
+* + setStripeGateway() swaps in another implementation, e.g. the in-memory one in utils/fakeStripeGateway.js
+*   for tests or offline development; webhooks then accept whatever its constructWebhookEvent accepts
+*/
+
+// Build the real gateway around a Stripe client
+function createStripeGateway(secretKey) {
+  const stripe = new Stripe(secretKey, { apiVersion: '2024-06-20' });
+
+  return {
+    // Create a Checkout Session (params as in stripe.checkout.sessions.create)
+    createCheckoutSession: (params) => stripe.checkout.sessions.create(params),
+
+    // Expire an open Checkout Session so it can no longer be paid
+    expireCheckoutSession: (sessionId) => stripe.checkout.sessions.expire(sessionId),
+
+    // Refund a whole payment; the idempotency key makes repeated requests return the same refund
+    refundPayment: (paymentIntentId, { reason = 'requested_by_customer', metadata = {}, idempotencyKey } = {}) =>
+      stripe.refunds.create(
+        { payment_intent: paymentIntentId, reason, metadata },
+        idempotencyKey ? { idempotencyKey } : undefined
+      ),
+
+    // Verify the signature of a raw webhook body and parse the event (throws when invalid)
+    constructWebhookEvent: (rawBody, signature, secret) => stripe.webhooks.constructEvent(rawBody, signature, secret)
+  };
+}
+
+let gateway = null;
+
+// Lazily create the real gateway from STRIPE_SECRET_KEY
+function getStripeGateway() {
+  if (!gateway) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) throw new Error('STRIPE_SECRET_KEY is not set.');
+    gateway = createStripeGateway(secretKey);
+  }
+  return gateway;
+}
+
+// Replace the gateway (pass null to go back to the real Stripe client)
+function setStripeGateway(replacement) {
+  gateway = replacement;
+}
+
+module.exports = { createStripeGateway, getStripeGateway, setStripeGateway };
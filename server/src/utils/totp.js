@@ -0,0 +1,96 @@
+const crypto = require('node:crypto');
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps), as used by
+// Google Authenticator, Microsoft Authenticator, 1Password, ...
+// Every function that depends on the time takes 'now' (ms) so codes can be checked with a fixed clock
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// Lenient about case, spaces and '=' padding (secrets are often typed in by hand)
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret (160 bits, the RFC 4226 recommendation), base32 as shown to the user
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Number of the 30 s step 'now' falls in
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code of one step (RFC 4226 dynamic truncation)
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/*
+*  Check a code typed by the user, returns the matching step or null
+* + window: steps accepted before and after the current one (clock drift of the phone)
+* + afterStep: steps up to this one were already used and are refused (no replay of a seen code)
+*/
+function verifyTotp(secret, code, { now = Date.now(), window = 1, afterStep = 0 } = {}) {
+  const typed = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI for the QR code (Key Uri Format understood by authenticator apps)
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  timeStep,
+  totpAt,
+  verifyTotp,
+  otpauthUrl
+};
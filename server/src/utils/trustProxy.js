@@ -0,0 +1,20 @@
+// TRUST_PROXY environment value -> Express 'trust proxy' setting
+// Behind a reverse proxy every connection comes from the proxy, so req.ip (per-IP rate limits,
+// LastIp of the login lockout) is only the client's address when X-Forwarded-For is trusted
+
+/*
+*  Accepted values
+* + unset / empty / 'false': trust nothing, req.ip is the connecting address (no proxy in front)
+* + a number, e.g. '1': trust that many proxy hops in front of the app
+* + 'true': trust every hop, only when nothing can reach the app without the proxy
+* + addresses, subnets or the names 'loopback', 'linklocal', 'uniquelocal', comma-separated
+*/
+function parseTrustProxy(value) {
+  const text = String(value ?? '').trim();
+  if (!text || text.toLowerCase() === 'false') return false;
+  if (text.toLowerCase() === 'true') return true;
+  if (/^\d+$/.test(text)) return Number(text);
+  return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = { parseTrustProxy };
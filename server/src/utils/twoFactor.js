@@ -0,0 +1,119 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { generateTotpSecret, verifyTotp, otpauthUrl } = require('./totp');
+const { getBooleanSetting } = require('../db/appSettings');
+const {
+  getTwoFactor,
+  savePendingSecret,
+  enableTwoFactor,
+  markStepUsed,
+  replaceRecoveryCodes,
+  useRecoveryCode
+} = require('../db/twoFactor');
+
+// Two-factor (TOTP) flows shared by routes/auth.js (login) and routes/twoFactor.js (Profile)
+// Time-dependent helpers take 'now' (ms), routes pass Date.now()
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Currency Rate Fetcher';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O, 1/I
+const REQUIRED_FOR_ADMIN = 'twoFactor.requiredForAdmin';
+
+// Between password and second step the client holds a short-lived challenge instead of the session
+// cookie; it is signed with its own key, so it can never pass as a session token
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_KEY = crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('login-2fa').digest();
+
+const isAdminRole = (role) => String(role || '').toLowerCase() === 'admin';
+
+// Whether users of this role must have a second factor to log in
+async function isTwoFactorRequired(db, role) {
+  return isAdminRole(role) && getBooleanSetting(db, REQUIRED_FOR_ADMIN);
+}
+
+// stage: 'verify' (enter a code) or 'setup' (role requires 2FA, user must enrol first)
+const signLoginChallenge = (userId, stage) =>
+  jwt.sign({ id: userId, stage, purpose: 'login-2fa' }, CHALLENGE_KEY, { expiresIn: CHALLENGE_TTL });
+
+// Payload { id, stage } or null when invalid or expired
+function verifyLoginChallenge(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), CHALLENGE_KEY);
+    return payload.purpose === 'login-2fa' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// 'XXXX-XXXX' codes, shown once
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    let code = '';
+    for (let i = 0; i < 8; i++) code += RECOVERY_CODE_CHARS[crypto.randomInt(0, RECOVERY_CODE_CHARS.length)];
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+}
+
+/*
+*  New pending secret for the user, returns what the enrolment screen shows: { secret, otpauthUrl, qrCode }
+* + null when 2FA is already enabled: the factor is only replaced after disabling it (which needs a code)
+*/
+async function startEnrolment(db, user) {
+  const state = await getTwoFactor(db, user.id);
+  if (state.enabled) return null;
+
+  const secret = generateTotpSecret();
+  await savePendingSecret(db, user.id, secret);
+  const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  const qrCode = await QRCode.toDataURL(url, { margin: 1, width: 220 });
+  return { secret, otpauthUrl: url, qrCode };
+}
+
+/*
+*  Confirm the pending enrolment with a code from the app
+* + Returns the new recovery codes, or null when there is no pending secret, the code is wrong
+*   or 2FA is already enabled
+* + Run inside a transaction: the factor and its recovery codes are written together
+*/
+async function confirmEnrolment(db, userId, code, now = Date.now()) {
+  const state = await getTwoFactor(db, userId);
+  if (state.enabled || !state.pendingSecret) return null;
+
+  const step = verifyTotp(state.pendingSecret, code, { now });
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await enableTwoFactor(db, userId, step);
+  await replaceRecoveryCodes(db, userId, recoveryCodes);
+  return recoveryCodes;
+}
+
+/*
+*  Check a second factor of a user with 2FA enabled: a current TOTP code or an unused recovery code
+* + Returns 'totp', 'recovery' or null
+* + Each TOTP code and each recovery code is accepted once
+*/
+async function verifySecondFactor(db, userId, { code, recoveryCode }, now = Date.now()) {
+  const state = await getTwoFactor(db, userId);
+  if (!state.enabled) return null;
+
+  if (recoveryCode) {
+    return (await useRecoveryCode(db, userId, recoveryCode)) ? 'recovery' : null;
+  }
+
+  const step = verifyTotp(state.secret, code, { now, afterStep: state.lastUsedStep });
+  if (step === null) return null;
+  return (await markStepUsed(db, userId, step)) ? 'totp' : null;
+}
+
+module.exports = {
+  REQUIRED_FOR_ADMIN,
+  isTwoFactorRequired,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  generateRecoveryCodes,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor
+};
@@ -0,0 +1,153 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const apiKeysRouter = require('../src/routes/apiKeys');
+const { requireApiKey } = require('../src/middleware/apiKeyAuth');
+const { generateApiKey, hashApiKey, findApiKey, hasScope } = require('../src/db/apiKeys');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/api-keys', apiKeysRouter);
+  for (const scope of ['read-rates', 'convert', 'admin']) {
+    app.get(`/scoped/${scope}`, requireApiKey(scope), (req, res) => res.json({ apiKey: req.apiKey, user: req.user }));
+  }
+  server = await listen(app);
+});
+after(() => server.close());
+
+// ApiKeys joined to their owners, CURDATE() being the (mockable) UTC date of Date.now()
+function setup(t, owners) {
+  const keys = [];
+  const today = () => new Date().toISOString().slice(0, 10);
+  const users = new Map(owners.map(u => [u.Id, { IsDeleted: 0, ...u }]));
+
+  useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT k\.Id, .* FROM ApiKeys k JOIN Users u ON u\.Id = k\.UserId AND u\.IsDeleted = 0 WHERE k\.KeyPrefix = \? AND k\.RevokedAt IS NULL/, ([prefix]) =>
+      keys.filter(k => k.KeyPrefix === prefix && !k.RevokedAt && !users.get(k.UserId).IsDeleted)
+        .map(k => ({ ...k, UserEmail: users.get(k.UserId).Email, UserRole: users.get(k.UserId).Role }))],
+    [/^UPDATE ApiKeys SET UsageCount = IF\(UsageDate = CURDATE\(\), UsageCount \+ 1, 1\)/, ([id]) => {
+      const k = keys.find(row => row.Id === id);
+      if (k.UsageDate === today() && k.UsageCount >= k.QuotaPerDay) return { affectedRows: 0 };
+      k.UsageCount = k.UsageDate === today() ? k.UsageCount + 1 : 1;
+      k.UsageDate = today();
+      return { affectedRows: 1 };
+    }],
+    [/^SELECT UsageCount FROM ApiKeys WHERE Id = \?/, ([id]) => keys.filter(k => k.Id === id).map(k => ({ UsageCount: k.UsageCount }))]
+  ]);
+
+  // Adds a key like POST /api/api-keys does, returns the plain key
+  const addKey = (userId, scopes, quotaPerDay = 1000) => {
+    const { key, prefix, hash } = generateApiKey();
+    keys.push({ Id: keys.length + 1, UserId: userId, Name: 'test', KeyPrefix: prefix, KeyHash: hash, Scopes: scopes, QuotaPerDay: quotaPerDay, UsageDate: null, UsageCount: 0 });
+    return key;
+  };
+  return { keys, users, addKey };
+}
+
+const call = (scope, key) => fetch(`${server.url}/scoped/${scope}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+test('keys are stored as the SHA-256 of the whole key and found by prefix', async (t) => {
+  const { keys, addKey } = setup(t, [{ Id: 3, Email: 'user@example.test', Role: 'user' }]);
+  const key = addKey(3, 'read-rates');
+
+  assert.match(key, /^crf_[0-9a-f]{8}\.[A-Za-z0-9_-]{32}$/);
+  assert.equal(keys[0].KeyHash, hashApiKey(key));
+  assert.match(keys[0].KeyHash, /^[0-9a-f]{64}$/);
+
+  const found = await findApiKey(pool, ` ${key} `);
+  assert.equal(found.UserId, 3);
+  assert.deepEqual(found.Scopes, ['read-rates']);
+
+  // Right prefix, wrong secret; no dot at all
+  assert.equal(await findApiKey(pool, `${key.split('.')[0]}.${'x'.repeat(32)}`), null);
+  assert.equal(await findApiKey(pool, key.replace('.', '')), null);
+});
+
+test('revoked keys and keys of deleted users are refused', async (t) => {
+  const { keys, users, addKey } = setup(t, [{ Id: 3, Email: 'user@example.test', Role: 'user' }]);
+  const key = addKey(3, 'read-rates');
+  assert.equal((await call('read-rates')).status, 401);
+
+  keys[0].RevokedAt = new Date();
+  assert.equal((await call('read-rates', key)).status, 401);
+
+  keys[0].RevokedAt = null;
+  users.get(3).IsDeleted = 1;
+  assert.equal((await call('read-rates', key)).status, 401);
+});
+
+test('each route needs its scope, admin covers all of them', async (t) => {
+  const { addKey } = setup(t, [{ Id: 1, Email: 'admin@example.test', Role: 'admin' }]);
+  const readKey = addKey(1, 'read-rates');
+  const adminKey = addKey(1, 'admin');
+
+  assert.equal((await call('read-rates', readKey)).status, 200);
+  assert.equal((await call('convert', readKey)).status, 403);
+  assert.equal((await call('admin', readKey)).status, 403);
+
+  for (const scope of ['read-rates', 'convert', 'admin']) {
+    assert.equal((await call(scope, adminKey)).status, 200, scope);
+  }
+  assert.equal(hasScope(['convert'], 'read-rates'), false);
+  assert.equal(hasScope(['admin'], 'convert'), true);
+
+  const body = await (await call('convert', adminKey)).json();
+  assert.deepEqual(body.user, { id: 1, email: 'admin@example.test', role: 'admin' });
+});
+
+test('an admin key loses admin calls once its owner is demoted, but keeps the other scopes', async (t) => {
+  const { users, addKey } = setup(t, [{ Id: 1, Email: 'admin@example.test', Role: 'admin' }]);
+  const key = addKey(1, 'admin');
+  assert.equal((await call('admin', key)).status, 200);
+
+  users.get(1).Role = 'user';
+  assert.equal((await call('admin', key)).status, 403);
+  assert.equal((await call('read-rates', key)).status, 200);
+});
+
+test('the daily quota runs out and starts again the next day', async (t) => {
+  const { keys, addKey } = setup(t, [{ Id: 3, Email: 'user@example.test', Role: 'user' }]);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-01T10:00:00Z') });
+  const key = addKey(3, 'read-rates', 2);
+
+  const first = await call('read-rates', key);
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal((await call('read-rates', key)).status, 200);
+
+  const over = await call('read-rates', key);
+  assert.equal(over.status, 429);
+  assert.equal(over.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(over.headers.get('x-ratelimit-remaining'), '0');
+  assert.equal(keys[0].UsageCount, 2);
+
+  t.mock.timers.tick(DAY_MS);
+  const nextDay = await call('read-rates', key);
+  assert.equal(nextDay.status, 200);
+  assert.equal(nextDay.headers.get('x-ratelimit-remaining'), '1');
+  assert.deepEqual([keys[0].UsageDate, keys[0].UsageCount], ['2024-05-02', 1]);
+});
+
+test('only admins create keys with the admin scope', async (t) => {
+  setup(t, []);
+  const res = await fetch(`${server.url}/api/api-keys`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Cookie: `token=${jwt.sign({ id: 3, email: 'user@example.test', role: 'user' }, process.env.JWT_SECRET)}`
+    },
+    body: JSON.stringify({ name: 'ci', scopes: ['admin'] })
+  });
+  assert.equal(res.status, 403);
+});
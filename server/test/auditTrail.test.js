@@ -0,0 +1,114 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const usersRouter = require('../src/routes/users');
+const updateRouter = require('../src/routes/update');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/update', updateRouter);
+  app.use('/api/users', usersRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// Users and Currencies with an AuditLog that can be made to fail
+function setup(t, { auditFails = false } = {}) {
+  const users = [{ Id: 7, Email: 'old@example.test', FirstName: 'Old', LastName: 'Name', Role: 'user', IsDeleted: 0 }];
+  const audit = [];
+  const db = useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT Id FROM Users WHERE Email = \?/, ([email]) => users.filter(u => u.Email === email)],
+    [/^SELECT Email, Role FROM Users WHERE Id = \? FOR UPDATE/, ([id]) => users.filter(u => u.Id === id).map(u => ({ Email: u.Email, Role: u.Role }))],
+    [/^SELECT Email, FirstName, LastName FROM Users WHERE Id = \? FOR UPDATE/, ([id]) => users.filter(u => u.Id === id)],
+    [/^SELECT Id, Email, FirstName, LastName, Role FROM Users WHERE Id = \?/, ([id]) => users.filter(u => u.Id === id)],
+    [/^UPDATE Users SET Role = \? WHERE Id = \?/, ([, id]) => ({ affectedRows: users.filter(u => u.Id === id).length })],
+    [/^UPDATE Users SET FirstName = \?, LastName = \?, Email = \? WHERE Id = \?/, ([firstName, lastName, email, id]) => {
+      Object.assign(users.find(u => u.Id === id), { FirstName: firstName, LastName: lastName, Email: email });
+      return { affectedRows: 1 };
+    }],
+    [/^SELECT Id FROM Currencies WHERE CurrencyCode = \?/, () => []],
+    [/^INSERT INTO Currencies/, () => ({ affectedRows: 1, insertId: 40 })],
+    [/^INSERT INTO AuditLog/, ([, , action]) => {
+      if (auditFails) throw new Error('AuditLog is unavailable');
+      audit.push(action);
+      return { affectedRows: 1 };
+    }]
+  ]);
+  return { db, audit };
+}
+
+const post = (path, body, user = ADMIN) => fetch(`${server.url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Cookie: `token=${jwt.sign(user, process.env.JWT_SECRET)}` },
+  body: JSON.stringify(body)
+});
+
+test('a role change and its audit entry are committed together', async (t) => {
+  const { db, audit } = setup(t);
+
+  const res = await post('/api/users/change-role', { userId: 7, role: 'admin' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(audit, ['user.role']);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 1, rolledBack: 0, released: 1 });
+});
+
+test('a failing audit insert rolls the role change back', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { db } = setup(t, { auditFails: true });
+
+  const res = await post('/api/users/change-role', { userId: 7, role: 'admin' });
+  assert.equal(res.status, 500);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 0, rolledBack: 1, released: 1 });
+});
+
+test('an unknown user is rolled back with 404', async (t) => {
+  const { db } = setup(t);
+
+  const res = await post('/api/users/change-role', { userId: 99, role: 'admin' });
+  assert.equal(res.status, 404);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 0, rolledBack: 1, released: 1 });
+});
+
+test('update-profile re-signs the cookie only after the change is committed', async (t) => {
+  const user = { id: 7, email: 'old@example.test', role: 'user' };
+  const { db, audit } = setup(t);
+
+  const res = await post('/api/update/update-profile', { firstName: 'New', lastName: 'Name', email: 'new@example.test' }, user);
+  assert.equal(res.status, 200);
+  assert.deepEqual(audit, ['user.profile']);
+  assert.equal(db.transactions.committed, 1);
+  const token = /token=([^;]+)/.exec(res.headers.get('set-cookie'))[1];
+  assert.equal(jwt.verify(token, process.env.JWT_SECRET).email, 'new@example.test');
+});
+
+test('update-profile sets no cookie when the audit insert fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { db } = setup(t, { auditFails: true });
+
+  const res = await post('/api/update/update-profile', { firstName: 'New', lastName: 'Name', email: 'new@example.test' }, { id: 7, role: 'user' });
+  assert.equal(res.status, 500);
+  assert.equal(res.headers.get('set-cookie'), null);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 0, rolledBack: 1, released: 1 });
+});
+
+test('a new currency is audited in the same transaction', async (t) => {
+  const { db, audit } = setup(t);
+
+  const res = await post('/api/update/update-createCurrency', { currencyCode: 'nok' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, currencyId: 40 });
+  assert.deepEqual(audit, ['currency.create']);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 1, rolledBack: 0, released: 1 });
+});
@@ -0,0 +1,99 @@
+require('./helpers/env');
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const { router } = require('../src/routes/payments');
+const { signQuote, verifyQuote } = require('../src/utils/quotes');
+const { protect } = require('../src/middleware/authMiddleware');
+const { setStripeGateway } = require('../src/utils/stripeGateway');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { orderTables } = require('./helpers/orderTables');
+const { listen } = require('./helpers/http');
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/payments', router);
+  app.get('/api/session', protect, (req, res) => res.json(req.user));
+  server = await listen(app);
+});
+after(() => server.close());
+afterEach(() => setStripeGateway(null));
+
+// Gateway that answers slowly, so concurrent requests all pass the isQuoteUsed check first
+function slowGateway() {
+  const gateway = { created: [], expired: [] };
+  gateway.createCheckoutSession = async () => {
+    const id = `cs_test_${gateway.created.length + 1}`;
+    gateway.created.push(id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { id, url: `https://checkout.stripe.test/${id}` };
+  };
+  gateway.expireCheckoutSession = async (id) => {
+    gateway.expired.push(id);
+    return { id, status: 'expired' };
+  };
+  return gateway;
+}
+
+const quote = { from: 'USD', to: 'EUR', date: '2024-01-05', amountFrom: 100, amountTo: 92, rate: 0.92 };
+
+const checkout = (token) => fetch(`${server.url}/api/payments/create-checkout-session`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ quote: token })
+});
+
+test('a quote pays one order', async (t) => {
+  const { tables, handlers } = orderTables([]);
+  useFakeDb(t, pool, handlers);
+  setStripeGateway(slowGateway());
+  const { id, token } = signQuote(quote);
+
+  const first = await checkout(token);
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { url: 'https://checkout.stripe.test/cs_test_1', id: 'cs_test_1', orderId: 1 });
+  assert.equal(tables.orders[0].QuoteId, id);
+
+  const again = await checkout(token);
+  assert.equal(again.status, 409);
+  assert.equal(tables.orders.length, 1);
+});
+
+test('concurrent requests with the same quote: one order, the other session is expired', async (t) => {
+  const { tables, handlers } = orderTables([]);
+  useFakeDb(t, pool, handlers);
+  const gateway = slowGateway();
+  setStripeGateway(gateway);
+  const { token } = signQuote(quote);
+
+  const responses = await Promise.all([checkout(token), checkout(token)]);
+  const statuses = responses.map(r => r.status).sort();
+
+  assert.deepEqual(statuses, [200, 409]);
+  assert.equal(gateway.created.length, 2);
+  assert.equal(tables.orders.length, 1);
+  assert.deepEqual(gateway.expired, gateway.created.filter(id => id !== tables.orders[0].StripeSessionId));
+
+  const loser = responses.find(r => r.status === 409);
+  assert.deepEqual(await loser.json(), { error: 'Quote already used, request a new one' });
+});
+
+test('quotes and session tokens are signed with different keys', async (t) => {
+  useFakeDb(t, pool, [[/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]]]);
+
+  // A quote (even one carrying a user id) is no session cookie
+  const { token } = signQuote({ ...quote, id: 1 });
+  const res = await fetch(`${server.url}/api/session`, { headers: { Cookie: `token=${token}` } });
+  assert.equal(res.status, 401);
+
+  // A session-signed token with quote claims is no quote
+  const forged = jwt.sign({ typ: 'quote', ...quote }, process.env.JWT_SECRET, { expiresIn: 60, jwtid: 'f0e6c1de-0000-4000-8000-000000000000' });
+  assert.deepEqual(verifyQuote(forged), { error: 'invalid' });
+  assert.equal(verifyQuote(token).quote.amountTo, quote.amountTo);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const pool = require('../src/db/pool');
+const { saveRates } = require('../src/ingestion/ecbIngestion');
+const { parseEcbPayload } = require('../src/ingestion/ecbParser');
+const { useFakeDb } = require('./helpers/fakeDb');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'ecb', name), 'utf8');
+
+// Currencies, CurrencyRates and Margins tables as saveRates queries them
+function rateTables() {
+  const tables = {
+    currencies: [{ Id: 1, CurrencyCode: 'USD' }],
+    rates: [],
+    margins: [{ Id: 7, CurrencyId: null, StartDate: '2023-01-01', EndDate: null }]
+  };
+
+  const handlers = [
+    [/^SELECT Id, CurrencyCode FROM Currencies/, () => tables.currencies],
+    [/FROM CurrencyRates WHERE Date >= \? AND Date <= \?/, ([from, to]) =>
+      tables.rates.filter(r => r.DateKey >= from && r.DateKey <= to)],
+    [/FROM Margins ORDER BY StartDate DESC/, () => tables.margins],
+    [/^INSERT INTO Currencies/, ([code]) => {
+      const Id = tables.currencies.length + 1;
+      tables.currencies.push({ Id, CurrencyCode: code });
+      return { insertId: Id, affectedRows: 1 };
+    }],
+    [/^UPDATE CurrencyRates SET ExchangeRate = \? WHERE Id = \?/, ([rate, id]) => {
+      tables.rates.find(r => r.Id === id).ExchangeRate = String(rate);
+      return { affectedRows: 1 };
+    }],
+    [/^INSERT INTO CurrencyRates/, ([rows]) => {
+      for (const [date, currencyId, rate, marginId] of rows) {
+        tables.rates.push({
+          Id: tables.rates.length + 1,
+          ToCurrencyId: currencyId,
+          DateKey: date,
+          ExchangeRate: String(rate), // DECIMAL columns come back as strings
+          MarginId: marginId
+        });
+      }
+      return { affectedRows: rows.length };
+    }]
+  ];
+
+  return { tables, handlers };
+}
+
+test('saveRates: a second run over the same payload changes nothing', async (t) => {
+  const { tables, handlers } = rateTables();
+  const db = useFakeDb(t, pool, handlers);
+  const { ratesByDate } = parseEcbPayload(fixture('eurofxref-hist.csv'));
+
+  const first = await saveRates(ratesByDate);
+  assert.deepEqual(first, {
+    dates: 2,
+    firstDate: '2024-01-04',
+    lastDate: '2024-01-05',
+    inserted: 6,
+    updated: 0,
+    skipped: 0,
+    currenciesCreated: ['JPY', 'GBP']
+  });
+  assert.equal(tables.rates.length, 6);
+  assert.ok(tables.rates.every(r => r.MarginId === 7));
+
+  const second = await saveRates(ratesByDate);
+  assert.equal(second.inserted, 0);
+  assert.equal(second.updated, 0);
+  assert.equal(second.skipped, 6);
+  assert.deepEqual(second.currenciesCreated, []);
+  assert.equal(tables.rates.length, 6);
+
+  assert.deepEqual(db.transactions, { begun: 2, committed: 2, rolledBack: 0, released: 2 });
+});
+
+test('saveRates: overwrite updates only the rates that changed', async (t) => {
+  const { tables, handlers } = rateTables();
+  useFakeDb(t, pool, handlers);
+  const { ratesByDate } = parseEcbPayload(fixture('eurofxref-hist.csv'));
+
+  await saveRates(ratesByDate);
+
+  // The SDMX fixture repeats 2024-01-04 with the same rates and has one new USD rate for 2024-01-05
+  const { ratesByDate: sdmx } = parseEcbPayload(fixture('sdmx-generic.xml'));
+  sdmx['2024-01-05'].USD = 1.0925;
+
+  const summary = await saveRates(sdmx, { overwrite: true });
+  assert.equal(summary.inserted, 0);
+  assert.equal(summary.updated, 1);
+  assert.equal(summary.skipped, 2);
+  assert.equal(tables.rates.find(r => r.DateKey === '2024-01-05' && r.ToCurrencyId === 1).ExchangeRate, '1.0925');
+
+  const again = await saveRates(sdmx, { overwrite: true });
+  assert.equal(again.updated, 0);
+  assert.equal(again.skipped, 3);
+});
+
+test('saveRates: dateFrom / dateTo limit the dates written', async (t) => {
+  const { tables, handlers } = rateTables();
+  useFakeDb(t, pool, handlers);
+  const { ratesByDate } = parseEcbPayload(fixture('eurofxref-hist.csv'));
+
+  const summary = await saveRates(ratesByDate, { dateFrom: '2024-01-05' });
+  assert.equal(summary.dates, 1);
+  assert.equal(summary.inserted, 3);
+  assert.ok(tables.rates.every(r => r.DateKey === '2024-01-05'));
+});
+
+test('saveRates: nothing to write does not open a transaction', async (t) => {
+  const db = useFakeDb(t, pool, []);
+  const summary = await saveRates({});
+  assert.equal(summary.dates, 0);
+  assert.equal(db.calls.length, 0);
+});
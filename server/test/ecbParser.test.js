@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseEcbPayload, parseEurofxrefCsv } = require('../src/ingestion/ecbParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'ecb', name), 'utf8');
+
+test('SDMX generic data: one series per currency, missing observations dropped', () => {
+  const { format, ratesByDate } = parseEcbPayload(fixture('sdmx-generic.xml'));
+
+  assert.equal(format, 'sdmx');
+  assert.deepEqual(ratesByDate, {
+    '2024-01-04': { USD: 1.0953, JPY: 158.33 },
+    '2024-01-05': { USD: 1.0921 }
+  });
+});
+
+test('eurofxref daily XML', () => {
+  const { format, ratesByDate } = parseEcbPayload(fixture('eurofxref-daily.xml'));
+
+  assert.equal(format, 'eurofxref-xml');
+  assert.deepEqual(ratesByDate, {
+    '2024-01-05': { USD: 1.0921, JPY: 158.08, GBP: 0.86075, CHF: 0.9305 }
+  });
+});
+
+test('eurofxref CSV: N/A cells and the trailing comma are skipped', () => {
+  const { format, ratesByDate } = parseEcbPayload(fixture('eurofxref-hist.csv'));
+
+  assert.equal(format, 'eurofxref-csv');
+  assert.deepEqual(ratesByDate, {
+    '2024-01-05': { USD: 1.0921, JPY: 158.08, GBP: 0.86075 },
+    '2024-01-04': { USD: 1.0953, JPY: 158.33, GBP: 0.8619 }
+  });
+});
+
+test('eurofxref CSV: the daily file writes dates as "05 January 2024"', () => {
+  const ratesByDate = parseEurofxrefCsv('Date, USD, JPY, \n05 January 2024, 1.0921, 158.08, \n');
+  assert.deepEqual(ratesByDate, { '2024-01-05': { USD: 1.0921, JPY: 158.08 } });
+});
+
+test('unknown payloads are rejected', () => {
+  assert.throws(() => parseEcbPayload('{"rates":{}}'), /Unrecognized ECB payload format/);
+});
@@ -0,0 +1,6 @@
+// Configuration the modules under test read at require time
+// Require this before anything from src/, so a local server/.env never leaks into the tests
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_123';
+process.env.FRONTEND_ORIGIN = 'http://localhost:5173';
@@ -0,0 +1,37 @@
+// In-memory stand-in for the mysql2 pool (db/pool.js) in tests
+// Each handler is [pattern, (params, sql) => rows | result]; the first pattern matching the SQL answers it
+// Queries no handler matches fail the test, so new SQL in the code under test is never silently ignored
+
+function createFakeDb(handlers) {
+  const calls = [];
+  const transactions = { begun: 0, committed: 0, rolledBack: 0, released: 0 };
+
+  const query = async (sql, params = []) => {
+    const text = String(sql).replace(/\s+/g, ' ').trim();
+    calls.push({ sql: text, params });
+
+    const handler = handlers.find(([pattern]) => pattern.test(text));
+    if (!handler) throw new Error(`Unexpected query: ${text}`);
+    return [await handler[1](params, text), []];
+  };
+
+  const connection = {
+    query,
+    beginTransaction: async () => { transactions.begun++; },
+    commit: async () => { transactions.committed++; },
+    rollback: async () => { transactions.rolledBack++; },
+    release: () => { transactions.released++; }
+  };
+
+  return { query, getConnection: async () => connection, calls, transactions };
+}
+
+// Route pool.query / pool.getConnection to a fake db for the duration of test 't'
+function useFakeDb(t, pool, handlers) {
+  const db = createFakeDb(handlers);
+  t.mock.method(pool, 'query', db.query);
+  t.mock.method(pool, 'getConnection', db.getConnection);
+  return db;
+}
+
+module.exports = { createFakeDb, useFakeDb };
@@ -0,0 +1,80 @@
+// Orders, StripeEvents and AuditLog tables in memory, answering the queries of db/orders.js and utils/audit.js
+// Pass 'handlers' to useFakeDb (helpers/fakeDb.js); 'tables' holds the rows for assertions
+
+function orderTables(orders = []) {
+  const tables = {
+    orders: orders.map((o, i) => ({
+      Id: i + 1,
+      UserId: null,
+      FromCode: 'USD',
+      ToCode: 'EUR',
+      AmountFrom: '100.0000',
+      AmountTo: '92.0000',
+      Rate: '0.92000000',
+      UsedDate: '2024-01-05',
+      Status: 'pending',
+      StripeSessionId: `cs_test_${i + 1}`,
+      StripePaymentIntentId: null,
+      QuoteId: null,
+      PaidAt: null,
+      ...o
+    })),
+    events: [],
+    audit: []
+  };
+
+  const order = (column, value) => tables.orders.filter(o => value != null && o[column] === value);
+
+  const handlers = [
+    [/^SELECT Id, Status FROM Orders WHERE StripeSessionId = \? FOR UPDATE/, ([id]) => order('StripeSessionId', id)],
+    [/^SELECT Id, Status FROM Orders WHERE StripePaymentIntentId = \? FOR UPDATE/, ([id]) => order('StripePaymentIntentId', id)],
+    [/^SELECT 1 FROM Orders WHERE QuoteId = \?/, ([quoteId]) => order('QuoteId', quoteId)],
+    [/^SELECT o\.Id, .* FROM Orders o LEFT JOIN Users u ON u\.Id = o\.UserId WHERE o\.Id = \?/, ([id]) =>
+      order('Id', Number(id)).map(o => ({ ...o, UserEmail: null }))],
+    [/^INSERT INTO Orders /, ([userId, fromCode, toCode, amountFrom, amountTo, rate, usedDate, sessionId, quoteId]) => {
+      if (quoteId != null && order('QuoteId', quoteId).length) {
+        throw Object.assign(new Error("Duplicate entry for key 'UX_Orders_QuoteId'"), { code: 'ER_DUP_ENTRY' });
+      }
+      const Id = tables.orders.length + 1;
+      tables.orders.push({
+        Id, UserId: userId, FromCode: fromCode, ToCode: toCode, AmountFrom: amountFrom, AmountTo: amountTo, Rate: rate,
+        UsedDate: usedDate, Status: 'pending', StripeSessionId: sessionId, StripePaymentIntentId: null,
+        QuoteId: quoteId, PaidAt: null
+      });
+      return { insertId: Id, affectedRows: 1 };
+    }],
+    [/^UPDATE Orders SET Status = \?, StripePaymentIntentId = COALESCE/, ([status, paymentIntentId, , id]) => {
+      const [o] = order('Id', id);
+      o.Status = status;
+      o.StripePaymentIntentId = paymentIntentId || o.StripePaymentIntentId;
+      if (status === 'paid') o.PaidAt = new Date();
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE Orders SET StripePaymentIntentId = \?, UpdatedAt = NOW\(\) WHERE StripeSessionId = \? AND StripePaymentIntentId IS NULL/,
+      ([paymentIntentId, sessionId]) => {
+        const rows = order('StripeSessionId', sessionId).filter(o => !o.StripePaymentIntentId);
+        rows.forEach(o => { o.StripePaymentIntentId = paymentIntentId; });
+        return { affectedRows: rows.length };
+      }],
+    [/^INSERT IGNORE INTO StripeEvents/, ([eventId, type]) => {
+      if (tables.events.some(e => e.EventId === eventId)) return { affectedRows: 0 };
+      tables.events.push({ EventId: eventId, Type: type, OrderId: null });
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE StripeEvents SET OrderId = \? WHERE EventId = \?/, ([orderId, eventId]) => {
+      tables.events.find(e => e.EventId === eventId).OrderId = orderId;
+      return { affectedRows: 1 };
+    }],
+    [/^INSERT INTO AuditLog/, ([actorUserId, actorEmail, action, entityType, entityId, beforeJson, afterJson]) => {
+      tables.audit.push({
+        ActorUserId: actorUserId, ActorEmail: actorEmail, Action: action, EntityType: entityType, EntityId: entityId,
+        Before: JSON.parse(beforeJson), After: JSON.parse(afterJson)
+      });
+      return { affectedRows: 1 };
+    }]
+  ];
+
+  return { tables, handlers };
+}
+
+module.exports = { orderTables };
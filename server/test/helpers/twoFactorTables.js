@@ -0,0 +1,76 @@
+// UserTwoFactor, UserRecoveryCodes, RateLimitWindows and AuditLog in memory, answering the queries of
+// db/twoFactor.js, db/rateLimits.js and utils/audit.js, plus the Users lookups of protect and the login challenge
+// Pass 'handlers' to useFakeDb (helpers/fakeDb.js); 'tables' holds the rows for assertions
+
+function twoFactorTables(users = []) {
+  const tables = { users, factors: new Map(), recoveryCodes: [], rateLimits: new Map(), audit: [] };
+  const factor = (userId) => tables.factors.get(userId);
+
+  const handlers = [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT Id, Email, FirstName, LastName, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) =>
+      tables.users.filter(u => u.Id === id).map(u => ({ IsDeleted: 0, ...u }))],
+
+    [/^SELECT t\.Secret, t\.PendingSecret, .* FROM UserTwoFactor t WHERE t\.UserId = \?/, ([userId]) => {
+      const row = factor(userId);
+      if (!row) return [];
+      const left = tables.recoveryCodes.filter(r => r.UserId === userId && !r.UsedAt).length;
+      return [{ ...row, PendingIsLive: row.PendingSecret ? 1 : 0, RecoveryCodesLeft: left }];
+    }],
+    [/^INSERT INTO UserTwoFactor \(UserId, PendingSecret, PendingCreatedAt\)/, ([userId, pendingSecret]) => {
+      const row = factor(userId) || { Secret: null, EnabledAt: null, LastUsedStep: 0 };
+      tables.factors.set(userId, { ...row, PendingSecret: pendingSecret });
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE UserTwoFactor SET Secret = PendingSecret, .* WHERE UserId = \? AND PendingSecret IS NOT NULL/, ([step, userId]) => {
+      const row = factor(userId);
+      if (!row || !row.PendingSecret) return { affectedRows: 0 };
+      tables.factors.set(userId, { Secret: row.PendingSecret, PendingSecret: null, EnabledAt: new Date(), LastUsedStep: step });
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE UserTwoFactor SET LastUsedStep = \? WHERE UserId = \? AND LastUsedStep < \?/, ([step, userId]) => {
+      const row = factor(userId);
+      if (!row || row.LastUsedStep >= step) return { affectedRows: 0 };
+      row.LastUsedStep = step;
+      return { affectedRows: 1 };
+    }],
+    [/^DELETE FROM UserTwoFactor WHERE UserId = \?/, ([userId]) => {
+      tables.factors.delete(userId);
+      return { affectedRows: 1 };
+    }],
+
+    [/^DELETE FROM UserRecoveryCodes WHERE UserId = \?/, ([userId]) => {
+      tables.recoveryCodes = tables.recoveryCodes.filter(r => r.UserId !== userId);
+      return { affectedRows: 1 };
+    }],
+    [/^INSERT INTO UserRecoveryCodes \(UserId, CodeHash, CreatedAt\) VALUES \?/, ([rows]) => {
+      for (const [userId, codeHash] of rows) tables.recoveryCodes.push({ UserId: userId, CodeHash: codeHash, UsedAt: null });
+      return { affectedRows: rows.length };
+    }],
+    [/^UPDATE UserRecoveryCodes SET UsedAt = NOW\(\) WHERE UserId = \? AND CodeHash = \? AND UsedAt IS NULL/, ([userId, codeHash]) => {
+      const row = tables.recoveryCodes.find(r => r.UserId === userId && r.CodeHash === codeHash && !r.UsedAt);
+      if (!row) return { affectedRows: 0 };
+      row.UsedAt = new Date();
+      return { affectedRows: 1 };
+    }],
+
+    // One fixed window per (bucket, key)
+    [/^INSERT INTO RateLimitWindows/, ([bucket, key]) => {
+      const id = `${bucket}|${key}`;
+      tables.rateLimits.set(id, (tables.rateLimits.get(id) || 0) + 1);
+      return { affectedRows: 1 };
+    }],
+    [/^SELECT Hits, .* FROM RateLimitWindows WHERE Bucket = \? AND KeyValue = \?/, ([, bucket, key]) =>
+      [{ Hits: tables.rateLimits.get(`${bucket}|${key}`) || 0, ResetIn: 900 }]],
+    [/^DELETE FROM RateLimitWindows WHERE WindowStart < /, () => ({ affectedRows: 0 })],
+
+    [/^INSERT INTO AuditLog/, ([actorUserId, , action, , entityId, , afterJson]) => {
+      tables.audit.push({ ActorUserId: actorUserId, Action: action, EntityId: entityId, After: JSON.parse(afterJson) });
+      return { affectedRows: 1 };
+    }]
+  ];
+
+  return { tables, handlers };
+}
+
+module.exports = { twoFactorTables };
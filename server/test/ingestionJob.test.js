@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../src/db/pool');
+const { lastPublishedDate, findMissingDates } = require('../src/ingestion/ingestionJob');
+const { useFakeDb } = require('./helpers/fakeDb');
+
+// CurrencyRates reduced to the stored dates
+function storedDates(dates) {
+  return [
+    [/^SELECT DATE_FORMAT\(MAX\(Date\), '%Y-%m-%d'\) AS LastDate FROM CurrencyRates/, () =>
+      [{ LastDate: [...dates].sort().pop() || null }]],
+    [/^SELECT DISTINCT DATE_FORMAT\(Date, '%Y-%m-%d'\) AS DateKey FROM CurrencyRates WHERE Date >= \? AND Date <= \?/, ([from, to]) =>
+      dates.filter(d => d >= from && d <= to).map(d => ({ DateKey: d }))]
+  ];
+}
+
+test('today counts as published only after 16:00 Frankfurt time', () => {
+  // Winter (CET = UTC+1) and summer (CEST = UTC+2)
+  assert.equal(lastPublishedDate(new Date('2024-01-10T14:59:00Z')), '2024-01-09');
+  assert.equal(lastPublishedDate(new Date('2024-01-10T15:00:00Z')), '2024-01-10');
+  assert.equal(lastPublishedDate(new Date('2024-07-10T13:59:00Z')), '2024-07-09');
+  assert.equal(lastPublishedDate(new Date('2024-07-10T14:00:00Z')), '2024-07-10');
+  // Just after midnight in Frankfurt while it is still the day before in UTC
+  assert.equal(lastPublishedDate(new Date('2024-01-10T23:30:00Z')), '2024-01-10');
+});
+
+test('business days after the last stored date are missing, up to the given end', async (t) => {
+  useFakeDb(t, pool, storedDates(['2024-01-08', '2024-01-09']));
+
+  const missing = await findMissingDates({ until: '2024-01-16', lookbackDays: 3 });
+  assert.deepEqual(missing, ['2024-01-10', '2024-01-11', '2024-01-12', '2024-01-15', '2024-01-16']);
+});
+
+test('holes inside the lookback window are found, holidays are not reported', async (t) => {
+  useFakeDb(t, pool, storedDates(['2024-03-25', '2024-03-27', '2024-04-03']));
+
+  const missing = await findMissingDates({ until: '2024-04-03', lookbackDays: 10 });
+  assert.deepEqual(missing, ['2024-03-26', '2024-03-28', '2024-04-02']);
+});
+
+test('before publication the run does not ask for today', async (t) => {
+  useFakeDb(t, pool, storedDates(['2024-01-09']));
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-10T09:00:00Z') });
+
+  assert.deepEqual(await findMissingDates({ lookbackDays: 0 }), []);
+
+  t.mock.timers.tick(6 * 60 * 60 * 1000); // 16:00 in Frankfurt
+  assert.deepEqual(await findMissingDates({ lookbackDays: 0 }), ['2024-01-10']);
+});
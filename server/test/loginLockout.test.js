@@ -0,0 +1,205 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const authRouter = require('../src/routes/auth');
+const usersRouter = require('../src/routes/users');
+const { recordLoginFailure, clearLoginFailures, getLockout } = require('../src/db/loginLockouts');
+const { parseTrustProxy } = require('../src/utils/trustProxy');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.set('trust proxy', parseTrustProxy('1'));
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/auth', authRouter);
+  app.use('/api/users', usersRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// LoginLockouts in memory, NOW() being the (mockable) Date.now()
+function lockoutTable() {
+  const rows = new Map();
+  const now = () => Date.now();
+
+  const handlers = [
+    [/^INSERT INTO LoginLockouts .* ON DUPLICATE KEY UPDATE/, ([email, ip, forgetHours]) => {
+      const row = rows.get(email);
+      if (!row) {
+        rows.set(email, { FailedCount: 1, LockLevel: 0, LastFailedAt: now(), LastIp: ip, LockedUntil: null });
+      } else {
+        const forget = row.LastFailedAt < now() - forgetHours * HOUR_MS;
+        Object.assign(row, {
+          LockLevel: forget ? 0 : row.LockLevel,
+          FailedCount: forget ? 1 : row.FailedCount + 1,
+          LastFailedAt: now(),
+          LastIp: ip
+        });
+      }
+      return { affectedRows: 1 };
+    }],
+    [/^SELECT FailedCount, LockLevel FROM LoginLockouts WHERE Email = \?/, ([email]) =>
+      rows.has(email) ? [rows.get(email)] : []],
+    [/^UPDATE LoginLockouts SET FailedCount = 0, LockLevel = \?, LockedUntil = NOW\(\) \+ INTERVAL \? MINUTE WHERE Email = \? AND FailedCount >= \?/,
+      ([level, minutes, email, threshold]) => {
+        const row = rows.get(email);
+        if (!row || row.FailedCount < threshold) return { affectedRows: 0 };
+        Object.assign(row, { FailedCount: 0, LockLevel: level, LockedUntil: now() + minutes * MINUTE_MS });
+        return { affectedRows: 1 };
+      }],
+    [/^SELECT LockedUntil, TIMESTAMPDIFF\(SECOND, NOW\(\), LockedUntil\) AS SecondsLeft FROM LoginLockouts WHERE Email = \? AND LockedUntil > NOW\(\)/, ([email]) => {
+      const row = rows.get(email);
+      if (!row || !(row.LockedUntil > now())) return [];
+      return [{ LockedUntil: new Date(row.LockedUntil), SecondsLeft: Math.floor((row.LockedUntil - now()) / 1000) }];
+    }],
+    [/^DELETE FROM LoginLockouts WHERE Email = \?/, ([email]) => ({ affectedRows: rows.delete(email) ? 1 : 0 })]
+  ];
+
+  return { rows, handlers };
+}
+
+// Around a login or an unlock: protect's Users lookup, RateLimitWindows and AuditLog
+function requestTables() {
+  const tables = { rateLimits: new Map(), audit: [] };
+  const handlers = [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^INSERT INTO RateLimitWindows/, ([bucket, key]) => {
+      const id = `${bucket}|${key}`;
+      tables.rateLimits.set(id, (tables.rateLimits.get(id) || 0) + 1);
+      return { affectedRows: 1 };
+    }],
+    [/^SELECT Hits, .* FROM RateLimitWindows WHERE Bucket = \? AND KeyValue = \?/, ([, bucket, key]) =>
+      [{ Hits: tables.rateLimits.get(`${bucket}|${key}`) || 0, ResetIn: 900 }]],
+    [/^DELETE FROM RateLimitWindows WHERE WindowStart < /, () => ({ affectedRows: 0 })],
+    [/^INSERT INTO AuditLog/, ([, , action]) => {
+      tables.audit.push({ Action: action });
+      return { affectedRows: 1 };
+    }]
+  ];
+  return { tables, handlers };
+}
+
+const failTimes = async (email, n) => {
+  let result;
+  for (let i = 0; i < n; i++) result = await recordLoginFailure(pool, email, '198.51.100.4');
+  return result;
+};
+
+test('every fifth failure locks for longer: 5 min, 15 min, 1 h, then 24 h', async (t) => {
+  const { rows, handlers } = lockoutTable();
+  useFakeDb(t, pool, handlers);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-01T08:00:00Z') });
+
+  assert.deepEqual(await failTimes('User@Example.test ', 4), { locked: false });
+
+  const levels = [];
+  for (let i = 0; i < 5; i++) {
+    const lock = await recordLoginFailure(pool, 'user@example.test', '198.51.100.4');
+    assert.equal(lock.locked, true);
+    assert.equal(lock.lockedUntil.getTime(), Date.now() + lock.lockMinutes * MINUTE_MS);
+    levels.push([lock.level, lock.lockMinutes]);
+
+    // The lock runs out, the next round of failures starts from zero but keeps the level
+    t.mock.timers.tick(lock.lockMinutes * MINUTE_MS);
+    assert.equal(await getLockout(pool, 'user@example.test'), null);
+    if (i < 4) assert.deepEqual(await failTimes('user@example.test', 4), { locked: false });
+  }
+
+  assert.deepEqual(levels, [[1, 5], [2, 15], [3, 60], [4, 1440], [5, 1440]]);
+  assert.equal(rows.get('user@example.test').LastIp, '198.51.100.4');
+});
+
+test('a day without failures starts over at the first level', async (t) => {
+  const { handlers } = lockoutTable();
+  useFakeDb(t, pool, handlers);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-01T08:00:00Z') });
+
+  assert.equal((await failTimes('user@example.test', 5)).level, 1);
+  await failTimes('user@example.test', 4);
+  t.mock.timers.tick(25 * HOUR_MS);
+
+  // The count restarted too: four failures are not enough
+  assert.deepEqual(await failTimes('user@example.test', 4), { locked: false });
+  assert.deepEqual(await failTimes('user@example.test', 1), { locked: true, lockedUntil: new Date(Date.now() + 5 * MINUTE_MS), lockMinutes: 5, level: 1 });
+});
+
+test('clearing the failures removes the lock and the level', async (t) => {
+  const { rows, handlers } = lockoutTable();
+  useFakeDb(t, pool, handlers);
+
+  await failTimes('user@example.test', 5);
+  assert.ok(await getLockout(pool, 'user@example.test'));
+  assert.equal(await clearLoginFailures(pool, 'USER@example.test'), true);
+  assert.equal(rows.size, 0);
+  assert.equal(await clearLoginFailures(pool, 'user@example.test'), false);
+});
+
+test('TRUST_PROXY values', () => {
+  assert.equal(parseTrustProxy(undefined), false);
+  assert.equal(parseTrustProxy(' '), false);
+  assert.equal(parseTrustProxy('false'), false);
+  assert.equal(parseTrustProxy('TRUE'), true);
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+});
+
+test('behind a trusted proxy failed logins are counted for the forwarded client IP', async (t) => {
+  const lockouts = lockoutTable();
+  const { tables, handlers } = requestTables();
+  useFakeDb(t, pool, [
+    ...lockouts.handlers,
+    [/^SELECT Id, Email, PasswordHash, .* FROM Users WHERE Email = \?/, () => []],
+    ...handlers
+  ]);
+
+  const res = await fetch(`${server.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '203.0.113.9' },
+    body: JSON.stringify({ email: 'nobody@example.test', password: 'wrong-password' })
+  });
+  assert.equal(res.status, 401);
+  assert.equal(lockouts.rows.get('nobody@example.test').LastIp, '203.0.113.9');
+  assert.equal(tables.rateLimits.get('login:ip|203.0.113.9'), 1);
+});
+
+test('an admin unlock clears the lock and is audited in the same transaction', async (t) => {
+  const lockouts = lockoutTable();
+  const { tables, handlers } = requestTables();
+  const db = useFakeDb(t, pool, [
+    ...lockouts.handlers,
+    [/^SELECT Email FROM Users WHERE Id = \?/, ([id]) => (id === 7 ? [{ Email: 'User@Example.test' }] : [])],
+    ...handlers
+  ]);
+  await failTimes('user@example.test', 5);
+
+  const unlock = (userId, user = ADMIN) => fetch(`${server.url}/api/users/unlock`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: `token=${jwt.sign(user, process.env.JWT_SECRET)}` },
+    body: JSON.stringify({ userId })
+  });
+
+  const res = await unlock(7);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true, userId: 7, cleared: true });
+  assert.equal(lockouts.rows.size, 0);
+  assert.deepEqual(tables.audit.map(a => a.Action), ['user.unlock']);
+  assert.deepEqual(db.transactions, { begun: 1, committed: 1, rolledBack: 0, released: 1 });
+
+  // Nothing left to clear: no audit entry
+  assert.deepEqual(await (await unlock(7)).json(), { ok: true, userId: 7, cleared: false });
+  assert.equal(tables.audit.length, 1);
+
+  assert.equal((await unlock(99)).status, 404);
+  assert.equal((await unlock(7, { id: 3, role: 'User' })).status, 403);
+});
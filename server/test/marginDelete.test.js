@@ -0,0 +1,185 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const marginsRouter = require('../src/routes/margins');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/margins', marginsRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// Margins (CurrencyId null = global) answering the queries of the delete route
+function setup(t, margins, { linkedRates = 0 } = {}) {
+  const tables = { margins: margins.map(m => ({ CurrencyId: null, EndDate: null, ...m })), unlinked: [], audit: [] };
+  const sameScope = (m, currencyId) => (m.CurrencyId ?? null) === (currencyId ?? null);
+
+  const db = useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT Id, MarginValue, .* FROM Margins WHERE Id = \? LIMIT 1 FOR UPDATE/, ([id]) => tables.margins.filter(m => m.Id === id)],
+    [/^SELECT COUNT\(\*\) AS linkedRates FROM CurrencyRates WHERE MarginId = \?/, () => [{ linkedRates }]],
+    [/FROM Margins WHERE Id != \? AND CurrencyId <=> \? AND StartDate < \? ORDER BY StartDate DESC/, ([id, currencyId, start]) =>
+      tables.margins.filter(m => m.Id !== id && sameScope(m, currencyId) && m.StartDate < start)
+        .sort((a, b) => b.StartDate.localeCompare(a.StartDate)).slice(0, 1)],
+    [/FROM Margins WHERE Id != \? AND CurrencyId <=> \? AND StartDate > \? ORDER BY StartDate ASC/, ([id, currencyId, start]) =>
+      tables.margins.filter(m => m.Id !== id && sameScope(m, currencyId) && m.StartDate > start)
+        .sort((a, b) => a.StartDate.localeCompare(b.StartDate)).slice(0, 1)],
+    [/^UPDATE Margins SET StartDate = \?, EndDate = \? WHERE Id = \?/, ([start, end, id]) => {
+      Object.assign(tables.margins.find(m => m.Id === id), { StartDate: start, EndDate: end });
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE CurrencyRates SET MarginId = NULL WHERE MarginId = \?/, ([id]) => {
+      tables.unlinked.push(id);
+      return { affectedRows: linkedRates };
+    }],
+    [/^DELETE FROM Margins WHERE Id = \?/, ([id]) => {
+      tables.margins = tables.margins.filter(m => m.Id !== id);
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE CurrencyRates cr SET cr\.MarginId = \(/, () => ({ affectedRows: linkedRates })],
+    [/^INSERT INTO AuditLog/, ([, , action]) => {
+      tables.audit.push(action);
+      return { affectedRows: 1 };
+    }]
+  ]);
+  return { db, tables };
+}
+
+const remove = (id, query = '') => fetch(`${server.url}/api/margins/${id}${query}`, {
+  method: 'DELETE',
+  headers: { Cookie: `token=${jwt.sign(ADMIN, process.env.JWT_SECRET)}` }
+});
+
+const preview = async (id, query) => {
+  const res = await remove(id, query);
+  assert.equal(res.status, 409);
+  return (await res.json()).conflicts;
+};
+
+test('extend: the previous margin takes over the period between its neighbours', async (t) => {
+  setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01', EndDate: '2024-02-29' },
+    { Id: 3, MarginValue: 3, StartDate: '2024-03-01' }
+  ]);
+
+  const plan = await preview(2, '?policy=extend');
+  assert.equal(plan.policy, 'extend');
+  assert.equal(plan.extended.after.Id, 1);
+  assert.equal(plan.extended.after.EndDate, '2024-02-29');
+});
+
+test('extend: a gap after the deleted margin is not closed by the previous one', async (t) => {
+  setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01', EndDate: '2024-02-15' },
+    { Id: 3, MarginValue: 3, StartDate: '2024-03-01' }
+  ]);
+
+  const plan = await preview(2);
+  assert.equal(plan.extended.after.Id, 1);
+  assert.equal(plan.extended.after.EndDate, '2024-02-15');
+});
+
+test('extend: deleting the open-ended margin makes the previous one open-ended again', async (t) => {
+  setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01' }
+  ]);
+
+  const plan = await preview(2);
+  assert.equal(plan.extended.after.EndDate, null);
+});
+
+test('extend: without an adjacent previous margin the next one starts earlier', async (t) => {
+  setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-20' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01', EndDate: '2024-02-29' },
+    { Id: 3, MarginValue: 3, StartDate: '2024-03-01' }
+  ]);
+
+  const plan = await preview(2);
+  assert.equal(plan.extended.after.Id, 3);
+  assert.equal(plan.extended.after.StartDate, '2024-02-01');
+  assert.equal(plan.extended.after.EndDate, null);
+});
+
+test('extend falls back to a gap without adjacent neighbours of the same scope', async (t) => {
+  setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01', EndDate: '2024-02-29', CurrencyId: 5 },
+    { Id: 3, MarginValue: 3, StartDate: '2024-03-10', CurrencyId: 5 }
+  ]);
+
+  const plan = await preview(2);
+  assert.equal(plan.extended, null);
+  assert.equal(plan.policy, 'gap');
+  assert.equal(plan.fallback, 'global');
+});
+
+test('gap leaves adjacent neighbours untouched', async (t) => {
+  const { db } = setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01' }
+  ]);
+
+  const plan = await preview(2, '?policy=gap');
+  assert.equal(plan.extended, null);
+  assert.equal(plan.fallback, 'none');
+  assert.ok(!db.calls.some(c => c.sql.includes('StartDate <')));
+});
+
+test('preview changes nothing; force applies the extension, deletes and re-links in one transaction', async (t) => {
+  const { db, tables } = setup(t, [
+    { Id: 1, MarginValue: 1, StartDate: '2024-01-01', EndDate: '2024-01-31' },
+    { Id: 2, MarginValue: 2, StartDate: '2024-02-01', EndDate: '2024-02-15' },
+    { Id: 3, MarginValue: 3, StartDate: '2024-03-01' }
+  ], { linkedRates: 11 });
+
+  await preview(2);
+  assert.equal(tables.margins.length, 3);
+  assert.equal(db.transactions.rolledBack, 1);
+
+  const res = await remove(2, '?policy=extend&force=true');
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    success: true,
+    message: 'Margin deleted',
+    policy: 'extend',
+    extendedMarginId: 1,
+    unlinkedRates: 11,
+    relinkedRates: 11
+  });
+  assert.deepEqual(tables.margins.map(m => [m.Id, m.StartDate, m.EndDate]), [
+    [1, '2024-01-01', '2024-02-15'],
+    [3, '2024-03-01', null]
+  ]);
+  assert.deepEqual(tables.unlinked, [2]);
+  assert.deepEqual(tables.audit, ['margin.extend', 'margin.delete']);
+  assert.equal(db.transactions.committed, 1);
+});
+
+test('unknown margins, policies and non-admins are refused', async (t) => {
+  setup(t, []);
+
+  assert.equal((await remove(9)).status, 404);
+  assert.equal((await remove(9, '?policy=shrink')).status, 400);
+
+  const user = await fetch(`${server.url}/api/margins/9`, {
+    method: 'DELETE',
+    headers: { Cookie: `token=${jwt.sign({ id: 3, role: 'User' }, process.env.JWT_SECRET)}` }
+  });
+  assert.equal(user.status, 403);
+});
@@ -0,0 +1,133 @@
+require('./helpers/env');
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const payments = require('../src/routes/payments');
+const ordersRouter = require('../src/routes/orders');
+const { signQuote } = require('../src/utils/quotes');
+const { createStripeGateway, setStripeGateway } = require('../src/utils/stripeGateway');
+const { createFakeStripeGateway } = require('../src/utils/fakeStripeGateway');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { orderTables } = require('./helpers/orderTables');
+const { listen } = require('./helpers/http');
+
+// Checkout -> webhook events -> refund, with the fake gateway in place of Stripe
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), payments.handleStripeWebhook);
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/payments', payments.router);
+  app.use('/api/orders', ordersRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+afterEach(() => setStripeGateway(null));
+
+function setup(t, { refundStatus } = {}) {
+  const { tables, handlers } = orderTables([]);
+  useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    ...handlers
+  ]);
+  const gateway = createFakeStripeGateway({ refundStatus });
+  setStripeGateway(gateway);
+  return { tables, gateway };
+}
+
+const post = (path, body, headers = {}) => fetch(`${server.url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+});
+
+// Start a checkout for a fresh quote; resolves to the Checkout Session id
+async function startCheckout() {
+  const { token } = signQuote({ from: 'USD', to: 'EUR', date: '2024-01-05', amountFrom: 100, amountTo: 92, rate: 0.92 });
+  const res = await post('/api/payments/create-checkout-session', JSON.stringify({ quote: token }));
+  assert.equal(res.status, 200);
+  return (await res.json()).id;
+}
+
+// Sign and deliver an event the way Stripe would
+async function deliver(gateway, type, object) {
+  const payload = JSON.stringify(gateway.createEvent(type, object));
+  const res = await post('/api/payments/webhook', payload, {
+    'Stripe-Signature': gateway.signPayload(payload, process.env.STRIPE_WEBHOOK_SECRET)
+  });
+  assert.equal(res.status, 200);
+}
+
+const refund = (orderId) => post(`/api/orders/${orderId}/refund`, undefined, {
+  Cookie: `token=${jwt.sign(ADMIN, process.env.JWT_SECRET)}`
+});
+
+test('fake webhook signatures follow the Stripe scheme', () => {
+  const gateway = createFakeStripeGateway();
+  const payload = JSON.stringify(gateway.createEvent('checkout.session.expired', { id: 'cs_1' }));
+  const header = gateway.signPayload(payload, 'whsec_1');
+
+  // The real SDK accepts what the fake signs, and the fake rejects what the SDK would
+  assert.equal(createStripeGateway('sk_test_1').constructWebhookEvent(payload, header, 'whsec_1').type, 'checkout.session.expired');
+  assert.equal(gateway.constructWebhookEvent(Buffer.from(payload), header, 'whsec_1').data.object.id, 'cs_1');
+  assert.throws(() => gateway.constructWebhookEvent(payload, header, 'whsec_2'), /No signatures found/);
+  assert.throws(() => gateway.constructWebhookEvent(payload, gateway.signPayload(payload, 'whsec_1', 1), 'whsec_1'), /tolerance/);
+});
+
+test('charge.refunded: a pending refund is finished by the webhook, partial refunds keep the order paid', async (t) => {
+  const { tables, gateway } = setup(t, { refundStatus: 'pending' });
+
+  const sessionId = await startCheckout();
+  const session = gateway.completeSession(sessionId);
+  await deliver(gateway, 'checkout.session.completed', session);
+  assert.equal(tables.orders[0].Status, 'paid');
+  assert.equal(tables.orders[0].StripePaymentIntentId, session.payment_intent);
+
+  const res = await refund(1);
+  assert.equal((await res.json()).refundStatus, 'pending');
+  assert.equal(tables.orders[0].Status, 'paid');
+
+  const charge = { id: 'ch_fake_1', object: 'charge', payment_intent: session.payment_intent, amount: 10000 };
+  await deliver(gateway, 'charge.refunded', { ...charge, amount_refunded: 4000, refunded: false });
+  assert.equal(tables.orders[0].Status, 'paid');
+
+  await deliver(gateway, 'charge.refunded', { ...charge, amount_refunded: 10000, refunded: true });
+  assert.equal(tables.orders[0].Status, 'refunded');
+  assert.deepEqual(tables.events.map(e => e.OrderId), [1, null, 1]);
+});
+
+test('checkout.session.expired: an unpaid session expires its order, a paid one is kept', async (t) => {
+  const { tables, gateway } = setup(t);
+
+  const unpaid = await startCheckout();
+  const paid = await startCheckout();
+  await deliver(gateway, 'checkout.session.completed', gateway.completeSession(paid));
+
+  await deliver(gateway, 'checkout.session.expired', await gateway.expireCheckoutSession(unpaid));
+  await deliver(gateway, 'checkout.session.expired', { ...gateway.sessions.get(paid), status: 'expired' });
+
+  assert.deepEqual(tables.orders.map(o => o.Status), ['expired', 'paid']);
+});
+
+test('payment_intent.payment_failed: fails a completed delayed payment, ignores declines inside Checkout', async (t) => {
+  const { tables, gateway } = setup(t);
+
+  const delayed = await startCheckout();
+  const session = gateway.completeSession(delayed, { paid: false });
+  await deliver(gateway, 'checkout.session.completed', session);
+  assert.equal(tables.orders[0].Status, 'pending');
+
+  // A card declined inside Checkout: the payment intent is not on any order yet
+  await startCheckout();
+  await deliver(gateway, 'payment_intent.payment_failed', { id: 'pi_unknown', object: 'payment_intent', status: 'requires_payment_method' });
+
+  await deliver(gateway, 'payment_intent.payment_failed', { id: session.payment_intent, object: 'payment_intent', status: 'requires_payment_method' });
+  assert.deepEqual(tables.orders.map(o => o.Status), ['failed', 'pending']);
+});
@@ -0,0 +1,116 @@
+require('./helpers/env');
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const ordersRouter = require('../src/routes/orders');
+const { setStripeGateway } = require('../src/utils/stripeGateway');
+const { createFakeStripeGateway } = require('../src/utils/fakeStripeGateway');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { orderTables } = require('./helpers/orderTables');
+const { listen } = require('./helpers/http');
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+const USER = { id: 2, email: 'user@example.test', role: 'User' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/orders', ordersRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+afterEach(() => setStripeGateway(null));
+
+// Orders tables plus the Users lookup done by protect
+function setup(t, orders, { refundStatus } = {}) {
+  const { tables, handlers } = orderTables(orders);
+  const db = useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    ...handlers
+  ]);
+  const gateway = createFakeStripeGateway({ refundStatus });
+  setStripeGateway(gateway);
+  return { tables, db, gateway };
+}
+
+const refund = (orderId, user = ADMIN) => fetch(`${server.url}/api/orders/${orderId}/refund`, {
+  method: 'POST',
+  headers: { Cookie: `token=${jwt.sign(user, process.env.JWT_SECRET)}` }
+});
+
+test('a refund Stripe completes at once marks the order refunded and is audited', async (t) => {
+  const { tables, gateway } = setup(t, [{ Status: 'paid', StripePaymentIntentId: 'pi_test_1' }]);
+
+  const res = await refund(1);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body, { ok: true, orderId: 1, status: 'refunded', refundId: body.refundId, refundStatus: 'succeeded' });
+
+  assert.equal(tables.orders[0].Status, 'refunded');
+  assert.deepEqual([...gateway.refunds.keys()], ['order-1-refund']);
+  assert.equal(gateway.refunds.get('order-1-refund').payment_intent, 'pi_test_1');
+  assert.deepEqual(tables.audit, [{
+    ActorUserId: ADMIN.id,
+    ActorEmail: ADMIN.email,
+    Action: 'order.refund',
+    EntityType: 'Order',
+    EntityId: '1',
+    Before: { Status: 'paid' },
+    After: { Status: 'refunded', RefundId: body.refundId, RefundStatus: 'succeeded' }
+  }]);
+});
+
+test('a pending refund keeps the order paid; repeating the request reuses the same refund', async (t) => {
+  const { tables, gateway } = setup(t, [{ Status: 'paid', StripePaymentIntentId: 'pi_test_1' }], { refundStatus: 'pending' });
+
+  const first = await (await refund(1)).json();
+  assert.equal(first.status, 'paid');
+  assert.equal(first.refundStatus, 'pending');
+  assert.equal(tables.orders[0].Status, 'paid');
+
+  const second = await (await refund(1)).json();
+  assert.equal(second.refundId, first.refundId);
+  assert.equal(gateway.refunds.size, 1);
+  assert.equal(tables.audit.length, 2);
+  assert.ok(tables.audit.every(a => a.After.RefundId === first.refundId && a.After.Status === 'paid'));
+});
+
+test('only paid orders with a payment intent can be refunded', async (t) => {
+  const { tables, gateway } = setup(t, [
+    { Status: 'pending' },
+    { Status: 'refunded', StripePaymentIntentId: 'pi_test_2' },
+    { Status: 'paid' }
+  ]);
+
+  assert.equal((await refund(1)).status, 409);
+  assert.equal((await refund(2)).status, 409);
+  assert.equal((await refund(3)).status, 409);
+  assert.equal((await refund(99)).status, 404);
+  assert.equal(gateway.refunds.size, 0);
+  assert.equal(tables.audit.length, 0);
+});
+
+test('refunds are admin-only', async (t) => {
+  const { tables, gateway } = setup(t, [{ Status: 'paid', StripePaymentIntentId: 'pi_test_1' }]);
+
+  const res = await refund(1, USER);
+  assert.equal(res.status, 403);
+  assert.equal(gateway.refunds.size, 0);
+  assert.equal(tables.orders[0].Status, 'paid');
+});
+
+test('a Stripe error answers 502 and leaves the order untouched', async (t) => {
+  const { tables, gateway } = setup(t, [{ Status: 'paid', StripePaymentIntentId: 'pi_test_1' }]);
+  gateway.refundPayment = async () => { throw new Error('Charge ch_1 has already been refunded.'); };
+
+  const res = await refund(1);
+  assert.equal(res.status, 502);
+  assert.deepEqual(await res.json(), { error: 'Stripe: Charge ch_1 has already been refunded.' });
+  assert.equal(tables.orders[0].Status, 'paid');
+  assert.equal(tables.audit.length, 0);
+});
@@ -0,0 +1,96 @@
+require('./helpers/env');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Emails are replaced before rateAlerts.js picks up the mailer
+const mailer = require('../src/utils/mailtrapMailer');
+const sent = [];
+mock.method(mailer, 'sendRateAlertEmail', async (message) => { sent.push(message); });
+
+const pool = require('../src/db/pool');
+const { evaluateRateAlerts } = require('../src/ingestion/rateAlerts');
+const { useFakeDb } = require('./helpers/fakeDb');
+
+// EUR -> USD 'above 1.10' alert over CurrencyRates / RateAlerts / RateAlertTriggers in memory
+function alertTables(usdRates) {
+  const tables = {
+    rates: Object.entries(usdRates).map(([date, rate]) => ({ DateKey: date, ToCurrencyId: 1, ExchangeRate: String(rate) })),
+    alerts: [{
+      Id: 1, UserId: 5, UserEmail: 'user@example.test', FromCode: 'EUR', ToCode: 'USD', Side: 'origin',
+      Kind: 'above', Threshold: '1.10', WindowDays: null, IsActive: 1, LastTriggeredDate: null
+    }],
+    triggers: []
+  };
+  const dates = () => tables.rates.map(r => r.DateKey).sort();
+
+  const handlers = [
+    [/^SELECT DATE_FORMAT\(MAX\(Date\), '%Y-%m-%d'\) AS RateDate FROM CurrencyRates/, () => [{ RateDate: dates().pop() || null }]],
+    [/^SELECT DISTINCT DATE_FORMAT\(Date, '%Y-%m-%d'\) AS RateDate FROM CurrencyRates WHERE Date >= \? AND Date <= \?/, ([from, to]) =>
+      [...new Set(dates())].filter(d => d >= from && d <= to).map(d => ({ RateDate: d }))],
+    [/^SELECT a\.\*, u\.Email AS UserEmail FROM RateAlerts a/, ([rateDate]) =>
+      tables.alerts.filter(a => a.IsActive && (!a.LastTriggeredDate || a.LastTriggeredDate < rateDate))],
+    [/^SELECT Id, CurrencyCode FROM Currencies/, () => [{ Id: 1, CurrencyCode: 'USD' }]],
+    [/FROM CurrencyRates cr LEFT JOIN Margins m .* cr\.Date >= \? AND cr\.Date <= \?/, ([id, from, to]) =>
+      tables.rates.filter(r => r.ToCurrencyId === id && r.DateKey >= from && r.DateKey <= to).sort((a, b) => a.DateKey.localeCompare(b.DateKey))],
+    [/FROM CurrencyRates cr LEFT JOIN Margins m .* cr\.Date < \?/, ([id, before]) =>
+      tables.rates.filter(r => r.ToCurrencyId === id && r.DateKey < before).sort((a, b) => b.DateKey.localeCompare(a.DateKey)).slice(0, 1)],
+    [/^INSERT INTO RateAlertTriggers/, ([alertId, , , , , rateDate, value]) => {
+      tables.triggers.push({ Id: tables.triggers.length + 1, AlertId: alertId, RateDate: rateDate, Value: value, EmailSent: 0 });
+      return { insertId: tables.triggers.length };
+    }],
+    [/^UPDATE RateAlerts SET LastTriggeredDate = \? WHERE Id = \?/, ([rateDate, id]) => {
+      tables.alerts.find(a => a.Id === id).LastTriggeredDate = rateDate;
+      return { affectedRows: 1 };
+    }],
+    [/^UPDATE RateAlertTriggers SET EmailSent = 1 WHERE Id = \?/, ([id]) => {
+      tables.triggers.find(tr => tr.Id === id).EmailSent = 1;
+      return { affectedRows: 1 };
+    }]
+  ];
+  return { tables, handlers };
+}
+
+const RATES = {
+  '2024-01-08': 1.09,
+  '2024-01-09': 1.11, // crosses above 1.10
+  '2024-01-10': 1.105, // still above: no new alert
+  '2024-01-11': 1.09,
+  '2024-01-12': 1.12 // crosses again
+};
+
+test('a multi-day backfill fires each crossing on its own date', async (t) => {
+  const { tables, handlers } = alertTables(RATES);
+  useFakeDb(t, pool, handlers);
+  sent.length = 0;
+
+  const result = await evaluateRateAlerts({ dateFrom: '2024-01-09', dateTo: '2024-01-12' });
+
+  assert.deepEqual(result.rateDates, ['2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12']);
+  assert.equal(result.rateDate, '2024-01-12');
+  assert.equal(result.triggered, 2);
+  assert.deepEqual(tables.triggers.map(tr => [tr.RateDate, tr.Value, tr.EmailSent]), [['2024-01-09', 1.11, 1], ['2024-01-12', 1.12, 1]]);
+  assert.equal(tables.alerts[0].LastTriggeredDate, '2024-01-12');
+  assert.deepEqual(sent.map(m => m.trigger.rateDate), ['2024-01-09', '2024-01-12']);
+});
+
+test('without a range only the latest date is checked, and a date fires once', async (t) => {
+  const { tables, handlers } = alertTables(RATES);
+  useFakeDb(t, pool, handlers);
+
+  const first = await evaluateRateAlerts();
+  assert.deepEqual(first.rateDates, ['2024-01-12']);
+  assert.equal(first.triggered, 1);
+
+  const again = await evaluateRateAlerts({ dateFrom: '2024-01-09', dateTo: '2024-01-12' });
+  assert.equal(again.triggered, 0);
+  assert.equal(tables.triggers.length, 1);
+});
+
+test('dates long before the latest stored rate never send alerts', async (t) => {
+  const { tables, handlers } = alertTables({ ...RATES, '2024-02-01': 1.09 });
+  useFakeDb(t, pool, handlers);
+
+  const result = await evaluateRateAlerts({ dateFrom: '2024-01-09', dateTo: '2024-01-12' });
+  assert.deepEqual(result.rateDates, []);
+  assert.equal(tables.triggers.length, 0);
+});
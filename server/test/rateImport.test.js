@@ -0,0 +1,118 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const XLSX = require('xlsx');
+const pool = require('../src/db/pool');
+const ratesRouter = require('../src/routes/rates');
+const { SPREADSHEET_TYPES, parseImportFile } = require('../src/ingestion/rateImport');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+const XLSX_TYPE = SPREADSHEET_TYPES[0];
+
+// Workbook bytes of one sheet, as a spreadsheet application saves it
+const workbook = (matrix) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(matrix), 'Rates');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+};
+
+let server;
+before(async () => {
+  const app = express();
+  // Same body parsers as src/index.js
+  app.use('/api/rates/import', express.text({ type: 'text/csv', limit: '10mb' }), express.raw({ type: SPREADSHEET_TYPES, limit: '10mb' }));
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/rates', ratesRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// USD and GBP with one stored USD rate
+function setup(t) {
+  return useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT Id, CurrencyCode FROM Currencies/, () => [{ Id: 1, CurrencyCode: 'USD' }, { Id: 2, CurrencyCode: 'GBP' }]],
+    [/FROM CurrencyRates WHERE ToCurrencyId IN \(\?\)/, () => [{ Id: 10, ToCurrencyId: 1, DateKey: '2024-01-02', ExchangeRate: '1.0956' }]]
+  ]);
+}
+
+const upload = (body, contentType) => fetch(`${server.url}/api/rates/import`, {
+  method: 'POST',
+  headers: { 'Content-Type': contentType, Cookie: `token=${jwt.sign(ADMIN, process.env.JWT_SECRET)}` },
+  body
+});
+
+test('CSV: header aliases, DD.MM.YYYY dates, decimal commas and blank lines', () => {
+  const csv = 'Currency,Date,Rate\n' +
+    'usd,2024-01-02,1.0956\n' +
+    '\n' +
+    'GBP,03.01.2024,"0,8621"\n';
+
+  assert.deepEqual(parseImportFile(csv), {
+    rows: [
+      { line: 2, currencyCode: 'USD', date: '2024-01-02', exchangeRate: 1.0956 },
+      { line: 4, currencyCode: 'GBP', date: '2024-01-03', exchangeRate: 0.8621 }
+    ],
+    missingColumns: []
+  });
+});
+
+test('XLSX: Excel date serials and numeric cells', () => {
+  const bytes = workbook([
+    ['Date', 'CurrencyCode', 'ExchangeRate', 'Note'],
+    [45293, 'USD', 1.0956, 'ignored'], // 2024-01-02
+    ['2024-01-03', 'GBP', '0.8621', '']
+  ]);
+
+  assert.deepEqual(parseImportFile(bytes).rows, [
+    { line: 2, date: '2024-01-02', currencyCode: 'USD', exchangeRate: 1.0956 },
+    { line: 3, date: '2024-01-03', currencyCode: 'GBP', exchangeRate: 0.8621 }
+  ]);
+});
+
+test('missing columns are reported by name', () => {
+  assert.deepEqual(parseImportFile('Date,Value\n2024-01-02,1.1\n').missingColumns, ['CurrencyCode', 'ExchangeRate']);
+});
+
+test('POST /import: a CSV upload is planned as a dry run by default', async (t) => {
+  const db = setup(t);
+
+  const res = await upload('Date,CurrencyCode,ExchangeRate\n2024-01-02,USD,1.1\n2024-01-03,GBP,0.86\n2024-01-03,EUR,1\n', 'text/csv');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.dryRun, true);
+  assert.equal(body.valid, false);
+  assert.deepEqual(body.summary, { inserts: 1, updates: 1, unchanged: 0, errors: 1 });
+  assert.deepEqual(body.updates, [{ line: 2, date: '2024-01-02', currencyCode: 'USD', exchangeRate: 1.1, oldExchangeRate: 1.0956 }]);
+  assert.equal(body.errors[0].line, 4);
+  assert.equal(db.transactions.begun, 0);
+});
+
+test('POST /import: an XLSX upload goes through the same plan', async (t) => {
+  setup(t);
+
+  const res = await upload(workbook([['Date', 'CurrencyCode', 'ExchangeRate'], ['2024-01-03', 'GBP', 0.86]]), XLSX_TYPE);
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).summary, { inserts: 1, updates: 0, unchanged: 0, errors: 0 });
+});
+
+test('POST /import: unreadable or unsupported bodies are refused', async (t) => {
+  setup(t);
+
+  const json = await upload(JSON.stringify({ rows: [] }), 'application/json');
+  assert.equal(json.status, 415);
+
+  const columns = await upload('When,What\n', 'text/csv');
+  assert.equal(columns.status, 400);
+  assert.deepEqual((await columns.json()).missingColumns, ['Date', 'CurrencyCode', 'ExchangeRate']);
+
+  const empty = await (await upload('Date,CurrencyCode,ExchangeRate\n', 'text/csv')).json();
+  assert.equal(empty.valid, false);
+  assert.deepEqual(empty.errors, [{ line: null, error: 'No rows to import' }]);
+});
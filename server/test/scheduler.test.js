@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startIngestionScheduler, stopIngestionScheduler, getSchedulerState, msUntilNext } = require('../src/ingestion/scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test.afterEach(() => stopIngestionScheduler());
+
+test('msUntilNext points to today when the time is still ahead, else to tomorrow', () => {
+  const now = new Date(2024, 0, 10, 15, 30);
+  assert.equal(msUntilNext({ hours: 16, minutes: 30 }, now), HOUR_MS);
+  assert.equal(msUntilNext({ hours: 15, minutes: 30 }, now), 24 * HOUR_MS);
+  assert.equal(msUntilNext({ hours: 14, minutes: 30 }, now), 23 * HOUR_MS);
+});
+
+test('an invalid or empty time leaves the scheduler off', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(startIngestionScheduler({ time: '25:00', run: async () => {} }), false);
+  assert.equal(startIngestionScheduler({ time: '', run: async () => {} }), false);
+  assert.equal(getSchedulerState().enabled, false);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('runs daily at the configured time and keeps going after a failed run', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2024, 0, 10, 15, 0) });
+
+  const runs = [];
+  const run = async (args) => {
+    runs.push({ ...args, at: new Date() });
+    if (runs.length === 1) throw new Error('ECB unreachable');
+  };
+
+  assert.equal(startIngestionScheduler({ time: '16:30', run, now: () => new Date() }), true);
+  assert.equal(getSchedulerState().scheduleTime, '16:30');
+  assert.deepEqual(getSchedulerState().nextRunAt, new Date(2024, 0, 10, 16, 30));
+
+  t.mock.timers.tick(HOUR_MS + 30 * 60 * 1000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].trigger, 'schedule');
+  assert.ok(console.error.mock.calls.some(c => c.arguments[0] === 'Scheduled ingestion failed'));
+  assert.deepEqual(getSchedulerState().nextRunAt, new Date(2024, 0, 11, 16, 30));
+
+  t.mock.timers.tick(24 * HOUR_MS);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(runs.map(r => r.at), [new Date(2024, 0, 10, 16, 30), new Date(2024, 0, 11, 16, 30)]);
+});
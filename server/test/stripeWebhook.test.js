@@ -0,0 +1,136 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const express = require('express');
+const Stripe = require('stripe');
+const pool = require('../src/db/pool');
+const { handleStripeWebhook } = require('../src/routes/payments');
+const { ORDER_STATUSES } = require('../src/db/orders');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { orderTables } = require('./helpers/orderTables');
+const { listen } = require('./helpers/http');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const fixture = (type) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${type}.json`), 'utf8'));
+
+let server;
+before(async () => {
+  const app = express();
+  app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// Deliver an event the way Stripe does: raw JSON body signed with the endpoint secret
+async function deliver(event, { secret = process.env.STRIPE_WEBHOOK_SECRET, body } = {}) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const res = await fetch(`${server.url}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: body === undefined ? payload : body
+  });
+  const text = await res.text();
+  return { status: res.status, text, json: () => JSON.parse(text) };
+}
+
+// Status each event moves an order to, and the statuses it may move it from (see db/orders.js)
+const EVENT_TARGETS = {
+  'checkout.session.completed': { status: 'paid', from: ['pending'] },
+  'checkout.session.async_payment_succeeded': { status: 'paid', from: ['pending'] },
+  'checkout.session.async_payment_failed': { status: 'failed', from: ['pending'] },
+  'payment_intent.payment_failed': { status: 'failed', from: ['pending'] },
+  'checkout.session.expired': { status: 'expired', from: ['pending'] },
+  'charge.refunded': { status: 'refunded', from: ['paid'] }
+};
+
+test('an event signed with another secret gets 400 and changes nothing', async (t) => {
+  const { tables, handlers } = orderTables([{ Status: 'pending' }]);
+  const db = useFakeDb(t, pool, handlers);
+
+  const res = await deliver(fixture('checkout.session.completed'), { secret: 'whsec_someone_else' });
+
+  assert.equal(res.status, 400);
+  assert.match(res.text, /^Webhook Error:/);
+  assert.equal(db.calls.length, 0);
+  assert.equal(tables.orders[0].Status, 'pending');
+});
+
+test('a body changed after signing gets 400', async (t) => {
+  const { tables, handlers } = orderTables([{ Status: 'pending' }]);
+  useFakeDb(t, pool, handlers);
+  const event = fixture('checkout.session.completed');
+
+  const tampered = JSON.stringify({ ...event, data: { object: { ...event.data.object, id: 'cs_test_other' } } });
+  const res = await deliver(event, { body: tampered });
+
+  assert.equal(res.status, 400);
+  assert.equal(tables.events.length, 0);
+});
+
+test('a redelivered event id is acknowledged and skipped', async (t) => {
+  const { tables, handlers } = orderTables([{ Status: 'pending' }]);
+  const db = useFakeDb(t, pool, handlers);
+  const event = fixture('checkout.session.completed');
+
+  const first = await deliver(event);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.json(), { received: true });
+  assert.equal(tables.orders[0].Status, 'paid');
+  assert.deepEqual(tables.events, [{ EventId: event.id, Type: event.type, OrderId: 1 }]);
+
+  // Put the order back: if the redelivery were applied again, it would be paid a second time
+  tables.orders[0].Status = 'pending';
+  const second = await deliver(event);
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.json(), { received: true, duplicate: true });
+  assert.equal(tables.orders[0].Status, 'pending');
+  assert.equal(tables.events.length, 1);
+  assert.equal(db.transactions.committed, 1);
+  assert.equal(db.transactions.rolledBack, 1);
+});
+
+test('order status transitions', async (t) => {
+  for (const [type, target] of Object.entries(EVENT_TARGETS)) {
+    for (const start of ORDER_STATUSES) {
+      const allowed = target.from.includes(start);
+
+      await t.test(`${type}: ${start} -> ${allowed ? target.status : start}`, async (t) => {
+        const { tables, handlers } = orderTables([{ Status: start, StripePaymentIntentId: 'pi_test_1' }]);
+        useFakeDb(t, pool, handlers);
+
+        const res = await deliver(fixture(type));
+
+        assert.equal(res.status, 200);
+        assert.equal(tables.orders[0].Status, allowed ? target.status : start);
+        assert.equal(tables.events[0].OrderId, 1);
+      });
+    }
+  }
+});
+
+test('a completed session still awaiting a delayed payment stays pending and keeps its payment intent', async (t) => {
+  const { tables, handlers } = orderTables([{ Status: 'pending' }]);
+  useFakeDb(t, pool, handlers);
+  const event = fixture('checkout.session.completed');
+  event.data.object.payment_status = 'unpaid';
+
+  const res = await deliver(event);
+
+  assert.equal(res.status, 200);
+  assert.equal(tables.orders[0].Status, 'pending');
+  assert.equal(tables.orders[0].StripePaymentIntentId, 'pi_test_1');
+});
+
+test('events for unknown orders are acknowledged', async (t) => {
+  const { tables, handlers } = orderTables([]);
+  useFakeDb(t, pool, handlers);
+
+  const res = await deliver(fixture('checkout.session.expired'));
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(tables.events, [{ EventId: 'evt_test_checkout_session_expired', Type: 'checkout.session.expired', OrderId: null }]);
+});
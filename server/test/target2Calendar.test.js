@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { easterSunday, target2Holidays, isTarget2BusinessDay, listBusinessDays } = require('../src/ingestion/target2Calendar');
+
+const key = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+test('Easter Sunday for known years, including the earliest and latest possible dates', () => {
+  const expected = {
+    1818: '1818-03-22',
+    2000: '2000-04-23',
+    2019: '2019-04-21',
+    2024: '2024-03-31',
+    2025: '2025-04-20',
+    2026: '2026-04-05',
+    2038: '2038-04-25'
+  };
+  for (const [year, date] of Object.entries(expected)) {
+    assert.equal(key(easterSunday(Number(year))), date, year);
+  }
+});
+
+test('TARGET2 holidays: New Year, Good Friday, Easter Monday, 1 May and Christmas', () => {
+  assert.deepEqual([...target2Holidays(2024)].sort(), [
+    '2024-01-01', '2024-03-29', '2024-04-01', '2024-05-01', '2024-12-25', '2024-12-26'
+  ]);
+  // Good Friday and Easter Monday move into April
+  assert.ok(target2Holidays(2025).has('2025-04-18'));
+  assert.ok(target2Holidays(2025).has('2025-04-21'));
+});
+
+test('weekends and holidays are not business days', () => {
+  assert.equal(isTarget2BusinessDay('2024-01-05'), true); // Friday
+  assert.equal(isTarget2BusinessDay('2024-01-06'), false); // Saturday
+  assert.equal(isTarget2BusinessDay('2024-01-07'), false); // Sunday
+  assert.equal(isTarget2BusinessDay('2024-03-29'), false); // Good Friday
+  assert.equal(isTarget2BusinessDay('2024-12-24'), true); // Christmas Eve is open
+  assert.equal(isTarget2BusinessDay('2024-12-26'), false);
+});
+
+test('listBusinessDays skips the Easter weekend and is inclusive at both ends', () => {
+  assert.deepEqual(listBusinessDays('2024-03-27', '2024-04-03'), ['2024-03-27', '2024-03-28', '2024-04-02', '2024-04-03']);
+  assert.deepEqual(listBusinessDays('2024-12-23', '2025-01-02'), [
+    '2024-12-23', '2024-12-24', '2024-12-27', '2024-12-30', '2024-12-31', '2025-01-02'
+  ]);
+  assert.deepEqual(listBusinessDays('2024-01-06', '2024-01-07'), []);
+  assert.deepEqual(listBusinessDays('2024-01-09', '2024-01-08'), []);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, timeStep, totpAt, verifyTotp, otpauthUrl } = require('../src/utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed '12345678901234567890'; 6-digit codes are the last 6 of the 8 listed
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('base32 round-trips the RFC seed and is lenient about case, spaces and padding', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString('ascii'), '12345678901234567890');
+  assert.throws(() => base32Decode('GEZD1'), /Invalid base32/);
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totpAt(RFC_SECRET, timeStep(seconds * 1000)), code.slice(-6), `T = ${seconds}`);
+  }
+});
+
+test('verifyTotp accepts one step of drift and returns the matching step', () => {
+  const now = 1111111111 * 1000;
+  const step = timeStep(now);
+
+  assert.equal(verifyTotp(RFC_SECRET, '050471', { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '050 471', { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, '05047', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+});
+
+test('verifyTotp refuses steps up to afterStep', () => {
+  const now = 1111111111 * 1000;
+  const step = timeStep(now);
+
+  assert.equal(verifyTotp(RFC_SECRET, '050471', { now, afterStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 1), { now, afterStep: step - 1 }), null);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step + 1), { now, afterStep: step }), step + 1);
+});
+
+test('otpauthUrl follows the Key Uri Format', () => {
+  const url = new URL(otpauthUrl({ secret: RFC_SECRET, account: 'user@example.test', issuer: 'Rates' }));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/Rates:user@example.test');
+  assert.deepEqual(Object.fromEntries(url.searchParams), {
+    secret: RFC_SECRET, issuer: 'Rates', algorithm: 'SHA1', digits: '6', period: '30'
+  });
+});
@@ -0,0 +1,181 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const authRouter = require('../src/routes/auth');
+const twoFactorRouter = require('../src/routes/twoFactor');
+const usersRouter = require('../src/routes/users');
+const { timeStep, totpAt } = require('../src/utils/totp');
+const { signLoginChallenge, verifyLoginChallenge, verifySecondFactor } = require('../src/utils/twoFactor');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { twoFactorTables } = require('./helpers/twoFactorTables');
+const { listen } = require('./helpers/http');
+
+const USER = { id: 3, email: 'user@example.test', role: 'User' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/auth/2fa', twoFactorRouter);
+  app.use('/api/auth', authRouter);
+  app.use('/api/users', usersRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+function setup(t) {
+  const { tables, handlers } = twoFactorTables([{ Id: USER.id, Email: USER.email, FirstName: 'Test', LastName: 'User', Role: USER.role }]);
+  useFakeDb(t, pool, handlers);
+  return tables;
+}
+
+const post = (path, body, user = USER) => fetch(`${server.url}${path}`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(user ? { Cookie: `token=${jwt.sign(user, process.env.JWT_SECRET)}` } : {})
+  },
+  body: JSON.stringify(body || {})
+});
+
+// Setup + enable from Profile; resolves to { secret, recoveryCodes }
+async function enrol() {
+  const { secret } = await (await post('/api/auth/2fa/setup')).json();
+  const res = await post('/api/auth/2fa/enable', { code: totpAt(secret, timeStep()) });
+  assert.equal(res.status, 200);
+  return { secret, recoveryCodes: (await res.json()).recoveryCodes };
+}
+
+test('login challenges carry their stage and are signed apart from session tokens', (t) => {
+  const challenge = signLoginChallenge(USER.id, 'setup');
+  assert.deepEqual({ ...verifyLoginChallenge(challenge), iat: 0, exp: 0 }, { id: USER.id, stage: 'setup', purpose: 'login-2fa', iat: 0, exp: 0 });
+
+  // A session cookie never passes as a challenge, even with the right claims
+  assert.equal(verifyLoginChallenge(jwt.sign({ id: USER.id, stage: 'verify', purpose: 'login-2fa' }, process.env.JWT_SECRET)), null);
+
+  const [header, payload, signature] = challenge.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), stage: 'verify' })).toString('base64url');
+  assert.equal(verifyLoginChallenge(`${header}.${forged}.${signature}`), null);
+  assert.equal(verifyLoginChallenge(''), null);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const expiring = signLoginChallenge(USER.id, 'verify');
+  t.mock.timers.tick(5 * 60 * 1000 + 1000);
+  assert.equal(verifyLoginChallenge(expiring), null);
+});
+
+test('each login step only accepts a challenge of its own stage', async (t) => {
+  const tables = setup(t);
+  const verify = signLoginChallenge(USER.id, 'verify');
+  const setupStage = signLoginChallenge(USER.id, 'setup');
+
+  assert.equal((await post('/api/auth/login/2fa', { challenge: setupStage, code: '123456' }, null)).status, 401);
+  assert.equal((await post('/api/auth/login/2fa/setup', { challenge: verify }, null)).status, 401);
+  assert.equal((await post('/api/auth/login/2fa/enable', { challenge: verify, code: '123456' }, null)).status, 401);
+  assert.equal(tables.factors.size, 0);
+
+  const res = await post('/api/auth/login/2fa/setup', { challenge: setupStage }, null);
+  assert.equal(res.status, 200);
+  assert.ok((await res.json()).secret);
+  assert.ok(tables.factors.get(USER.id).PendingSecret);
+  assert.equal(tables.factors.get(USER.id).EnabledAt, null);
+});
+
+test('an enabled factor is not replaced by setup / enable', async (t) => {
+  const tables = setup(t);
+  const { secret } = await enrol();
+  const before = { ...tables.factors.get(USER.id) };
+  const codes = tables.recoveryCodes.map(r => r.CodeHash);
+
+  const challenge = signLoginChallenge(USER.id, 'setup');
+  const code = totpAt(secret, timeStep() + 1);
+
+  assert.equal((await post('/api/auth/2fa/setup')).status, 409);
+  assert.equal((await post('/api/auth/2fa/enable', { code })).status, 409);
+  assert.equal((await post('/api/auth/login/2fa/setup', { challenge }, null)).status, 409);
+  assert.equal((await post('/api/auth/login/2fa/enable', { challenge, code }, null)).status, 409);
+
+  assert.deepEqual(tables.factors.get(USER.id), before);
+  assert.deepEqual(tables.recoveryCodes.map(r => r.CodeHash), codes);
+  assert.deepEqual(tables.audit.map(a => a.Action), ['user.2fa.enable']);
+});
+
+test('setup is rate limited per user', async (t) => {
+  setup(t);
+  for (let i = 0; i < 20; i++) assert.equal((await post('/api/auth/2fa/setup')).status, 200);
+
+  const res = await post('/api/auth/2fa/setup');
+  assert.equal(res.status, 429);
+  assert.ok(res.headers.get('retry-after'));
+});
+
+test('a TOTP code is accepted once, and nothing from an earlier step after it', async (t) => {
+  const tables = setup(t);
+  const { secret } = await enrol();
+  const now = Date.now() + 30 * 1000;
+  const step = timeStep(now);
+  const code = totpAt(secret, step);
+
+  assert.equal(await verifySecondFactor(pool, USER.id, { code }, now), 'totp');
+  assert.equal(await verifySecondFactor(pool, USER.id, { code }, now), null);
+  assert.equal(await verifySecondFactor(pool, USER.id, { code: totpAt(secret, step - 1) }, now), null);
+  assert.equal(tables.factors.get(USER.id).LastUsedStep, step);
+
+  // Concurrent requests with the next code: the conditional UPDATE lets exactly one through
+  const next = totpAt(secret, step + 1);
+  const results = await Promise.all([1, 2, 3].map(() => verifySecondFactor(pool, USER.id, { code: next }, now)));
+  assert.deepEqual(results.sort(), ['totp', null, null].sort());
+});
+
+test('the code confirming the enrolment cannot be replayed', async (t) => {
+  setup(t);
+  const now = Date.now();
+  const { secret } = await (await post('/api/auth/2fa/setup')).json();
+  const code = totpAt(secret, timeStep(now));
+
+  assert.equal((await post('/api/auth/2fa/enable', { code })).status, 200);
+  assert.equal(await verifySecondFactor(pool, USER.id, { code }, now), null);
+});
+
+test('each recovery code works once, typed in any case and without the dash', async (t) => {
+  const tables = setup(t);
+  const { secret, recoveryCodes } = await enrol();
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(new Set(recoveryCodes).size, 10);
+
+  const [first, second] = recoveryCodes;
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: first }), 'recovery');
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: first }), null);
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: second.replace('-', '').toLowerCase() }), 'recovery');
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: 'AAAA-AAAA' }), null);
+  assert.equal(tables.recoveryCodes.filter(r => !r.UsedAt).length, 8);
+
+  // A new set replaces the unused codes of the old one
+  const res = await post('/api/auth/2fa/recovery-codes', { code: totpAt(secret, timeStep() + 1) });
+  const renewed = (await res.json()).recoveryCodes;
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: recoveryCodes[2] }), null);
+  assert.equal(await verifySecondFactor(pool, USER.id, { recoveryCode: renewed[0] }), 'recovery');
+});
+
+test('an admin reset removes the factor and its recovery codes together with the audit entry', async (t) => {
+  const { tables, handlers } = twoFactorTables([{ Id: USER.id, Email: USER.email, FirstName: 'Test', LastName: 'User', Role: USER.role }]);
+  const db = useFakeDb(t, pool, [
+    [/^SELECT Email FROM Users WHERE Id = \?/, ([id]) => tables.users.filter(u => u.Id === id).map(u => ({ Email: u.Email }))],
+    ...handlers
+  ]);
+  await enrol();
+
+  const res = await post('/api/users/reset-2fa', { userId: USER.id }, { id: 1, email: 'admin@example.test', role: 'Admin' });
+  assert.equal(res.status, 200);
+  assert.equal(tables.factors.size, 0);
+  assert.equal(tables.recoveryCodes.length, 0);
+  assert.deepEqual(tables.audit.map(a => a.Action), ['user.2fa.enable', 'user.2fa.reset']);
+  assert.deepEqual(db.transactions, { begun: 2, committed: 2, rolledBack: 0, released: 2 }); // enable, then the reset
+
+  assert.equal((await post('/api/users/reset-2fa', { userId: USER.id })).status, 403);
+});
@@ -0,0 +1,94 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const payments = require('../src/routes/payments');
+const v1Router = require('../src/routes/v1');
+const { openapiDocument } = require('../src/openapi');
+const { validateRequest } = require('../src/middleware/validateRequest');
+const { generateApiKey } = require('../src/db/apiKeys');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+// Anonymous callers of secured operations get 401 before any 400 that would describe the input
+
+const ADMIN = { id: 1, email: 'admin@example.test', role: 'Admin' };
+
+let server;
+let apiKey;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(validateRequest(openapiDocument));
+  app.use('/api/payments', payments.router);
+  app.use('/api/v1', v1Router);
+  server = await listen(app);
+  apiKey = await generateApiKey();
+});
+after(() => server.close());
+
+function setup(t) {
+  return useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/FROM ApiKeys k JOIN Users u/, ([prefix]) => (prefix === apiKey.prefix ? [{
+      Id: 7, UserId: ADMIN.id, Name: 'test', KeyPrefix: apiKey.prefix, KeyHash: apiKey.hash,
+      Scopes: 'convert', QuotaPerDay: 100, UserEmail: ADMIN.email, UserRole: ADMIN.role
+    }] : [])],
+    [/^UPDATE ApiKeys SET UsageCount/, () => ({ affectedRows: 1 })],
+    [/^SELECT UsageCount FROM ApiKeys WHERE Id = \?/, () => [{ UsageCount: 1 }]]
+  ]);
+}
+
+const INVALID_VOLUME = '/api/payments/volume?from=usd1&dateFrom=yesterday';
+const adminCookie = () => `token=${jwt.sign(ADMIN, process.env.JWT_SECRET)}`;
+
+test('a secured operation with invalid input answers 401 without credentials', async (t) => {
+  setup(t);
+
+  const anonymous = await fetch(`${server.url}${INVALID_VOLUME}`);
+  assert.equal(anonymous.status, 401);
+  assert.equal((await anonymous.json()).details, undefined);
+
+  const badToken = await fetch(`${server.url}${INVALID_VOLUME}`, { headers: { Cookie: 'token=not-a-jwt' } });
+  assert.equal(badToken.status, 401);
+  assert.equal((await badToken.json()).details, undefined);
+});
+
+test('the same request is validated once the caller is authenticated', async (t) => {
+  setup(t);
+
+  const res = await fetch(`${server.url}${INVALID_VOLUME}`, { headers: { Cookie: adminCookie() } });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.ok(body.details.some(d => d.in === 'query' && d.path === 'to'));
+  assert.ok(body.details.some(d => d.in === 'query' && d.path === 'dateFrom'));
+});
+
+test('API key operations: 401 without a key or with an unknown one, 400 with a valid key', async (t) => {
+  setup(t);
+  const path = `${server.url}/api/v1/convert?from=USD&amount=-1`;
+
+  assert.equal((await fetch(path)).status, 401);
+  assert.equal((await fetch(path, { headers: { 'X-API-Key': 'crf_00000000.secret' } })).status, 401);
+
+  const res = await fetch(path, { headers: { Authorization: `Bearer ${apiKey.key}` } });
+  assert.equal(res.status, 400);
+  assert.ok((await res.json()).details.some(d => d.path === 'to'));
+});
+
+test('public operations are still validated before the route', async (t) => {
+  const db = setup(t);
+
+  const res = await fetch(`${server.url}/api/payments/quote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fromCode: 'USD' })
+  });
+  assert.equal(res.status, 400);
+  assert.ok((await res.json()).details.some(d => d.in === 'body'));
+  assert.equal(db.calls.length, 0);
+});
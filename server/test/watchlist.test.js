@@ -0,0 +1,172 @@
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const pool = require('../src/db/pool');
+const watchlistRouter = require('../src/routes/watchlist');
+const { useFakeDb } = require('./helpers/fakeDb');
+const { listen } = require('./helpers/http');
+
+const USER = { id: 3, email: 'user@example.test', role: 'User' };
+const OTHER = { id: 4, email: 'other@example.test', role: 'User' };
+
+let server;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/watchlist', watchlistRouter);
+  server = await listen(app);
+});
+after(() => server.close());
+
+// Currencies, CurrencyRates ({ code, date, rate }, no margins) and Watchlists in memory
+function setup(t, rates = []) {
+  const currencies = [{ Id: 1, CurrencyCode: 'USD' }, { Id: 2, CurrencyCode: 'GBP' }];
+  const codeById = new Map(currencies.map(c => [c.Id, c.CurrencyCode]));
+  const ratesOf = (id) => rates.filter(r => r.code === codeById.get(id)).sort((a, b) => a.date.localeCompare(b.date));
+  const rateRow = (r) => ({ DateKey: r.date, ExchangeRate: String(r.rate), MarginValue: null });
+  const tables = { watchlists: [], nextId: 1 };
+  const pairRow = (w) => ({ Id: w.Id, FromCode: w.FromCode, ToCode: w.ToCode, Position: w.Position, CreatedAt: w.CreatedAt });
+
+  const db = useFakeDb(t, pool, [
+    [/^SELECT Id, Role, IsDeleted\+0 as IsDeleted FROM Users WHERE Id = \?/, ([id]) => [{ Id: id, IsDeleted: 0 }]],
+    [/^SELECT CurrencyCode FROM Currencies WHERE CurrencyCode IN \(\?\)/, ([codes]) =>
+      currencies.filter(c => codes.includes(c.CurrencyCode)).map(c => ({ CurrencyCode: c.CurrencyCode }))],
+    [/^SELECT Id, CurrencyCode FROM Currencies$/, () => currencies],
+    [/^SELECT DATE_FORMAT\(MAX\(Date\), '%Y-%m-%d'\) AS RateDate/, () => {
+      const dates = [...new Set(rates.map(r => r.date))].sort();
+      return [{ RateDate: dates[dates.length - 1] || null, PreviousDate: dates[dates.length - 2] || null }];
+    }],
+    [/WHERE cr\.ToCurrencyId = \? AND cr\.Date >= \? AND cr\.Date <= \?/, ([id, from, to]) =>
+      ratesOf(id).filter(r => r.date >= from && r.date <= to).map(rateRow)],
+    [/WHERE cr\.ToCurrencyId = \? AND cr\.Date < \? ORDER BY cr\.Date DESC LIMIT 1/, ([id, before]) =>
+      ratesOf(id).filter(r => r.date < before).slice(-1).map(rateRow)],
+
+    [/^SELECT Id, FromCode, ToCode, Position, CreatedAt FROM Watchlists WHERE UserId = \? ORDER BY Position ASC, Id ASC/, ([userId]) =>
+      tables.watchlists.filter(w => w.UserId === userId).sort((a, b) => a.Position - b.Position || a.Id - b.Id).map(pairRow)],
+    [/^SELECT Id, FromCode, ToCode, Position, CreatedAt FROM Watchlists WHERE Id = \?/, ([id]) =>
+      tables.watchlists.filter(w => w.Id === id).map(pairRow)],
+    [/^SELECT COUNT\(\*\) AS Total, COALESCE\(MAX\(Position\), -1\) AS LastPosition FROM Watchlists WHERE UserId = \?/, ([userId]) => {
+      const own = tables.watchlists.filter(w => w.UserId === userId);
+      return [{ Total: own.length, LastPosition: own.length ? Math.max(...own.map(w => w.Position)) : -1 }];
+    }],
+    [/^INSERT IGNORE INTO Watchlists/, ([userId, from, to, position]) => {
+      if (tables.watchlists.some(w => w.UserId === userId && w.FromCode === from && w.ToCode === to)) return { affectedRows: 0 };
+      const id = tables.nextId++;
+      tables.watchlists.push({ Id: id, UserId: userId, FromCode: from, ToCode: to, Position: position, CreatedAt: new Date() });
+      return { affectedRows: 1, insertId: id };
+    }],
+    [/^SELECT Id FROM Watchlists WHERE Id = \? AND UserId = \?/, ([id, userId]) =>
+      tables.watchlists.filter(w => w.Id === id && w.UserId === userId).map(w => ({ Id: w.Id }))],
+    [/^SELECT Id FROM Watchlists WHERE UserId = \? AND FromCode = \? AND ToCode = \? AND Id <> \?/, ([userId, from, to, id]) =>
+      tables.watchlists.filter(w => w.UserId === userId && w.FromCode === from && w.ToCode === to && w.Id !== id)],
+    [/^UPDATE Watchlists SET (.+) WHERE Id = \?/, (params, sql) => {
+      const columns = /SET (.+) WHERE/.exec(sql)[1].split(', ').map(s => s.split(' = ')[0]);
+      const row = tables.watchlists.find(w => w.Id === params[params.length - 1]);
+      columns.forEach((column, i) => { row[column] = params[i]; });
+      return { affectedRows: 1 };
+    }],
+    [/^DELETE FROM Watchlists WHERE Id = \? AND UserId = \?/, ([id, userId]) => {
+      const before = tables.watchlists.length;
+      tables.watchlists = tables.watchlists.filter(w => !(w.Id === id && w.UserId === userId));
+      return { affectedRows: before - tables.watchlists.length };
+    }]
+  ]);
+  return { db, tables };
+}
+
+const request = (method, path, body, user = USER) => fetch(`${server.url}/api/watchlist${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Cookie: `token=${jwt.sign(user, process.env.JWT_SECRET)}` },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+test('pairs are added at the end, once each, and listed in position order', async (t) => {
+  const { tables } = setup(t);
+
+  const added = await request('POST', '/', { fromCode: ' eur', toCode: 'usd ' });
+  assert.equal(added.status, 201);
+  const pair = await added.json();
+  assert.deepEqual([pair.FromCode, pair.ToCode, pair.Position], ['EUR', 'USD', 0]);
+  assert.equal((await request('POST', '/', { fromCode: 'GBP', toCode: 'USD' })).status, 201);
+  assert.equal((await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' })).status, 409);
+
+  tables.watchlists[1].Position = -1;
+  const list = await (await request('GET', '/')).json();
+  assert.deepEqual(list.map(p => `${p.FromCode}/${p.ToCode}`), ['GBP/USD', 'EUR/USD']);
+  assert.deepEqual(await (await request('GET', '/', null, OTHER)).json(), []);
+});
+
+test('pairs are checked like alert pairs: two different known codes, EUR always known', async (t) => {
+  const { db } = setup(t);
+
+  const bad = async (body) => (await (await request('POST', '/', body)).json()).error;
+  assert.equal(await bad({ fromCode: 'USD', toCode: 'USD' }), 'fromCode and toCode must be two different 3-letter currency codes');
+  assert.equal(await bad({ fromCode: 'US', toCode: 'EUR' }), 'fromCode and toCode must be two different 3-letter currency codes');
+  assert.equal(await bad({ fromCode: 'EUR', toCode: 'NOK' }), 'Unknown currency: NOK');
+
+  assert.equal((await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' })).status, 201);
+  const lookup = db.calls.filter(c => c.sql.startsWith('SELECT CurrencyCode FROM Currencies')).pop();
+  assert.deepEqual(lookup.params, [['USD']]);
+});
+
+test('a pair is changed, moved and removed only by its owner', async (t) => {
+  const { tables } = setup(t);
+  await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' });
+  await request('POST', '/', { fromCode: 'EUR', toCode: 'GBP' });
+
+  assert.equal((await request('PUT', '/1', { position: 5 }, OTHER)).status, 404);
+  assert.equal((await request('PUT', '/1', { fromCode: 'EUR', toCode: 'GBP' })).status, 409);
+  assert.equal((await request('PUT', '/1', {})).status, 400);
+  assert.equal((await request('PUT', '/1', { position: -1 })).status, 400);
+
+  const changed = await request('PUT', '/1', { fromCode: 'GBP', toCode: 'USD', position: 5 });
+  assert.equal(changed.status, 200);
+  assert.deepEqual(tables.watchlists.map(w => [w.FromCode, w.ToCode, w.Position]), [['GBP', 'USD', 5], ['EUR', 'GBP', 1]]);
+
+  assert.equal((await request('DELETE', '/1', null, OTHER)).status, 404);
+  assert.deepEqual(await (await request('DELETE', '/1')).json(), { ok: true, id: 1 });
+  assert.equal((await request('DELETE', '/1')).status, 404);
+  assert.equal(tables.watchlists.length, 1);
+});
+
+test('prices: latest rate and the change against the previous rate date', async (t) => {
+  setup(t, [
+    { code: 'USD', date: '2024-01-04', rate: 1.08 },
+    { code: 'USD', date: '2024-01-05', rate: 1.10 },
+    // No GBP rate on the latest date: the 2024-01-04 value is carried forward
+    { code: 'GBP', date: '2024-01-03', rate: 0.85 },
+    { code: 'GBP', date: '2024-01-04', rate: 0.86 }
+  ]);
+  await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' });
+  await request('POST', '/', { fromCode: 'GBP', toCode: 'USD' });
+
+  const [eurUsd, gbpUsd] = await (await request('GET', '/')).json();
+  assert.equal(eurUsd.rateDate, '2024-01-05');
+  assert.equal(eurUsd.previousDate, '2024-01-04');
+  assert.equal(eurUsd.buy, 1.10);
+  assert.ok(Math.abs(eurUsd.buyChangePct - ((1.10 - 1.08) / 1.08) * 100) < 1e-9);
+  assert.equal(eurUsd.sellChangePct, eurUsd.buyChangePct); // no margin, buy = sell
+
+  assert.ok(Math.abs(gbpUsd.buy - 1.10 / 0.86) < 1e-9);
+  assert.ok(Math.abs(gbpUsd.buyChangePct - ((1.10 / 0.86) / (1.08 / 0.86) - 1) * 100) < 1e-9);
+});
+
+test('prices: with a single rate date the change is 0', async (t) => {
+  setup(t, [{ code: 'USD', date: '2024-01-05', rate: 1.10 }]);
+  await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' });
+
+  const [pair] = await (await request('GET', '/')).json();
+  assert.deepEqual([pair.rateDate, pair.previousDate, pair.buy, pair.buyChangePct], ['2024-01-05', '2024-01-05', 1.10, 0]);
+});
+
+test('prices: without any stored rate every pair is unpriced', async (t) => {
+  setup(t, []);
+  await request('POST', '/', { fromCode: 'EUR', toCode: 'USD' });
+
+  const [pair] = await (await request('GET', '/')).json();
+  assert.deepEqual([pair.rateDate, pair.previousDate, pair.buy, pair.sell, pair.buyChangePct, pair.sellChangePct], [null, null, null, null, null, null]);
+});
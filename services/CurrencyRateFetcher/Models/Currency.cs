@@ -5,4 +5,5 @@ public class Currency
     public int Id { get; set; }
     public string CurrencyCode { get; set; } = string.Empty;
     public ICollection<CurrencyRate> CurrencyRates { get; set; } = new List<CurrencyRate>();
+    public ICollection<Margin> Margins { get; set; } = new List<Margin>();
 }
\ No newline at end of file
@@ -13,5 +13,9 @@ public class Margin
     public int UserId { get; set; }
     public virtual User User { get; set; } = null!;
 
+    // NULL = global margin, otherwise the margin applies to this currency only
+    public int? CurrencyId { get; set; }
+    public virtual Currency? Currency { get; set; }
+
     public ICollection<CurrencyRate> CurrencyRates { get; set; } = new List<CurrencyRate>();
 }
@@ -62,6 +62,14 @@ public partial class MyDbContext : DbContext
                 .WithMany(u => u.Margins)
                 .HasForeignKey(e => e.UserId)
                 .OnDelete(DeleteBehavior.Cascade);
+
+            // Optional currency scope (NULL = global margin)
+            entity.HasOne(e => e.Currency)
+                .WithMany(c => c.Margins)
+                .HasForeignKey(e => e.CurrencyId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => new { e.CurrencyId, e.StartDate });
         });
 
         OnModelCreatingPartial(modelBuilder);
@@ -70,11 +78,14 @@ public partial class MyDbContext : DbContext
     partial void OnModelCreatingPartial(ModelBuilder modelBuilder);
 
 
-    public int? FindMarginIdForDate(DateTime rateDate)
+    // A margin scoped to the currency wins over the global one (CurrencyId == null)
+    public int? FindMarginIdForDate(DateTime rateDate, int currencyId)
     {
         var margin = Margins
             .Where(m => m.StartDate <= rateDate && (m.EndDate == null || rateDate <= m.EndDate))
-            .OrderByDescending(m => m.StartDate)
+            .Where(m => m.CurrencyId == null || m.CurrencyId == currencyId)
+            .OrderBy(m => m.CurrencyId == null)
+            .ThenByDescending(m => m.StartDate)
             .FirstOrDefault();
 
         return margin?.Id;
@@ -186,9 +186,6 @@ class Program
 
         DateTime rateDateTime = rateDate.ToDateTime(TimeOnly.MinValue);
 
-        // Find the margin ID for the given date
-        int? marginId = context.FindMarginIdForDate(rateDateTime);
-
         foreach (var rate in rates)
         {
             // Find or create the currency entity
@@ -209,6 +206,9 @@ class Program
             if (exists)
                 continue;
 
+            // Find the margin ID for the given date and currency
+            int? marginId = context.FindMarginIdForDate(rateDateTime, toCurrency.Id);
+
             // Add new currency rate
             var newRate = new CurrencyRate
             {